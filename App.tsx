@@ -1,12 +1,18 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FileText, Save, RefreshCw, Search, Download, FileSpreadsheet, ChevronDown, Check, FolderOpen } from 'lucide-react';
+import { FileText, Save, RefreshCw, Search, Download, FileSpreadsheet, ChevronDown, Check, FolderOpen, AlertTriangle, CalendarClock, CalendarDays, Landmark } from 'lucide-react';
 import { LEGAL_TOPICS, LAW_FIRMS, PATIENT_SUPPORT_FIRMS, TOP_20_FIRMS } from './constants';
-import { LawFirm, LegalAreaId, GeneratedReport, SavedReport, SearchProvider, ModelProvider } from './types';
+import { LawFirm, LegalAreaId, GeneratedReport, SavedReport, SearchProvider, ModelProvider, ModelInfo, DateFilterBasis, ReportJobProgress, ReportLayout, CitationPolicy } from './types';
 import TopicCard from './components/TopicCard';
-import { generateLegalReport } from './services/claudeService';
+import ProgressMatrix from './components/ProgressMatrix';
+import DevelopmentsTable from './components/DevelopmentsTable';
+import { generateLegalReport, getReportJob, resumeLegalReport, buildReportRequest, fetchModels, modelLabel, formatUsage } from './services/claudeService';
+import { downloadDevelopmentsCsv } from './services/developments';
 import { saveReport, isSupabaseConfigured } from './services/supabaseService';
 import ReportsPanel from './components/ReportsPanel';
 import SaveReportModal from './components/SaveReportModal';
+import MonitoringPanel from './components/MonitoringPanel';
+import RegulationTracker from './components/RegulationTracker';
+import DeadlineCalendar from './components/DeadlineCalendar';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 
@@ -19,6 +25,36 @@ function loadSessionState<T>(key: string, fallback: T): T {
   return fallback;
 }
 
+// Report job in flight on the server; kept in localStorage so reopening the app reconnects to it
+const ACTIVE_JOB_KEY = 'activeReportJobId';
+
+// Citations the server couldn't match to the search results (see lib/grounding.js)
+function unverifiedCount(report: GeneratedReport): number {
+  const verification = report.structured?.verification;
+  if (!verification) return 0;
+  const urls = new Set([...verification.issues.map(i => i.url), ...verification.unverifiedLinks]);
+  return urls.size;
+}
+
+// Structured reports show an interactive summary table instead of the markdown one
+function withoutSummaryTable(markdown: string): string {
+  const index = markdown.indexOf('\n## Summary Table');
+  return index >= 0 ? markdown.slice(0, index) : markdown;
+}
+
+function describeProgress(progress: ReportJobProgress | null): string {
+  if (!progress) return 'Starting search...';
+  if (progress.phase === 'generating') {
+    return `Generating report (${(progress.generatedChars || 0).toLocaleString()} characters written)...`;
+  }
+  if (progress.phase === 'searching') {
+    return progress.currentTopic
+      ? `Searching topic ${progress.topicIndex} of ${progress.totalTopics}: ${progress.currentTopic}`
+      : 'Searching...';
+  }
+  return 'Waiting for the server to start the report...';
+}
+
 function App() {
   // Default: 3 months ago to today
   const getDefaultDates = () => {
@@ -49,8 +85,13 @@ function App() {
   const [isFirmDropdownOpen, setIsFirmDropdownOpen] = useState(false);
   const [searchProvider, setSearchProvider] = useState<SearchProvider>(loadSessionState('searchProvider', 'tavily'));
   const [modelProvider, setModelProvider] = useState<ModelProvider>(loadSessionState('modelProvider', 'sonnet'));
+  const [models, setModels] = useState<ModelInfo[]>([]);
   const [autoSave, setAutoSave] = useState(true);
   const [strictDateFilter, setStrictDateFilter] = useState<boolean>(loadSessionState('strictDateFilter', true));
+  const [minDateConfidence, setMinDateConfidence] = useState<number>(loadSessionState('minDateConfidence', 0));
+  const [dateFilterBasis, setDateFilterBasis] = useState<DateFilterBasis>(loadSessionState('dateFilterBasis', 'published'));
+  const [reportLayout, setReportLayout] = useState<ReportLayout>(loadSessionState('reportLayout', 'by_firm'));
+  const [citationPolicy, setCitationPolicy] = useState<CitationPolicy>(loadSessionState('citationPolicy', 'annotate'));
 
   // Persist form selections to sessionStorage so they survive page reloads
   useEffect(() => {
@@ -61,14 +102,30 @@ function App() {
     sessionStorage.setItem('searchProvider', JSON.stringify(searchProvider));
     sessionStorage.setItem('modelProvider', JSON.stringify(modelProvider));
     sessionStorage.setItem('strictDateFilter', JSON.stringify(strictDateFilter));
-  }, [startDate, endDate, selectedTopicIds, selectedFirms, searchProvider, modelProvider, strictDateFilter]);
+    sessionStorage.setItem('minDateConfidence', JSON.stringify(minDateConfidence));
+    sessionStorage.setItem('dateFilterBasis', JSON.stringify(dateFilterBasis));
+    sessionStorage.setItem('reportLayout', JSON.stringify(reportLayout));
+    sessionStorage.setItem('citationPolicy', JSON.stringify(citationPolicy));
+  }, [startDate, endDate, selectedTopicIds, selectedFirms, searchProvider, modelProvider, strictDateFilter, minDateConfidence, dateFilterBasis, reportLayout, citationPolicy]);
 
   const [report, setReport] = useState<GeneratedReport | null>(loadSessionState('report', null));
   const [loading, setLoading] = useState(false);
-  const [searchStatus, setSearchStatus] = useState<string>('');
+  const [progress, setProgress] = useState<ReportJobProgress | null>(null);
+  // Firms and topics of the report in flight, the rows and columns of the progress matrix
+  const [runTargets, setRunTargets] = useState<{ firmNames: string[]; topicLabels: string[] } | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [reportGeneratedAt, setReportGeneratedAt] = useState<Date | null>(null);
 
+  // Model choices come from the server's registry; keep the selection only if it still exists and has an API key
+  useEffect(() => {
+    fetchModels()
+      .then(({ models, defaultModel }) => {
+        setModels(models);
+        setModelProvider(prev => models.some(m => m.id === prev && m.configured) ? prev : defaultModel);
+      })
+      .catch(err => console.error('Failed to load models:', err));
+  }, []);
+
   // Persist report to sessionStorage so it survives HMR/page reloads
   useEffect(() => {
     if (report) {
@@ -81,6 +138,9 @@ function App() {
 
   // Reports panel and save modal state
   const [isReportsPanelOpen, setIsReportsPanelOpen] = useState(false);
+  const [isMonitoringPanelOpen, setIsMonitoringPanelOpen] = useState(false);
+  const [isTrackerOpen, setIsTrackerOpen] = useState(false);
+  const [isDeadlinesOpen, setIsDeadlinesOpen] = useState(false);
   const [isSaveModalOpen, setIsSaveModalOpen] = useState(false);
   const [savingReport, setSavingReport] = useState(false);
   const [currentReportId, setCurrentReportId] = useState<string | null>(null);
@@ -169,6 +229,8 @@ function App() {
     setSelectedFirms([...TOP_20_FIRMS]);
     setSearchProvider('tavily');
     setStrictDateFilter(true);
+    setMinDateConfidence(0);
+    setDateFilterBasis('published');
     setReport(null);
     setError(null);
     setCurrentReportId(null);
@@ -185,16 +247,11 @@ function App() {
     }
   };
 
-  const handleIdentifyLaws = async () => {
-    if (selectedFirms.length === 0) {
-      setError("Please select at least one Law Firm.");
-      return;
-    }
-    if (selectedTopicIds.length === 0) {
-      setError("Please select at least one Legal Topic.");
-      return;
-    }
-
+  // Wait for a server report job and show its result; shared by new and resumed reports
+  const runReport = async (
+    run: (signal: AbortSignal) => Promise<GeneratedReport>,
+    meta: { startDate: string; endDate: string; firmNames: string[]; topicIds: string[]; topicLabels: string[] }
+  ) => {
     // Create a new abort controller for this search
     abortControllerRef.current = new AbortController();
 
@@ -203,24 +260,11 @@ function App() {
     setReport(null);
     setCurrentReportId(null);
     setReportGeneratedAt(null);
-    setSearchStatus('Starting search...');
+    setProgress(null);
+    setRunTargets({ firmNames: meta.firmNames, topicLabels: meta.topicLabels });
 
     try {
-      const selectedTopicsList = LEGAL_TOPICS.filter(t => selectedTopicIds.includes(t.id));
-      const result = await generateLegalReport({
-        startDate,
-        endDate,
-        selectedFirms,
-        selectedTopics: selectedTopicsList,
-        searchProvider,
-        modelProvider,
-        strictDateFilter,
-        abortSignal: abortControllerRef.current.signal,
-        onProgress: (progress) => {
-          setSearchStatus(`Searching topic ${progress.topicIndex} of ${progress.totalTopics}: ${progress.currentTopic} (${progress.resultsFound} results)`);
-        }
-      });
-      setSearchStatus('');
+      const result = await run(abortControllerRef.current.signal);
       setReport(result);
       setReportGeneratedAt(new Date());
 
@@ -228,14 +272,14 @@ function App() {
       // Wrapped in separate try-catch so save failures don't lose the report
       if (autoSave && isSupabaseConfigured()) {
         try {
-          const reportName = `${selectedTopicsList.map(t => t.label).join(', ')} Report - ${startDate} to ${endDate}`;
+          const reportName = `${meta.topicLabels.join(', ')} Report - ${meta.startDate} to ${meta.endDate}`;
           const savedReport = await saveReport(
             result,
             reportName,
-            startDate,
-            endDate,
-            selectedFirms.map(f => f.name),
-            selectedTopicIds
+            meta.startDate,
+            meta.endDate,
+            meta.firmNames,
+            meta.topicIds
           );
           if (savedReport) {
             setCurrentReportId(savedReport.id);
@@ -255,12 +299,92 @@ function App() {
         setError("Failed to generate report. Please try again. " + (err.message || ""));
       }
     } finally {
+      localStorage.removeItem(ACTIVE_JOB_KEY);
       setLoading(false);
-      setSearchStatus('');
+      setProgress(null);
+      setRunTargets(null);
       abortControllerRef.current = null;
     }
   };
 
+  const handleIdentifyLaws = async () => {
+    if (selectedFirms.length === 0) {
+      setError("Please select at least one Law Firm.");
+      return;
+    }
+    if (selectedTopicIds.length === 0) {
+      setError("Please select at least one Legal Topic.");
+      return;
+    }
+
+    const selectedTopicsList = LEGAL_TOPICS.filter(t => selectedTopicIds.includes(t.id));
+    await runReport(
+      (abortSignal) => generateLegalReport({
+        startDate,
+        endDate,
+        selectedFirms,
+        selectedTopics: selectedTopicsList,
+        searchProvider,
+        modelProvider,
+        strictDateFilter,
+        minDateConfidence,
+        dateFilterBasis,
+        reportLayout,
+        citationPolicy,
+        abortSignal,
+        onJobCreated: (jobId) => localStorage.setItem(ACTIVE_JOB_KEY, jobId),
+        onProgress: setProgress
+      }),
+      {
+        startDate,
+        endDate,
+        firmNames: selectedFirms.map(f => f.name),
+        topicIds: selectedTopicIds,
+        topicLabels: selectedTopicsList.map(t => t.label)
+      }
+    );
+  };
+
+  // Reconnect to a report that was still running on the server when the page was closed
+  const resumeCheckedRef = useRef(false);
+  useEffect(() => {
+    // StrictMode runs effects twice in development; only attach one watcher
+    if (resumeCheckedRef.current) return;
+    resumeCheckedRef.current = true;
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId) return;
+
+    getReportJob(jobId)
+      .then((job) => {
+        if (!job) {
+          localStorage.removeItem(ACTIVE_JOB_KEY);
+          return;
+        }
+        const { request } = job;
+        setStartDate(request.startDate);
+        setEndDate(request.endDate);
+        setSelectedTopicIds(request.topics.map(t => t.id));
+        setSearchProvider(request.searchProvider);
+        setModelProvider(request.modelProvider);
+        if (request.reportLayout) setReportLayout(request.reportLayout);
+        if (request.citationPolicy) setCitationPolicy(request.citationPolicy);
+        runReport(
+          (abortSignal) => resumeLegalReport(job.id, {
+            abortSignal,
+            onProgress: setProgress
+          }),
+          {
+            startDate: request.startDate,
+            endDate: request.endDate,
+            firmNames: request.firms.map(f => f.name),
+            topicIds: request.topics.map(t => t.id),
+            topicLabels: request.topics.map(t => t.label)
+          }
+        );
+      })
+      .catch((err) => console.error('Could not reconnect to report job:', err));
+  }, []);
+
   const handleDownloadWord = () => {
     if (!report) return;
 
@@ -287,6 +411,11 @@ function App() {
     document.body.removeChild(link);
   };
 
+  const handleDownloadExcel = () => {
+    if (!report?.structured) return;
+    downloadDevelopmentsCsv(report.structured.developments, `Legal_Developments_${startDate}_${endDate}.csv`);
+  };
+
   const getDefaultReportName = () => {
     const topicNames = selectedTopicIds.map(id =>
       LEGAL_TOPICS.find(t => t.id === id)?.label || id
@@ -321,12 +450,33 @@ function App() {
   const handleSelectReport = (savedReport: SavedReport) => {
     setReport({
       markdownContent: savedReport.markdown_content,
-      htmlContent: savedReport.html_content
+      htmlContent: savedReport.html_content,
+      structured: savedReport.structured_content || null,
+      usage: savedReport.usage || null
     });
     setStartDate(savedReport.start_date);
     setEndDate(savedReport.end_date);
     setCurrentReportId(savedReport.id);
     setIsReportsPanelOpen(false);
+    setIsMonitoringPanelOpen(false);
+  };
+
+  // The current selections as a monitoring profile's request; the server sets the dates on each run
+  const getMonitoringRequest = () => {
+    if (selectedFirms.length === 0 || selectedTopicIds.length === 0) return null;
+    return buildReportRequest({
+      startDate,
+      endDate,
+      selectedFirms,
+      selectedTopics: LEGAL_TOPICS.filter(t => selectedTopicIds.includes(t.id)),
+      searchProvider,
+      modelProvider,
+      strictDateFilter,
+      minDateConfidence,
+      dateFilterBasis,
+      reportLayout,
+      citationPolicy
+    });
   };
 
   // Catch unhandled promise rejections to prevent silent failures
@@ -602,11 +752,17 @@ function App() {
               >
                 <option value="serper">Serper (Google Search)</option>
                 <option value="tavily">Tavily (AI Research)</option>
+                <option value="rss">Firm Feeds only (RSS/Atom)</option>
+                <option value="sitemap">Firm Sitemaps (complete coverage)</option>
               </select>
               <p className="text-xs text-gray-500">
                 {searchProvider === 'serper'
                   ? 'Fast Google-based search with date filtering'
-                  : 'AI-optimized search with full content extraction'}
+                  : searchProvider === 'tavily'
+                    ? 'AI-optimized search with full content extraction'
+                    : searchProvider === 'rss'
+                      ? 'Exactly dated posts from firm blog feeds, no search API cost'
+                      : 'Every topic page in firm sitemaps, slower but uncapped'}
               </p>
             </div>
 
@@ -618,13 +774,17 @@ function App() {
                 onChange={(e) => setModelProvider(e.target.value as ModelProvider)}
                 className="w-full border-2 border-gray-200 rounded-lg p-3 bg-white hover:border-gray-300 transition-colors text-gray-900 font-medium focus:outline-none focus:border-fuchsia-500"
               >
-                <option value="sonnet">Sonnet 4 (Recommended)</option>
-                <option value="opus">Opus 4.5 (Highest Quality)</option>
+                {models.length === 0 && <option value={modelProvider}>{modelLabel(modelProvider)}</option>}
+                {models.map(model => (
+                  <option key={model.id} value={model.id} disabled={!model.configured}>
+                    {model.label} ({model.costPerMillionTokens.input + model.costPerMillionTokens.output > 0
+                      ? `$${model.costPerMillionTokens.input}/$${model.costPerMillionTokens.output} per M tokens`
+                      : 'no API cost'}){model.configured ? '' : ' - no API key on server'}
+                  </option>
+                ))}
               </select>
               <p className="text-xs text-gray-500">
-                {modelProvider === 'sonnet'
-                  ? 'Fast & cost-effective analysis'
-                  : 'Deeper analysis, slower response'}
+                {models.find(m => m.id === modelProvider)?.description || ''}
               </p>
             </div>
           </div>
@@ -667,6 +827,26 @@ function App() {
                 Auto-Save
               </span>
             </div>
+            {/* Report layout */}
+            <select
+              value={reportLayout}
+              onChange={(e) => setReportLayout(e.target.value as ReportLayout)}
+              className="text-xs border border-fuchsia-200 rounded-md px-2 py-1 bg-white text-fuchsia-700 focus:outline-none focus:border-fuchsia-500"
+              title="Organize the report by law firm, or by law with the firms commenting on it"
+            >
+              <option value="by_firm">By firm (A-Z)</option>
+              <option value="by_law">By law</option>
+            </select>
+            {/* What to do with citations not found in the search results */}
+            <select
+              value={citationPolicy}
+              onChange={(e) => setCitationPolicy(e.target.value as CitationPolicy)}
+              className="text-xs border border-fuchsia-200 rounded-md px-2 py-1 bg-white text-fuchsia-700 focus:outline-none focus:border-fuchsia-500"
+              title="Sources the model cites that weren't in the search results can be marked as unverified or removed from the report"
+            >
+              <option value="annotate">Mark unverified sources</option>
+              <option value="strip">Remove unverified sources</option>
+            </select>
             {/* Strict Date Filter toggle */}
             <div className="flex items-center gap-2">
               <button
@@ -682,6 +862,27 @@ function App() {
               <span className="text-sm font-medium text-blue-700" title="Exclude articles with no detectable publication date">
                 Strict Dates
               </span>
+              {strictDateFilter && (
+                <select
+                  value={minDateConfidence}
+                  onChange={(e) => setMinDateConfidence(Number(e.target.value))}
+                  className="text-xs border border-blue-200 rounded-md px-2 py-1 bg-white text-blue-700 focus:outline-none focus:border-blue-500"
+                  title="Minimum confidence in the detected publication date"
+                >
+                  <option value={0}>Any date</option>
+                  <option value={0.5}>Reliable dates</option>
+                  <option value={0.8}>Structured dates only</option>
+                </select>
+              )}
+              <select
+                value={dateFilterBasis}
+                onChange={(e) => setDateFilterBasis(e.target.value as DateFilterBasis)}
+                className="text-xs border border-blue-200 rounded-md px-2 py-1 bg-white text-blue-700 focus:outline-none focus:border-blue-500"
+                title="Also include older articles that were substantively updated within the date range"
+              >
+                <option value="published">Published in range</option>
+                <option value="published_or_updated">Published or updated in range</option>
+              </select>
             </div>
           </div>
 
@@ -749,14 +950,34 @@ function App() {
               <div className="space-y-2">
                 <p className="text-xl font-semibold text-gray-700">Searching Law Firm Commentaries...</p>
                 <p className="text-gray-500">Analyzing {selectedFirms.length} firms across {selectedTopicIds.length} topic(s)</p>
-                {searchStatus && <p className="text-fuchsia-600 font-medium text-sm">{searchStatus}</p>}
+                <p className="text-fuchsia-600 font-medium text-sm">{describeProgress(progress)}</p>
+                {progress?.model && progress.model !== modelProvider && (
+                  <p className="text-amber-600 text-sm">{modelLabel(modelProvider)} is overloaded; using {modelLabel(progress.model)} instead</p>
+                )}
               </div>
+              {progress?.searches && runTargets && (
+                <ProgressMatrix progress={progress} firmNames={runTargets.firmNames} topicLabels={runTargets.topicLabels} />
+              )}
               <p className="text-gray-400 text-sm">Click "Abort Search" to cancel</p>
             </div>
           )}
 
           {report && (
             <div className="flex-1 p-8 sm:p-12 overflow-x-auto">
+              {unverifiedCount(report) > 0 && (
+                <div className="mb-6 flex items-start gap-2 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+                  <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                  <span>
+                    {unverifiedCount(report)} cited source{unverifiedCount(report) === 1 ? '' : 's'} not found in the search results
+                    {report.structured?.verification?.policy === 'strip' ? ' (removed from this report).' : ' (marked as unverified below).'}
+                  </span>
+                </div>
+              )}
+              {report.usage && (
+                <p className="mb-4 text-xs text-gray-500" title="Estimated from token counts and search API calls">
+                  {formatUsage(report.usage)}
+                </p>
+              )}
               <article className="prose prose-fuchsia max-w-none">
                 <ReactMarkdown 
                   remarkPlugins={[remarkGfm]}
@@ -771,8 +992,14 @@ function App() {
                     a: ({node, ...props}) => <a className="text-blue-600 hover:text-blue-800 underline" target="_blank" rel="noopener noreferrer" {...props} />,
                   }}
                 >
-                  {report.markdownContent}
+                  {report.structured ? withoutSummaryTable(report.markdownContent) : report.markdownContent}
                 </ReactMarkdown>
+                {report.structured && (
+                  <DevelopmentsTable
+                    developments={report.structured.developments}
+                    exportFilename={`Legal_Developments_${startDate}_${endDate}_filtered.csv`}
+                  />
+                )}
               </article>
             </div>
           )}
@@ -804,6 +1031,30 @@ function App() {
             My Reports
           </button>
 
+          <button
+            onClick={() => setIsMonitoringPanelOpen(true)}
+            className="flex items-center gap-2 px-6 py-2 rounded-lg border border-fuchsia-600 text-fuchsia-600 font-medium hover:bg-fuchsia-50"
+          >
+            <CalendarClock className="w-4 h-4" />
+            Monitoring
+          </button>
+
+          <button
+            onClick={() => setIsTrackerOpen(true)}
+            className="flex items-center gap-2 px-6 py-2 rounded-lg border border-fuchsia-600 text-fuchsia-600 font-medium hover:bg-fuchsia-50"
+          >
+            <Landmark className="w-4 h-4" />
+            Regulations
+          </button>
+
+          <button
+            onClick={() => setIsDeadlinesOpen(true)}
+            className="flex items-center gap-2 px-6 py-2 rounded-lg border border-fuchsia-600 text-fuchsia-600 font-medium hover:bg-fuchsia-50"
+          >
+            <CalendarDays className="w-4 h-4" />
+            Deadlines
+          </button>
+
           <div className="flex gap-4">
             <button 
               onClick={handleDownloadWord}
@@ -819,10 +1070,12 @@ function App() {
               Download Word
             </button>
             <button 
-               disabled={!report}
+               onClick={handleDownloadExcel}
+               disabled={!report?.structured}
+               title={report && !report.structured ? 'Only available for reports with structured developments' : undefined}
                className={`
                 flex items-center gap-2 px-6 py-2 rounded-lg border font-medium
-                ${report 
+                ${report?.structured 
                   ? 'border-fuchsia-200 bg-fuchsia-50 text-fuchsia-700 hover:bg-fuchsia-100' 
                   : 'border-gray-200 bg-gray-50 text-gray-400 cursor-not-allowed'}
               `}
@@ -841,6 +1094,29 @@ function App() {
         onSelectReport={handleSelectReport}
       />
 
+      {/* Monitoring Panel Modal */}
+      <MonitoringPanel
+        isOpen={isMonitoringPanelOpen}
+        onClose={() => setIsMonitoringPanelOpen(false)}
+        currentRequest={isMonitoringPanelOpen ? getMonitoringRequest() : null}
+        defaultName={LEGAL_TOPICS.filter(t => selectedTopicIds.includes(t.id)).map(t => t.label).join(', ')}
+        onSelectReport={handleSelectReport}
+      />
+
+      {/* Regulation Tracker Modal */}
+      <RegulationTracker
+        isOpen={isTrackerOpen}
+        onClose={() => setIsTrackerOpen(false)}
+      />
+
+      {/* Deadline Calendar Modal */}
+      <DeadlineCalendar
+        isOpen={isDeadlinesOpen}
+        onClose={() => setIsDeadlinesOpen(false)}
+        report={report?.structured || null}
+        reportName={getDefaultReportName()}
+      />
+
       {/* Save Report Modal */}
       <SaveReportModal
         isOpen={isSaveModalOpen}
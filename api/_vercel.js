@@ -0,0 +1,26 @@
+// Shared by the Vercel functions; files starting with _ aren't deployed as routes
+
+// Function time limit, as set in vercel.json
+const MAX_DURATION_SECONDS = 300;
+
+/**
+ * Report jobs run in chunks that fit one invocation (see lib/reportJobs.js).
+ * A chunk stops at its first checkpoint after REPORT_CHUNK_SECONDS, leaving
+ * time for the step that is under way; its lease outlasts the time limit so
+ * that only a function Vercel has stopped loses it.
+ */
+export const REPORT_CHUNK_OPTIONS = {
+  chunkMs: (Number(process.env.REPORT_CHUNK_SECONDS) || 150) * 1000,
+  leaseMs: (MAX_DURATION_SECONDS + 30) * 1000
+};
+
+// Vercel freezes a function once it has responded unless the work is registered
+// with waitUntil — the same request-context hook @vercel/functions uses
+export function waitUntil(promise) {
+  const context = globalThis[Symbol.for('@vercel/request-context')]?.get?.();
+  if (context?.waitUntil) {
+    context.waitUntil(promise);
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,21 @@
+import { trackedDeadlines } from '../../lib/regulations.js';
+import { renderDeadlinesIcs } from '../../lib/deadlines.js';
+
+// The deadlines as a calendar feed; vercel.json serves it as /api/deadlines/calendar.ics
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { q, jurisdiction, from } = req.query;
+    const deadlines = await trackedDeadlines({ q, jurisdiction, from });
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(renderDeadlinesIcs(deadlines, {
+      name: jurisdiction ? `Compliance Deadlines (${jurisdiction})` : 'Compliance Deadlines'
+    }));
+  } catch (error) {
+    console.error('[Deadlines] Feed error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,21 @@
+import { reportDeadlines, renderDeadlinesIcs } from '../../lib/deadlines.js';
+
+// One report's deadlines as an .ics download, from the structured report the browser sends
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { structured, name } = req.body || {};
+  if (!Array.isArray(structured?.developments)) {
+    return res.status(400).json({ error: 'The report has no structured developments' });
+  }
+
+  try {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(renderDeadlinesIcs(reportDeadlines(structured), { name }));
+  } catch (error) {
+    console.error('[Deadlines] Export error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,16 @@
+import { trackedDeadlines } from '../../lib/regulations.js';
+
+// Compliance deadlines of every tracked regulation (lib/deadlines.js)
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { q, jurisdiction, from } = req.query;
+    res.json({ deadlines: await trackedDeadlines({ q, jurisdiction, from }) });
+  } catch (error) {
+    console.error('[Deadlines] List error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,9 @@
+import { listModels } from '../lib/models.js';
+
+// Models the client can choose from, with their cost and fallbacks (lib/models.js)
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  res.json(listModels());
+}
@@ -0,0 +1,17 @@
+import { getRegulation } from '../../lib/regulations.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // ?since=YYYY-MM-DD leaves older events out of the timeline
+    const found = await getRegulation(req.query.id, { since: req.query.since });
+    if (!found) return res.status(404).json({ error: 'Regulation not found' });
+    res.json(found);
+  } catch (error) {
+    console.error('[Regulations] Read error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
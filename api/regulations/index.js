@@ -0,0 +1,17 @@
+import { listRegulations } from '../../lib/regulations.js';
+
+// Every law the completed reports found (lib/regulations.js); set
+// REGULATION_STORE=supabase so every instance sees the same records
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { q, jurisdiction } = req.query;
+    res.json({ regulations: await listRegulations({ q, jurisdiction }) });
+  } catch (error) {
+    console.error('[Regulations] List error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
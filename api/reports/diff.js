@@ -0,0 +1,15 @@
+import { diffReports } from '../../lib/reportDiff.js';
+
+// What changed between two saved reports the browser sends (lib/reportDiff.js)
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    res.json(diffReports(req.body?.before, req.body?.after));
+  } catch (error) {
+    console.error('[Diff] Error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,31 @@
+import { getReportJob, cancelReportJob, continueReportJob } from '../../../lib/reportJobs.js';
+import { waitUntil, REPORT_CHUNK_OPTIONS } from '../../_vercel.js';
+
+export default async function handler(req, res) {
+  const { id, since } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      // ?since=<seq> returns only the events the client hasn't seen yet
+      const job = await getReportJob(id, { since: Number(since) || 0 });
+      if (!job) return res.status(404).json({ error: 'Report job not found' });
+      res.json(job);
+      // A job paused between chunks, or whose last chunk was stopped, goes on in this invocation
+      const next = continueReportJob(id, REPORT_CHUNK_OPTIONS)
+        .catch((error) => console.error('[Jobs] Continue error:', error.message));
+      if (!waitUntil(next)) await next;
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      const job = await cancelReportJob(id);
+      if (!job) return res.status(404).json({ error: 'Report job not found' });
+      return res.json(job);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Jobs] Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,19 @@
+import { createReportJob, waitForReportJob } from '../../../lib/reportJobs.js';
+import { waitUntil, REPORT_CHUNK_OPTIONS } from '../../_vercel.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // The first chunk runs here; polls run the rest (see lib/reportJobs.js)
+    const job = await createReportJob(req.body, REPORT_CHUNK_OPTIONS);
+    const done = waitForReportJob(job.id);
+    res.status(202).json(job);
+    if (!waitUntil(done)) await done;
+  } catch (error) {
+    console.error('[Jobs] Create error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
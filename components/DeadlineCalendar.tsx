@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react';
+import { X, CalendarDays, Download, Link2, Check, ExternalLink } from 'lucide-react';
+import { ComplianceDeadline, StructuredReport } from '../types';
+import { listTrackedDeadlines, deadlineFeedUrl, downloadReportCalendar } from '../services/deadlineService';
+
+interface DeadlineCalendarProps {
+  isOpen: boolean;
+  onClose: () => void;
+  report: StructuredReport | null;  // The report on screen, if it has structured developments
+  reportName: string;
+}
+
+type Scope = 'report' | 'tracked';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Month-only and year-only dates still count as upcoming while today is inside them
+const isUpcoming = (deadline: ComplianceDeadline, date: string) => deadline.date >= date.slice(0, deadline.date.length);
+
+// Deadlines by month; year-only dates get a group of their own at the start of their year
+function groupByMonth(deadlines: ComplianceDeadline[]): { key: string; label: string; items: ComplianceDeadline[] }[] {
+  const groups = new Map<string, ComplianceDeadline[]>();
+  for (const deadline of deadlines) {
+    const key = deadline.date.slice(0, 7);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key)!.push(deadline);
+  }
+  return [...groups.entries()].map(([key, items]) => ({
+    key,
+    label: key.length === 4
+      ? `${key} (month not stated)`
+      : new Date(`${key}-01T00:00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' }),
+    items
+  }));
+}
+
+const DeadlineItem: React.FC<{ deadline: ComplianceDeadline; past: boolean }> = ({ deadline, past }) => (
+  <li className={`flex gap-4 py-3 border-b border-gray-100 ${past ? 'opacity-50' : ''}`}>
+    <div className="w-12 text-center flex-shrink-0">
+      <p className="text-2xl font-bold text-fuchsia-700 leading-none">
+        {deadline.precision === 'day' ? Number(deadline.date.slice(8)) : '—'}
+      </p>
+      {deadline.precision === 'month' && <p className="text-[10px] text-gray-400 mt-1">day not stated</p>}
+    </div>
+    <div className="min-w-0">
+      <p className="text-sm">
+        <span className="font-semibold text-gray-900">{deadline.law}</span>
+        <span className="text-gray-500"> · {deadline.jurisdiction} · {deadline.status}</span>
+        {deadline.effective && (
+          <span className="ml-2 px-2 py-0.5 rounded bg-fuchsia-100 text-fuchsia-700 text-xs font-medium">Takes effect</span>
+        )}
+      </p>
+      {deadline.descriptions.filter(d => !deadline.effective || d !== 'Takes effect').map(description => (
+        <p key={description} className="text-sm text-gray-700 mt-1">{description}</p>
+      ))}
+      <p className="text-xs text-gray-500 mt-1 flex flex-wrap gap-x-3">
+        {deadline.sources.map(source => (
+          <a key={`${source.firm}-${source.url}`} href={source.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline inline-flex items-center gap-1">
+            {source.firm}: {source.title} <ExternalLink className="w-3 h-3" />
+          </a>
+        ))}
+      </p>
+    </div>
+  </li>
+);
+
+const DeadlineCalendar: React.FC<DeadlineCalendarProps> = ({ isOpen, onClose, report, reportName }) => {
+  const [scope, setScope] = useState<Scope>(report ? 'report' : 'tracked');
+  const [tracked, setTracked] = useState<ComplianceDeadline[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [jurisdiction, setJurisdiction] = useState('');
+  const [upcomingOnly, setUpcomingOnly] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setScope(report ? 'report' : 'tracked');
+    setJurisdiction('');
+  }, [isOpen, report]);
+
+  useEffect(() => {
+    if (isOpen && scope === 'tracked') loadTracked();
+  }, [isOpen, scope]);
+
+  const loadTracked = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setTracked(await listTrackedDeadlines());
+    } catch (err: any) {
+      setError('Failed to load deadlines: ' + (err.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const all = scope === 'report' ? report?.deadlines || [] : tracked;
+  const date = today();
+  const jurisdictions = [...new Set(all.map(d => d.jurisdiction))].sort();
+  const visible = all.filter(d =>
+    (!jurisdiction || d.jurisdiction === jurisdiction) &&
+    (!upcomingOnly || isUpcoming(d, date))
+  );
+  const feedUrl = deadlineFeedUrl({ jurisdiction });
+  // Reports from before deadline extraction still export their effective dates
+  const exportable = scope === 'tracked' ? tracked.length > 0 : !!report && (!report.deadlines || report.deadlines.length > 0);
+
+  const handleDownload = async () => {
+    if (scope === 'tracked') {
+      const link = document.createElement('a');
+      link.href = feedUrl;
+      link.download = `Compliance_Deadlines_${date}.ics`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      return;
+    }
+    if (!report) return;
+    setDownloading(true);
+    setError(null);
+    try {
+      await downloadReportCalendar(report, reportName, `Compliance_Deadlines_${date}.ics`);
+    } catch (err: any) {
+      setError('Failed to export the calendar: ' + (err.message || 'Unknown error'));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleCopyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError('Could not copy the link; select it and copy it instead.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center gap-3">
+            <div className="bg-fuchsia-100 p-2 rounded-lg">
+              <CalendarDays className="w-6 h-6 text-fuchsia-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Compliance Deadlines</h2>
+              <p className="text-sm text-gray-500">
+                Effective dates and dated obligations {scope === 'report' ? 'in this report' : 'across every tracked law'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-6 h-6 text-gray-500" />
+          </button>
+        </div>
+
+        {/* Toolbar */}
+        <div className="flex flex-wrap items-center gap-3 px-6 py-3 border-b border-gray-100">
+          <div className="flex rounded-lg border-2 border-gray-200 overflow-hidden text-sm">
+            {([['report', 'This report'], ['tracked', 'All tracked laws']] as [Scope, string][]).map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setScope(value)}
+                disabled={value === 'report' && !report}
+                title={value === 'report' && !report ? 'Generate or open a report first' : undefined}
+                className={`px-3 py-1.5 font-medium ${
+                  scope === value ? 'bg-fuchsia-600 text-white' : 'text-gray-600 hover:bg-gray-50 disabled:text-gray-300 disabled:hover:bg-white'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={jurisdiction}
+            onChange={(e) => setJurisdiction(e.target.value)}
+            className="border-2 border-gray-200 rounded-lg p-1.5 text-sm bg-white focus:outline-none focus:border-fuchsia-500"
+          >
+            <option value="">All jurisdictions</option>
+            {jurisdictions.map(j => <option key={j} value={j}>{j}</option>)}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={upcomingOnly}
+              onChange={(e) => setUpcomingOnly(e.target.checked)}
+              className="w-4 h-4 rounded border-gray-300 accent-fuchsia-600"
+            />
+            Upcoming only
+          </label>
+          <button
+            onClick={handleDownload}
+            disabled={downloading || !exportable}
+            className="ml-auto flex items-center gap-2 px-3 py-1.5 rounded-lg border border-fuchsia-200 bg-fuchsia-50 text-fuchsia-700 text-sm font-medium hover:bg-fuchsia-100 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            {downloading ? 'Exporting...' : 'Download .ics'}
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg m-4 mb-0">
+            {error}
+          </div>
+        )}
+
+        {/* Timeline */}
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin h-8 w-8 border-2 border-fuchsia-600 border-t-transparent rounded-full"></div>
+            </div>
+          ) : visible.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-12">
+              {scope === 'report' && !report?.deadlines
+                ? 'This report was generated before deadlines were extracted; Download .ics still exports its effective dates.'
+                : all.length === 0
+                  ? 'No dated deadlines found yet.'
+                  : 'No deadlines match.'}
+            </p>
+          ) : groupByMonth(visible).map(group => (
+            <section key={group.key} className="mb-4">
+              <h3 className="text-sm font-bold text-gray-700 uppercase tracking-wide border-b-2 border-fuchsia-100 pb-1">{group.label}</h3>
+              <ul>
+                {group.items.map(deadline => (
+                  <DeadlineItem key={deadline.id} deadline={deadline} past={!isUpcoming(deadline, date)} />
+                ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+
+        {/* Subscription */}
+        {scope === 'tracked' && (
+          <div className="px-6 py-4 border-t border-gray-200 bg-gray-50 rounded-b-2xl">
+            <p className="text-sm text-gray-700 mb-2">
+              Subscribe in Outlook, Google Calendar or Apple Calendar to get new deadlines as reports find them
+              {jurisdiction && ` (${jurisdiction} only)`}. Dates without a stated day are placed on the 1st of the month.
+            </p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                readOnly
+                value={feedUrl}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 border-2 border-gray-200 rounded-lg px-3 py-1.5 text-sm text-gray-600 bg-white"
+              />
+              <button
+                onClick={handleCopyFeed}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-fuchsia-600 text-fuchsia-600 text-sm font-medium hover:bg-fuchsia-50"
+              >
+                {copied ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+                {copied ? 'Copied' : 'Copy link'}
+              </button>
+              <a
+                href={feedUrl.replace(/^https?:/, 'webcal:')}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-fuchsia-600 text-white text-sm font-medium hover:bg-fuchsia-700"
+              >
+                <CalendarDays className="w-4 h-4" />
+                Subscribe
+              </a>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeadlineCalendar;
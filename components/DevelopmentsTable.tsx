@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, ArrowDown, ArrowUp, FileSpreadsheet } from 'lucide-react';
+import { LegalDevelopment } from '../types';
+import { PHARMA_AREAS } from '../constants';
+import {
+  DevelopmentFilter,
+  DevelopmentSortKey,
+  filterDevelopments,
+  sortDevelopments,
+  downloadDevelopmentsCsv
+} from '../services/developments';
+
+interface DevelopmentsTableProps {
+  developments: LegalDevelopment[];
+  exportFilename: string;
+}
+
+const COLUMNS: { key: DevelopmentSortKey; label: string }[] = [
+  { key: 'name', label: 'Law/Regulation' },
+  { key: 'status', label: 'Status' },
+  { key: 'effectiveDate', label: 'Effective Date' },
+  { key: 'jurisdiction', label: 'Jurisdiction' },
+  { key: 'firm', label: 'Commenting Firm' },
+];
+
+const selectClass = 'px-2 py-1.5 border border-gray-200 rounded-lg text-sm text-gray-700 focus:ring-fuchsia-500 focus:border-fuchsia-500';
+
+/**
+ * Summary table built from the structured developments, with filters and
+ * sortable columns; "Export CSV" saves exactly the rows shown
+ */
+const DevelopmentsTable: React.FC<DevelopmentsTableProps> = ({ developments, exportFilename }) => {
+  const [filter, setFilter] = useState<DevelopmentFilter>({});
+  const [sortKey, setSortKey] = useState<DevelopmentSortKey>('firm');
+  const [sortDirection, setSortDirection] = useState<'asc' | 'desc'>('asc');
+
+  const jurisdictions = useMemo(() => [...new Set(developments.map(d => d.jurisdiction))].sort(), [developments]);
+  const firms = useMemo(() => [...new Set(developments.map(d => d.firm))].sort(), [developments]);
+  const areas = useMemo(() => PHARMA_AREAS.filter(a => developments.some(d => d.impactedAreas.includes(a))), [developments]);
+
+  const rows = useMemo(
+    () => sortDevelopments(filterDevelopments(developments, filter), sortKey, sortDirection),
+    [developments, filter, sortKey, sortDirection]
+  );
+
+  const handleSort = (key: DevelopmentSortKey) => {
+    if (key === sortKey) {
+      setSortDirection(prev => prev === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortKey(key);
+      setSortDirection('asc');
+    }
+  };
+
+  const updateFilter = (changes: DevelopmentFilter) => setFilter(prev => ({ ...prev, ...changes }));
+
+  return (
+    <section className="mt-8">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-2xl font-semibold text-purple-800">Summary Table</h2>
+        <button
+          onClick={() => downloadDevelopmentsCsv(rows, exportFilename)}
+          disabled={rows.length === 0}
+          className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-fuchsia-200 bg-fuchsia-50 text-fuchsia-700 text-sm font-medium hover:bg-fuchsia-100 disabled:opacity-50"
+        >
+          <FileSpreadsheet className="w-4 h-4" />
+          Export CSV ({rows.length})
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="search"
+          placeholder="Search laws..."
+          value={filter.text || ''}
+          onChange={(e) => updateFilter({ text: e.target.value })}
+          className={selectClass}
+        />
+        <select value={filter.status || ''} onChange={(e) => updateFilter({ status: e.target.value as DevelopmentFilter['status'] })} className={selectClass}>
+          <option value="">All statuses</option>
+          <option value="Enacted">Enacted</option>
+          <option value="Proposed">Proposed</option>
+        </select>
+        <select value={filter.jurisdiction || ''} onChange={(e) => updateFilter({ jurisdiction: e.target.value })} className={selectClass}>
+          <option value="">All jurisdictions</option>
+          {jurisdictions.map(j => <option key={j} value={j}>{j}</option>)}
+        </select>
+        <select value={filter.firm || ''} onChange={(e) => updateFilter({ firm: e.target.value })} className={selectClass}>
+          <option value="">All firms</option>
+          {firms.map(f => <option key={f} value={f}>{f}</option>)}
+        </select>
+        <select value={filter.area || ''} onChange={(e) => updateFilter({ area: e.target.value })} className={selectClass}>
+          <option value="">All impacted areas</option>
+          {areas.map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 border border-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {COLUMNS.map(({ key, label }) => (
+                <th
+                  key={key}
+                  onClick={() => handleSort(key)}
+                  className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-fuchsia-700"
+                >
+                  <span className="inline-flex items-center gap-1">
+                    {label}
+                    {sortKey === key && (sortDirection === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+                  </span>
+                </th>
+              ))}
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source Link</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(d => (
+              <tr key={`${d.firm}|${d.name}|${d.sourceUrl}`}>
+                <td className="px-4 py-3 text-sm text-gray-800 border-t border-gray-100" title={d.impactedAreas.join(', ')}>{d.name}</td>
+                <td className="px-4 py-3 text-sm border-t border-gray-100">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${d.status === 'Enacted' ? 'bg-green-100 text-green-700' : 'bg-amber-100 text-amber-700'}`}>
+                    {d.status}
+                  </span>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600 border-t border-gray-100 whitespace-nowrap">{d.effectiveDate || 'TBD'}</td>
+                <td className="px-4 py-3 text-sm text-gray-600 border-t border-gray-100">{d.jurisdiction}</td>
+                <td className="px-4 py-3 text-sm text-gray-600 border-t border-gray-100">{d.firm}</td>
+                <td className="px-4 py-3 text-sm border-t border-gray-100">
+                  <a href={d.sourceUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">
+                    {d.sourceTitle}
+                  </a>
+                  {d.unverified && (
+                    <span className="ml-1 inline-flex items-center gap-0.5 text-xs text-amber-700" title="This source was not found in the search results">
+                      <AlertTriangle className="w-3 h-3" />
+                      unverified
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={COLUMNS.length + 1} className="px-4 py-6 text-center text-sm text-gray-400">No laws match these filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+export default DevelopmentsTable;
@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import { X, CalendarClock, Play, Send, Trash2, Power, FileText, Plus, AlertTriangle } from 'lucide-react';
+import { MonitoringProfile, NotifierInfo, NotifyTarget, ReportRequest, SavedReport } from '../types';
+import {
+  listMonitoringProfiles, createMonitoringProfile, updateMonitoringProfile, deleteMonitoringProfile,
+  runMonitoringProfile, sendTestDigest, getMonitoringReports
+} from '../services/monitoringService';
+
+interface MonitoringPanelProps {
+  isOpen: boolean;
+  onClose: () => void;
+  // The app's current selections, for a new profile; null until firms and topics are chosen
+  currentRequest: ReportRequest | null;
+  defaultName: string;
+  onSelectReport: (report: SavedReport) => void;
+}
+
+const SCHEDULE_PRESETS = [
+  { label: 'Every Monday, 07:00', cron: '0 7 * * 1' },
+  { label: 'Every weekday, 07:00', cron: '0 7 * * 1-5' },
+  { label: '1st of the month, 07:00', cron: '0 7 1 * *' },
+];
+
+const formatDate = (dateString: string | null) =>
+  dateString
+    ? new Date(dateString).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '—';
+
+const scheduleLabel = (cron: string) => SCHEDULE_PRESETS.find(p => p.cron === cron)?.label || cron;
+
+const MonitoringPanel: React.FC<MonitoringPanelProps> = ({ isOpen, onClose, currentRequest, defaultName, onSelectReport }) => {
+  const [profiles, setProfiles] = useState<MonitoringProfile[]>([]);
+  const [notifiers, setNotifiers] = useState<NotifierInfo[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [deleteConfirmId, setDeleteConfirmId] = useState<string | null>(null);
+
+  // New profile form
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [schedule, setSchedule] = useState(SCHEDULE_PRESETS[0].cron);
+  const [windowDays, setWindowDays] = useState(7);
+  const [onlyNew, setOnlyNew] = useState(true);
+  const [previouslyReportedAppendix, setPreviouslyReportedAppendix] = useState(false);
+  const [emails, setEmails] = useState('');
+  const [webhookUrl, setWebhookUrl] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setName(defaultName);
+      loadProfiles();
+    }
+  }, [isOpen]);
+
+  const loadProfiles = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await listMonitoringProfiles();
+      setProfiles(data.profiles);
+      setNotifiers(data.notifiers);
+    } catch (err: any) {
+      setError('Failed to load monitoring profiles: ' + (err.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceProfile = (profile: MonitoringProfile) =>
+    setProfiles(prev => prev.map(p => p.id === profile.id ? profile : p));
+
+  const handleCreate = async () => {
+    if (!currentRequest) return;
+    const notify: NotifyTarget[] = [];
+    const to = emails.split(/[,;\s]+/).filter(Boolean);
+    if (to.length > 0) notify.push({ notifier: 'smtp', to });
+    if (webhookUrl.trim()) notify.push({ notifier: 'webhook', url: webhookUrl.trim() });
+
+    setError(null);
+    try {
+      const profile = await createMonitoringProfile({
+        name: name.trim(), schedule, windowDays, notify, onlyNew, previouslyReportedAppendix, request: currentRequest
+      });
+      setProfiles(prev => [...prev, profile].sort((a, b) => a.name.localeCompare(b.name)));
+      setCreating(false);
+      setEmails('');
+      setWebhookUrl('');
+    } catch (err: any) {
+      setError('Failed to create profile: ' + (err.message || 'Unknown error'));
+    }
+  };
+
+  const handleToggle = async (profile: MonitoringProfile) => {
+    try {
+      replaceProfile(await updateMonitoringProfile(profile.id, { enabled: !profile.enabled }));
+    } catch (err: any) {
+      setError('Failed to update profile: ' + (err.message || 'Unknown error'));
+    }
+  };
+
+  const handleRun = async (profile: MonitoringProfile) => {
+    try {
+      replaceProfile(await runMonitoringProfile(profile.id));
+      setNotice(`${profile.name} is running on the server; reopen this panel later for the result.`);
+    } catch (err: any) {
+      setError('Failed to start run: ' + (err.message || 'Unknown error'));
+    }
+  };
+
+  const handleTest = async (profile: MonitoringProfile) => {
+    try {
+      const deliveries = await sendTestDigest(profile.id);
+      const failed = deliveries.filter(d => !d.ok);
+      setNotice(deliveries.length === 0
+        ? `${profile.name} has no delivery targets.`
+        : failed.length === 0
+          ? `Test digest sent (${deliveries.map(d => d.notifier).join(', ')}).`
+          : `Test digest failed: ${failed.map(d => `${d.notifier}: ${d.error}`).join('; ')}`);
+    } catch (err: any) {
+      setError('Failed to send test digest: ' + (err.message || 'Unknown error'));
+    }
+  };
+
+  const handleOpenLatest = async (profile: MonitoringProfile) => {
+    try {
+      const [latest] = await getMonitoringReports(profile.id, 1);
+      if (latest) onSelectReport(latest);
+      else setNotice(`${profile.name} has no saved reports yet.`);
+    } catch (err: any) {
+      setError('Failed to load report: ' + (err.message || 'Unknown error'));
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    try {
+      await deleteMonitoringProfile(id);
+      setProfiles(prev => prev.filter(p => p.id !== id));
+      setDeleteConfirmId(null);
+    } catch (err: any) {
+      setError('Failed to delete profile: ' + (err.message || 'Unknown error'));
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const smtpConfigured = notifiers.find(n => n.id === 'smtp')?.configured;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center gap-3">
+            <div className="bg-fuchsia-100 p-2 rounded-lg">
+              <CalendarClock className="w-6 h-6 text-fuchsia-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Monitoring</h2>
+              <p className="text-sm text-gray-500">Reports the server runs on a schedule and sends as a digest</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-6 h-6 text-gray-500" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+              {error}
+            </div>
+          )}
+          {notice && (
+            <div className="bg-fuchsia-50 border border-fuchsia-200 text-fuchsia-800 px-4 py-3 rounded-lg text-sm">
+              {notice}
+            </div>
+          )}
+
+          {creating ? (
+            <div className="border-2 border-fuchsia-200 rounded-xl p-4 space-y-3">
+              <p className="text-sm text-gray-600">
+                Monitors the {currentRequest?.firms.length} firms and {currentRequest?.topics.length} topics currently selected, with the current search provider and model.
+              </p>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Profile name"
+                className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-fuchsia-500"
+              />
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <label className="text-sm text-gray-700">
+                  Schedule
+                  <select
+                    value={SCHEDULE_PRESETS.some(p => p.cron === schedule) ? schedule : 'custom'}
+                    onChange={(e) => setSchedule(e.target.value === 'custom' ? '0 7 * * 1' : e.target.value)}
+                    className="mt-1 w-full border-2 border-gray-200 rounded-lg p-2 bg-white focus:outline-none focus:border-fuchsia-500"
+                  >
+                    {SCHEDULE_PRESETS.map(p => <option key={p.cron} value={p.cron}>{p.label}</option>)}
+                    <option value="custom">Custom (cron)</option>
+                  </select>
+                  <input
+                    type="text"
+                    value={schedule}
+                    onChange={(e) => setSchedule(e.target.value)}
+                    className="mt-2 w-full px-3 py-1.5 border-2 border-gray-200 rounded-lg font-mono text-sm focus:outline-none focus:border-fuchsia-500"
+                    title="minute hour day-of-month month day-of-week, in server time"
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Covers the last
+                  <div className="mt-1 flex items-center gap-2">
+                    <input
+                      type="number"
+                      min={1}
+                      max={366}
+                      value={windowDays}
+                      onChange={(e) => setWindowDays(Number(e.target.value))}
+                      className="w-24 px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-fuchsia-500"
+                    />
+                    <span>days</span>
+                  </div>
+                </label>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={onlyNew}
+                  onChange={(e) => setOnlyNew(e.target.checked)}
+                  className="w-4 h-4 rounded border-gray-300 accent-fuchsia-600"
+                />
+                Only new since the last report (skip sources earlier runs already cited)
+              </label>
+              {onlyNew && (
+                <label className="flex items-center gap-2 pl-6 text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={previouslyReportedAppendix}
+                    onChange={(e) => setPreviouslyReportedAppendix(e.target.checked)}
+                    className="w-4 h-4 rounded border-gray-300 accent-fuchsia-600"
+                  />
+                  List the skipped items in a "Previously Reported" appendix
+                </label>
+              )}
+              <input
+                type="text"
+                value={emails}
+                onChange={(e) => setEmails(e.target.value)}
+                placeholder="Email digest to (comma-separated)"
+                className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-fuchsia-500"
+              />
+              {emails.trim() && !smtpConfigured && (
+                <p className="text-xs text-amber-600 flex items-center gap-1">
+                  <AlertTriangle className="w-3 h-3" /> SMTP_HOST is not set on the server; email digests will fail until it is
+                </p>
+              )}
+              <input
+                type="url"
+                value={webhookUrl}
+                onChange={(e) => setWebhookUrl(e.target.value)}
+                placeholder="Webhook URL (optional, e.g. Slack or Teams)"
+                className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-fuchsia-500"
+              />
+              <div className="flex justify-end gap-2">
+                <button
+                  onClick={() => setCreating(false)}
+                  className="px-4 py-2 bg-gray-100 text-gray-600 text-sm font-medium rounded-lg hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleCreate}
+                  disabled={!name.trim()}
+                  className="px-4 py-2 bg-fuchsia-600 text-white text-sm font-medium rounded-lg hover:bg-fuchsia-700 disabled:opacity-50"
+                >
+                  Create Profile
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => setCreating(true)}
+              disabled={!currentRequest}
+              title={currentRequest ? undefined : 'Select firms and legal areas first'}
+              className="w-full flex items-center justify-center gap-2 px-4 py-3 border-2 border-dashed border-fuchsia-300 text-fuchsia-600 rounded-xl font-medium hover:bg-fuchsia-50 disabled:border-gray-200 disabled:text-gray-400 disabled:hover:bg-transparent"
+            >
+              <Plus className="w-4 h-4" />
+              Monitor the current selection
+            </button>
+          )}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin h-8 w-8 border-2 border-fuchsia-600 border-t-transparent rounded-full"></div>
+            </div>
+          ) : profiles.map((profile) => (
+            <div
+              key={profile.id}
+              className={`bg-gray-50 border border-gray-200 rounded-xl p-4 ${profile.enabled ? '' : 'opacity-60'}`}
+            >
+              <div className="flex items-start justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-gray-900 truncate">{profile.name}</h3>
+                  <p className="text-sm text-gray-500 mt-1">
+                    {scheduleLabel(profile.schedule)} · last {profile.windowDays} days{profile.onlyNew ? ' · new only' : ''} · {profile.request.firms.length} firms · {profile.request.topics.map(t => t.label).join(', ')}
+                  </p>
+                  <p className="text-xs text-gray-400 mt-2">
+                    {profile.running
+                      ? 'Running now'
+                      : `Next run: ${profile.enabled ? formatDate(profile.nextRunAt) : 'paused'}`}
+                    {profile.lastRun && ` · Last run ${formatDate(profile.lastRun.finishedAt)}: ${profile.lastRun.status === 'completed'
+                      ? `${profile.lastRun.developments} developments`
+                      : `failed (${profile.lastRun.error})`}`}
+                  </p>
+                  {profile.lastRun?.deliveries.filter(d => !d.ok).map(d => (
+                    <p key={d.notifier} className="text-xs text-red-600 mt-1">{d.notifier} delivery failed: {d.error}</p>
+                  ))}
+                </div>
+
+                <div className="flex items-center gap-1">
+                  {deleteConfirmId === profile.id ? (
+                    <>
+                      <button
+                        onClick={() => handleDelete(profile.id)}
+                        className="px-3 py-1.5 bg-red-100 text-red-600 text-sm font-medium rounded-lg hover:bg-red-200"
+                      >
+                        Confirm
+                      </button>
+                      <button
+                        onClick={() => setDeleteConfirmId(null)}
+                        className="px-3 py-1.5 bg-gray-100 text-gray-600 text-sm font-medium rounded-lg hover:bg-gray-200"
+                      >
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => handleRun(profile)}
+                        disabled={profile.running}
+                        className="p-2 text-gray-500 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-40"
+                        title="Run now"
+                      >
+                        <Play className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleOpenLatest(profile)}
+                        className="p-2 text-gray-500 hover:bg-gray-200 rounded-lg transition-colors"
+                        title="Open latest report"
+                      >
+                        <FileText className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleTest(profile)}
+                        className="p-2 text-gray-500 hover:bg-gray-200 rounded-lg transition-colors"
+                        title="Send test digest"
+                      >
+                        <Send className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleToggle(profile)}
+                        className="p-2 text-gray-500 hover:bg-gray-200 rounded-lg transition-colors"
+                        title={profile.enabled ? 'Pause' : 'Resume'}
+                      >
+                        <Power className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteConfirmId(profile.id)}
+                        className="p-2 text-gray-500 hover:bg-red-100 hover:text-red-600 rounded-lg transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MonitoringPanel;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { ReportJobProgress, SearchProgress } from '../types';
+
+interface ProgressMatrixProps {
+  progress: ReportJobProgress;
+  firmNames: string[];
+  topicLabels: string[];
+}
+
+const cellTitle = (firm: string, topic: string, search?: SearchProgress): string => {
+  if (!search) return `${firm} / ${topic}: waiting`;
+  if (search.status === 'running') return `${firm} / ${topic}: searching...`;
+  if (search.status === 'failed') return `${firm} / ${topic}: ${search.error}`;
+  const parts = [`${search.results} kept`];
+  if (search.filteredByDate) parts.push(`${search.filteredByDate} outside the date range`);
+  if (search.duplicates) parts.push(`${search.duplicates} already found under another topic`);
+  if (search.previouslyReported) parts.push(`${search.previouslyReported} already in an earlier report`);
+  if (search.scrapeTimeouts) parts.push(`${search.scrapeTimeouts} page(s) timed out`);
+  return `${firm} / ${topic}: ${parts.join(', ')}`;
+};
+
+const SearchCell: React.FC<{ firm: string; topic: string; search?: SearchProgress }> = ({ firm, topic, search }) => {
+  let className = 'bg-gray-100 text-gray-400';
+  let label = '·';
+  if (search?.status === 'running') {
+    className = 'bg-fuchsia-100 text-fuchsia-600 animate-pulse';
+    label = '…';
+  } else if (search?.status === 'failed') {
+    className = 'bg-red-100 text-red-600';
+    label = '!';
+  } else if (search?.status === 'done') {
+    className = search.results ? 'bg-fuchsia-600 text-white' : 'bg-gray-200 text-gray-500';
+    label = String(search.results);
+  }
+
+  return (
+    <td className="p-0.5">
+      <div
+        title={cellTitle(firm, topic, search)}
+        className={`relative w-10 h-6 rounded text-xs font-medium flex items-center justify-center ${className}`}
+      >
+        {label}
+        {!!search?.scrapeTimeouts && (
+          <span className="absolute -top-1 -right-1 w-2 h-2 rounded-full bg-amber-500" />
+        )}
+      </div>
+    </td>
+  );
+};
+
+/**
+ * Live firm × topic grid for a running report: one cell per search with the
+ * number of results kept, plus the generation step once searching is done
+ */
+const ProgressMatrix: React.FC<ProgressMatrixProps> = ({ progress, firmNames, topicLabels }) => {
+  const searches = progress.searches || {};
+
+  return (
+    <div className="w-full max-w-3xl space-y-3 text-left">
+      <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600">
+        <span>{progress.completedSearches || 0}/{progress.totalSearches || firmNames.length * topicLabels.length} searches</span>
+        <span>{progress.resultsFound || 0} results kept</span>
+        <span>{progress.filteredByDate || 0} outside the date range</span>
+        {!!progress.scrapeTimeouts && <span className="text-amber-600">{progress.scrapeTimeouts} page(s) timed out</span>}
+        {!!progress.searchApiCalls && <span>{progress.searchApiCalls} search API calls</span>}
+        {progress.phase === 'generating' && (
+          <span className="text-fuchsia-600 font-medium">
+            Generating: ~{(progress.outputTokens || 0).toLocaleString()} tokens written
+            {progress.promptTokens ? ` from a ~${progress.promptTokens.toLocaleString()}-token prompt` : ''}
+            {(progress.generationBatches || 1) > 1 && ` (${progress.finishedBatches || 0}/${progress.generationBatches} batches of firms done)`}
+            {!!progress.continuations && `, continued ${progress.continuations} time${progress.continuations === 1 ? '' : 's'} after hitting the output limit`}
+          </span>
+        )}
+      </div>
+
+      <div className="max-h-80 overflow-auto border border-gray-100 rounded-lg">
+        <table className="text-xs">
+          <thead className="sticky top-0 bg-white">
+            <tr>
+              <th className="px-2 py-1 text-left font-medium text-gray-500">Firm</th>
+              {topicLabels.map(topic => (
+                <th key={topic} title={topic} className="px-0.5 py-1 font-medium text-gray-500 max-w-[2.5rem] truncate">
+                  {topic.split(/[\s/]/)[0]}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {firmNames.map(firm => (
+              <tr key={firm}>
+                <td className="px-2 py-0.5 text-gray-700 whitespace-nowrap">{firm}</td>
+                {topicLabels.map(topic => (
+                  <SearchCell key={topic} firm={firm} topic={topic} search={searches[firm]?.[topic]} />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ProgressMatrix;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { X, Landmark, Search, Flag, RefreshCw, MessageSquare, ExternalLink } from 'lucide-react';
+import { RegulationSummary, RegulationDetail, RegulationTimelineEvent } from '../types';
+import { listRegulations, getRegulation } from '../services/regulationService';
+
+interface RegulationTrackerProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+const TimelineItem: React.FC<{ event: RegulationTimelineEvent }> = ({ event }) => {
+  if (event.type === 'commentary') {
+    return (
+      <>
+        <MessageSquare className="w-4 h-4 text-fuchsia-600 mt-0.5 flex-shrink-0" />
+        <div className="min-w-0">
+          <p className="text-sm">
+            <span className="font-semibold text-gray-900">{event.firm}</span>{' '}
+            <a href={event.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline inline-flex items-center gap-1">
+              {event.title || event.url} <ExternalLink className="w-3 h-3" />
+            </a>
+          </p>
+          {event.requirements && <p className="text-sm text-gray-600 mt-1">{event.requirements}</p>}
+          {event.deadlines && event.deadlines.length > 0 && (
+            <ul className="text-xs text-gray-600 mt-1">
+              {event.deadlines.map(deadline => (
+                <li key={`${deadline.date}-${deadline.description}`}>
+                  <span className="font-medium text-fuchsia-700">{deadline.date}</span> {deadline.description}
+                </li>
+              ))}
+            </ul>
+          )}
+          {event.lifeSciencesImpact && <p className="text-xs text-gray-500 mt-1">Impact: {event.lifeSciencesImpact}</p>}
+        </div>
+      </>
+    );
+  }
+  if (event.type === 'first_reported') {
+    return (
+      <>
+        <Flag className="w-4 h-4 text-gray-500 mt-0.5 flex-shrink-0" />
+        <p className="text-sm text-gray-700">
+          First reported: {event.status}, effective {event.effectiveDate || 'TBD'}
+        </p>
+      </>
+    );
+  }
+  return (
+    <>
+      <RefreshCw className="w-4 h-4 text-amber-600 mt-0.5 flex-shrink-0" />
+      <p className="text-sm text-gray-700">
+        {event.status && <>Status {event.status.from} → <span className="font-semibold">{event.status.to}</span>. </>}
+        {event.effectiveDate && <>Effective date {event.effectiveDate.from || 'TBD'} → <span className="font-semibold">{event.effectiveDate.to || 'TBD'}</span>.</>}
+      </p>
+    </>
+  );
+};
+
+const RegulationTracker: React.FC<RegulationTrackerProps> = ({ isOpen, onClose }) => {
+  const [regulations, setRegulations] = useState<RegulationSummary[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [query, setQuery] = useState('');
+  const [jurisdiction, setJurisdiction] = useState('');
+
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [since, setSince] = useState('');
+  const [detail, setDetail] = useState<{ regulation: RegulationDetail; timeline: RegulationTimelineEvent[] } | null>(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) loadRegulations();
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (isOpen && selectedId) loadDetail(selectedId, since);
+  }, [selectedId, since]);
+
+  const loadRegulations = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setRegulations(await listRegulations());
+    } catch (err: any) {
+      setError('Failed to load tracked regulations: ' + (err.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadDetail = async (id: string, sinceDate: string) => {
+    setDetailLoading(true);
+    try {
+      setDetail(await getRegulation(id, sinceDate || undefined));
+    } catch (err: any) {
+      setError('Failed to load regulation: ' + (err.message || 'Unknown error'));
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  // Filtered here: the list is small and narrowing it should be instant
+  const text = query.trim().toLowerCase();
+  const jurisdictions = [...new Set(regulations.map(r => r.jurisdiction))].sort();
+  const visible = regulations.filter(r =>
+    (!jurisdiction || r.jurisdiction === jurisdiction) &&
+    (!text || [r.name, ...r.names].some(name => name.toLowerCase().includes(text)))
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center gap-3">
+            <div className="bg-fuchsia-100 p-2 rounded-lg">
+              <Landmark className="w-6 h-6 text-fuchsia-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Regulation Tracker</h2>
+              <p className="text-sm text-gray-500">{regulations.length} law{regulations.length !== 1 ? 's' : ''} found across all generated reports</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-6 h-6 text-gray-500" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg m-4 mb-0">
+            {error}
+          </div>
+        )}
+
+        <div className="flex-1 flex min-h-0">
+          {/* Law list */}
+          <div className="w-2/5 border-r border-gray-200 flex flex-col min-h-0">
+            <div className="p-3 space-y-2 border-b border-gray-100">
+              <div className="relative">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Search laws, e.g. Colorado AI Act"
+                  className="w-full pl-9 pr-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:outline-none focus:border-fuchsia-500"
+                />
+              </div>
+              <select
+                value={jurisdiction}
+                onChange={(e) => setJurisdiction(e.target.value)}
+                className="w-full border-2 border-gray-200 rounded-lg p-2 text-sm bg-white focus:outline-none focus:border-fuchsia-500"
+              >
+                <option value="">All jurisdictions</option>
+                {jurisdictions.map(j => <option key={j} value={j}>{j}</option>)}
+              </select>
+            </div>
+
+            <div className="flex-1 overflow-y-auto">
+              {loading ? (
+                <div className="flex items-center justify-center py-12">
+                  <div className="animate-spin h-8 w-8 border-2 border-fuchsia-600 border-t-transparent rounded-full"></div>
+                </div>
+              ) : visible.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-12 px-4">
+                  {regulations.length === 0 ? 'Laws appear here once a report has been generated.' : 'No laws match.'}
+                </p>
+              ) : visible.map(r => (
+                <button
+                  key={r.id}
+                  onClick={() => setSelectedId(r.id)}
+                  className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-fuchsia-50 ${selectedId === r.id ? 'bg-fuchsia-50' : ''}`}
+                >
+                  <p className="font-semibold text-gray-900 text-sm">{r.name}</p>
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    {r.jurisdiction} · {r.status} · effective {r.effectiveDate || 'TBD'}
+                  </p>
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {r.firms.length} firm{r.firms.length !== 1 ? 's' : ''} · {r.commentaryCount} commentar{r.commentaryCount !== 1 ? 'ies' : 'y'} · last seen {r.lastSeen}
+                  </p>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Timeline */}
+          <div className="flex-1 overflow-y-auto p-6">
+            {!selectedId ? (
+              <p className="text-sm text-gray-500 text-center py-12">Select a law to see its timeline.</p>
+            ) : detailLoading && !detail ? (
+              <div className="flex items-center justify-center py-12">
+                <div className="animate-spin h-8 w-8 border-2 border-fuchsia-600 border-t-transparent rounded-full"></div>
+              </div>
+            ) : detail && (
+              <div>
+                <h3 className="text-lg font-bold text-gray-900">{detail.regulation.name}</h3>
+                <p className="text-sm text-gray-500 mt-1">
+                  {detail.regulation.jurisdiction} · {detail.regulation.status} · effective {detail.regulation.effectiveDate || 'TBD'} · reported {detail.regulation.firstSeen} to {detail.regulation.lastSeen}
+                </p>
+                {detail.regulation.names.length > 1 && (
+                  <p className="text-xs text-gray-400 mt-1">Also reported as: {detail.regulation.names.filter(n => n !== detail.regulation.name).join('; ')}</p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">Commenting firms: {detail.regulation.firms.join(', ')}</p>
+
+                <label className="flex items-center gap-2 text-sm text-gray-700 mt-4">
+                  Since
+                  <input
+                    type="date"
+                    value={since}
+                    onChange={(e) => setSince(e.target.value)}
+                    className="border-2 border-gray-200 rounded-lg px-2 py-1 focus:outline-none focus:border-fuchsia-500"
+                  />
+                  {since && (
+                    <button onClick={() => setSince('')} className="text-xs text-fuchsia-600 hover:underline">Show all</button>
+                  )}
+                </label>
+
+                {detail.timeline.length === 0 ? (
+                  <p className="text-sm text-gray-500 mt-6">Nothing reported {since ? `since ${since}` : 'yet'}.</p>
+                ) : (
+                  <ol className="mt-4 border-l-2 border-fuchsia-100 ml-2">
+                    {detail.timeline.map((event, i) => (
+                      <li key={i} className="pl-4 pb-4 relative">
+                        <span className="absolute -left-[5px] top-1.5 w-2 h-2 rounded-full bg-fuchsia-400"></span>
+                        <p className="text-xs font-medium text-gray-500 mb-1">
+                          {event.date}
+                          {event.type === 'commentary' && !event.dateKnown && <span className="text-gray-400"> (report period end; article date unknown)</span>}
+                        </p>
+                        <div className="flex items-start gap-2">
+                          <TimelineItem event={event} />
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RegulationTracker;
@@ -0,0 +1,116 @@
+import React from 'react';
+import { ArrowRight, Plus, Minus } from 'lucide-react';
+import { ReportDiff, SavedReport, FirmCommentaryChange } from '../types';
+
+interface ReportDiffViewProps {
+  diff: ReportDiff;
+  before: SavedReport;
+  after: SavedReport;
+}
+
+const Section: React.FC<{ title: string; count: number; children: React.ReactNode }> = ({ title, count, children }) => (
+  <section>
+    <h3 className="text-sm font-bold text-gray-700 uppercase tracking-wide mb-2">
+      {title} <span className="text-gray-400 font-medium">({count})</span>
+    </h3>
+    {count === 0 ? <p className="text-sm text-gray-400 italic">None</p> : <ul className="space-y-1.5">{children}</ul>}
+  </section>
+);
+
+const lawMeta = (jurisdiction: string, effectiveDate?: string | null) =>
+  <span className="text-gray-500"> · {jurisdiction}{effectiveDate !== undefined && ` · effective ${effectiveDate || 'TBD'}`}</span>;
+
+const FirmItem: React.FC<{ change: FirmCommentaryChange; otherReport: string }> = ({ change, otherReport }) => (
+  <li className="text-sm">
+    <span className="font-medium text-gray-900">{change.firm}</span>
+    <span className="text-gray-500"> — {change.laws.join(', ')}</span>
+    {!change.monitored && <span className="ml-1 text-xs text-amber-600">(not covered by the {otherReport} report)</span>}
+  </li>
+);
+
+const ReportDiffView: React.FC<ReportDiffViewProps> = ({ diff, before, after }) => (
+  <div className="space-y-6">
+    <div className="grid grid-cols-2 gap-3 text-sm">
+      {[{ label: 'Earlier', report: before, stats: diff.before }, { label: 'Later', report: after, stats: diff.after }].map(({ label, report, stats }) => (
+        <div key={label} className="bg-gray-50 border border-gray-200 rounded-xl p-3">
+          <p className="text-xs font-semibold text-fuchsia-600 uppercase">{label}</p>
+          <p className="font-semibold text-gray-900 truncate" title={report.name}>{report.name}</p>
+          <p className="text-gray-500">{report.start_date} to {report.end_date} · {stats.laws} laws · {stats.firms} firms commenting</p>
+        </div>
+      ))}
+    </div>
+
+    <Section title="New laws" count={diff.newLaws.length}>
+      {diff.newLaws.map(law => (
+        <li key={law.id} className="text-sm flex items-start gap-2">
+          <Plus className="w-4 h-4 text-green-600 flex-shrink-0 mt-0.5" />
+          <span>
+            <span className="font-medium text-gray-900">{law.name}</span> ({law.status})
+            {lawMeta(law.jurisdiction, law.effectiveDate)}
+            <span className="text-gray-500"> · {law.firms.join(', ')}</span>
+          </span>
+        </li>
+      ))}
+    </Section>
+
+    <Section title="Status changes" count={diff.statusChanges.length}>
+      {diff.statusChanges.map(change => (
+        <li key={change.id} className="text-sm flex items-center gap-2 flex-wrap">
+          <span className="font-medium text-gray-900">{change.name}</span>
+          {lawMeta(change.jurisdiction)}
+          <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-600 text-xs">{change.from}</span>
+          <ArrowRight className="w-3 h-3 text-gray-400" />
+          <span className="px-2 py-0.5 rounded bg-fuchsia-100 text-fuchsia-700 text-xs">{change.to}</span>
+        </li>
+      ))}
+    </Section>
+
+    <Section title="Effective dates moved" count={diff.effectiveDateChanges.length}>
+      {diff.effectiveDateChanges.map(change => (
+        <li key={change.id} className="text-sm flex items-center gap-2 flex-wrap">
+          <span className="font-medium text-gray-900">{change.name}</span>
+          {lawMeta(change.jurisdiction)}
+          <span className="text-gray-500 line-through">{change.from || 'TBD'}</span>
+          <ArrowRight className="w-3 h-3 text-gray-400" />
+          <span className="font-medium text-gray-900">{change.to || 'TBD'}</span>
+        </li>
+      ))}
+    </Section>
+
+    <Section title="Firms that started commenting" count={diff.firmsStarted.length}>
+      {diff.firmsStarted.map(change => <FirmItem key={change.firm} change={change} otherReport="earlier" />)}
+    </Section>
+
+    <Section title="Firms that stopped commenting" count={diff.firmsStopped.length}>
+      {diff.firmsStopped.map(change => <FirmItem key={change.firm} change={change} otherReport="later" />)}
+    </Section>
+
+    <Section title="Commentary changes on continuing laws" count={diff.commentaryChanges.length}>
+      {diff.commentaryChanges.map(change => (
+        <li key={change.id} className="text-sm">
+          <span className="font-medium text-gray-900">{change.name}</span>
+          {change.started.length > 0 && <span className="text-green-700"> · now also {change.started.join(', ')}</span>}
+          {change.stopped.length > 0 && <span className="text-red-600"> · no longer {change.stopped.join(', ')}</span>}
+        </li>
+      ))}
+    </Section>
+
+    <Section title="No longer reported" count={diff.droppedLaws.length}>
+      {diff.droppedLaws.map(law => (
+        <li key={law.id} className="text-sm flex items-start gap-2">
+          <Minus className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
+          <span>
+            <span className="font-medium text-gray-900">{law.name}</span> ({law.status})
+            {lawMeta(law.jurisdiction, law.effectiveDate)}
+          </span>
+        </li>
+      ))}
+    </Section>
+
+    <p className="text-xs text-gray-400">
+      {diff.unchangedLaws} law{diff.unchangedLaws !== 1 ? 's' : ''} unchanged. Laws are matched by name and citation, so different wordings of the same law count as one.
+    </p>
+  </div>
+);
+
+export default ReportDiffView;
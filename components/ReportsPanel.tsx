@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { X, FileText, Pencil, Trash2, Check, XCircle, Calendar, Building2 } from 'lucide-react';
-import { SavedReport } from '../types';
+import { X, FileText, Pencil, Trash2, Check, XCircle, Calendar, Building2, GitCompare, ArrowLeft } from 'lucide-react';
+import { SavedReport, ReportDiff } from '../types';
 import { getReports, renameReport, deleteReport, isSupabaseConfigured } from '../services/supabaseService';
+import { canCompare, compareReports } from '../services/reportDiffService';
+import ReportDiffView from './ReportDiffView';
 
 interface ReportsPanelProps {
   isOpen: boolean;
@@ -17,9 +19,19 @@ const ReportsPanel: React.FC<ReportsPanelProps> = ({ isOpen, onClose, onSelectRe
   const [editName, setEditName] = useState('');
   const [deleteConfirmId, setDeleteConfirmId] = useState<string | null>(null);
 
+  // Compare mode: pick two reports, then show what changed between them
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareIds, setCompareIds] = useState<string[]>([]);
+  const [comparing, setComparing] = useState(false);
+  const [comparison, setComparison] = useState<{ diff: ReportDiff; before: SavedReport; after: SavedReport } | null>(null);
+
   useEffect(() => {
     if (isOpen) {
       loadReports();
+    } else {
+      setCompareMode(false);
+      setCompareIds([]);
+      setComparison(null);
     }
   }, [isOpen]);
 
@@ -76,6 +88,28 @@ const ReportsPanel: React.FC<ReportsPanelProps> = ({ isOpen, onClose, onSelectRe
     }
   };
 
+  const toggleCompare = (id: string) => {
+    // A third pick replaces the earlier of the two
+    setCompareIds(prev => prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id].slice(-2));
+  };
+
+  const handleCompare = async () => {
+    // The report covering the earlier period is the baseline
+    const [before, after] = reports
+      .filter(r => compareIds.includes(r.id))
+      .sort((a, b) => a.end_date.localeCompare(b.end_date) || a.created_at.localeCompare(b.created_at));
+
+    setComparing(true);
+    setError(null);
+    try {
+      setComparison({ diff: await compareReports(before, after), before, after });
+    } catch (err: any) {
+      setError('Failed to compare reports: ' + (err.message || 'Unknown error'));
+    } finally {
+      setComparing(false);
+    }
+  };
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -98,16 +132,57 @@ const ReportsPanel: React.FC<ReportsPanelProps> = ({ isOpen, onClose, onSelectRe
               <FileText className="w-6 h-6 text-fuchsia-600" />
             </div>
             <div>
-              <h2 className="text-xl font-bold text-gray-900">Saved Reports</h2>
-              <p className="text-sm text-gray-500">{reports.length} report{reports.length !== 1 ? 's' : ''} saved</p>
+              <h2 className="text-xl font-bold text-gray-900">{comparison ? 'Report Comparison' : 'Saved Reports'}</h2>
+              <p className="text-sm text-gray-500">
+                {compareMode && !comparison
+                  ? `Select two reports to compare (${compareIds.length}/2)`
+                  : `${reports.length} report${reports.length !== 1 ? 's' : ''} saved`}
+              </p>
             </div>
           </div>
-          <button
-            onClick={onClose}
-            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-          >
-            <X className="w-6 h-6 text-gray-500" />
-          </button>
+          <div className="flex items-center gap-2">
+            {comparison ? (
+              <button
+                onClick={() => setComparison(null)}
+                className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-gray-600 hover:bg-gray-100 rounded-lg"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                Back
+              </button>
+            ) : compareMode ? (
+              <>
+                <button
+                  onClick={handleCompare}
+                  disabled={compareIds.length !== 2 || comparing}
+                  className="px-3 py-1.5 bg-fuchsia-600 text-white text-sm font-medium rounded-lg hover:bg-fuchsia-700 disabled:opacity-50"
+                >
+                  {comparing ? 'Comparing...' : 'Compare'}
+                </button>
+                <button
+                  onClick={() => { setCompareMode(false); setCompareIds([]); }}
+                  className="px-3 py-1.5 bg-gray-100 text-gray-600 text-sm font-medium rounded-lg hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => setCompareMode(true)}
+                disabled={reports.filter(canCompare).length < 2}
+                title="See what changed between two reports"
+                className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-fuchsia-600 border border-fuchsia-600 rounded-lg hover:bg-fuchsia-50 disabled:border-gray-300 disabled:text-gray-400 disabled:hover:bg-transparent"
+              >
+                <GitCompare className="w-4 h-4" />
+                Compare
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <X className="w-6 h-6 text-gray-500" />
+            </button>
+          </div>
         </div>
 
         {/* Content */}
@@ -118,7 +193,9 @@ const ReportsPanel: React.FC<ReportsPanelProps> = ({ isOpen, onClose, onSelectRe
             </div>
           )}
 
-          {loading ? (
+          {comparison ? (
+            <ReportDiffView diff={comparison.diff} before={comparison.before} after={comparison.after} />
+          ) : loading ? (
             <div className="flex items-center justify-center py-12">
               <div className="animate-spin h-8 w-8 border-2 border-fuchsia-600 border-t-transparent rounded-full"></div>
             </div>
@@ -138,6 +215,16 @@ const ReportsPanel: React.FC<ReportsPanelProps> = ({ isOpen, onClose, onSelectRe
                   className="bg-gray-50 border border-gray-200 rounded-xl p-4 hover:border-fuchsia-300 transition-colors"
                 >
                   <div className="flex items-start justify-between gap-4">
+                    {compareMode && (
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(report.id)}
+                        onChange={() => toggleCompare(report.id)}
+                        disabled={!canCompare(report)}
+                        title={canCompare(report) ? undefined : 'Saved before reports had structured developments'}
+                        className="mt-1 w-4 h-4 rounded border-gray-300 accent-fuchsia-600 cursor-pointer disabled:cursor-not-allowed"
+                      />
+                    )}
                     <div className="flex-1 min-w-0">
                       {editingId === report.id ? (
                         <div className="flex items-center gap-2">
@@ -167,7 +254,7 @@ const ReportsPanel: React.FC<ReportsPanelProps> = ({ isOpen, onClose, onSelectRe
                         </div>
                       ) : (
                         <button
-                          onClick={() => onSelectReport(report)}
+                          onClick={() => compareMode ? canCompare(report) && toggleCompare(report.id) : onSelectReport(report)}
                           className="text-left w-full"
                         >
                           <h3 className="font-semibold text-gray-900 truncate hover:text-fuchsia-600 transition-colors">
@@ -1,4 +1,4 @@
-import { LawFirm, Topic, LegalAreaId } from './types';
+import { LawFirm, Topic, LegalAreaId, SearchProvider } from './types';
 
 export const COUNTRIES = [
   "Argentina", "Brazil", "Canada", "Chile", "Colombia", "Mexico", "Peru", "United States",
@@ -30,25 +30,32 @@ export const LEGAL_TOPICS: Topic[] = [
   { id: LegalAreaId.CONSENT_TRACKING, label: "Consent, Digital Tracking & Privacy Notices", icon: "Cookie" },
 ];
 
+export const SEARCH_PROVIDER_LABELS: Record<SearchProvider, string> = {
+  serper: 'Serper (Google Search)',
+  tavily: 'Tavily (AI Research)',
+  rss: 'Firm Feeds (RSS/Atom)',
+  sitemap: 'Firm Sitemaps',
+};
+
 // Top 20 Largest Global Law Firms (by revenue/headcount from Am Law 100 & Global 200)
 export const TOP_20_FIRMS: LawFirm[] = [
   { name: "Kirkland & Ellis", url: "https://www.kirkland.com/services/practices/intellectual-property/cybersecurity-data-privacy", category: "Top 20 Global Firms" },
   { name: "Latham & Watkins", url: "https://www.lw.com/en/practices/artificial-intelligence", category: "Top 20 Global Firms" },
-  { name: "DLA Piper", url: "https://www.dlapiperdataprotection.com", category: "Top 20 Global Firms" },
+  { name: "DLA Piper", url: "https://www.dlapiperdataprotection.com", domains: ["dlapiper.com"], category: "Top 20 Global Firms" },
   { name: "Baker McKenzie", url: "https://resourcehub.bakermckenzie.com/en/resources/global-data-and-cyber-handbook", category: "Top 20 Global Firms" },
   { name: "Skadden", url: "https://www.skadden.com/capabilities/practices/cybersecurity-and-data-privacy", category: "Top 20 Global Firms" },
   { name: "Sidley Austin", url: "https://datamatters.sidley.com", category: "Top 20 Global Firms" },
   { name: "Jones Day", url: "https://www.jonesday.com/en/practices/cybersecurity-privacy-and-data-protection", category: "Top 20 Global Firms" },
-  { name: "Hogan Lovells", url: "https://www.hldataprotection.com", category: "Top 20 Global Firms" },
+  { name: "Hogan Lovells", url: "https://www.hldataprotection.com", domains: ["hoganlovells.com"], category: "Top 20 Global Firms" },
   { name: "White & Case", url: "https://www.whitecase.com/insight-our-thinking/ai-watch-global-regulatory-tracker-united-states", category: "Top 20 Global Firms" },
   { name: "Gibson Dunn", url: "https://www.gibsondunn.com/practice/privacy-cybersecurity-and-data-innovation/", category: "Top 20 Global Firms" },
-  { name: "Ropes & Gray", url: "https://www.ropesdataphiles.com", category: "Top 20 Global Firms" },
+  { name: "Ropes & Gray", url: "https://www.ropesdataphiles.com", domains: ["ropesgray.com"], category: "Top 20 Global Firms" },
   { name: "Freshfields Bruckhaus Deringer", url: "https://www.freshfields.com/en/capabilities/practices/data-privacy-and-tech-regulation", category: "Top 20 Global Firms" },
   { name: "Linklaters", url: "https://www.linklaters.com/en/insights", category: "Top 20 Global Firms" },
-  { name: "Cleary Gottlieb", url: "https://www.clearycyberwatch.com", category: "Top 20 Global Firms" },
+  { name: "Cleary Gottlieb", url: "https://www.clearycyberwatch.com", domains: ["clearygottlieb.com"], category: "Top 20 Global Firms" },
   { name: "Davis Polk", url: "https://www.davispolk.com/practices/litigation/cybersecurity", category: "Top 20 Global Firms" },
-  { name: "Covington & Burling", url: "https://www.insideprivacy.com", category: "Top 20 Global Firms" },
-  { name: "Norton Rose Fulbright", url: "https://www.dataprotectionreport.com", category: "Top 20 Global Firms" },
+  { name: "Covington & Burling", url: "https://www.insideprivacy.com", domains: ["cov.com"], category: "Top 20 Global Firms" },
+  { name: "Norton Rose Fulbright", url: "https://www.dataprotectionreport.com", domains: ["nortonrosefulbright.com"], category: "Top 20 Global Firms" },
   { name: "Morrison Foerster", url: "https://www.mofo.com/gdpr-european-privacy/gdpr-european-privacy-client-alerts", category: "Top 20 Global Firms" },
   { name: "WilmerHale", url: "https://www.wilmerhale.com/en/solutions/cybersecurity-and-privacy", category: "Top 20 Global Firms" },
   { name: "Mayer Brown", url: "https://www.mayerbrown.com/en/insights/resource-centers/cybersecurity-and-data-privacy-resource-center", category: "Top 20 Global Firms" },
@@ -77,33 +84,33 @@ export const PATIENT_SUPPORT_FIRMS: LawFirm[] = [
 
 // Extracted from PDF tables
 export const LAW_FIRMS: LawFirm[] = [
-  { name: "DLA Piper", url: "https://www.dlapiperdataprotection.com" },
+  { name: "DLA Piper", url: "https://www.dlapiperdataprotection.com", domains: ["dlapiper.com"] },
   { name: "Baker McKenzie", url: "https://resourcehub.bakermckenzie.com/en/resources/global-data-and-cyber-handbook" },
-  { name: "Hogan Lovells", url: "https://www.hldataprotection.com" },
+  { name: "Hogan Lovells", url: "https://www.hldataprotection.com", domains: ["hoganlovells.com"] },
   { name: "Morrison Foerster", url: "https://www.mofo.com/gdpr-european-privacy/gdpr-european-privacy-client-alerts" },
   { name: "Bird & Bird", url: "https://www.twobirds.com/en/capabilities/practices/privacy-and-data-protection" },
   { name: "Wilson Sonsini", url: "https://www.wsgr.com/en/services/practice-areas/regulatory/data-privacy-and-cybersecurity.html" },
   { name: "Proskauer", url: "https://privacylaw.proskauer.com" },
   { name: "Sidley Austin", url: "https://datamatters.sidley.com" },
-  { name: "Hunton Andrews Kurth", url: "https://www.huntonprivacyblog.com" },
-  { name: "Covington & Burling", url: "https://www.insideprivacy.com" },
+  { name: "Hunton Andrews Kurth", url: "https://www.huntonprivacyblog.com", domains: ["hunton.com"] },
+  { name: "Covington & Burling", url: "https://www.insideprivacy.com", domains: ["cov.com"] },
   { name: "Perkins Coie", url: "https://perkinscoie.com/services/global-data-protection-laws" },
   { name: "Latham & Watkins", url: "https://www.lw.com/en/practices/artificial-intelligence" },
   { name: "Linklaters", url: "https://www.linklaters.com/en/insights" },
   { name: "Cooley", url: "https://www.cooley.com/services/practice/cyber-data-privacy/gdpr" },
-  { name: "Debevoise & Plimpton", url: "https://www.debevoisedatablog.com" },
+  { name: "Debevoise & Plimpton", url: "https://www.debevoisedatablog.com", domains: ["debevoise.com"] },
   { name: "Mayer Brown", url: "https://www.mayerbrown.com/en/insights/resource-centers/cybersecurity-and-data-privacy-resource-center" },
   { name: "Gibson Dunn", url: "https://www.gibsondunn.com/practice/privacy-cybersecurity-and-data-innovation/" },
-  { name: "Ropes & Gray", url: "https://www.ropesdataphiles.com" },
-  { name: "Goodwin Procter", url: "https://www.goodwinprivacyblog.com" },
-  { name: "Norton Rose Fulbright", url: "https://www.dataprotectionreport.com" },
+  { name: "Ropes & Gray", url: "https://www.ropesdataphiles.com", domains: ["ropesgray.com"] },
+  { name: "Goodwin Procter", url: "https://www.goodwinprivacyblog.com", domains: ["goodwinlaw.com"] },
+  { name: "Norton Rose Fulbright", url: "https://www.dataprotectionreport.com", domains: ["nortonrosefulbright.com"] },
   { name: "Freshfields Bruckhaus Deringer", url: "https://www.freshfields.com/en/capabilities/practices/data-privacy-and-tech-regulation" },
   { name: "Alston & Bird", url: "https://www.alston.com" },
-  { name: "Greenberg Traurig", url: "https://www.gtlaw-dataprivacydish.com" },
+  { name: "Greenberg Traurig", url: "https://www.gtlaw-dataprivacydish.com", domains: ["gtlaw.com"] },
   { name: "Paul Hastings", url: "https://www.paulhastings.com/insights/ph-privacy" },
   { name: "Troutman Pepper", url: "https://www.troutman.com/insights/more-privacy-please.html" },
   { name: "Orrick", url: "https://www.orrick.com/en/Practices/Cyber-Privacy-Data-Innovation" },
-  { name: "BakerHostetler", url: "https://www.dataprivacymonitor.com" },
+  { name: "BakerHostetler", url: "https://www.dataprivacymonitor.com", domains: ["bakerlaw.com"] },
   { name: "Dechert", url: "https://www.dechert.com/knowledge/hot-topic/privacy---cybersecurity.html" },
   { name: "WilmerHale", url: "https://www.wilmerhale.com/en/solutions/cybersecurity-and-privacy" },
   { name: "Jones Day", url: "https://www.jonesday.com/en/practices/cybersecurity-privacy-and-data-protection" },
@@ -113,15 +120,15 @@ export const LAW_FIRMS: LawFirm[] = [
   { name: "Polsinelli", url: "https://www.polsinelli.com/hipaa-health-information-privacy-security" },
   { name: "Eversheds Sutherland", url: "https://www.eversheds-sutherland.com/global/en/what/practices/data-privacy-cybersecurity/index.page" },
   { name: "Fenwick & West", url: "https://www.fenwick.com/services/practices/privacy-cybersecurity" },
-  { name: "Sheppard Mullin", url: "https://www.datasecuritylawblog.com" },
+  { name: "Sheppard Mullin", url: "https://www.datasecuritylawblog.com", domains: ["sheppardmullin.com"] },
   { name: "Skadden", url: "https://www.skadden.com/capabilities/practices/cybersecurity-and-data-privacy" },
   { name: "McDermott Will & Emery", url: "https://www.mwe.com/services/privacy-cybersecurity/" },
   { name: "Arnold & Porter", url: "https://www.arnoldporter.com/en/services/practices/advisory/privacy-and-data-security" },
   { name: "White & Case", url: "https://www.whitecase.com/insight-our-thinking/ai-watch-global-regulatory-tracker-united-states" },
-  { name: "Cleary Gottlieb", url: "https://www.clearycyberwatch.com" },
+  { name: "Cleary Gottlieb", url: "https://www.clearycyberwatch.com", domains: ["clearygottlieb.com"] },
   { name: "Kirkland & Ellis", url: "https://www.kirkland.com/services/practices/intellectual-property/cybersecurity-data-privacy" },
   { name: "Holland & Knight", url: "https://www.hklaw.com/en/services/practices/healthcare/hipaa-and-healthcare-privacy" },
-  { name: "Crowell & Moring", url: "https://www.crowelldatalaw.com" },
+  { name: "Crowell & Moring", url: "https://www.crowelldatalaw.com", domains: ["crowell.com"] },
   { name: "King & Spalding", url: "https://www.kslaw.com/capabilities/data-privacy-and-cybersecurity" },
   { name: "Reed Smith", url: "https://www.reedsmith.com/en/capabilities/services/data-privacy-security-and-management" },
   { name: "Davis Wright Tremaine", url: "https://www.dwt.com/blogs/privacy--security-law-blog" },
@@ -1,661 +1,994 @@
 /**
- * Date Filtering Module for Search APIs (Serper & Tavily)
+ * Date Filtering Module for Search Results
  *
- * This module provides date extraction and filtering for search results.
- * It handles HTML pages, PDFs, and URL-based date extraction.
+ * This is the single date-extraction engine shared by the local Express server
+ * (server.js) and the Vercel functions in api/. Every route imports from here,
+ * so a given URL is dated the same way locally and in production.
+ *
+ * It handles HTML pages, PDFs, URL paths and free text, and reports which
+ * strategy found each date (see DATE_SOURCES).
  *
  * INSTALLATION:
  * npm install pdf-parse
  *
  * USAGE (ESM):
- * import { searchWithSerper, searchWithTavily, filterByScrapedDate } from './date-filter-module.js';
- *
- * const results = await searchWithSerper({
- *   query: 'privacy law regulation',
- *   apiKey: 'your-serper-api-key',
- *   domains: ['lawfirm.com'],
- *   startDate: '2025-10-01',
- *   endDate: '2026-01-12'
- * });
+ * import { extractPublicationDate, filterByScrapedDate } from './date-filter-module.js';
+ *
+ * const found = await extractPublicationDate('https://example.com/article');
+ * // => { date: Date, source: 'json-ld', confidence: 0.95 } or null
+ *
+ * const filtered = await filterByScrapedDate(results, '2025-10-01', '2026-01-12');
  */
 
-import { PDFParse } from 'pdf-parse';
+import { getDateCacheStore, isDateCacheEntryFresh } from './lib/dateCache.js';
+
+// Lazy-load pdf-parse so a missing/broken package doesn't crash the Vercel functions
+let PDFParseClass = null;
+try {
+  const mod = await import('pdf-parse');
+  PDFParseClass = mod.PDFParse;
+} catch {
+  console.log('[Dates] pdf-parse not available, PDF date extraction disabled');
+}
 
 // ============================================================================
-// DATE EXTRACTION FROM PDF
+// CONFIGURATION
 // ============================================================================
 
+const USER_AGENT = 'Mozilla/5.0 (compatible; LegalResearchBot/1.0)';
+const PAGE_FETCH_TIMEOUT_MS = 8000;   // Sized for Vercel latency; used locally too
+const PDF_FETCH_TIMEOUT_MS = 10000;
+const SCRAPE_CONCURRENCY = 5;
+const OVERALL_TIMEOUT_MS = 25000;     // 25 seconds max for all scraping in one request
+
 /**
- * Extract publication date from a PDF URL
- * Tries: PDF metadata (CreationDate, ModDate), then text content patterns
+ * Strategy that produced an extracted date. Written to `date_source` on results.
+ */
+export const DATE_SOURCES = {
+  API: 'api',
+  FEED: 'feed',
+  META: 'meta',
+  JSON_LD: 'json-ld',
+  TIME: 'time',
+  URL: 'url',
+  TEXT: 'text',
+  CSS_CLASS: 'css-class',
+  PDF_INFO: 'pdf-info',
+  PDF_TEXT: 'pdf-text',
+};
+
+/**
+ * What a date describes: first publication, or a later edit of the same page
+ */
+export const DATE_KINDS = {
+  PUBLISHED: 'published',
+  MODIFIED: 'modified',
+};
+
+/**
+ * Which dates put a result inside the requested range (see filterByScrapedDate)
+ */
+export const DATE_BASIS = {
+  PUBLISHED: 'published',
+  PUBLISHED_OR_UPDATED: 'published_or_updated',
+};
+
+// An edit this soon after publication is part of publishing, not a substantive update
+const SUBSTANTIVE_UPDATE_DAYS = 2;
+
+/**
+ * How much each kind of evidence is trusted (0-1). Written to `date_confidence` on results.
+ */
+export const DATE_CONFIDENCE = {
+  JSON_LD: 0.95,        // schema.org datePublished
+  FEED: 0.95,           // RSS pubDate / Atom published
+  META: 0.9,            // article:published_time and friends
+  API: 0.8,             // date supplied by the search provider
+  PDF_METADATA: 0.75,   // CreationDate / ModDate
+  TIME: 0.65,
+  URL_DAY: 0.65,        // /2025/07/23/
+  LABELLED_TEXT: 0.6,   // "Published: July 23, 2025"
+  CSS_CLASS: 0.5,
+  PDF_MODIFIED: 0.45,   // ModDate as a stand-in publication date
+  PDF_TEXT: 0.4,
+  URL_MONTH: 0.3,       // /2025/07/ — mid-month guess
+  TEXT: 0.2,            // any date string in the page body
+  DEMOTED_TEXT: 0.05,   // "© ..." — almost never the publication date
+};
+
+// Boost applied per additional, independent source agreeing on the same day
+const CORROBORATION_BOOST = 0.05;
+
+// Month names and abbreviations, January first, for the languages firm sites publish in.
+// No spelling means different months in two languages, so all are matched everywhere.
+const MONTH_NAMES_BY_LOCALE = {
+  en: ['january|jan', 'february|feb', 'march|mar', 'april|apr', 'may', 'june|jun',
+       'july|jul', 'august|aug', 'september|sept|sep', 'october|oct', 'november|nov', 'december|dec'],
+  de: ['januar|jänner|jan', 'februar|feb', 'märz|mär|mrz', 'april|apr', 'mai', 'juni|jun',
+       'juli|jul', 'august|aug', 'september|sept|sep', 'oktober|okt', 'november|nov', 'dezember|dez'],
+  fr: ['janvier|janv', 'février|févr|fév', 'mars', 'avril|avr', 'mai', 'juin',
+       'juillet|juil', 'août', 'septembre|sept', 'octobre|oct', 'novembre|nov', 'décembre|déc'],
+  es: ['enero|ene', 'febrero|feb', 'marzo|mar', 'abril|abr', 'mayo|may', 'junio|jun',
+       'julio|jul', 'agosto|ago', 'septiembre|setiembre|sept|sep', 'octubre|oct', 'noviembre|nov', 'diciembre|dic'],
+  pt: ['janeiro|jan', 'fevereiro|fev', 'março|mar', 'abril|abr', 'maio|mai', 'junho|jun',
+       'julho|jul', 'agosto|ago', 'setembro|set', 'outubro|out', 'novembro|nov', 'dezembro|dez'],
+  it: ['gennaio|gen', 'febbraio|feb', 'marzo|mar', 'aprile|apr', 'maggio|mag', 'giugno|giu',
+       'luglio|lug', 'agosto|ago', 'settembre|set', 'ottobre|ott', 'novembre|nov', 'dicembre|dic'],
+  nl: ['januari|jan', 'februari|feb', 'maart|mrt', 'april|apr', 'mei', 'juni|jun',
+       'juli|jul', 'augustus|aug', 'september|sept|sep', 'oktober|okt', 'november|nov', 'december|dec'],
+};
+
+// Lower-case, accent-free spelling → 1-based month number
+const MONTH_NUMBERS = new Map();
+for (const months of Object.values(MONTH_NAMES_BY_LOCALE)) {
+  months.forEach((spellings, index) => {
+    for (const spelling of spellings.split('|')) MONTH_NUMBERS.set(normalizeMonthName(spelling), index + 1);
+  });
+}
+
+// Every spelling, longest first so "September" is preferred over "Sep"
+const MONTHS = [...new Set(Object.values(MONTH_NAMES_BY_LOCALE).flatMap(months => months.flatMap(m => m.split('|'))))]
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+// Locales that write slash dates month-first; everything else is read day-first
+const MONTH_FIRST_LOCALES = ['en', 'en-us', 'en-ca', 'en-ph'];
+
+// Text just before a date that marks it as the publication date, an update, or neither
+const PUBLISHED_LABEL = /\b(?:published|posted|issued|dated?|veröffentlicht|publié|publicado|pubblicato|gepubliceerd)(?:\s+(?:on|am|le|el|em|il|op))?[\s:|-]*$/i;
+const MODIFIED_LABEL = /\b(?:updated|modified|revised|reviewed|aktualisiert|geändert|mis à jour|actualizado|atualizado|aggiornato|bijgewerkt)(?![a-zà-ÿ])[^\n]{0,25}$/i;
+const DEMOTED_LABEL = /(?:\bcopyright\b|©|&copy;)[^\n]{0,25}$/i;
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+/**
+ * Build a UTC date from parts, rejecting overflow (e.g. Feb 31) and out-of-range years
  *
- * @param {string} url - URL of the PDF to extract date from
- * @returns {Promise<Date|null>} - Extracted date or null
+ * @param {number|string} year
+ * @param {number|string} month - 1-based month number
+ * @param {number|string} day
+ * @returns {Date|null}
  */
-export async function extractDateFromPdf(url) {
-  try {
-    // pdf-parse v2 API: pass URL directly, it handles fetching
-    const parser = new PDFParse({ url });
+function makeDate(year, month, day) {
+  const y = parseInt(year, 10);
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  if (y < 2000 || y > 2100 || m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date;
+}
 
-    // Get metadata first (fast, no text extraction needed)
-    const infoResult = await parser.getInfo();
+function normalizeMonthName(name) {
+  return name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '');
+}
 
-    if (infoResult.info) {
-      // Try CreationDate first (usually more accurate for publication)
-      const creationDate = infoResult.info.CreationDate;
-      if (creationDate) {
-        const dateMatch = creationDate.match(/D:(\d{4})(\d{2})(\d{2})/);
-        if (dateMatch) {
-          const date = new Date(`${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`);
-          if (!isNaN(date.getTime())) {
-            console.log(`[PDF] Found creation date: ${date.toISOString().split('T')[0]} for ${url}`);
-            return date;
-          }
-        }
-      }
+/**
+ * Convert a month name or abbreviation in any supported language to its 1-based number
+ */
+function monthNumber(name) {
+  return MONTH_NUMBERS.get(normalizeMonthName(name)) || null;
+}
 
-      // Try ModDate as fallback
-      const modDate = infoResult.info.ModDate;
-      if (modDate) {
-        const dateMatch = modDate.match(/D:(\d{4})(\d{2})(\d{2})/);
-        if (dateMatch) {
-          const date = new Date(`${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`);
-          if (!isNaN(date.getTime())) {
-            console.log(`[PDF] Found mod date: ${date.toISOString().split('T')[0]} for ${url}`);
-            return date;
-          }
-        }
-      }
-    }
+/**
+ * Whether slash dates like 07/08/2025 should be read day-first for a page language
+ *
+ * @param {string} [lang] - BCP 47 tag from <html lang>, e.g. "de-DE"; month-first when unknown
+ * @returns {boolean}
+ */
+function prefersDayFirst(lang) {
+  if (!lang) return false;
+  return !MONTH_FIRST_LOCALES.includes(lang.trim().toLowerCase().replace('_', '-'));
+}
 
-    // Try to find date in PDF text content (first page usually has date)
-    const textResult = await parser.getText({ maxPages: 1 });
-    if (textResult.text) {
-      const textSample = textResult.text.substring(0, 2000);
-      const months = 'January|February|March|April|May|June|July|August|September|October|November|December';
-      const monthsAbbrev = 'Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec';
-
-      // "July 23, 2025" format (supports 2000-2039)
-      const monthDayYear = new RegExp(`(${months})\\s+(\\d{1,2}),?\\s+(20[0-3]\\d)`, 'i');
-      const match = textSample.match(monthDayYear);
-      if (match) {
-        const date = new Date(`${match[1]} ${match[2]}, ${match[3]}`);
-        if (!isNaN(date.getTime())) {
-          console.log(`[PDF] Found text date: ${date.toISOString().split('T')[0]} for ${url}`);
-          return date;
-        }
-      }
+/**
+ * Parse a free-form date attribute value (ISO timestamps, RFC dates, "July 23, 2025")
+ *
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseDateValue(value) {
+  if (!value || typeof value !== 'string') return null;
+  const date = new Date(value.trim());
+  if (isNaN(date.getTime())) return null;
+  const year = date.getUTCFullYear();
+  if (year < 2000 || year > 2100) return null;
+  return date;
+}
 
-      // "23 July 2025" format (supports 2000-2039)
-      const dayMonthYear = new RegExp(`(\\d{1,2})\\s+(${months})\\s+(20[0-3]\\d)`, 'i');
-      const dayMonthMatch = textSample.match(dayMonthYear);
-      if (dayMonthMatch) {
-        const date = new Date(`${dayMonthMatch[2]} ${dayMonthMatch[1]}, ${dayMonthMatch[3]}`);
-        if (!isNaN(date.getTime())) {
-          console.log(`[PDF] Found text date: ${date.toISOString().split('T')[0]} for ${url}`);
-          return date;
-        }
-      }
+/**
+ * Parse PDF date format (D:YYYYMMDDHHmmss)
+ *
+ * @param {string|Date} pdfDate - PDF date string (or Date if already parsed by pdf.js)
+ * @returns {Date|null}
+ */
+function parsePdfDate(pdfDate) {
+  if (pdfDate instanceof Date) return isNaN(pdfDate.getTime()) ? null : pdfDate;
+  if (typeof pdfDate !== 'string') return null;
+  const match = pdfDate.match(/D:(\d{4})(\d{2})(\d{2})/);
+  return match ? makeDate(match[1], match[2], match[3]) : null;
+}
 
-      // Abbreviated months: "Jul 23, 2025" or "23 Jul 2025" (supports 2000-2039)
-      const abbrevMonthDayYear = new RegExp(`(${monthsAbbrev})\\s+(\\d{1,2}),?\\s+(20[0-3]\\d)`, 'i');
-      const abbrevMatch = textSample.match(abbrevMonthDayYear);
-      if (abbrevMatch) {
-        const date = new Date(`${abbrevMatch[1]} ${abbrevMatch[2]}, ${abbrevMatch[3]}`);
-        if (!isNaN(date.getTime())) {
-          console.log(`[PDF] Found text date: ${date.toISOString().split('T')[0]} for ${url}`);
-          return date;
-        }
-      }
+function toDay(date) {
+  return date.toISOString().split('T')[0];
+}
 
-      // ISO format (supports 2000-2039)
-      const isoMatch = textSample.match(/\b(20[0-3]\d)[-\/](0[1-9]|1[0-2])[-\/](0[1-9]|[12]\d|3[01])\b/);
-      if (isoMatch) {
-        const date = new Date(isoMatch[0]);
-        if (!isNaN(date.getTime())) {
-          console.log(`[PDF] Found ISO date: ${date.toISOString().split('T')[0]} for ${url}`);
-          return date;
-        }
-      }
-    }
+// ============================================================================
+// CANDIDATE RESOLUTION
+// ============================================================================
 
-    return null;
-  } catch (error) {
-    console.log(`[PDF] Error extracting date from ${url}: ${error.message}`);
-    return null;
+/**
+ * Pick the most trustworthy date among candidates
+ *
+ * The highest-confidence candidate wins; ties go to the candidate found first.
+ * Each other source that agrees on the same day adds a small corroboration boost.
+ *
+ * @param {Array<{date: Date, source: string, confidence: number}>} candidates
+ * @returns {{date: Date, source: string, confidence: number}|null}
+ */
+export function resolveDateCandidates(candidates) {
+  if (!candidates || candidates.length === 0) return null;
+
+  let best = candidates[0];
+  for (const candidate of candidates) {
+    if (candidate.confidence > best.confidence) best = candidate;
   }
+
+  const bestDay = toDay(best.date);
+  const agreeingSources = new Set(
+    candidates
+      .filter(c => c.source !== best.source && toDay(c.date) === bestDay)
+      .map(c => c.source)
+  );
+  const confidence = Math.min(0.99, best.confidence + agreeingSources.size * CORROBORATION_BOOST);
+
+  return { date: best.date, source: best.source, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Resolve a page's publication date and last-modified date separately
+ *
+ * @param {Array<{date: Date, source: string, confidence: number, kind?: string}>} candidates
+ * @returns {{published: Object|null, modified: Object|null}} - Each as returned by resolveDateCandidates
+ */
+export function resolvePageDates(candidates) {
+  return {
+    published: resolveDateCandidates(candidates.filter(c => c.kind !== DATE_KINDS.MODIFIED)),
+    modified: resolveDateCandidates(candidates.filter(c => c.kind === DATE_KINDS.MODIFIED)),
+  };
 }
 
 // ============================================================================
-// DATE EXTRACTION FROM URL (HTML or PDF)
+// DATE EXTRACTION FROM TEXT AND URL PATHS
 // ============================================================================
 
+const TEXT_DATE_PATTERNS = [
+  // "July 23, 2025", "Jul. 23rd 2025"
+  { regex: new RegExp(`\\b(${MONTHS})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(20[0-3]\\d)`, 'gi'), format: 'MDY' },
+  // "23 July 2025", "23-Jul-2025", "3. März 2025", "1er janvier 2025", "15 de enero de 2025"
+  { regex: new RegExp(`\\b(\\d{1,2})(?:\\.|st|nd|rd|th|er|º)?(?:\\s+de)?[-\\s]+(${MONTHS})\\.?(?:\\s+del?)?[-\\s]+(20[0-3]\\d)`, 'gi'), format: 'DMY' },
+  // "2025-07-23" or "2025/07/23"
+  { regex: /\b(20[0-3]\d)[-\/](0[1-9]|1[0-2])[-\/](0[1-9]|[12]\d|3[01])\b/g, format: 'YMD' },
+  // "2025.07.23"
+  { regex: /\b(20[0-3]\d)\.(0[1-9]|1[0-2])\.(0[1-9]|[12]\d|3[01])\b/g, format: 'YMD' },
+  // "23.07.2025" — dotted dates are always day-first
+  { regex: /\b(0?[1-9]|[12]\d|3[01])\.(0?[1-9]|1[0-2])\.(20[0-3]\d)\b/g, format: 'EU' },
+];
+
+// Slash dates are ambiguous; the page language decides which reading is tried first
+const US_SLASH_PATTERN = { regex: /\b(0[1-9]|1[0-2])\/(0[1-9]|[12]\d|3[01])\/(20[0-3]\d)\b/g, format: 'US' };
+const EU_SLASH_PATTERN = { regex: /\b(0[1-9]|[12]\d|3[01])\/(0[1-9]|1[0-2])\/(20[0-3]\d)\b/g, format: 'EU' };
+
+function dateFromTextMatch(match, format) {
+  switch (format) {
+    case 'MDY': return makeDate(match[3], monthNumber(match[1]), match[2]);
+    case 'DMY': return makeDate(match[3], monthNumber(match[2]), match[1]);
+    case 'YMD': return makeDate(match[1], match[2], match[3]);
+    case 'US': return makeDate(match[3], match[1], match[2]);
+    case 'EU': return makeDate(match[3], match[2], match[1]);
+    default: return null;
+  }
+}
+
 /**
- * Extract publication date from a URL (handles both HTML pages and PDFs)
+ * Find every date in a block of text and score it by the label in front of it
  *
- * Extraction order:
- * 1. For PDFs: metadata, text content, URL path
- * 2. For HTML: meta tags, JSON-LD, time elements, URL patterns, text patterns, CSS classes
+ * "Published: July 23, 2025" scores higher than a bare date; "Updated July 23, 2025"
+ * becomes a modified-date candidate; "© 2025 ... July 23, 2025" is demoted.
+ * Month names and labels are recognised in English, German, French, Spanish,
+ * Portuguese, Italian and Dutch.
  *
- * @param {string} url - URL to extract date from
- * @returns {Promise<Date|null>} - Extracted date or null
+ * @param {string} text - Text to search for dates
+ * @param {string} [source=DATE_SOURCES.TEXT] - Source to tag candidates with
+ * @param {number} [baseConfidence=DATE_CONFIDENCE.TEXT] - Confidence of an unlabelled date
+ * @param {Object} [options]
+ * @param {string} [options.lang] - Page language; read slash dates day-first unless it is US-style English
+ * @returns {Array<{date: Date, source: string, confidence: number, kind: string, index: number}>} - In document order
  */
-export async function extractDateFromUrl(url) {
-  // Check if this is obviously a PDF URL
-  const isPdfUrl = url.toLowerCase().endsWith('.pdf') || url.toLowerCase().includes('.pdf?');
-  if (isPdfUrl) {
-    const pdfDate = await extractDateFromPdf(url);
-    if (pdfDate) return pdfDate;
-
-    // If PDF extraction failed, try URL-based date extraction
-    // Look for /YYYY/MM/ or /YYYY/MM/DD/ patterns in the URL
-    const urlDateMatch = url.match(/\/(\d{4})\/(\d{2})(?:\/(\d{2}))?[\/\-]/);
-    if (urlDateMatch) {
-      const year = urlDateMatch[1];
-      const month = urlDateMatch[2];
-      const day = urlDateMatch[3] || '15'; // Default to mid-month if no day
-      const date = new Date(`${year}-${month}-${day}`);
-      if (!isNaN(date.getTime())) {
-        console.log(`[URL] Found date in PDF URL path: ${date.toISOString().split('T')[0]} for ${url}`);
-        return date;
+export function extractDateCandidatesFromText(text, source = DATE_SOURCES.TEXT, baseConfidence = DATE_CONFIDENCE.TEXT, { lang } = {}) {
+  if (!text) return [];
+
+  const seenPositions = new Set();
+  const candidates = [];
+  const slashPatterns = prefersDayFirst(lang)
+    ? [EU_SLASH_PATTERN, US_SLASH_PATTERN]
+    : [US_SLASH_PATTERN, EU_SLASH_PATTERN];
+
+  for (const { regex, format } of [...TEXT_DATE_PATTERNS, ...slashPatterns]) {
+    for (const match of text.matchAll(regex)) {
+      // Earlier (more specific) patterns claim a position first, e.g. US over EU for 07/08/2025 on English pages
+      if (seenPositions.has(match.index)) continue;
+      const date = dateFromTextMatch(match, format);
+      if (!date) continue;
+      seenPositions.add(match.index);
+
+      const before = text.substring(Math.max(0, match.index - 40), match.index);
+      let confidence = baseConfidence;
+      let kind = DATE_KINDS.PUBLISHED;
+      if (PUBLISHED_LABEL.test(before)) {
+        confidence = Math.max(baseConfidence, DATE_CONFIDENCE.LABELLED_TEXT);
+      } else if (MODIFIED_LABEL.test(before)) {
+        confidence = Math.max(baseConfidence, DATE_CONFIDENCE.LABELLED_TEXT);
+        kind = DATE_KINDS.MODIFIED;
+      } else if (DEMOTED_LABEL.test(before)) {
+        confidence = DATE_CONFIDENCE.DEMOTED_TEXT;
       }
+      candidates.push({ date, source, confidence, kind, index: match.index });
     }
-    return null; // PDF URL but no date found
   }
 
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+  return candidates.sort((a, b) => a.index - b.index);
+}
 
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; DateExtractor/1.0)'
-      },
-      signal: controller.signal
-    });
+/**
+ * Extract the most likely publication date from plain text
+ *
+ * @param {string} text - Text to search for dates
+ * @returns {Date|null}
+ */
+export function extractDateFromText(text) {
+  return resolvePageDates(extractDateCandidatesFromText(text)).published?.date || null;
+}
 
-    clearTimeout(timeout);
+/**
+ * Extract a dated candidate from URL path patterns like /2025/07/23/ or /2025/07/article-name
+ * Year/month-only paths are dated to the 15th (mid-month guess) with low confidence.
+ *
+ * @param {string} url
+ * @returns {{date: Date, source: string, confidence: number, kind: string}|null}
+ */
+function extractUrlPathCandidate(url) {
+  // Pattern: /YYYY/MM/DD/ or /YYYY-MM-DD/
+  const fullMatch = url.match(/\/(20\d{2})[-\/](\d{2})[-\/](\d{2})(?:[\/\-]|$)/);
+  if (fullMatch) {
+    const date = makeDate(fullMatch[1], fullMatch[2], fullMatch[3]);
+    if (date) return { date, source: DATE_SOURCES.URL, confidence: DATE_CONFIDENCE.URL_DAY, kind: DATE_KINDS.PUBLISHED };
+  }
 
-    if (!response.ok) return null;
+  // Pattern: /YYYY/MM/ (common in law firm URLs like /2018/05/article-name)
+  const partialMatch = url.match(/\/(20\d{2})\/(\d{2})(?:[\/\-]|$)/);
+  if (partialMatch) {
+    const date = makeDate(partialMatch[1], partialMatch[2], 15);
+    if (date) return { date, source: DATE_SOURCES.URL, confidence: DATE_CONFIDENCE.URL_MONTH, kind: DATE_KINDS.PUBLISHED };
+  }
 
-    // Check Content-Type for PDF (handles PDFs without .pdf extension)
-    const contentType = response.headers.get('content-type') || '';
-    if (contentType.includes('application/pdf')) {
-      try {
-        // Use the dedicated PDF extractor (which uses pdf-parse v2 API)
-        const pdfDate = await extractDateFromPdf(url);
-        if (pdfDate) return pdfDate;
-      } catch (e) {
-        console.log(`[PDF] Parse error: ${e.message}`);
-      }
-      return null;
-    }
+  return null;
+}
 
-    const html = await response.text();
-
-    // Try multiple date extraction methods
-
-    // 1. Meta tags (most reliable)
-    const metaPatterns = [
-      /meta[^>]*property=["']article:published_time["'][^>]*content=["']([^"']+)["']/i,
-      /meta[^>]*content=["']([^"']+)["'][^>]*property=["']article:published_time["']/i,
-      /meta[^>]*name=["']date["'][^>]*content=["']([^"']+)["']/i,
-      /meta[^>]*content=["']([^"']+)["'][^>]*name=["']date["']/i,
-      /meta[^>]*name=["']publish[_-]?date["'][^>]*content=["']([^"']+)["']/i,
-      /meta[^>]*name=["']DC\.date["'][^>]*content=["']([^"']+)["']/i,
-    ];
-
-    for (const pattern of metaPatterns) {
-      const match = html.match(pattern);
-      if (match && match[1]) {
-        const date = new Date(match[1]);
-        if (!isNaN(date.getTime())) {
-          return date;
-        }
-      }
+/**
+ * Extract a date from URL path patterns like /2025/07/23/ or /2025/07/article-name
+ *
+ * @param {string} url
+ * @returns {Date|null}
+ */
+export function extractDateFromUrlPath(url) {
+  return extractUrlPathCandidate(url)?.date || null;
+}
+
+/**
+ * Date a search result from what the provider returned, without fetching the page
+ *
+ * @param {string} url - Result URL
+ * @param {string} [snippet] - Result snippet/content text
+ * @returns {{date: Date, source: string, confidence: number}|null}
+ */
+export function extractDateFromSnippet(url, snippet) {
+  const candidates = extractDateCandidatesFromText(snippet);
+  const urlCandidate = extractUrlPathCandidate(url);
+  if (urlCandidate) candidates.unshift(urlCandidate);
+  return resolvePageDates(candidates).published;
+}
+
+// ============================================================================
+// DATE EXTRACTION FROM HTML
+// ============================================================================
+
+const META_DATE_PATTERNS = [
+  /meta[^>]*property=["']article:published_time["'][^>]*content=["']([^"']+)["']/i,
+  /meta[^>]*content=["']([^"']+)["'][^>]*property=["']article:published_time["']/i,
+  /meta[^>]*name=["']date["'][^>]*content=["']([^"']+)["']/i,
+  /meta[^>]*content=["']([^"']+)["'][^>]*name=["']date["']/i,
+  /meta[^>]*name=["']publish[_-]?date["'][^>]*content=["']([^"']+)["']/i,
+  /meta[^>]*name=["']DC\.date(?:\.issued)?["'][^>]*content=["']([^"']+)["']/i,
+  /meta[^>]*name=["']article:published["'][^>]*content=["']([^"']+)["']/i,
+  /meta[^>]*name=["']pubdate["'][^>]*content=["']([^"']+)["']/i,
+];
+
+const META_MODIFIED_PATTERNS = [
+  /meta[^>]*property=["']article:modified_time["'][^>]*content=["']([^"']+)["']/i,
+  /meta[^>]*content=["']([^"']+)["'][^>]*property=["']article:modified_time["']/i,
+  /meta[^>]*property=["']og:updated_time["'][^>]*content=["']([^"']+)["']/i,
+  /meta[^>]*name=["']last-modified["'][^>]*content=["']([^"']+)["']/i,
+  /meta[^>]*name=["']DC\.date\.modified["'][^>]*content=["']([^"']+)["']/i,
+];
+
+function metaTagCandidates(html) {
+  const candidates = [];
+  for (const [patterns, kind] of [[META_DATE_PATTERNS, DATE_KINDS.PUBLISHED], [META_MODIFIED_PATTERNS, DATE_KINDS.MODIFIED]]) {
+    for (const pattern of patterns) {
+      const date = parseDateValue(html.match(pattern)?.[1]);
+      if (date) candidates.push({ date, source: DATE_SOURCES.META, confidence: DATE_CONFIDENCE.META, kind });
     }
+  }
+  return candidates;
+}
 
-    // 2. JSON-LD schema.org data
-    const jsonLdMatch = html.match(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
-    if (jsonLdMatch) {
-      for (const script of jsonLdMatch) {
-        try {
-          const jsonContent = script.replace(/<script[^>]*>|<\/script>/gi, '');
-          const data = JSON.parse(jsonContent);
-          const dateStr = data.datePublished || data.dateCreated ||
-                         (data['@graph'] && data['@graph'].find(i => i.datePublished)?.datePublished);
-          if (dateStr) {
-            const date = new Date(dateStr);
-            if (!isNaN(date.getTime())) {
-              return date;
-            }
-          }
-        } catch (e) {
-          // JSON parse failed, continue
+function jsonLdCandidates(html) {
+  const scripts = html.match(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+  if (!scripts) return [];
+
+  const candidates = [];
+  for (const script of scripts) {
+    try {
+      const data = JSON.parse(script.replace(/<script[^>]*>|<\/script>/gi, ''));
+      // Top-level object, top-level array, or @graph array (common in WordPress sites)
+      const nodes = Array.isArray(data) ? data : [data, ...(Array.isArray(data['@graph']) ? data['@graph'] : [])];
+      for (const node of nodes) {
+        if (!node || typeof node !== 'object') continue;
+        const modified = parseDateValue(node.dateModified);
+        if (modified) {
+          candidates.push({ date: modified, source: DATE_SOURCES.JSON_LD, confidence: DATE_CONFIDENCE.JSON_LD, kind: DATE_KINDS.MODIFIED });
+        }
+        const published = parseDateValue(node.datePublished);
+        if (published) {
+          candidates.push({ date: published, source: DATE_SOURCES.JSON_LD, confidence: DATE_CONFIDENCE.JSON_LD, kind: DATE_KINDS.PUBLISHED });
+          continue;
         }
+        // dateCreated/publishDate are used loosely; trust them like a meta tag
+        const created = parseDateValue(node.dateCreated || node.publishDate);
+        if (created) candidates.push({ date: created, source: DATE_SOURCES.JSON_LD, confidence: DATE_CONFIDENCE.META, kind: DATE_KINDS.PUBLISHED });
       }
+    } catch {
+      // JSON parse failed, continue
     }
+  }
+  return candidates;
+}
 
-    // 3. Time element with datetime attribute
-    const timeMatch = html.match(/<time[^>]*datetime=["']([^"']+)["']/i);
-    if (timeMatch && timeMatch[1]) {
-      const date = new Date(timeMatch[1]);
-      if (!isNaN(date.getTime())) {
-        return date;
-      }
+function timeElementCandidates(html) {
+  const candidates = [];
+  for (const match of html.matchAll(/<time([^>]*)datetime=["']([^"']+)["']([^>]*)>/gi)) {
+    const date = parseDateValue(match[2]);
+    if (!date) continue;
+    const attributes = `${match[1]} ${match[3]}`;
+    // <time class="updated"> is a modification stamp, <time pubdate> / class="published" is the article date
+    if (/updated|modified/i.test(attributes)) {
+      candidates.push({ date, source: DATE_SOURCES.TIME, confidence: DATE_CONFIDENCE.TIME, kind: DATE_KINDS.MODIFIED });
+      continue;
     }
+    const confidence = /pubdate|published|entry-date/i.test(attributes) ? DATE_CONFIDENCE.META : DATE_CONFIDENCE.TIME;
+    candidates.push({ date, source: DATE_SOURCES.TIME, confidence, kind: DATE_KINDS.PUBLISHED });
+  }
+  return candidates;
+}
 
-    // 4. Common date patterns in URL
-    // Try YYYY/MM/DD first
-    const urlDateMatch = url.match(/\/(\d{4})[-\/](\d{2})[-\/](\d{2})\//);
-    if (urlDateMatch) {
-      const date = new Date(`${urlDateMatch[1]}-${urlDateMatch[2]}-${urlDateMatch[3]}`);
-      if (!isNaN(date.getTime())) {
-        return date;
+/**
+ * Primary language declared by <html lang="...">, if any
+ */
+function htmlLang(html) {
+  return html.match(/<html[^>]*\blang=["']([^"']+)["']/i)?.[1] || null;
+}
+
+function htmlTextCandidates(html, lang) {
+  // Remove script and style tags, then markup, to avoid false positives
+  const text = html.replace(/<script[\s\S]*?<\/script>/gi, ' ')
+                   .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+                   .replace(/<[^>]+>/g, ' ')
+                   .replace(/\s+/g, ' ');
+  return extractDateCandidatesFromText(text.substring(0, 20000), DATE_SOURCES.TEXT, DATE_CONFIDENCE.TEXT, { lang });
+}
+
+function dateClassCandidates(html, lang) {
+  const patterns = [
+    /<[^>]*class=["']([^"']*(?:date|published|posted|timestamp|pubdate)[^"']*)["'][^>]*>([^<]{5,40})</gi,
+    /<span[^>]*>()(?:Published|Posted|Date)[:\s]*([^<]{5,40})</gi,
+  ];
+
+  const candidates = [];
+  for (const pattern of patterns) {
+    for (const match of html.matchAll(pattern)) {
+      const text = match[2].trim();
+      // class="updated" / "modified-date" marks an edit stamp rather than the publication date
+      const classKind = /updated|modified/i.test(match[1]) ? DATE_KINDS.MODIFIED : null;
+      const fromText = extractDateCandidatesFromText(text, DATE_SOURCES.CSS_CLASS, DATE_CONFIDENCE.CSS_CLASS, { lang });
+      if (fromText.length > 0) {
+        candidates.push(...fromText.map(c => (classKind ? { ...c, kind: classKind } : c)));
+        continue;
       }
-    }
-    // Try YYYY/MM (without day) - common in law firm URLs like /2018/05/article-name
-    const urlYearMonthMatch = url.match(/\/(\d{4})\/(\d{2})\/[a-zA-Z]/);
-    if (urlYearMonthMatch) {
-      const date = new Date(`${urlYearMonthMatch[1]}-${urlYearMonthMatch[2]}-15`); // Default to mid-month
-      if (!isNaN(date.getTime())) {
-        console.log(`[URL] Found year/month in URL: ${date.toISOString().split('T')[0]} for ${url}`);
-        return date;
+      const date = parseDateValue(text);
+      if (date) {
+        candidates.push({ date, source: DATE_SOURCES.CSS_CLASS, confidence: DATE_CONFIDENCE.CSS_CLASS, kind: classKind || DATE_KINDS.PUBLISHED });
       }
     }
+  }
+  return candidates;
+}
 
-    // 5. Text-based dates in HTML (for sites that display dates as plain text)
-    const months = 'January|February|March|April|May|June|July|August|September|October|November|December';
-    const monthsAbbrev = 'Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec';
-    const textDatePatterns = [
-      // "July 23, 2025" or "July 23 2025" (supports 2000-2039)
-      new RegExp(`(${months})\\s+(\\d{1,2}),?\\s+(20[0-3]\\d)`, 'i'),
-      // "23 July 2025" (supports 2000-2039)
-      new RegExp(`(\\d{1,2})\\s+(${months})\\s+(20[0-3]\\d)`, 'i'),
-      // "Jul 23, 2025" or "Jul 23 2025" - abbreviated months (supports 2000-2039)
-      new RegExp(`(${monthsAbbrev})\\s+(\\d{1,2}),?\\s+(20[0-3]\\d)`, 'i'),
-      // "23 Jul 2025" or "23-Jul-2025" - abbreviated months (supports 2000-2039)
-      new RegExp(`(\\d{1,2})[-\\s](${monthsAbbrev})[-\\s](20[0-3]\\d)`, 'i'),
-      // "2025-07-23" or "2025/07/23" in visible text (supports 2000-2039)
-      /\b(20[0-3]\d)[-\/](0[1-9]|1[0-2])[-\/](0[1-9]|[12]\d|3[01])\b/,
-      // "2025.07.23" dot-separated format (supports 2000-2039)
-      /\b(20[0-3]\d)\.(0[1-9]|1[0-2])\.(0[1-9]|[12]\d|3[01])\b/,
-      // "07/23/2025" US format (supports 2000-2039)
-      /(0[1-9]|1[0-2])\/(0[1-9]|[12]\d|3[01])\/(20[0-3]\d)/,
-      // "23/07/2025" European DD/MM/YYYY format (supports 2000-2039)
-      /(0[1-9]|[12]\d|3[01])\/(0[1-9]|1[0-2])\/(20[0-3]\d)/,
-      // "Last review date: 31 December 2024" or "Published: January 15, 2025" - prefixed patterns
-      new RegExp(`(?:date|published|posted|updated|review)[:\\s]+(?:(\\d{1,2})\\s+)?(${months})\\s+(\\d{1,2}),?\\s+(20[0-3]\\d)`, 'i'),
-      new RegExp(`(?:date|published|posted|updated|review)[:\\s]+(\\d{1,2})\\s+(${months})\\s+(20[0-3]\\d)`, 'i'),
-    ];
-
-    for (const pattern of textDatePatterns) {
-      const match = html.match(pattern);
-      if (match) {
-        let dateStr;
-        const patternStr = pattern.source;
-
-        // Check pattern type based on its structure
-        if (patternStr.startsWith(`(${months})`) || patternStr.startsWith(`(${monthsAbbrev})`)) {
-          // "Month Day, Year" or "Jul 23, 2025" format
-          dateStr = `${match[1]} ${match[2]}, ${match[3]}`;
-        } else if (patternStr.includes('date|published|posted|updated|review')) {
-          // Prefixed patterns like "Last review date: 31 December 2024"
-          // These have variable capture groups
-          if (match[4]) {
-            // Format: prefix + day + month + year (4 groups)
-            dateStr = `${match[2]} ${match[1] || match[3]}, ${match[4]}`;
-          } else {
-            // Format: prefix + day + month + year (3 groups)
-            dateStr = `${match[2]} ${match[1]}, ${match[3]}`;
-          }
-        } else if (patternStr.includes(`(${months})`) || patternStr.includes(`(${monthsAbbrev})`)) {
-          // "Day Month Year" or "23-Jul-2025" format
-          dateStr = `${match[2]} ${match[1]}, ${match[3]}`;
-        } else if (patternStr.includes('\\.')) {
-          // Dot-separated: 2025.07.23
-          dateStr = `${match[1]}-${match[2]}-${match[3]}`;
-        } else if (match[0].includes('/') && match[3]) {
-          // Slash formats: MM/DD/YYYY or DD/MM/YYYY
-          // Try US format first (MM/DD/YYYY)
-          const usDate = new Date(`${match[3]}-${match[1]}-${match[2]}`);
-          if (!isNaN(usDate.getTime()) && usDate.getDate() === parseInt(match[2])) {
-            return usDate;
-          }
-          // Try European format (DD/MM/YYYY)
-          dateStr = `${match[3]}-${match[2]}-${match[1]}`;
-        } else {
-          // ISO format (YYYY-MM-DD or YYYY/MM/DD)
-          dateStr = match[0];
-        }
-        const date = new Date(dateStr);
-        if (!isNaN(date.getTime())) {
-          return date;
-        }
-      }
-    }
+/**
+ * Collect every date candidate in an HTML document, tagged published or modified
+ *
+ * Strategies: meta tags, JSON-LD, <time> elements, URL path, visible text, CSS classes.
+ * Text dates are read in the page's <html lang> (e.g. 03/04/2025 is 3 April on lang="de").
+ *
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (used for the URL-path strategy)
+ * @returns {Array<{date: Date, source: string, confidence: number, kind: string}>}
+ */
+export function collectHtmlDateCandidates(html, url) {
+  const urlCandidate = extractUrlPathCandidate(url);
+  const lang = htmlLang(html);
+  return [
+    ...metaTagCandidates(html),
+    ...jsonLdCandidates(html),
+    ...timeElementCandidates(html),
+    ...(urlCandidate ? [urlCandidate] : []),
+    ...htmlTextCandidates(html, lang),
+    ...dateClassCandidates(html, lang),
+  ];
+}
 
-    // 6. Look for date in common CSS class patterns (date, published, posted)
-    const dateClassPatterns = [
-      /<[^>]*class=["'][^"']*(?:date|published|posted|timestamp)[^"']*["'][^>]*>([^<]+)</gi,
-      /<span[^>]*>(?:Published|Posted|Date)[:\s]*([^<]+)</gi,
-    ];
-
-    for (const pattern of dateClassPatterns) {
-      const matches = [...html.matchAll(pattern)];
-      for (const match of matches) {
-        const potentialDate = match[1].trim();
-        const date = new Date(potentialDate);
-        if (!isNaN(date.getTime()) && date.getFullYear() >= 2000) {
-          return date;
-        }
-      }
-    }
+/**
+ * Extract the most likely publication date from an HTML document
+ *
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (used for the URL-path strategy)
+ * @returns {{date: Date, source: string, confidence: number}|null}
+ */
+export function extractDateFromHtml(html, url) {
+  return resolvePageDates(collectHtmlDateCandidates(html, url)).published;
+}
 
-    return null;
-  } catch (error) {
-    // Fetch failed (timeout, network error, etc.)
-    return null;
+// ============================================================================
+// PAGE FETCHING
+// ============================================================================
+
+const SCRAPE_STATUS = {
+  OK: 'ok',
+  NOT_MODIFIED: 'not-modified',   // 304 — the cached dates still hold
+  FAILED: 'failed',               // Timeout, network error or non-2xx; never cached
+};
+
+async function fetchWithTimeout(url, timeoutMs, headers = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, ...headers },
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeout);
   }
 }
 
+function isPdfUrl(url) {
+  const lower = url.toLowerCase();
+  return lower.endsWith('.pdf') || lower.includes('.pdf?');
+}
+
+/**
+ * Conditional request headers from a previous response's validators
+ */
+function conditionalHeaders(validators) {
+  const headers = {};
+  if (validators?.etag) headers['If-None-Match'] = validators.etag;
+  if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  return headers;
+}
+
 // ============================================================================
-// RESULT FILTERING BY SCRAPED DATE
+// DATE EXTRACTION FROM PDF
 // ============================================================================
 
 /**
- * Filter search results by scraping HTML/PDF for publication dates
+ * Extract publication and modification dates from PDF bytes
+ * Considers PDF metadata (CreationDate, ModDate) and first-page text patterns
  *
- * @param {Array} results - Array of search results with {title, url, content, published_date?}
- * @param {string} startDate - Start date in YYYY-MM-DD format
- * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {Promise<Array>} - Filtered results within date range
+ * @param {Buffer|Uint8Array} data - PDF file contents
+ * @param {string} url - Source URL (for logging and the URL-path fallback)
+ * @returns {Promise<{published: Object|null, modified: Object|null}>}
  */
-export async function filterByScrapedDate(results, startDate, endDate) {
-  const startMs = new Date(startDate).getTime();
-  const endMs = new Date(endDate).getTime();
+async function extractDatesFromPdfData(data, url) {
+  if (!PDFParseClass) return { published: null, modified: null };
 
-  const filteredResults = [];
-  let scrapedCount = 0;
-  let filteredCount = 0;
+  const parser = new PDFParseClass({ data });
+  try {
+    const candidates = [];
 
-  for (const item of results) {
-    // If we already have a valid date from the API, use it
-    if (item.published_date) {
-      const pubMs = new Date(item.published_date).getTime();
-      if (!isNaN(pubMs)) {
-        if (pubMs >= startMs && pubMs <= endMs) {
-          filteredResults.push(item);
-        } else {
-          filteredCount++;
-        }
-        continue;
-      }
+    const infoResult = await parser.getInfo();
+    const info = infoResult?.info || {};
+    const creationDate = parsePdfDate(info.CreationDate);
+    if (creationDate) {
+      candidates.push({ date: creationDate, source: DATE_SOURCES.PDF_INFO, confidence: DATE_CONFIDENCE.PDF_METADATA, kind: DATE_KINDS.PUBLISHED });
+    }
+    const modDate = parsePdfDate(info.ModDate);
+    if (modDate) {
+      candidates.push({ date: modDate, source: DATE_SOURCES.PDF_INFO, confidence: DATE_CONFIDENCE.PDF_METADATA, kind: DATE_KINDS.MODIFIED });
+      // Many PDFs carry only ModDate; keep it as a weak publication date too
+      candidates.push({ date: modDate, source: DATE_SOURCES.PDF_INFO, confidence: DATE_CONFIDENCE.PDF_MODIFIED, kind: DATE_KINDS.PUBLISHED });
     }
 
-    // Otherwise, try to scrape the date from the page (HTML or PDF)
-    const scrapedDate = await extractDateFromUrl(item.url);
-    scrapedCount++;
+    // First page usually carries the date of the alert/memo
+    const textResult = await parser.getText({ first: 1 });
+    const text = (textResult?.text || '').substring(0, 2000);
+    candidates.push(...extractDateCandidatesFromText(text, DATE_SOURCES.PDF_TEXT, DATE_CONFIDENCE.PDF_TEXT));
 
-    if (scrapedDate) {
-      const pubMs = scrapedDate.getTime();
-      item.published_date = scrapedDate.toISOString().split('T')[0]; // Add scraped date
-      item.date_source = 'scraped';
+    const urlCandidate = extractUrlPathCandidate(url);
+    if (urlCandidate) candidates.push(urlCandidate);
 
-      if (pubMs >= startMs && pubMs <= endMs) {
-        filteredResults.push(item);
-      } else {
-        console.log(`[Scraper] Filtered: ${item.url} (date: ${item.published_date})`);
-        filteredCount++;
-      }
-    } else {
-      // No date found, keep the result (benefit of the doubt)
-      filteredResults.push(item);
+    const dates = resolvePageDates(candidates);
+    if (dates.published) {
+      console.log(`[PDF] Found ${dates.published.source} date: ${toDay(dates.published.date)} (confidence ${dates.published.confidence}) for ${url}`);
     }
+    return dates;
+  } finally {
+    await parser.destroy().catch(() => {});
   }
+}
 
-  if (scrapedCount > 0) {
-    console.log(`[Scraper] Scraped ${scrapedCount} URLs, filtered ${filteredCount} outside date range`);
-  }
-
-  return filteredResults;
+/**
+ * Extract publication date from a PDF URL
+ *
+ * @param {string} url - URL of the PDF to extract date from
+ * @returns {Promise<{date: Date, source: string, confidence: number}|null>}
+ */
+export async function extractDateFromPdf(url) {
+  return (await scrapePageDates(url)).published;
 }
 
 // ============================================================================
-// SERPER (GOOGLE) SEARCH WITH DATE FILTERING
+// DATE EXTRACTION FROM URL (HTML or PDF)
 // ============================================================================
 
 /**
- * Search using Serper (Google) API with date filtering
- *
- * @param {Object} options
- * @param {string} options.query - Search query
- * @param {string} options.apiKey - Serper API key
- * @param {string[]} [options.domains] - Optional domains to restrict search to
- * @param {string} [options.startDate] - Start date in YYYY-MM-DD format
- * @param {string} [options.endDate] - End date in YYYY-MM-DD format
- * @param {number} [options.numResults=10] - Number of results to return
- * @returns {Promise<Array>} - Filtered search results
+ * Fetch a URL and extract its dates, optionally as a conditional request
+ *
+ * @param {string} url
+ * @param {{etag?: string|null, lastModified?: string|null}} [validators] - From a cached earlier fetch
+ * @returns {Promise<{published: Object|null, modified: Object|null, etag: string|null, lastModified: string|null, status: string}>}
  */
-export async function searchWithSerper({ query, apiKey, domains, startDate, endDate, numResults = 10 }) {
-  console.log('[Serper] Search request');
-  console.log('[Serper] Query:', query);
-  if (startDate && endDate) {
-    console.log('[Serper] Date range:', startDate, 'to', endDate);
-  }
-
-  // Build site-restricted query if domains provided
-  let searchQuery = query;
-  if (domains && domains.length > 0) {
-    const siteFilter = domains.slice(0, 5).map(d => `site:${d}`).join(' OR ');
-    searchQuery = `(${siteFilter}) ${query}`;
-  }
-
-  // Build Serper request with date filtering
-  const serperRequest = {
-    q: searchQuery,
-    num: numResults
+async function scrapePageDates(url, validators) {
+  const pdf = isPdfUrl(url);
+  // If PDF extraction fails, fall back to the URL path
+  const failed = {
+    published: pdf ? extractUrlPathCandidate(url) : null,
+    modified: null,
+    etag: null,
+    lastModified: null,
+    status: SCRAPE_STATUS.FAILED
   };
 
-  // Add date range filter using tbs parameter (Google's time-based search)
-  // Format: cdr:1,cd_min:MM/DD/YYYY,cd_max:MM/DD/YYYY
-  if (startDate && endDate) {
-    const startParts = startDate.split('-'); // YYYY-MM-DD
-    const endParts = endDate.split('-');
-    const startFormatted = `${startParts[1]}/${startParts[2]}/${startParts[0]}`; // MM/DD/YYYY
-    const endFormatted = `${endParts[1]}/${endParts[2]}/${endParts[0]}`;
-    serperRequest.tbs = `cdr:1,cd_min:${startFormatted},cd_max:${endFormatted}`;
-    console.log('[Serper] Date filter:', serperRequest.tbs);
-  }
+  // No point downloading a PDF we can't parse
+  if (pdf && !PDFParseClass) return { ...failed, status: SCRAPE_STATUS.OK };
 
-  const response = await fetch('https://google.serper.dev/search', {
-    method: 'POST',
-    headers: {
-      'X-API-KEY': apiKey,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(serperRequest)
-  });
+  try {
+    const response = await fetchWithTimeout(url, pdf ? PDF_FETCH_TIMEOUT_MS : PAGE_FETCH_TIMEOUT_MS, conditionalHeaders(validators));
+    if (response.status === 304) return { ...failed, published: null, status: SCRAPE_STATUS.NOT_MODIFIED };
+    if (!response.ok) return failed;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Serper API error: ${response.status} - ${errorText}`);
+    // Check Content-Type for PDF (handles PDFs without .pdf extension)
+    const contentType = response.headers.get('content-type') || '';
+    const dates = pdf || contentType.includes('application/pdf')
+      ? await extractDatesFromPdfData(Buffer.from(await response.arrayBuffer()), url)
+      : resolvePageDates(collectHtmlDateCandidates(await response.text(), url));
+
+    return {
+      published: dates.published || failed.published,
+      modified: dates.modified,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      status: SCRAPE_STATUS.OK
+    };
+  } catch (error) {
+    // Fetch failed (timeout, network error, etc.)
+    if (error.name !== 'AbortError') {
+      console.log(`[Dates] Extraction error for ${url}: ${error.message}`);
+    }
+    return failed;
   }
+}
 
-  const data = await response.json();
+/**
+ * Extract publication and last-modified dates from a URL (handles both HTML pages and PDFs)
+ *
+ * Every strategy contributes scored candidates and the best of each kind is returned:
+ * 1. For PDFs: metadata (CreationDate / ModDate), text content, URL path
+ * 2. For HTML: meta tags, JSON-LD, time elements, URL patterns, text patterns, CSS classes
+ *
+ * @param {string} url - URL to extract dates from
+ * @returns {Promise<{published: Object|null, modified: Object|null}>} - Each {date, source, confidence} or null
+ */
+export async function extractPageDates(url) {
+  const { published, modified } = await scrapePageDates(url);
+  return { published, modified };
+}
 
-  // First filter: by API-provided dates
-  let filteredResults = data.organic || [];
+function toCachedDate(found) {
+  return found ? { date: toDay(found.date), source: found.source, confidence: found.confidence } : null;
+}
 
-  if (startDate && endDate) {
-    const startMs = new Date(startDate).getTime();
-    const endMs = new Date(endDate).getTime();
+function fromCachedDate(cached) {
+  if (!cached?.date) return null;
+  const date = new Date(cached.date);
+  return isNaN(date.getTime()) ? null : { date, source: cached.source, confidence: cached.confidence };
+}
 
-    const beforeFilter = filteredResults.length;
-    filteredResults = filteredResults.filter(item => {
-      if (!item.date) {
-        return true; // Keep results without a date
-      }
-      const pubDate = new Date(item.date);
-      if (isNaN(pubDate.getTime())) {
-        return true; // Can't parse date, keep it
-      }
-      const pubMs = pubDate.getTime();
-      return pubMs >= startMs && pubMs <= endMs;
-    });
+function cachedPageDates(entry) {
+  return { published: fromCachedDate(entry.published), modified: fromCachedDate(entry.modified), fromCache: true };
+}
 
-    const filtered = beforeFilter - filteredResults.length;
-    if (filtered > 0) {
-      console.log(`[Serper] API date filter removed ${filtered} results`);
-    }
+/**
+ * Cached dates for a URL if the entry is still fresh, without any network call
+ */
+async function readFreshCachedDates(url) {
+  try {
+    const entry = await (await getDateCacheStore()).get(url);
+    return isDateCacheEntryFresh(entry) ? cachedPageDates(entry) : null;
+  } catch {
+    return null;
   }
+}
+
+/**
+ * Like extractPageDates, but answers from the URL→date cache when it can
+ *
+ * Fresh entries are returned without any network call. Stale entries are
+ * revalidated with If-None-Match / If-Modified-Since, so an unchanged page
+ * costs a 304 instead of a download and re-parse. Failed fetches are never
+ * cached; the last known dates are returned instead.
+ *
+ * @param {string} url - URL to extract dates from
+ * @returns {Promise<{published: Object|null, modified: Object|null, fromCache: boolean}>}
+ */
+export async function extractPageDatesCached(url) {
+  const store = await getDateCacheStore();
+  const entry = await store.get(url).catch(() => null);
+  if (isDateCacheEntryFresh(entry)) return cachedPageDates(entry);
 
-  // Transform to standard format
-  let results = filteredResults.map(item => ({
-    title: item.title,
-    url: item.link,
-    content: item.snippet || '',
-    published_date: item.date || null
-  }));
-
-  // Second filter: scrape HTML/PDF for actual publication dates
-  if (startDate && endDate) {
-    console.log('[Serper] Applying HTML/PDF date scraping filter...');
-    results = await filterByScrapedDate(results, startDate, endDate);
+  const scraped = await scrapePageDates(url, entry);
+
+  if (scraped.status === SCRAPE_STATUS.NOT_MODIFIED && entry) {
+    await store.set(url, { ...entry, checkedAt: Date.now() }).catch(() => {});
+    return cachedPageDates(entry);
+  }
+  if (scraped.status === SCRAPE_STATUS.FAILED) {
+    return entry ? cachedPageDates(entry) : { published: scraped.published, modified: null, fromCache: false };
   }
 
-  console.log('[Serper] Final results:', results.length);
-  return results;
+  await store.set(url, {
+    published: toCachedDate(scraped.published),
+    modified: toCachedDate(scraped.modified),
+    etag: scraped.etag,
+    lastModified: scraped.lastModified,
+    checkedAt: Date.now()
+  }).catch(() => {});
+  return { published: scraped.published, modified: scraped.modified, fromCache: false };
+}
+
+/**
+ * Extract publication date from a URL (handles both HTML pages and PDFs)
+ *
+ * @param {string} url - URL to extract date from
+ * @returns {Promise<{date: Date, source: string, confidence: number}|null>} - Date, winning strategy and its confidence
+ */
+export async function extractPublicationDate(url) {
+  return (await extractPageDates(url)).published;
+}
+
+/**
+ * Extract publication date from a URL, without the strategy that found it
+ *
+ * @param {string} url - URL to extract date from
+ * @returns {Promise<Date|null>} - Extracted date or null
+ */
+export async function extractDateFromUrl(url) {
+  const result = await extractPublicationDate(url);
+  return result ? result.date : null;
 }
 
 // ============================================================================
-// TAVILY SEARCH WITH DATE FILTERING
+// RESULT FILTERING BY SCRAPED DATE
 // ============================================================================
 
 /**
- * Search using Tavily API with date filtering
- *
- * @param {Object} options
- * @param {string} options.query - Search query
- * @param {string} options.apiKey - Tavily API key
- * @param {string[]} [options.domains] - Optional domains to restrict search to
- * @param {string} [options.startDate] - Start date in YYYY-MM-DD format
- * @param {string} [options.endDate] - End date in YYYY-MM-DD format
- * @param {number} [options.numResults=5] - Number of results to return
- * @returns {Promise<Array>} - Filtered search results
+ * Whether a result's modified date marks a real revision rather than the publishing edit
  */
-export async function searchWithTavily({ query, apiKey, domains, startDate, endDate, numResults = 5 }) {
-  console.log('[Tavily] Search request');
-  console.log('[Tavily] Query:', query);
-  if (startDate && endDate) {
-    console.log('[Tavily] Date range:', startDate, 'to', endDate);
-  }
+function hasSubstantiveUpdate(item) {
+  if (!item.modified_date) return false;
+  if (!item.published_date) return true;
+  const gapMs = new Date(item.modified_date).getTime() - new Date(item.published_date).getTime();
+  return gapMs >= SUBSTANTIVE_UPDATE_DAYS * 24 * 60 * 60 * 1000;
+}
 
-  const tavilyRequest = {
-    api_key: apiKey,
-    query: query,
-    search_depth: 'advanced',
-    include_answer: false,
-    include_raw_content: false,
-    max_results: numResults
+/**
+ * Filter search results by scraping HTML/PDF for publication dates
+ *
+ * Items that already carry a parseable `published_date` are filtered without any
+ * network calls, unless strict mode demands more confidence than their date has, or
+ * updates count and the item was published before the range. The rest are answered
+ * from the URL→date cache where possible, and only the remainder is scraped in
+ * parallel batches under an overall time budget; scraped items get `published_date`,
+ * `date_source`, `date_confidence` and, when the page has one, `modified_date` set.
+ *
+ * @param {Array} results - Array of search results with {title, url, content, published_date?, date_source?, date_confidence?}
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {boolean} [options.strictMode=false] - Exclude results whose date cannot be determined
+ * @param {number} [options.minConfidence=0] - In strict mode, also exclude results dated with less confidence
+ * @param {string} [options.dateBasis=DATE_BASIS.PUBLISHED] - Also keep older results substantively updated in range
+ * @param {boolean} [options.useCache=true] - Reuse dates scraped by earlier runs (see lib/dateCache.js)
+ * @param {string} [options.logPrefix='Scraper'] - Tag used in log lines
+ * @param {(event: Object) => void} [options.onEvent] - `scrape_timeout` per URL given up on, `scrape_budget_exhausted` when the overall budget runs out
+ * @returns {Promise<Array>} - Filtered results within date range
+ */
+export async function filterByScrapedDate(results, startDate, endDate, {
+  strictMode = false,
+  minConfidence = 0,
+  dateBasis = DATE_BASIS.PUBLISHED,
+  useCache = true,
+  logPrefix = 'Scraper',
+  onEvent
+} = {}) {
+  const startMs = new Date(startDate).getTime();
+  const endMs = new Date(endDate).getTime();
+  const requiredConfidence = strictMode ? minConfidence : 0;
+  const includeUpdates = dateBasis === DATE_BASIS.PUBLISHED_OR_UPDATED;
+  const filteredResults = [];
+  const needsScraping = [];
+
+  const inRange = (day) => {
+    const ms = new Date(day).getTime();
+    return !isNaN(ms) && ms >= startMs && ms <= endMs;
   };
+  const updatedInRange = (item) => includeUpdates && hasSubstantiveUpdate(item) && inRange(item.modified_date);
 
-  // Use start_date/end_date params (newer Tavily API) for precise date filtering
-  if (startDate && endDate) {
-    tavilyRequest.start_date = startDate;
-    tavilyRequest.end_date = endDate;
-    console.log('[Tavily] Using start_date/end_date:', startDate, 'to', endDate);
-  }
+  // Phase 1: Quickly process items that already have dates (no network calls)
+  for (const item of results) {
+    if (item.published_date) {
+      const pubMs = new Date(item.published_date).getTime();
+      if (!isNaN(pubMs)) {
+        if (!item.date_source) item.date_source = DATE_SOURCES.API;
+        if (item.date_confidence == null) item.date_confidence = DATE_CONFIDENCE.API;
 
-  // Add domain filtering if provided
-  if (domains && domains.length > 0) {
-    tavilyRequest.include_domains = domains;
+        if (item.date_confidence < requiredConfidence) {
+          // Not trustworthy enough for strict mode — try to find a better date on the page
+          needsScraping.push(item);
+        } else if (inRange(item.published_date) || updatedInRange(item)) {
+          filteredResults.push(item);
+        } else if (includeUpdates && pubMs < startMs) {
+          // Published before the range — the page may have been revised since
+          needsScraping.push(item);
+        } else {
+          console.log(`[${logPrefix}] Filtered by API date: ${item.url} (${item.published_date} outside range)`);
+        }
+        continue;
+      }
+    }
+    // No valid date — needs scraping
+    needsScraping.push(item);
   }
 
-  const response = await fetch('https://api.tavily.com/search', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(tavilyRequest)
-  });
+  console.log(`[${logPrefix}] ${filteredResults.length} items with API dates, ${needsScraping.length} need scraping`);
+
+  const applyScrapedDates = (item, { published, modified }) => {
+    // Keep a date the item arrived with if scraping didn't find anything better
+    if (published && !(item.date_confidence > published.confidence)) {
+      item.published_date = toDay(published.date);
+      item.date_source = published.source;
+      item.date_confidence = published.confidence;
+    }
+    if (modified) {
+      item.modified_date = toDay(modified.date);
+    }
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Tavily API error: ${response.status} - ${errorText}`);
+    if (item.published_date && item.date_confidence != null) {
+      if (item.date_confidence < requiredConfidence) {
+        console.log(`[${logPrefix}] Excluded (strict mode): ${item.url} (date confidence ${item.date_confidence} < ${requiredConfidence})`);
+      } else if (inRange(item.published_date)) {
+        filteredResults.push(item);
+      } else if (updatedInRange(item)) {
+        console.log(`[${logPrefix}] Kept as update: ${item.url} (published ${item.published_date}, updated ${item.modified_date})`);
+        filteredResults.push(item);
+      } else {
+        console.log(`[${logPrefix}] Filtered: ${item.url} (${item.date_source} date: ${item.published_date} outside range)`);
+      }
+    } else if (updatedInRange(item)) {
+      filteredResults.push(item);
+    } else if (!strictMode) {
+      // No date found - include unless strict mode
+      filteredResults.push(item);
+    } else {
+      console.log(`[${logPrefix}] Excluded (strict mode): ${item.url} (no date found)`);
+    }
+  };
+
+  // Phase 2: Answer from the URL→date cache, so the scrape budget goes to new URLs
+  let toScrape = needsScraping;
+  if (useCache && needsScraping.length > 0) {
+    const cached = await Promise.all(needsScraping.map(item => readFreshCachedDates(item.url)));
+    toScrape = needsScraping.filter((item, i) => {
+      if (!cached[i]) return true;
+      applyScrapedDates(item, cached[i]);
+      return false;
+    });
+    console.log(`[${logPrefix}] ${needsScraping.length - toScrape.length} dates from cache, ${toScrape.length} URLs to scrape`);
   }
 
-  const data = await response.json();
+  // Phase 3: Scrape URLs in parallel batches with an overall timeout
+  if (toScrape.length > 0) {
+    const scrapeStartTime = Date.now();
+    const scrape = useCache ? extractPageDatesCached : extractPageDates;
+
+    for (let i = 0; i < toScrape.length; i += SCRAPE_CONCURRENCY) {
+      // Check overall timeout
+      if (Date.now() - scrapeStartTime > OVERALL_TIMEOUT_MS) {
+        console.log(`[${logPrefix}] Overall timeout reached after ${i} URLs. ${strictMode ? 'Excluding' : 'Including'} remaining ${toScrape.length - i} items without date check.`);
+        onEvent?.({ type: 'scrape_budget_exhausted', skipped: toScrape.length - i, included: !strictMode });
+        if (!strictMode) {
+          // Include remaining items (benefit of the doubt)
+          filteredResults.push(...toScrape.slice(i));
+        }
+        break;
+      }
 
-  // First filter: by API-provided dates
-  let filteredResults = data.results || [];
+      const batch = toScrape.slice(i, i + SCRAPE_CONCURRENCY);
+      const remainingTime = OVERALL_TIMEOUT_MS - (Date.now() - scrapeStartTime);
+
+      const batchPromises = batch.map(async (item) => {
+        // Same limit as the fetch itself, so PDFs get their longer one
+        const fetchTimeout = isPdfUrl(item.url) ? PDF_FETCH_TIMEOUT_MS : PAGE_FETCH_TIMEOUT_MS;
+        let timer;
+        try {
+          const scraped = await Promise.race([
+            scrape(item.url),
+            new Promise((_, reject) => {
+              timer = setTimeout(() => reject(new Error('scrape timeout')), Math.min(fetchTimeout, remainingTime));
+            })
+          ]);
+          return { item, scraped };
+        } catch (error) {
+          if (error.message === 'scrape timeout') onEvent?.({ type: 'scrape_timeout', url: item.url });
+          return { item, scraped: { published: null, modified: null } };
+        } finally {
+          clearTimeout(timer);
+        }
+      });
 
-  if (startDate && endDate) {
-    const startMs = new Date(startDate).getTime();
-    const endMs = new Date(endDate).getTime();
+      const batchResults = await Promise.all(batchPromises);
 
-    const beforeFilter = filteredResults.length;
-    filteredResults = filteredResults.filter(item => {
-      if (!item.published_date) {
-        return true; // Keep results without a date
+      for (const { item, scraped } of batchResults) {
+        applyScrapedDates(item, scraped);
       }
-      const pubMs = new Date(item.published_date).getTime();
-      return pubMs >= startMs && pubMs <= endMs;
-    });
-
-    const filtered = beforeFilter - filteredResults.length;
-    if (filtered > 0) {
-      console.log(`[Tavily] API date filter removed ${filtered} results`);
     }
   }
 
-  // Transform to standard format
-  let results = filteredResults.map(item => ({
-    title: item.title,
-    url: item.url,
-    content: item.content || '',
-    published_date: item.published_date || null
-  }));
-
-  // Second filter: scrape HTML/PDF for actual publication dates
-  if (startDate && endDate) {
-    console.log('[Tavily] Applying HTML/PDF date scraping filter...');
-    results = await filterByScrapedDate(results, startDate, endDate);
+  if (useCache && toScrape.length > 0) {
+    await (await getDateCacheStore()).flush();
   }
 
-  console.log('[Tavily] Final results:', results.length);
-  return results;
+  console.log(`[${logPrefix}] Final: ${filteredResults.length} results after date filtering (strict: ${strictMode}, min confidence: ${requiredConfidence}, basis: ${dateBasis})`);
+  return filteredResults;
 }
-
-// ============================================================================
-// EXAMPLE USAGE
-// ============================================================================
-
-/*
-// Example: Search with Serper
-const serperResults = await searchWithSerper({
-  query: 'privacy law regulation 2025',
-  apiKey: 'your-serper-api-key',
-  domains: ['lawfirm.com', 'legalsite.com'],
-  startDate: '2025-10-01',
-  endDate: '2026-01-12',
-  numResults: 10
-});
-
-// Example: Search with Tavily
-const tavilyResults = await searchWithTavily({
-  query: 'HIPAA compliance healthcare',
-  apiKey: 'your-tavily-api-key',
-  domains: ['healthlaw.com'],
-  startDate: '2025-06-01',
-  endDate: '2025-12-31',
-  numResults: 5
-});
-
-// Example: Filter existing results
-const myResults = [
-  { title: 'Article 1', url: 'https://example.com/article1', content: '...' },
-  { title: 'Article 2', url: 'https://example.com/article2', content: '...' }
-];
-const filtered = await filterByScrapedDate(myResults, '2025-01-01', '2025-12-31');
-*/
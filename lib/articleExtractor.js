@@ -0,0 +1,198 @@
+/**
+ * Article Extraction
+ *
+ * Pulls the readable body text out of a result page so the generation prompt
+ * can quote what a firm actually wrote instead of a 150-character snippet.
+ *
+ * HTML: readability-style — scope to <article>/<main> when present, keep
+ * paragraph-like blocks, drop short boilerplate and link-heavy navigation.
+ * PDF: text of the first pages via pdf-parse.
+ */
+
+// Lazy-load pdf-parse so a missing/broken package doesn't crash the Vercel functions
+let PDFParseClass = null;
+try {
+  const mod = await import('pdf-parse');
+  PDFParseClass = mod.PDFParse;
+} catch {
+  console.log('[Articles] pdf-parse not available, PDF text extraction disabled');
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; LegalResearchBot/1.0)';
+const FETCH_TIMEOUT_MS = 10000;
+const EXTRACT_CONCURRENCY = 5;
+const OVERALL_TIMEOUT_MS = 30000;     // Per search request, after date filtering
+const MAX_ARTICLE_CHARS = 12000;      // Stored per result; the client trims to its token budget
+const MAX_PDF_PAGES = 10;
+const MIN_PARAGRAPH_CHARS = 40;
+const MAX_LINK_DENSITY = 0.5;
+
+// Short lines that are page furniture rather than commentary
+const BOILERPLATE = /cookie|subscribe|newsletter|all rights reserved|attorney advertising|privacy policy|terms of use|share this|print this|©/i;
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&rsquo;|&lsquo;/g, "'")
+    .replace(/&rdquo;|&ldquo;/g, '"')
+    .replace(/&ndash;|&mdash;/g, '-')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function textOf(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The part of the page most likely to hold the article: the largest <article>,
+ * else <main> / role="main", else <body>
+ */
+function mainRegion(html) {
+  const articles = html.match(/<article[\s>][\s\S]*?<\/article>/gi) || [];
+  if (articles.length > 0) {
+    return articles.reduce((longest, a) => (a.length > longest.length ? a : longest));
+  }
+  const main = html.match(/<main[\s>][\s\S]*?<\/main>/i)
+    || html.match(/<(div|section)[^>]*role=["']main["'][\s\S]*<\/\1>/i);
+  if (main) return main[0];
+  return html.match(/<body[\s>][\s\S]*<\/body>/i)?.[0] || html;
+}
+
+/**
+ * Main-content text of an HTML page, paragraphs separated by blank lines
+ *
+ * @param {string} html - Page HTML
+ * @returns {string} - Cleaned text, or '' if nothing article-like was found
+ */
+export function extractArticleText(html) {
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|iframe|form|nav|header|footer|aside|button|select)[\s>][\s\S]*?<\/\1>/gi, ' ');
+  const region = mainRegion(cleaned);
+
+  const paragraphs = [];
+  for (const match of region.matchAll(/<(p|li|h[1-4]|blockquote|td)[^>]*>([\s\S]*?)<\/\1>/gi)) {
+    const isHeading = /^h/i.test(match[1]);
+    const text = textOf(match[2]);
+    if (!text || (!isHeading && text.length < MIN_PARAGRAPH_CHARS)) continue;
+
+    const linkText = [...match[2].matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)].map(a => textOf(a[1])).join('');
+    if (linkText.length / text.length > MAX_LINK_DENSITY) continue;
+    if (text.length < 200 && BOILERPLATE.test(text)) continue;
+
+    // Nested blocks (<li><p>...) yield the same text twice
+    if (paragraphs[paragraphs.length - 1] === text) continue;
+    paragraphs.push(text);
+  }
+
+  // Drop trailing headings with nothing under them
+  while (paragraphs.length > 0 && paragraphs[paragraphs.length - 1].length < MIN_PARAGRAPH_CHARS) paragraphs.pop();
+
+  const body = paragraphs.join('\n\n');
+  // Pages built from <div>s instead of <p>s: fall back to the region's plain text
+  return body.length >= 200 ? body : textOf(region);
+}
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+async function extractPdfText(data) {
+  if (!PDFParseClass) return '';
+  const parser = new PDFParseClass({ data });
+  try {
+    const result = await parser.getText({ first: MAX_PDF_PAGES });
+    return (result?.text || '')
+      .replace(/-\n(?=[a-z])/g, '')             // Re-join hyphenated line breaks
+      .replace(/([^\n])\n(?!\n)/g, '$1 ')        // Unwrap lines within a paragraph
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  } finally {
+    await parser.destroy().catch(() => {});
+  }
+}
+
+// ============================================================================
+// FETCH & ATTACH
+// ============================================================================
+
+/**
+ * Fetch a URL and extract its article body text (HTML or PDF)
+ *
+ * @param {string} url
+ * @returns {Promise<string|null>} - Body text capped at MAX_ARTICLE_CHARS, or null on failure
+ */
+export async function extractArticle(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT },
+      signal: controller.signal
+    });
+    if (!response.ok) return null;
+
+    const contentType = response.headers.get('content-type') || '';
+    const isPdf = contentType.includes('application/pdf') || /\.pdf(?:\?|$)/i.test(url);
+    const text = isPdf
+      ? await extractPdfText(Buffer.from(await response.arrayBuffer()))
+      : extractArticleText(await response.text());
+
+    return text ? text.substring(0, MAX_ARTICLE_CHARS) : null;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.log(`[Articles] Extraction error for ${url}: ${error.message}`);
+    }
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Set `article_text` on the first `maxArticles` results, in parallel batches under a time budget
+ *
+ * @param {Array<{url: string}>} results - Mutated in place
+ * @param {Object} [options]
+ * @param {number} [options.maxArticles=10]
+ * @param {string} [options.logPrefix='Articles']
+ * @returns {Promise<Array>} - The same results
+ */
+export async function attachArticleText(results, { maxArticles = 10, logPrefix = 'Articles' } = {}) {
+  const targets = results.slice(0, maxArticles);
+  const startTime = Date.now();
+  let extracted = 0;
+
+  for (let i = 0; i < targets.length; i += EXTRACT_CONCURRENCY) {
+    if (Date.now() - startTime > OVERALL_TIMEOUT_MS) {
+      console.log(`[${logPrefix}] Article time budget reached after ${i} of ${targets.length} pages`);
+      break;
+    }
+    const batch = targets.slice(i, i + EXTRACT_CONCURRENCY);
+    const texts = await Promise.all(batch.map(result => extractArticle(result.url)));
+    batch.forEach((result, j) => {
+      if (texts[j]) {
+        result.article_text = texts[j];
+        extracted++;
+      }
+    });
+  }
+
+  console.log(`[${logPrefix}] Extracted article text for ${extracted}/${targets.length} results`);
+  return results;
+}
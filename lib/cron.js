@@ -0,0 +1,142 @@
+/**
+ * Cron Expressions
+ *
+ * The five standard fields, in the server's local time (set TZ to change it):
+ *
+ *   minute hour day-of-month month day-of-week
+ *   0      7    *            *     1            → Mondays at 07:00
+ *
+ * Each field takes `*`, numbers, ranges (1-5), lists (1,3,5) and steps
+ * (*\/15, 9-17/2). Day-of-week is 0-7 with 0 and 7 both Sunday; month and
+ * weekday names (JAN, MON) are accepted. As in classic cron, when both
+ * day-of-month and day-of-week are restricted a day matching either runs.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day-of-week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+// Far enough for any valid expression (Feb 29 on a given weekday recurs within 28 years)
+const MAX_SEARCH_YEARS = 30;
+
+export class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function parseValue(value, field) {
+  const index = field.names?.indexOf(value.toUpperCase()) ?? -1;
+  if (index >= 0) return index + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(value)) throw new CronError(`Invalid ${field.name} value "${value}"`);
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw new CronError(`${field.name} ${number} is outside ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new CronError(`Invalid step in ${field.name} "${part}"`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      // "5/15" means from 5 to the end of the range
+      to = end !== undefined ? parseValue(end, field) : (stepText !== undefined ? field.max : from);
+      if (from > to) throw new CronError(`Invalid ${field.name} range "${range}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expression - Five space-separated fields
+ * @returns {{minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {CronError}
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new CronError('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes, hours, days, months, weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+function dayMatches(schedule, date) {
+  const dayOk = schedule.days.has(date.getDate());
+  const weekdayOk = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay) return weekdayOk;
+  if (schedule.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+}
+
+/**
+ * The first time after `after` that the expression matches
+ *
+ * @param {string} expression
+ * @param {Date} [after=new Date()] - Exclusive
+ * @returns {Date}
+ * @throws {CronError} Invalid expression, or one that never matches (e.g. 31 FEB)
+ */
+export function nextCronTime(expression, after = new Date()) {
+  const schedule = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  // Skip whole months, days and hours that can't match before checking minutes
+  while (date < limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+  throw new CronError(`"${expression}" never matches`);
+}
@@ -0,0 +1,225 @@
+/**
+ * URL → Date Cache
+ *
+ * Remembers what the scraper found for each URL so repeated reports over the
+ * same firms don't re-fetch pages that were already dated. Entries are plain
+ * JSON so any key/value backend can hold them:
+ *
+ *   {
+ *     published: { date: 'YYYY-MM-DD', source, confidence } | null,
+ *     modified:  { date: 'YYYY-MM-DD', source, confidence } | null,
+ *     etag: string | null,          // validators for conditional revalidation
+ *     lastModified: string | null,
+ *     checkedAt: number             // ms epoch of the last fetch or 304
+ *   }
+ *
+ * A store is any object with `get(url)`, `set(url, entry)` and `flush()`
+ * (all async). The file store is used by default; set DATE_CACHE_STORE to
+ * 'supabase' to share the cache across Vercel instances, or 'off' to disable.
+ */
+
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long an entry is trusted before the page is revalidated
+ * Publication dates rarely change, so dated pages are rechecked monthly;
+ * pages where nothing was found are retried sooner in case they were still loading
+ */
+export const DATE_CACHE_TTL_MS = {
+  DATED: 30 * DAY_MS,
+  UNDATED: 3 * DAY_MS,
+};
+
+// The file store keeps the most recently checked URLs up to this many; older ones are dropped
+const MAX_FILE_ENTRIES = 20000;
+
+const DEFAULT_CACHE_FILE = process.env.VERCEL
+  ? '/tmp/url-dates.json'               // Only writable path on Vercel
+  : join(__dirname, '..', '.cache', 'url-dates.json');
+const SUPABASE_TABLE = 'url_dates';
+
+// ============================================================================
+// FRESHNESS
+// ============================================================================
+
+/**
+ * Whether a cache entry can be used without touching the network
+ *
+ * @param {Object|null} entry - Cached entry
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isDateCacheEntryFresh(entry, now = Date.now()) {
+  if (!entry || typeof entry.checkedAt !== 'number') return false;
+  const ttl = entry.published ? DATE_CACHE_TTL_MS.DATED : DATE_CACHE_TTL_MS.UNDATED;
+  return now - entry.checkedAt < ttl;
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+// Oldest checks first, so the entries past maxEntries are the first ones
+function evictOldest(entries, maxEntries) {
+  const urls = Object.keys(entries);
+  if (urls.length <= maxEntries) return;
+  urls.sort((a, b) => (entries[a].checkedAt || 0) - (entries[b].checkedAt || 0));
+  for (const url of urls.slice(0, urls.length - maxEntries)) delete entries[url];
+}
+
+/**
+ * JSON file store — the whole cache is loaded once and written back on flush
+ *
+ * @param {string} filePath - Where to keep the cache
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=MAX_FILE_ENTRIES] - Entries kept; the least recently checked go first
+ */
+export function createFileDateCacheStore(filePath, { maxEntries = MAX_FILE_ENTRIES } = {}) {
+  let entries = null;
+  let loading = null;
+  let dirty = false;
+  let writing = Promise.resolve();
+
+  const read = async () => {
+    try {
+      entries = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`[DateCache] Could not read ${filePath}, starting empty: ${error.message}`);
+      }
+      entries = {};
+    }
+    return entries;
+  };
+  // Concurrent first calls share one read, so no set() lands in an object a later read replaces
+  const load = () => (loading ||= read());
+
+  return {
+    async get(url) {
+      return (await load())[url] || null;
+    },
+    async set(url, entry) {
+      (await load())[url] = entry;
+      dirty = true;
+    },
+    async flush() {
+      if (!dirty) return writing;
+      dirty = false;
+      evictOldest(entries, maxEntries);
+      // Chain writes so concurrent requests never interleave partial files
+      writing = writing.then(async () => {
+        try {
+          await mkdir(dirname(filePath), { recursive: true });
+          const tmpPath = `${filePath}.${process.pid}.tmp`;
+          await writeFile(tmpPath, JSON.stringify(entries));
+          await rename(tmpPath, filePath);
+        } catch (error) {
+          console.log(`[DateCache] Could not write ${filePath}: ${error.message}`);
+        }
+      });
+      return writing;
+    },
+  };
+}
+
+/**
+ * Supabase store — one row per URL, entry kept as JSON
+ *
+ * Expects a table like:
+ *   create table url_dates (url text primary key, entry jsonb not null, updated_at timestamptz default now());
+ *
+ * @param {Object} client - A @supabase/supabase-js client
+ * @param {string} [table='url_dates']
+ */
+export function createSupabaseDateCacheStore(client, table = SUPABASE_TABLE) {
+  return {
+    async get(url) {
+      const { data, error } = await client.from(table).select('entry').eq('url', url).maybeSingle();
+      if (error) {
+        console.log(`[DateCache] Supabase read failed for ${url}: ${error.message}`);
+        return null;
+      }
+      return data?.entry || null;
+    },
+    async set(url, entry) {
+      const { error } = await client
+        .from(table)
+        .upsert({ url, entry, updated_at: new Date().toISOString() });
+      if (error) {
+        console.log(`[DateCache] Supabase write failed for ${url}: ${error.message}`);
+      }
+    },
+    async flush() {},
+  };
+}
+
+const noopStore = {
+  async get() { return null; },
+  async set() {},
+  async flush() {},
+};
+
+// ============================================================================
+// ACTIVE STORE
+// ============================================================================
+
+let activeStore = null;
+
+/**
+ * Replace the cache backend (e.g. with a Redis- or KV-backed store)
+ *
+ * @param {{get: Function, set: Function, flush: Function}|null} store - null to fall back to the configured default
+ */
+export function setDateCacheStore(store) {
+  activeStore = store ? Promise.resolve(store) : null;
+}
+
+async function createConfiguredStore() {
+  const kind = (process.env.DATE_CACHE_STORE || 'file').toLowerCase();
+
+  if (kind === 'off') {
+    console.log('[DateCache] Disabled (DATE_CACHE_STORE=off)');
+    return noopStore;
+  }
+
+  if (kind === 'supabase') {
+    const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+    if (url && key) {
+      const { createClient } = await import('@supabase/supabase-js');
+      console.log(`[DateCache] Using Supabase table ${SUPABASE_TABLE}`);
+      return createSupabaseDateCacheStore(createClient(url, key));
+    }
+    console.log('[DateCache] DATE_CACHE_STORE=supabase but Supabase credentials are missing, using file store');
+  }
+
+  const filePath = process.env.DATE_CACHE_FILE || DEFAULT_CACHE_FILE;
+  console.log(`[DateCache] Using file ${filePath}`);
+  return createFileDateCacheStore(filePath);
+}
+
+/**
+ * The cache store in use, created from the environment on first call
+ * (after server.js has loaded .env)
+ *
+ * @returns {Promise<{get: Function, set: Function, flush: Function}>}
+ */
+export function getDateCacheStore() {
+  if (!activeStore) {
+    activeStore = createConfiguredStore().catch((error) => {
+      console.log(`[DateCache] Could not create store, caching disabled: ${error.message}`);
+      return noopStore;
+    });
+  }
+  return activeStore;
+}
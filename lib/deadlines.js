@@ -0,0 +1,232 @@
+/**
+ * Compliance Deadlines
+ *
+ * The dates in a law's commentary that somebody has to act on, pulled out of
+ * the prose for the calendar view and the iCalendar (.ics) export:
+ *
+ *   {
+ *     id,                               // Law and date; stable across runs, used as the event UID
+ *     date, precision,                  // YYYY-MM-DD, YYYY-MM or YYYY; 'day' | 'month' | 'year'
+ *     lawId, law, jurisdiction, status,
+ *     effective: boolean,               // The law's effective date
+ *     descriptions: string[],           // What is due, one per distinct wording
+ *     sources: [{ firm, title, url }]   // The commentary that gives the date
+ *   }
+ *
+ * The model records each development's compliance deadlines alongside its
+ * effective date (see lib/developments.js). Every firm's deadlines for the
+ * same law on the same date become one entry, and a law's effective date is
+ * one more entry unless a deadline already falls on it.
+ *
+ * Calendars need a day, so month-only dates go on the 1st with a note in the
+ * title and year-only dates are left out of the .ics (the calendar view still
+ * lists them).
+ */
+
+import { attachLaws } from './developments.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PRODUCT_ID = '-//Regulatory Intelligence Monitor//Compliance Deadlines//EN';
+const UID_DOMAIN = 'regulatory-intelligence-monitor';
+// How often subscribed calendars should check for new deadlines
+const REFRESH_INTERVAL = 'PT12H';
+// RFC 5545 limit, in octets, before a line must be folded
+const MAX_LINE_OCTETS = 75;
+
+const EFFECTIVE_DESCRIPTION = 'Takes effect';
+
+// ============================================================================
+// COLLECTION
+// ============================================================================
+
+const PRECISIONS = { 4: 'year', 7: 'month', 10: 'day' };
+
+// 'day' | 'month' | 'year', or null for anything that isn't a real date
+function precisionOf(date) {
+  if (typeof date !== 'string' || !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(date)) return null;
+  const [year, month = 1, day = 1] = date.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  if (parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) return null;
+  return PRECISIONS[date.length];
+}
+
+/**
+ * Deadlines of a set of laws, soonest first
+ *
+ * @param {Array<{id: string, name: string, jurisdiction: string, status: string, effectiveDate: string|null, developments: Array}>} laws -
+ *   developments: each firm's commentary on the law, with firm, sourceTitle,
+ *   sourceUrl, effectiveDate and deadlines (see lib/developments.js)
+ * @returns {Array<Object>} - See top of file
+ */
+export function collectDeadlines(laws) {
+  const deadlines = new Map();
+
+  const add = (law, date, description, development, effective = false) => {
+    const precision = precisionOf(date);
+    if (!precision) return;
+    const id = `${law.id}:${date}`;
+    if (!deadlines.has(id)) {
+      deadlines.set(id, {
+        id,
+        date,
+        precision,
+        lawId: law.id,
+        law: law.name,
+        jurisdiction: law.jurisdiction,
+        status: law.status,
+        effective: false,
+        descriptions: [],
+        sources: []
+      });
+    }
+    const deadline = deadlines.get(id);
+    if (effective) deadline.effective = true;
+    if (!deadline.descriptions.some(d => d.toLowerCase() === description.toLowerCase())) {
+      deadline.descriptions.push(description);
+    }
+    if (!deadline.sources.some(s => s.firm === development.firm && s.url === development.sourceUrl)) {
+      deadline.sources.push({ firm: development.firm, title: development.sourceTitle, url: development.sourceUrl });
+    }
+  };
+
+  for (const law of laws) {
+    for (const d of law.developments) {
+      for (const { date, description } of d.deadlines || []) add(law, date, description, d);
+    }
+    if (law.effectiveDate) {
+      // Commentary from before per-firm effective dates were kept gives no date to match, so it all counts
+      const giving = law.developments.filter(d => d.effectiveDate === law.effectiveDate);
+      for (const d of giving.length > 0 ? giving : law.developments) {
+        add(law, law.effectiveDate, EFFECTIVE_DESCRIPTION, d, true);
+      }
+    }
+  }
+
+  return [...deadlines.values()].sort((a, b) => a.date.localeCompare(b.date) || a.law.localeCompare(b.law));
+}
+
+/**
+ * Deadlines of one structured report, by its `laws`
+ *
+ * @param {Object} report - Structured report with developments and laws (see lib/developments.js)
+ * @returns {Array<Object>}
+ */
+export function reportDeadlines(report) {
+  // Reports saved before clustering have no laws to group by
+  const { developments, laws } = report.laws && report.developments.every(d => d.lawId) ? report : attachLaws(report);
+  const byLaw = new Map();
+  for (const d of developments) {
+    if (!byLaw.has(d.lawId)) byLaw.set(d.lawId, []);
+    byLaw.get(d.lawId).push(d);
+  }
+  return collectDeadlines(laws.map(law => ({ ...law, developments: byLaw.get(law.id) || [] })));
+}
+
+// ============================================================================
+// ICALENDAR
+// ============================================================================
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Long lines continue on the next line after a space, split between characters
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    if (octets + size > MAX_LINE_OCTETS - (parts.length > 0 ? 1 : 0)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const compactDate = (date) => date.replace(/-/g, '');
+
+const nextDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+};
+
+const timestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+function eventSummary(deadline) {
+  const what = deadline.effective && deadline.descriptions.length === 1
+    ? `${deadline.law} takes effect`
+    : `${deadline.law}: ${deadline.descriptions.find(d => d !== EFFECTIVE_DESCRIPTION)}`;
+  const more = deadline.descriptions.length > 2 || (!deadline.effective && deadline.descriptions.length > 1)
+    ? ' (and more)'
+    : '';
+  const day = deadline.precision === 'month' ? ' (day not stated)' : '';
+  return `[${deadline.jurisdiction}] ${what}${more}${day}`;
+}
+
+function eventDescription(deadline) {
+  return [
+    `${deadline.law} (${deadline.jurisdiction}, ${deadline.status})`,
+    deadline.precision === 'month' ? `Due in ${deadline.date}; the commentary gives no day.` : null,
+    '',
+    ...deadline.descriptions.map(d => `- ${d}`),
+    ...(deadline.sources.length > 0 ? ['', 'Sources:', ...deadline.sources.map(s => `- ${s.firm}: ${s.title} ${s.url}`)] : [])
+  ].filter(line => line !== null).join('\n');
+}
+
+function eventLines(deadline, stamp) {
+  // Month-only dates sit on the 1st, see top of file
+  const start = deadline.precision === 'month' ? `${deadline.date}-01` : deadline.date;
+  return [
+    'BEGIN:VEVENT',
+    `UID:${deadline.id.replace(/[^\w:.-]+/g, '-')}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${compactDate(start)}`,
+    `DTEND;VALUE=DATE:${compactDate(nextDay(start))}`,
+    `SUMMARY:${escapeText(eventSummary(deadline))}`,
+    `DESCRIPTION:${escapeText(eventDescription(deadline))}`,
+    ...(deadline.sources[0] ? [`URL:${deadline.sources[0].url}`] : []),
+    `CATEGORIES:${escapeText(deadline.jurisdiction)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Deadlines as an iCalendar file: one all-day event each, linking the
+ * commentary that gives the date
+ *
+ * @param {Array<Object>} deadlines - From collectDeadlines()
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {Date} [options.now] - DTSTAMP of every event
+ * @returns {string} - CRLF line endings, as the format requires
+ */
+export function renderDeadlinesIcs(deadlines, { name = 'Compliance Deadlines', now = new Date() } = {}) {
+  const stamp = timestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...deadlines.filter(d => d.precision !== 'year').flatMap(d => eventLines(d, stamp)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
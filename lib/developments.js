@@ -0,0 +1,411 @@
+/**
+ * Legal Developments
+ *
+ * The report model answers with data, not prose: a typed list of the laws and
+ * regulations the firms discuss, returned through a forced tool call whose
+ * input_schema comes from reportSchema(). The answer is checked here and the
+ * markdown report is rendered from it, so every table row has the same fields
+ * and can be filtered, sorted and exported.
+ *
+ *   {
+ *     executiveSummary: string,
+ *     firmCommentary: [{ firm, summary }],
+ *     developments: [{
+ *       name, status: 'Enacted' | 'Proposed', effectiveDate, jurisdiction,
+ *       firm, sourceTitle, sourceUrl, impactedAreas: string[],   // PHARMA_AREAS entries
+ *       requirements, lifeSciencesImpact,
+ *       deadlines: [{ date, description }],    // Dated compliance deadlines, soonest first
+ *       lawId,                                 // Which of `laws` this is
+ *       unverified?                            // Citation issue found by lib/grounding.js
+ *       publishedDate?                         // Of the cited article, from its search result; null when unknown
+ *     }],
+ *     laws: [{ id, name, status, effectiveDate, jurisdiction, firms }],  // Same law across firms, see lib/lawClusters.js
+ *     deadlines?: [...],                     // Per law and date, added by lib/reportPipeline.js, see lib/deadlines.js
+ *     truncatedFirms?: string[],             // Left out by lib/reportPipeline.js: answer cut off at the output limit
+ *     previouslyReported?: [{ firm, url, name, sourceTitle, reportName, reportedOn }]  // Found again, cited in an earlier report
+ *   }
+ */
+
+import { clusterDevelopments } from './lawClusters.js';
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+export const DEVELOPMENT_STATUSES = ['Enacted', 'Proposed'];
+
+export const REPORT_TOOL_NAME = 'record_legal_developments';
+
+// Report sections: one per firm (A-Z), or one per law with its commenting firms
+export const REPORT_LAYOUTS = ['by_firm', 'by_law'];
+export const DEFAULT_REPORT_LAYOUT = 'by_firm';
+
+/**
+ * JSON schema for the report tool call
+ *
+ * @param {string[]} pharmaAreas - Allowed impactedAreas values
+ * @returns {Object}
+ */
+export function reportSchema(pharmaAreas) {
+  return {
+    type: 'object',
+    properties: {
+      executiveSummary: {
+        type: 'string',
+        description: '2-3 sentence overview of the key new or proposed laws across all firms'
+      },
+      firmCommentary: {
+        type: 'array',
+        description: 'One entry per firm that has relevant commentary in the search results',
+        items: {
+          type: 'object',
+          properties: {
+            firm: { type: 'string', description: 'Law firm name exactly as listed' },
+            summary: { type: 'string', description: "The firm's analysis and key insights about the laws it discusses" }
+          },
+          required: ['firm', 'summary']
+        }
+      },
+      developments: {
+        type: 'array',
+        description: 'Every law, regulation or proposal discussed, once per commenting firm',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Official name of the law or regulation' },
+            status: { type: 'string', enum: DEVELOPMENT_STATUSES },
+            effectiveDate: {
+              type: ['string', 'null'],
+              description: 'YYYY-MM-DD, YYYY-MM or YYYY when known, otherwise null'
+            },
+            jurisdiction: { type: 'string', description: 'Country, state or region, e.g. "EU", "California"' },
+            firm: { type: 'string', description: 'Commenting law firm, exactly as listed' },
+            sourceTitle: { type: 'string', description: 'Title of the commentary' },
+            sourceUrl: { type: 'string', description: 'Exact URL of the commentary from the search results' },
+            impactedAreas: {
+              type: 'array',
+              items: pharmaAreas.length > 0 ? { type: 'string', enum: pharmaAreas } : { type: 'string' },
+              description: 'Pharmaceutical company functions the law affects'
+            },
+            requirements: { type: 'string', description: 'What the law requires, compliance deadlines and key obligations' },
+            deadlines: {
+              type: 'array',
+              description: 'Each compliance deadline the commentary gives a date for; empty when it gives none',
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', description: 'YYYY-MM-DD, YYYY-MM or YYYY' },
+                  description: { type: 'string', description: 'What must be done by then, e.g. "Register high-risk AI systems"' }
+                },
+                required: ['date', 'description']
+              }
+            },
+            lifeSciencesImpact: { type: 'string', description: '2-3 sentences on how it affects life sciences companies' }
+          },
+          required: ['name', 'status', 'effectiveDate', 'jurisdiction', 'firm', 'sourceTitle', 'sourceUrl', 'impactedAreas', 'requirements', 'deadlines', 'lifeSciencesImpact']
+        }
+      }
+    },
+    required: ['executiveSummary', 'firmCommentary', 'developments']
+  };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// Effective dates and deadlines
+const LAW_DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * One development, normalized, or the reason it can't be used
+ */
+function checkDevelopment(item, { pharmaAreas, firmNames }) {
+  if (!item || typeof item !== 'object') return { error: 'not an object' };
+
+  const name = text(item.name);
+  if (!name) return { error: 'missing name' };
+
+  const status = DEVELOPMENT_STATUSES.find(s => s.toLowerCase() === text(item.status).toLowerCase());
+  if (!status) return { error: `${name}: status "${item.status}" is not ${DEVELOPMENT_STATUSES.join(' or ')}` };
+
+  const sourceUrl = text(item.sourceUrl);
+  if (!isHttpUrl(sourceUrl)) return { error: `${name}: sourceUrl "${item.sourceUrl}" is not a URL` };
+
+  // Match firm names case-insensitively, keeping the configured spelling
+  const firm = firmNames.find(f => f.toLowerCase() === text(item.firm).toLowerCase()) || text(item.firm);
+  if (!firm) return { error: `${name}: missing firm` };
+
+  const effectiveDate = LAW_DATE.test(text(item.effectiveDate)) ? text(item.effectiveDate) : null;
+  const deadlines = (Array.isArray(item.deadlines) ? item.deadlines : [])
+    .map(deadline => ({ date: text(deadline?.date), description: text(deadline?.description) }))
+    .filter(deadline => LAW_DATE.test(deadline.date) && deadline.description)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const impactedAreas = Array.isArray(item.impactedAreas)
+    ? [...new Set(item.impactedAreas.filter(area => pharmaAreas.includes(area)))]
+    : [];
+
+  return {
+    development: {
+      name,
+      status,
+      effectiveDate,
+      jurisdiction: text(item.jurisdiction) || 'Unspecified',
+      firm,
+      sourceTitle: text(item.sourceTitle) || name,
+      sourceUrl,
+      impactedAreas,
+      requirements: text(item.requirements),
+      deadlines,
+      lifeSciencesImpact: text(item.lifeSciencesImpact)
+    }
+  };
+}
+
+/**
+ * Check a model answer against the report schema
+ *
+ * Developments that can't be used (no name, unknown status, no source URL) are
+ * dropped and listed in `errors`; fixable fields are normalized: status casing,
+ * firm spelling, effective dates that aren't YYYY[-MM[-DD]] become null,
+ * deadlines without such a date or a description are dropped, and
+ * impactedAreas keeps only known PHARMA_AREAS entries. Developments that are
+ * the same law are grouped into `laws`.
+ *
+ * @param {any} data - Parsed tool input
+ * @param {Object} options
+ * @param {string[]} options.pharmaAreas
+ * @param {string[]} options.firmNames
+ * @returns {{report: Object|null, errors: string[]}} - report is null when the answer isn't a report at all
+ */
+export function validateStructuredReport(data, { pharmaAreas = [], firmNames = [] } = {}) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.developments)) {
+    return { report: null, errors: ['Answer has no developments array'] };
+  }
+
+  const errors = [];
+  const developments = [];
+  const seen = new Set();
+  for (const item of data.developments) {
+    const { development, error } = checkDevelopment(item, { pharmaAreas, firmNames });
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+    const key = `${development.firm}|${development.name}|${development.sourceUrl}`.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    developments.push(development);
+  }
+
+  const firmCommentary = (Array.isArray(data.firmCommentary) ? data.firmCommentary : [])
+    .map(c => ({
+      firm: firmNames.find(f => f.toLowerCase() === text(c?.firm).toLowerCase()) || text(c?.firm),
+      summary: text(c?.summary)
+    }))
+    .filter(c => c.firm && c.summary);
+
+  return {
+    report: attachLaws({
+      executiveSummary: text(data.executiveSummary),
+      firmCommentary,
+      developments: sortDevelopments(developments)
+    }),
+    errors
+  };
+}
+
+/**
+ * Group the report's developments into `laws` and tag each with its lawId
+ *
+ * @param {Object} report - With developments; existing laws are replaced
+ * @returns {Object} - New report
+ */
+export function attachLaws(report) {
+  const { laws, lawIds } = clusterDevelopments(report.developments);
+  return {
+    ...report,
+    developments: report.developments.map((d, i) => ({ ...d, lawId: lawIds[i] })),
+    laws
+  };
+}
+
+/**
+ * Firms A-Z, then enacted before proposed, then by name
+ *
+ * @param {Array} developments
+ * @returns {Array} - New sorted array
+ */
+export function sortDevelopments(developments) {
+  return [...developments].sort((a, b) =>
+    a.firm.localeCompare(b.firm) ||
+    DEVELOPMENT_STATUSES.indexOf(a.status) - DEVELOPMENT_STATUSES.indexOf(b.status) ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+// Table cells can't hold pipes or line breaks
+const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const lawLine = (d) => `(Status: ${d.status} | Effective: ${d.effectiveDate || 'TBD'} | Jurisdiction: ${d.jurisdiction})`;
+
+const impactsNote = (d) => (d.impactedAreas.length ? ` *(Impacts: ${d.impactedAreas.join(', ')})*` : '');
+
+// Same mark lib/grounding.js leaves on links it can't find in the search results
+const UNVERIFIED_NOTE = '⚠️ *unverified source*';
+
+const sourceLink = (d) => `[${d.sourceTitle}](${d.sourceUrl})${d.unverified ? ` ${UNVERIFIED_NOTE}` : ''}`;
+
+const sourceLinks = (items) => [...new Map(items.map(d => [d.sourceUrl, d])).values()].map(sourceLink);
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// One section per firm (A-Z), the layout the app has always shown
+function firmSections(report) {
+  const byFirm = groupBy(report.developments, d => d.firm);
+  const commentaryByFirm = new Map(report.firmCommentary.map(c => [c.firm, c.summary]));
+  const firms = [...byFirm.keys()].sort((a, b) => a.localeCompare(b));
+
+  return firms.map((firm) => {
+    const items = byFirm.get(firm);
+    const requirements = items
+      .filter(d => d.requirements)
+      .map(d => `- **${d.name}:** ${d.requirements}${impactsNote(d)}`);
+    const impact = items
+      .filter(d => d.lifeSciencesImpact)
+      .map(d => `- **${d.name}:** ${d.lifeSciencesImpact}`);
+
+    return [
+      `## ${firm}`,
+      '### Laws & Regulations Covered:',
+      items.map(d => `- **${d.name}** ${lawLine(d)}`).join('\n'),
+      '### Commentary Summary:',
+      [commentaryByFirm.get(firm), requirements.join('\n')].filter(Boolean).join('\n\n'),
+      '### Life Sciences Impact:',
+      impact.join('\n') || '_No specific impact described._',
+      `**Source:** ${sourceLinks(items).join(' · ')}`
+    ].join('\n\n');
+  });
+}
+
+// One section per law, most-discussed first, with what each firm says about it
+function lawSections(report) {
+  const byLaw = groupBy(report.developments, d => d.lawId);
+
+  const sections = report.laws.map((law) => {
+    const items = byLaw.get(law.id) || [];
+    const firms = [...groupBy(items, d => d.firm).entries()]
+      .map(([firm, firmItems]) => `- **${firm}** — ${sourceLinks(firmItems).join(' · ')}`);
+    const requirements = items
+      .filter(d => d.requirements)
+      .map(d => `- **${d.firm}:** ${d.requirements}${impactsNote(d)}`);
+    const impact = items
+      .filter(d => d.lifeSciencesImpact)
+      .map(d => `- **${d.firm}:** ${d.lifeSciencesImpact}`);
+
+    return [
+      `## ${law.name}`,
+      lawLine(law),
+      `### Commenting Firms (${law.firms.length}):`,
+      firms.join('\n'),
+      '### What It Requires:',
+      requirements.join('\n') || '_Not described._',
+      '### Life Sciences Impact:',
+      impact.join('\n') || '_No specific impact described._'
+    ].join('\n\n');
+  });
+
+  const commentary = [...report.firmCommentary]
+    .sort((a, b) => a.firm.localeCompare(b.firm))
+    .map(c => `- **${c.firm}:** ${c.summary}`);
+  if (commentary.length > 0) sections.push(['## Firm Commentary', commentary.join('\n')].join('\n\n'));
+  return sections;
+}
+
+function summaryTable(report, layout) {
+  if (report.developments.length === 0) return '_No laws identified._';
+
+  if (layout === 'by_law') {
+    const byLaw = groupBy(report.developments, d => d.lawId);
+    return [
+      '| Law/Regulation | Status | Effective Date | Jurisdiction | Commenting Firms | Sources |',
+      '|----------------|--------|----------------|--------------|------------------|---------|',
+      ...report.laws.map(law =>
+        `| ${cell(law.name)} | ${law.status} | ${law.effectiveDate || 'TBD'} | ${cell(law.jurisdiction)} | ${cell(law.firms.join(', '))} | ${sourceLinks(byLaw.get(law.id) || []).map(cell).join(' ')} |`
+      )
+    ].join('\n');
+  }
+
+  return [
+    '| Law/Regulation | Status | Effective Date | Jurisdiction | Commenting Firm | Source Link |',
+    '|----------------|--------|----------------|--------------|-----------------|-------------|',
+    ...report.developments.map(d =>
+      `| ${cell(d.name)} | ${d.status} | ${d.effectiveDate || 'TBD'} | ${cell(d.jurisdiction)} | ${cell(d.firm)} | ${cell(sourceLink(d))} |`
+    )
+  ].join('\n');
+}
+
+const truncationNote = (firms) =>
+  `> ⚠️ Not included: the commentary from ${firms.join(', ')} was too long for the model to write up in one answer.`;
+
+// Appendix of results left out because an earlier report already cites them
+function previouslyReportedAppendix(items) {
+  if (items.length === 0) return '_Nothing from earlier reports came up again._';
+  return [
+    'Found again by this run but already covered in an earlier report, so not repeated above.',
+    [
+      '| Law/Regulation | Commenting Firm | Source Link | Reported In |',
+      '|----------------|-----------------|-------------|-------------|',
+      ...items.map(r =>
+        `| ${cell(r.name || '—')} | ${cell(r.firm)} | ${cell(`[${r.sourceTitle || r.url}](${r.url})`)} | ${cell(`${r.reportName || 'Earlier report'}${r.reportedOn ? ` (${r.reportedOn})` : ''}`)} |`
+      )
+    ].join('\n')
+  ].join('\n\n');
+}
+
+/**
+ * The report as markdown: executive summary, one section per firm or per law,
+ * then the summary table and, when the report has one, the previously
+ * reported appendix
+ *
+ * @param {Object} report - From validateStructuredReport()
+ * @param {Object} [options]
+ * @param {string} [options.layout='by_firm'] - One of REPORT_LAYOUTS
+ * @returns {string}
+ */
+export function renderReportMarkdown(report, { layout = DEFAULT_REPORT_LAYOUT } = {}) {
+  const sections = layout === 'by_law' ? lawSections(report) : firmSections(report);
+
+  return [
+    '## Executive Summary',
+    report.executiveSummary || 'No new or proposed laws were identified in the search results.',
+    ...(report.truncatedFirms?.length ? [truncationNote(report.truncatedFirms)] : []),
+    '---',
+    ...sections.flatMap(section => [section, '---']),
+    '## Summary Table',
+    summaryTable(report, layout),
+    ...(report.previouslyReported ? ['## Appendix: Previously Reported', previouslyReportedAppendix(report.previouslyReported)] : [])
+  ].join('\n\n') + '\n';
+}
@@ -0,0 +1,170 @@
+/**
+ * Monitoring Digest
+ *
+ * What a scheduled run sends out (see lib/monitoring.js and
+ * lib/notifiers.js): a subject, a plain-text body and an HTML document with
+ * the executive summary, one table row per development and each firm's
+ * commentary, plus the previously reported appendix when the run has one. The
+ * HTML is also saved as the report's Word document.
+ *
+ *   { subject, text, html, summary: { status, startDate, endDate, developments, laws, firms, previouslyReported, error } }
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function usageLine(usage) {
+  if (!usage) return '';
+  const tokens = `${usage.inputTokens.toLocaleString('en-US')} in / ${usage.outputTokens.toLocaleString('en-US')} out tokens`;
+  const searches = usage.searches.reduce((sum, s) => sum + s.calls, 0);
+  return `${tokens} · ${plural(searches, 'search call')} · est. $${usage.estimatedCost.toFixed(2)}`;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function developmentsTableHtml(developments) {
+  if (developments.length === 0) return '<p><em>No new or proposed laws were identified.</em></p>';
+  const rows = developments.map(d => `
+      <tr>
+        <td>${escapeHtml(d.name)}</td>
+        <td>${escapeHtml(d.status)}</td>
+        <td>${escapeHtml(d.effectiveDate || 'TBD')}</td>
+        <td>${escapeHtml(d.jurisdiction)}</td>
+        <td>${escapeHtml(d.firm)}</td>
+        <td><a href="${escapeHtml(d.sourceUrl)}">${escapeHtml(d.sourceTitle || 'Source')}</a>${d.unverified ? ' ⚠️ <em>unverified source</em>' : ''}</td>
+      </tr>`).join('');
+  return `
+    <table>
+      <tr><th>Law/Regulation</th><th>Status</th><th>Effective Date</th><th>Jurisdiction</th><th>Firm</th><th>Source</th></tr>${rows}
+    </table>`;
+}
+
+function previouslyReportedHtml(items) {
+  if (items.length === 0) return '<p><em>Nothing from earlier reports came up again.</em></p>';
+  const rows = items.map(r => `
+      <li>${escapeHtml(r.name || 'Untitled')} — ${escapeHtml(r.firm)}: <a href="${escapeHtml(r.url)}">${escapeHtml(r.sourceTitle || r.url)}</a>
+        <span class="meta">(${escapeHtml(r.reportName || 'earlier report')}${r.reportedOn ? `, ${escapeHtml(r.reportedOn)}` : ''})</span></li>`).join('');
+  return `<ul>${rows}
+    </ul>`;
+}
+
+function digestHtml({ title, period, structured, markdown, usage, error }) {
+  let body;
+  if (error) {
+    body = `<p><strong>The report could not be generated:</strong> ${escapeHtml(error)}</p>`;
+  } else if (structured) {
+    const commentary = [...structured.firmCommentary]
+      .sort((a, b) => a.firm.localeCompare(b.firm))
+      .map(c => `<li><strong>${escapeHtml(c.firm)}:</strong> ${escapeHtml(c.summary)}</li>`)
+      .join('');
+    body = `
+    <h2>Executive Summary</h2>
+    <p>${escapeHtml(structured.executiveSummary || 'No new or proposed laws were identified in the search results.')}</p>
+    ${structured.truncatedFirms?.length ? `<p>⚠️ Not included (answer cut off): ${escapeHtml(structured.truncatedFirms.join(', '))}</p>` : ''}
+    <h2>Developments</h2>
+    ${developmentsTableHtml(structured.developments)}
+    ${commentary ? `<h2>Firm Commentary</h2><ul>${commentary}</ul>` : ''}
+    ${structured.previouslyReported ? `<h2>Previously Reported</h2>${previouslyReportedHtml(structured.previouslyReported)}` : ''}`;
+  } else {
+    body = `<pre>${escapeHtml(markdown)}</pre>`;
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: 'Calibri', 'Arial', sans-serif; font-size: 11pt; line-height: 1.5; color: #333; max-width: 900px; }
+    h1 { color: #2e1065; font-size: 18pt; border-bottom: 2px solid #2e1065; padding-bottom: 8px; }
+    h2 { color: #4c1d95; font-size: 14pt; margin-top: 20px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; font-size: 10pt; }
+    th { background-color: #f3f4f6; }
+    a { color: #2563eb; }
+    .meta { color: #666; font-size: 10pt; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">${escapeHtml(period)}${usage ? `<br/>${escapeHtml(usageLine(usage))}` : ''}</p>
+  ${body}
+</body>
+</html>`;
+}
+
+function digestText({ title, period, structured, markdown, usage, error }) {
+  const lines = [title, period];
+  if (usage) lines.push(usageLine(usage));
+  lines.push('');
+
+  if (error) {
+    lines.push(`The report could not be generated: ${error}`);
+  } else if (structured) {
+    lines.push(structured.executiveSummary || 'No new or proposed laws were identified in the search results.', '');
+    for (const d of structured.developments) {
+      lines.push(`- ${d.name} (${d.status}${d.effectiveDate ? `, effective ${d.effectiveDate}` : ''}, ${d.jurisdiction}) — ${d.firm}`);
+      lines.push(`  ${d.sourceUrl}${d.unverified ? ' [unverified source]' : ''}`);
+    }
+    if (structured.previouslyReported?.length) {
+      lines.push('', `Previously reported (${structured.previouslyReported.length}), found again but not repeated:`);
+      for (const r of structured.previouslyReported) {
+        lines.push(`- ${r.name || 'Untitled'} — ${r.firm}${r.reportedOn ? ` (reported ${r.reportedOn})` : ''}`, `  ${r.url}`);
+      }
+    }
+  } else {
+    lines.push(markdown);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * The digest for one monitoring run
+ *
+ * @param {Object} params
+ * @param {{id: string, name: string}} params.profile
+ * @param {Object} params.request - The run's report request
+ * @param {Object} [params.result] - The job's result; omit when the run failed
+ * @param {string} [params.error] - Why the run failed
+ * @returns {{subject: string, text: string, html: string, summary: Object}}
+ */
+export function renderDigest({ profile, request, result, error }) {
+  const structured = result?.structured || null;
+  const developments = structured?.developments.length ?? 0;
+  const laws = structured?.laws?.length ?? 0;
+  const firmsCommenting = new Set(structured?.developments.map(d => d.firm) || []).size;
+
+  const title = `${profile.name}: ${request.topics.map(t => t.label).join(', ')}`;
+  const period = `${request.startDate} to ${request.endDate} · ${plural(request.firms.length, 'firm')} monitored`;
+  const subject = error
+    ? `[Monitoring] ${profile.name} failed (${request.startDate} to ${request.endDate})`
+    : `[Monitoring] ${profile.name}: ${plural(laws || developments, 'law')} from ${plural(firmsCommenting, 'firm')} (${request.startDate} to ${request.endDate})`;
+
+  const content = { title, period, structured, markdown: result?.markdownContent || '', usage: result?.usage || null, error };
+  return {
+    subject,
+    text: digestText(content),
+    html: digestHtml(content),
+    summary: {
+      status: error ? 'failed' : 'completed',
+      startDate: request.startDate,
+      endDate: request.endDate,
+      developments,
+      laws,
+      firms: firmsCommenting,
+      previouslyReported: structured?.previouslyReported?.length ?? 0,
+      error: error || null
+    }
+  };
+}
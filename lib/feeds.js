@@ -0,0 +1,260 @@
+/**
+ * RSS / Atom Feeds
+ *
+ * Many firm blogs (insideprivacy.com, datamatters.sidley.com, ...) publish a
+ * feed with exact publication dates. This module finds a site's feed, parses
+ * it, and returns items shaped like search results so they go through the
+ * same pipeline as Serper/Tavily — already dated, so nothing is scraped.
+ *
+ * Discovery order: <link rel="alternate"> on the site's home page, then the
+ * usual WordPress / static-site feed paths. Results are remembered per site.
+ */
+
+import { DATE_SOURCES, DATE_CONFIDENCE } from '../date-filter-module.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; LegalResearchBot/1.0)';
+const FEED_FETCH_TIMEOUT_MS = 8000;
+const DISCOVERY_TTL_MS = 24 * 60 * 60 * 1000;   // Re-discover daily; feeds rarely move
+const MAX_CONTENT_CHARS = 500;
+
+const COMMON_FEED_PATHS = ['/feed/', '/rss', '/feed.xml', '/rss.xml', '/atom.xml', '/index.xml'];
+
+// Words in the client's topic queries that every legal blog post would match
+const QUERY_STOPWORDS = new Set([
+  'and', 'or', 'the', 'for', 'law', 'laws', 'regulation', 'regulations', 'regulatory',
+  'compliance', 'data', 'information'
+]);
+
+// siteUrl → { feedUrl: string|null, checkedAt: number }
+const discoveredFeeds = new Map();
+
+// ============================================================================
+// FETCHING
+// ============================================================================
+
+async function fetchText(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FEED_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, text/html;q=0.8' },
+      signal: controller.signal
+    });
+    if (!response.ok) return null;
+    return { text: await response.text(), contentType: response.headers.get('content-type') || '', url: response.url || url };
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function looksLikeFeed(text) {
+  return /<(?:rss|feed|rdf:RDF)[\s>]/i.test(text.substring(0, 2000));
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Text content of the first <tag> in an XML fragment, CDATA unwrapped and entities decoded
+ */
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  if (!match) return '';
+  const raw = match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  return decodeEntities(raw).trim();
+}
+
+function stripHtml(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function toDay(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const year = date.getUTCFullYear();
+  if (year < 2000 || year > 2100) return null;
+  return date.toISOString().split('T')[0];
+}
+
+function atomLink(entry) {
+  const links = [...entry.matchAll(/<link\b([^>]*)\/?>/gi)].map(m => m[1]);
+  const alternate = links.find(attrs => !/rel=["']/i.test(attrs) || /rel=["']alternate["']/i.test(attrs));
+  return (alternate || links[0] || '').match(/href=["']([^"']+)["']/i)?.[1] || '';
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document into result-shaped items
+ *
+ * @param {string} xml - Feed document
+ * @param {string} [baseUrl] - Resolves relative item links
+ * @returns {Array<{title: string, url: string, content: string, published_date: string|null, modified_date: string|null}>}
+ */
+export function parseFeed(xml, baseUrl) {
+  const isAtom = /<feed[\s>]/i.test(xml.substring(0, 2000));
+  const blocks = xml.match(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi) || [];
+
+  const items = [];
+  for (const block of blocks) {
+    const link = isAtom ? atomLink(block) : (tagText(block, 'link') || tagText(block, 'guid'));
+    let url;
+    try {
+      url = new URL(decodeEntities(link), baseUrl).href;
+    } catch {
+      continue;
+    }
+
+    const published = isAtom
+      ? toDay(tagText(block, 'published')) || toDay(tagText(block, 'updated'))
+      : toDay(tagText(block, 'pubDate')) || toDay(tagText(block, 'dc:date'));
+    const modified = isAtom ? toDay(tagText(block, 'updated')) : toDay(tagText(block, 'atom:updated'));
+    const body = isAtom
+      ? tagText(block, 'summary') || tagText(block, 'content')
+      : tagText(block, 'description') || tagText(block, 'content:encoded');
+
+    items.push({
+      title: stripHtml(tagText(block, 'title')),
+      url,
+      content: stripHtml(body).substring(0, MAX_CONTENT_CHARS),
+      published_date: published,
+      modified_date: modified && modified !== published ? modified : null
+    });
+  }
+  return items;
+}
+
+// ============================================================================
+// DISCOVERY
+// ============================================================================
+
+/**
+ * Feed URLs advertised by an HTML page's <link rel="alternate"> tags
+ */
+function advertisedFeeds(html, pageUrl) {
+  const feeds = [];
+  for (const match of html.matchAll(/<link\b[^>]*>/gi)) {
+    const tag = match[0];
+    if (!/rel=["'][^"']*alternate/i.test(tag)) continue;
+    if (!/type=["']application\/(?:rss|atom)\+xml["']/i.test(tag)) continue;
+    const href = tag.match(/href=["']([^"']+)["']/i)?.[1];
+    // Skip per-post comment feeds
+    if (!href || /comments/i.test(href)) continue;
+    try {
+      feeds.push(new URL(decodeEntities(href), pageUrl).href);
+    } catch {
+      // Malformed href, ignore
+    }
+  }
+  return feeds;
+}
+
+/**
+ * Find the main RSS/Atom feed for a site
+ *
+ * @param {string} siteUrl - Firm or blog URL, e.g. https://www.insideprivacy.com
+ * @returns {Promise<string|null>} - Feed URL, or null if the site has none
+ */
+export async function discoverFeed(siteUrl) {
+  const cached = discoveredFeeds.get(siteUrl);
+  if (cached && Date.now() - cached.checkedAt < DISCOVERY_TTL_MS) return cached.feedUrl;
+
+  let feedUrl = null;
+  const home = await fetchText(siteUrl);
+  if (home && looksLikeFeed(home.text)) {
+    feedUrl = home.url;
+  } else {
+    const candidates = [
+      ...(home ? advertisedFeeds(home.text, home.url) : []),
+      ...COMMON_FEED_PATHS.map(path => new URL(path, siteUrl).href)
+    ];
+    for (const candidate of new Set(candidates)) {
+      const response = await fetchText(candidate);
+      if (response && looksLikeFeed(response.text)) {
+        feedUrl = candidate;
+        break;
+      }
+    }
+  }
+
+  console.log(`[Feeds] ${siteUrl}: ${feedUrl ? `feed at ${feedUrl}` : 'no feed found'}`);
+  discoveredFeeds.set(siteUrl, { feedUrl, checkedAt: Date.now() });
+  return feedUrl;
+}
+
+// ============================================================================
+// SEARCH OVER FEEDS
+// ============================================================================
+
+function queryTerms(query) {
+  return [...new Set(
+    (query || '')
+      .toLowerCase()
+      .split(/[^a-z0-9à-ÿ-]+/)
+      .filter(word => word.length >= 3 && !QUERY_STOPWORDS.has(word) && !/^(?:19|20)\d{2}$/.test(word))
+  )];
+}
+
+function matchesQuery(item, terms) {
+  if (terms.length === 0) return true;
+  const text = `${item.title} ${item.content}`.toLowerCase();
+  return terms.some(term => text.includes(term));
+}
+
+/**
+ * Pull the feeds of the given sites and return items relevant to a query
+ *
+ * `coversFrom` is the oldest date present in every feed that was found. When it
+ * is on or before the start of the requested range, the feeds hold everything
+ * those sites published in the range and a web search adds nothing.
+ *
+ * @param {Object} params
+ * @param {string} params.query - Topic query; items must mention one of its terms
+ * @param {string[]} params.siteUrls - Firm/blog URLs to read feeds from
+ * @returns {Promise<{results: Array, feedsFound: number, coversFrom: string|null}>}
+ */
+export async function searchFeeds({ query, siteUrls }) {
+  const terms = queryTerms(query);
+  const results = [];
+  let feedsFound = 0;
+  let coversFrom = null;
+
+  for (const siteUrl of siteUrls) {
+    const feedUrl = await discoverFeed(siteUrl);
+    if (!feedUrl) continue;
+    const feed = await fetchText(feedUrl);
+    if (!feed) continue;
+
+    const items = parseFeed(feed.text, feedUrl).filter(item => item.published_date);
+    if (items.length === 0) continue;
+    feedsFound++;
+
+    const oldest = items.reduce((min, item) => (item.published_date < min ? item.published_date : min), items[0].published_date);
+    coversFrom = coversFrom && coversFrom > oldest ? coversFrom : oldest;
+
+    for (const item of items) {
+      if (!matchesQuery(item, terms)) continue;
+      results.push({ ...item, date_source: DATE_SOURCES.FEED, date_confidence: DATE_CONFIDENCE.FEED });
+    }
+  }
+
+  return { results, feedsFound, coversFrom: feedsFound === siteUrls.length ? coversFrom : null };
+}
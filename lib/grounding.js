@@ -0,0 +1,170 @@
+/**
+ * Source Grounding
+ *
+ * The prompt asks for the exact URLs from the search results; this checks it.
+ * After generation, every cited source is looked up in the results the report
+ * was built from:
+ *
+ *   unknown_url          - the URL is not in any firm's results (hallucinated or altered)
+ *   firm_without_results - the cited firm had no search results at all
+ *   other_firms_url      - the URL is real but came from a different firm's results
+ *
+ * Depending on the citation policy, flagged citations are either kept and
+ * marked as unverified ('annotate') or removed ('strip') before the report is
+ * shown or saved.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const CITATION_POLICIES = ['annotate', 'strip'];
+export const DEFAULT_CITATION_POLICY = 'annotate';
+
+// Keep in step with the mark lib/developments.js renders for flagged developments
+const UNVERIFIED_NOTE = '⚠️ *unverified source*';
+
+// Query parameters that never change which page a URL points to
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|mc_cid|mc_eid|ref|src)$/i;
+
+const MARKDOWN_LINK = /\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)/g;
+const BARE_URL = /(?<![(\[<"'])\bhttps?:\/\/[^\s)\]>"']+/g;
+
+// ============================================================================
+// SOURCE INDEX
+// ============================================================================
+
+/**
+ * A URL reduced to what identifies the page: no scheme, www, fragment,
+ * tracking parameters or trailing slash
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeSourceUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+    const path = decodeURI(parsed.pathname).replace(/\/+$/, '');
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${path}${query}`;
+  } catch {
+    return (url || '').trim().toLowerCase();
+  }
+}
+
+/**
+ * Which firms' search results each URL appeared in
+ *
+ * @param {Record<string, Array<{results: Array}>>} resultsByFirm - From searchAllFirms()
+ * @returns {{urls: Map<string, Set<string>>, firms: Set<string>}} - Normalized URL → firm names, and every firm that had results
+ */
+export function buildSourceIndex(resultsByFirm) {
+  const urls = new Map();
+  const firms = new Set();
+  for (const [firm, topicResults] of Object.entries(resultsByFirm)) {
+    for (const { results } of topicResults) {
+      for (const r of results) {
+        firms.add(firm);
+        const key = normalizeSourceUrl(r.url);
+        if (!urls.has(key)) urls.set(key, new Set());
+        urls.get(key).add(firm);
+      }
+    }
+  }
+  return { urls, firms };
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * What is wrong with citing `url` for `firm`, or null when it is grounded
+ *
+ * @param {{urls: Map, firms: Set}} index - From buildSourceIndex()
+ * @param {string} url
+ * @param {string} [firm] - Omit for links not attributed to a firm
+ * @returns {string|null} - An issue type (see top of file)
+ */
+export function citationIssue(index, url, firm) {
+  const sourceFirms = index.urls.get(normalizeSourceUrl(url));
+  if (firm && !index.firms.has(firm)) return 'firm_without_results';
+  if (!sourceFirms) return 'unknown_url';
+  if (firm && !sourceFirms.has(firm)) return 'other_firms_url';
+  return null;
+}
+
+/**
+ * Check every development's source and firm against the search results
+ *
+ * With 'strip', flagged developments are removed, along with commentary for
+ * firms that had no results, and the law groups are rebuilt from what is left
+ * by the caller. With 'annotate', flagged developments stay and carry
+ * `unverified: <issue>`.
+ *
+ * @param {Object} report - From validateStructuredReport()
+ * @param {{urls: Map, firms: Set}} index - From buildSourceIndex()
+ * @param {string} [policy='annotate'] - One of CITATION_POLICIES
+ * @returns {{report: Object, issues: Array<{type: string, firm: string, name: string, url: string}>}}
+ */
+export function verifyDevelopments(report, index, policy = DEFAULT_CITATION_POLICY) {
+  const issues = [];
+  const developments = [];
+
+  for (const d of report.developments) {
+    const type = citationIssue(index, d.sourceUrl, d.firm);
+    if (!type) {
+      developments.push(d);
+      continue;
+    }
+    issues.push({ type, firm: d.firm, name: d.name, url: d.sourceUrl });
+    if (policy !== 'strip') developments.push({ ...d, unverified: type });
+  }
+
+  const firmCommentary = policy === 'strip'
+    ? report.firmCommentary.filter(c => index.firms.has(c.firm))
+    : report.firmCommentary;
+
+  return { report: { ...report, developments, firmCommentary }, issues };
+}
+
+/**
+ * Check every link in rendered markdown, including bare URLs
+ *
+ * Catches links the model wrote into free text (executive summary, firm
+ * commentary), which the developments check doesn't see.
+ *
+ * @param {string} markdown
+ * @param {{urls: Map, firms: Set}} index - From buildSourceIndex()
+ * @param {string} [policy='annotate'] - One of CITATION_POLICIES
+ * @returns {{markdown: string, checked: number, flagged: string[]}} - flagged: the URLs not in the search results
+ */
+export function verifyMarkdownLinks(markdown, index, policy = DEFAULT_CITATION_POLICY) {
+  let checked = 0;
+  const flagged = new Set();
+
+  const grounded = (url) => {
+    checked++;
+    if (index.urls.has(normalizeSourceUrl(url))) return true;
+    flagged.add(url);
+    return false;
+  };
+
+  let result = markdown.replace(MARKDOWN_LINK, (link, text, url, offset, whole) => {
+    if (grounded(url)) return link;
+    if (policy === 'strip') return `${text} (source removed)`;
+    // Developments flagged earlier are already marked by the renderer
+    const marked = whole.startsWith(` ${UNVERIFIED_NOTE}`, offset + link.length);
+    return marked ? link : `${link} ${UNVERIFIED_NOTE}`;
+  });
+
+  result = result.replace(BARE_URL, (url) => {
+    if (grounded(url)) return url;
+    return policy === 'strip' ? '(source removed)' : `${url} ${UNVERIFIED_NOTE}`;
+  });
+
+  return { markdown: result, checked, flagged: [...flagged] };
+}
@@ -0,0 +1,391 @@
+/**
+ * Law Clusters
+ *
+ * Ten firms writing about the EU AI Act should read as one law with ten
+ * commenting firms, not ten sections. This module decides which texts are
+ * about the same legal instrument:
+ *
+ *   1. Citations and well-known names map to one key — "Regulation (EU)
+ *      2024/1689", "EU AI Act" and "Artificial Intelligence Act" are all
+ *      `eu-ai-act`; "SB 1047" in a California article is `bill:ca-sb-1047`
+ *   2. Other "... Act" names are compared with the year, "the" and
+ *      punctuation stripped; the name runs from its state, if any, through
+ *      connectors such as "and", so "Texas Data Privacy and Security Act"
+ *      and "Connecticut AI Act" keep keys of their own
+ *   3. Texts naming no instrument fall back to title word overlap
+ *
+ * clusterSearchResults() groups search results before generation, so the
+ * prompt can tell the model which commentaries discuss the same law.
+ * clusterDevelopments() groups the generated developments into `laws` for the
+ * by-law report layout; lawKey() is how the regulation tracker
+ * (lib/regulations.js) recognises a law across reports.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Title word overlap (Jaccard) for results that name no instrument
+const TITLE_SIMILARITY_THRESHOLD = 0.6;
+// Development names in the same jurisdiction
+const NAME_SIMILARITY_THRESHOLD = 0.7;
+// An instrument named in the title outweighs this many mentions in the body
+const TITLE_MENTION_WEIGHT = 3;
+// How much of an article to scan for instrument names
+const MAX_SCAN_CHARS = 4000;
+
+/**
+ * Well-known instruments: key → display name and the names firms use for it.
+ * Aliases are matched as whole words, case-insensitively. Generic aliases
+ * also end other jurisdictions' law names ("Connecticut AI Act"), so they
+ * only count when no other word of a name comes right before them.
+ */
+const KNOWN_INSTRUMENTS = {
+  'eu-ai-act': { label: 'EU AI Act', aliases: ['eu ai act', 'regulation (eu) 2024/1689'], generic: ['ai act', 'artificial intelligence act'] },
+  'gdpr': { label: 'GDPR', aliases: ['gdpr', 'general data protection regulation', 'regulation (eu) 2016/679'] },
+  'uk-gdpr': { label: 'UK GDPR', aliases: ['uk gdpr'] },
+  'eu-data-act': { label: 'EU Data Act', aliases: ['eu data act', 'regulation (eu) 2023/2854'], generic: ['data act'] },
+  'ehds': { label: 'European Health Data Space Regulation', aliases: ['ehds', 'european health data space'] },
+  'nis2': { label: 'NIS2 Directive', aliases: ['nis2', 'nis 2', 'directive (eu) 2022/2555'] },
+  'dora': { label: 'Digital Operational Resilience Act (DORA)', aliases: ['dora', 'digital operational resilience act'] },
+  'cra': { label: 'Cyber Resilience Act', aliases: ['cyber resilience act', 'regulation (eu) 2024/2847'] },
+  'dsa': { label: 'Digital Services Act', aliases: ['digital services act'] },
+  'dma': { label: 'Digital Markets Act', aliases: ['digital markets act'] },
+  'eprivacy': { label: 'ePrivacy Directive', aliases: ['eprivacy directive', 'eprivacy regulation', 'e-privacy directive'] },
+  'hipaa': { label: 'HIPAA', aliases: ['hipaa', 'health insurance portability and accountability act', 'hipaa privacy rule', 'hipaa security rule'] },
+  'ccpa': { label: 'California Consumer Privacy Act (CCPA/CPRA)', aliases: ['ccpa', 'cpra', 'california consumer privacy act', 'california privacy rights act'] },
+  'mhmda': { label: 'Washington My Health My Data Act', aliases: ['my health my data act', 'mhmda'] },
+  'colorado-ai-act': { label: 'Colorado AI Act', aliases: ['colorado ai act', 'colorado artificial intelligence act', 'sb 24-205'] },
+  'ftc-hbnr': { label: 'FTC Health Breach Notification Rule', aliases: ['health breach notification rule', 'hbnr'] },
+  'coppa': { label: 'COPPA', aliases: ['coppa', "children's online privacy protection act"] },
+  'circia': { label: 'CIRCIA', aliases: ['circia', 'cyber incident reporting for critical infrastructure act'] },
+  'pipl': { label: 'China Personal Information Protection Law (PIPL)', aliases: ['pipl', 'china personal information protection law'], generic: ['personal information protection law'] },
+  'lgpd': { label: 'Brazil LGPD', aliases: ['lgpd', 'lei geral de proteção de dados', 'lei geral de protecao de dados'] },
+  'dpdpa': { label: 'India Digital Personal Data Protection Act', aliases: ['dpdp act', 'dpdpa', 'digital personal data protection act'] },
+};
+
+const US_STATES = {
+  alabama: 'al', alaska: 'ak', arizona: 'az', arkansas: 'ar', california: 'ca', colorado: 'co', connecticut: 'ct',
+  delaware: 'de', florida: 'fl', georgia: 'ga', hawaii: 'hi', idaho: 'id', illinois: 'il', indiana: 'in', iowa: 'ia',
+  kansas: 'ks', kentucky: 'ky', louisiana: 'la', maine: 'me', maryland: 'md', massachusetts: 'ma', michigan: 'mi',
+  minnesota: 'mn', mississippi: 'ms', missouri: 'mo', montana: 'mt', nebraska: 'ne', nevada: 'nv', 'new hampshire': 'nh',
+  'new jersey': 'nj', 'new mexico': 'nm', 'new york': 'ny', 'north carolina': 'nc', 'north dakota': 'nd', ohio: 'oh',
+  oklahoma: 'ok', oregon: 'or', pennsylvania: 'pa', 'rhode island': 'ri', 'south carolina': 'sc', 'south dakota': 'sd',
+  tennessee: 'tn', texas: 'tx', utah: 'ut', vermont: 'vt', virginia: 'va', washington: 'wa', 'west virginia': 'wv',
+  wisconsin: 'wi', wyoming: 'wy'
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'on', 'in', 'for', 'to', 'with', 'by', 'at', 'from', 'new', 'what', 'how', 'why',
+  'key', 'update', 'updates', 'alert', 'client', 'insight', 'insights', 'law', 'laws', 'rule', 'rules'
+]);
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest aliases first so "eu ai act" wins over "ai act" at the same position
+const ALIAS_PATTERNS = Object.entries(KNOWN_INSTRUMENTS)
+  .flatMap(([key, { aliases, generic = [] }]) => [
+    ...aliases.map(alias => ({ key, alias, generic: false })),
+    ...generic.map(alias => ({ key, alias, generic: true }))
+  ])
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ key, alias, generic }) => ({ key, generic, pattern: new RegExp(`(?<![\\w/])${escapeRegExp(alias)}(?![\\w/])`, 'gi') }));
+
+const EU_CITATION = /\b(regulation|directive)\s*\((?:eu|ec|eec)\)\s*(?:no\.?\s*)?(\d{2,4}\/\d{1,4})/gi;
+const US_BILL = /\b(s\.?\s?b\.?|h\.?\s?b\.?|a\.?\s?b\.?|h\.?\s?r\.?|l\.?\s?d\.?)\s?(\d{1,5})\b/gi;
+// Capitalized words, with the connectors names use in between ("Data Privacy and Security Act")
+const NAMED_ACT = /\b([A-Z][\w'’&-]*\s+(?:(?:[A-Z][\w'’&-]*|and|of|for|on|the|&)\s+){0,9}Act)(?:\s+of\s+(\d{4}))?\b/g;
+// Words that start a sentence or refer back, not part of an act's name ("This Act", "The Proposed Act")
+const ACT_LEAD_WORDS = /^(?:(?:the|this|that|such|said|an?|new(?!\s+(?:york|jersey|mexico|hampshire)\b)|proposed|final|amended|under|while|when|if)\s+)+/i;
+// A headline's lead-in before the name ("Guidance on the Kids Online Safety Act")
+const ACT_LEAD_IN = /^.*\s(?:on|of|for)\s+the\s+/i;
+// Words before a generic alias that still mean the known instrument ("the EU's AI Act")
+const GENERIC_QUALIFIERS = /^(?:the|this|that|such|said|an?|new|proposed|final|amended|under|while|when|if|eu|eu's|eu’s|european|union|union's|union’s)$/i;
+
+// ============================================================================
+// INSTRUMENT KEYS
+// ============================================================================
+
+/**
+ * Normalized form of a law name: lowercase, no "the", year suffix or punctuation
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeLawName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')              // "(CCPA)", "(Regulation (EU) ...)"
+    .replace(/\bof\s+\d{4}\b|\b\d{4}\b/g, ' ')
+    .replace(/^\s*the\s+/, '')
+    .replace(/\bartificial intelligence\b/g, 'ai')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function wordSet(text) {
+  return new Set(
+    (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 1 && !STOPWORDS.has(w))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Whether the word right before a generic alias is another word of a law's name
+function isPartOfLongerName(before) {
+  const word = before.match(/([\p{L}\p{N}'’&-]+)\s*$/u)?.[1];
+  return !!word && /^\p{Lu}|^\p{N}/u.test(word) && !GENERIC_QUALIFIERS.test(word);
+}
+
+// A state's acts start with its name: "Overview of Texas Data Privacy and Security Act" is the Texas act
+function fromJurisdiction(name) {
+  const start = Object.keys(US_STATES)
+    .map(state => name.search(new RegExp(`\\b${state}\\b`, 'i')))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+  return start ? name.slice(start) : name;
+}
+
+function stateCodeIn(text) {
+  const lower = text.toLowerCase();
+  const found = Object.keys(US_STATES).find(state => new RegExp(`\\b${state}\\b`).test(lower));
+  return found ? US_STATES[found] : null;
+}
+
+/**
+ * Every instrument a text names, with how often
+ *
+ * @param {string} text
+ * @returns {Map<string, {count: number, label: string}>} - Instrument key → mentions and a display name
+ */
+export function findInstruments(text) {
+  const found = new Map();
+  const add = (key, label) => {
+    const entry = found.get(key) || { count: 0, label };
+    entry.count++;
+    found.set(key, entry);
+  };
+  let remaining = (text || '').slice(0, MAX_SCAN_CHARS);
+
+  // Known names first, blanked out so "AI Act" isn't counted again as a generic act
+  for (const { key, generic, pattern } of ALIAS_PATTERNS) {
+    remaining = remaining.replace(pattern, (match, offset, string) => {
+      // "Connecticut AI Act": left for NAMED_ACT below, which keeps the state in the key
+      if (generic && isPartOfLongerName(string.slice(0, offset))) return match;
+      add(key, KNOWN_INSTRUMENTS[key].label);
+      return ' ';
+    });
+  }
+
+  remaining = remaining.replace(EU_CITATION, (match, kind, number) => {
+    add(`eu-${kind.toLowerCase()}-${number}`, `${kind[0].toUpperCase()}${kind.slice(1).toLowerCase()} (EU) ${number}`);
+    return ' ';
+  });
+
+  // Bill numbers repeat across states; only trust them when the text names one
+  const state = stateCodeIn(text || '');
+  if (state) {
+    for (const [, prefix, number] of remaining.matchAll(US_BILL)) {
+      const bill = prefix.replace(/[.\s]/g, '').toUpperCase();
+      add(`bill:${state}-${bill.toLowerCase()}-${number}`, `${state.toUpperCase()} ${bill} ${number}`);
+    }
+  }
+
+  for (const [, match] of remaining.matchAll(NAMED_ACT)) {
+    const name = fromJurisdiction(match.replace(ACT_LEAD_IN, '').replace(ACT_LEAD_WORDS, '').trim());
+    const normalized = normalizeLawName(name);
+    // A bare "Act" says nothing about which act
+    if (normalized.split(' ').length < 2) continue;
+    add(`act:${normalized}`, name);
+  }
+
+  return found;
+}
+
+/**
+ * The instrument a text is mainly about: weighted toward the title
+ *
+ * @param {string} title
+ * @param {string} [body]
+ * @returns {{key: string, label: string}|null}
+ */
+export function primaryInstrument(title, body = '') {
+  const scores = new Map();
+  for (const [key, { count, label }] of findInstruments(title)) {
+    scores.set(key, { score: count * TITLE_MENTION_WEIGHT, label });
+  }
+  for (const [key, { count, label }] of findInstruments(body)) {
+    const entry = scores.get(key) || { score: 0, label };
+    entry.score += count;
+    scores.set(key, entry);
+  }
+  let best = null;
+  for (const [key, { score, label }] of scores) {
+    if (!best || score > best.score) best = { key, label, score };
+  }
+  return best ? { key: best.key, label: best.label } : null;
+}
+
+/**
+ * The key a law name is grouped by: its instrument key when it names one,
+ * otherwise `name:` and the normalized name
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function lawKey(name) {
+  return primaryInstrument(name)?.key || `name:${normalizeLawName(name)}`;
+}
+
+// ============================================================================
+// CLUSTERING
+// ============================================================================
+
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  return {
+    find,
+    union: (a, b) => {
+      parent[find(a)] = find(b);
+    }
+  };
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0]?.[0] || null;
+}
+
+/**
+ * Group search results from every firm by the law they discuss
+ *
+ * Results naming the same instrument form one cluster; results naming none
+ * join a cluster from another firm whose titles overlap enough, otherwise
+ * they stand alone.
+ *
+ * @param {Record<string, Array<{topicLabel: string, results: Array}>>} resultsByFirm - From searchAllFirms()
+ * @returns {Array<{id: string, label: string, instrumentKey: string|null, firms: string[], results: Array<{firm: string, url: string, title: string}>}>} - Largest first
+ */
+export function clusterSearchResults(resultsByFirm) {
+  const items = [];
+  for (const [firm, topicResults] of Object.entries(resultsByFirm)) {
+    for (const { results } of topicResults) {
+      for (const r of results) {
+        const instrument = primaryInstrument(r.title, `${r.content || ''}\n${r.article_text || ''}`);
+        items.push({ firm, url: r.url, title: r.title, instrument, words: wordSet(r.title) });
+      }
+    }
+  }
+
+  const uf = createUnionFind(items.length);
+  const firstByKey = new Map();
+  items.forEach((item, i) => {
+    if (!item.instrument) return;
+    const first = firstByKey.get(item.instrument.key);
+    if (first === undefined) firstByKey.set(item.instrument.key, i);
+    else uf.union(i, first);
+  });
+
+  items.forEach((item, i) => {
+    if (item.instrument) return;
+    for (let j = 0; j < items.length; j++) {
+      if (j === i || items[j].firm === item.firm) continue;
+      if (jaccard(item.words, items[j].words) >= TITLE_SIMILARITY_THRESHOLD) {
+        uf.union(i, j);
+        break;
+      }
+    }
+  });
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = uf.find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return [...groups.values()]
+    .map((members, index) => {
+      const instrumentKey = mostCommon(members.map(m => m.instrument?.key));
+      const label = mostCommon(members.filter(m => m.instrument?.key === instrumentKey).map(m => m.instrument.label))
+        || members[0].title;
+      return {
+        id: instrumentKey || `cluster-${index + 1}`,
+        label,
+        instrumentKey,
+        firms: [...new Set(members.map(m => m.firm))].sort((a, b) => a.localeCompare(b)),
+        results: members.map(({ firm, url, title }) => ({ firm, url, title }))
+      };
+    })
+    .sort((a, b) => b.firms.length - a.firms.length || b.results.length - a.results.length);
+}
+
+/**
+ * Group developments that are the same law discussed by different firms
+ *
+ * @param {Array} developments - Validated developments (see lib/developments.js)
+ * @returns {{laws: Array<{id: string, name: string, status: string, effectiveDate: string|null, jurisdiction: string, firms: string[]}>, lawIds: string[]}} - lawIds[i] is the law of developments[i]
+ */
+export function clusterDevelopments(developments) {
+  const keys = developments.map(d => lawKey(d.name));
+  const words = developments.map(d => wordSet(normalizeLawName(d.name)));
+  const uf = createUnionFind(developments.length);
+
+  const firstByKey = new Map();
+  keys.forEach((key, i) => {
+    const first = firstByKey.get(key);
+    if (first === undefined) firstByKey.set(key, i);
+    else uf.union(i, first);
+  });
+
+  // Differently worded names for the same law in the same jurisdiction
+  for (let i = 0; i < developments.length; i++) {
+    for (let j = i + 1; j < developments.length; j++) {
+      if (uf.find(i) === uf.find(j)) continue;
+      if (developments[i].jurisdiction.toLowerCase() !== developments[j].jurisdiction.toLowerCase()) continue;
+      if (jaccard(words[i], words[j]) >= NAME_SIMILARITY_THRESHOLD) uf.union(i, j);
+    }
+  }
+
+  const groups = new Map();
+  developments.forEach((_, i) => {
+    const root = uf.find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const lawIds = new Array(developments.length);
+  const usedIds = new Set();
+  const laws = [...groups.values()].map((indexes) => {
+    const members = indexes.map(i => developments[i]);
+    const key = mostCommon(indexes.map(i => keys[i]));
+    const known = KNOWN_INSTRUMENTS[key];
+    // Readable, stable ids: the instrument key, made unique if two groups share it
+    const baseId = key.replace(/^(name|act):/, '').replace(/[^a-z0-9/-]+/g, '-');
+    let id = baseId;
+    for (let n = 2; usedIds.has(id); n++) id = `${baseId}-${n}`;
+    usedIds.add(id);
+    indexes.forEach(i => { lawIds[i] = id; });
+
+    const effectiveDates = members.map(m => m.effectiveDate).filter(Boolean).sort();
+    return {
+      id,
+      name: known?.label || mostCommon(members.map(m => m.name)),
+      // Any firm reporting it as enacted outweighs older "proposed" commentary
+      status: members.some(m => m.status === 'Enacted') ? 'Enacted' : 'Proposed',
+      effectiveDate: effectiveDates[0] || null,
+      jurisdiction: mostCommon(members.map(m => m.jurisdiction)),
+      firms: [...new Set(members.map(m => m.firm))].sort((a, b) => a.localeCompare(b))
+    };
+  });
+
+  laws.sort((a, b) => b.firms.length - a.firms.length || a.name.localeCompare(b.name));
+  return { laws, lawIds };
+}
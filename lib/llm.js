@@ -0,0 +1,265 @@
+/**
+ * Model Streaming
+ *
+ * Streaming model calls shared by /api/generate and the report job pipeline,
+ * on whichever backend serves the chosen model (see lib/llmProviders.js).
+ * Overloaded errors are retried before any text is streamed, so a caller
+ * never sees a partial answer followed by a retry; a model that stays
+ * overloaded hands over to its fallbacks (see lib/models.js).
+ */
+
+import { modelChain } from './models.js';
+import { getLlmProvider, isLlmProviderConfigured, llmApiKey, DEFAULT_LLM_PROVIDER } from './llmProviders.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MAX_RETRIES = 3;
+
+// Follow-up requests made when an answer stops at max_tokens
+const MAX_CONTINUATIONS = 3;
+
+// ============================================================================
+// REQUEST
+// ============================================================================
+
+const providerOf = (entry) => {
+  const provider = getLlmProvider(entry.provider || DEFAULT_LLM_PROVIDER);
+  if (!provider) throw new Error(`Unknown LLM provider "${entry.provider}" for model ${entry.id}`);
+  return provider;
+};
+
+/**
+ * Start a streaming request, retrying while the backend is overloaded and
+ * then trying the model's fallbacks. Fallbacks whose provider has no API key
+ * are skipped.
+ *
+ * @returns {Promise<{response: Response, provider: Object}>} - The streaming response, status 200, and the adapter that reads it
+ */
+async function openModelStream({ prompt, model, maxTokens, tool, prefill, signal, onFallback }) {
+  const chain = modelChain(model);
+  const [first] = chain;
+  if (!isLlmProviderConfigured(first.provider || DEFAULT_LLM_PROVIDER, first.baseUrl)) {
+    throw new Error(`${providerOf(first).apiKeyEnv} not configured`);
+  }
+
+  let lastError = null;
+  let previous = null;
+  for (const entry of chain) {
+    const provider = providerOf(entry);
+    if (!isLlmProviderConfigured(provider.id, entry.baseUrl)) continue;
+    if (previous) {
+      console.log(`[LLM] ${previous.label} still overloaded, falling back to ${entry.label}`);
+      onFallback?.({ from: previous.id, to: entry.id, reason: lastError });
+    }
+    const result = await requestWithRetries(entry, provider, {
+      apiModel: entry.apiModel,
+      baseUrl: entry.baseUrl,
+      prompt,
+      prefill,
+      maxTokens: Math.min(maxTokens || entry.maxOutputTokens, entry.maxOutputTokens),
+      tool,
+      apiKey: llmApiKey(provider.id, entry.baseUrl),
+      signal
+    });
+    if (result.response) return { response: result.response, provider };
+    lastError = result.error;
+    previous = entry;
+    if (!result.overloaded) break;
+  }
+
+  throw new Error(lastError || 'Unknown error');
+}
+
+/**
+ * One model, retried while its backend is overloaded
+ *
+ * @returns {Promise<{response?: Response, error?: string, overloaded?: boolean}>}
+ */
+async function requestWithRetries(entry, provider, params) {
+  console.log(`[${provider.name}] Using model:`, entry.apiModel);
+
+  let lastError = null;
+  let isOverloaded = false;
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    const response = await provider.request(params);
+
+    if (response.ok) {
+      console.log(`[${provider.name}] Streaming started on attempt`, attempt);
+      return { response };
+    }
+
+    // Non-streaming errors like 529 overloaded
+    lastError = await errorMessageOf(response);
+    isOverloaded = provider.isOverloaded(response.status, lastError);
+    console.error(`[${provider.name}] Attempt ${attempt}/${MAX_RETRIES} failed:`, lastError);
+
+    if (!isOverloaded || attempt === MAX_RETRIES) break;
+
+    const waitSeconds = attempt * 5; // 5s, 10s
+    console.log(`[${provider.name}] API overloaded. Retrying in ${waitSeconds}s...`);
+    await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
+  }
+
+  return { error: lastError || 'Unknown error', overloaded: isOverloaded };
+}
+
+async function errorMessageOf(response) {
+  const errorText = await response.text();
+  try {
+    const errorData = JSON.parse(errorText);
+    // Gemini wraps errors in an array
+    const error = Array.isArray(errorData) ? errorData[0]?.error : errorData.error;
+    return (typeof error === 'string' ? error : error?.message) || `API error: ${response.status}`;
+  } catch {
+    return errorText.substring(0, 200) || `API error: ${response.status}`;
+  }
+}
+
+// ============================================================================
+// STREAM
+// ============================================================================
+
+function dispatch(events, handlers) {
+  for (const event of events) {
+    if (event.type === 'text') handlers.onText?.(event.text);
+    else if (event.type === 'json') handlers.onJson?.(event.json);
+    else if (event.type === 'usage') {
+      const { type, ...usage } = event;
+      handlers.onUsage?.(usage);
+    } else if (event.type === 'stop') handlers.onStop?.();
+  }
+}
+
+function handleData(data, provider, state, handlers) {
+  if (data === '[DONE]') return;
+  let events;
+  try {
+    events = provider.parseEvent(data, state);
+  } catch (error) {
+    if (error instanceof SyntaxError) return; // Skip unparseable lines
+    throw error;
+  }
+  dispatch(events, handlers);
+}
+
+/**
+ * Stream one answer to the end
+ *
+ * @param {Object} params
+ * @param {string} params.prompt - Single user message
+ * @param {string} [params.model] - Registry id (see lib/models.js); the default model when omitted
+ * @param {number} [params.maxTokens] - Capped at each model's maxOutputTokens, which is also the default
+ * @param {{name: string, description: string, input_schema: Object}} [params.tool] - Force the answer through this tool, for JSON output
+ * @param {string} [params.prefill] - Start of the assistant's answer, which the model carries on from
+ * @param {AbortSignal} [params.signal]
+ * @param {(fallback: {from: string, to: string, reason: string}) => void} [params.onFallback] - Registry ids, when the model stayed overloaded
+ * @param {(text: string) => void} [params.onText] - Each text delta
+ * @param {(json: string) => void} [params.onJson] - Each partial JSON chunk of a tool answer
+ * @param {(usage: Object) => void} [params.onUsage] - input_tokens, output_tokens and stop_reason, in one or more calls
+ * @param {() => void} [params.onStop] - The answer is complete
+ * @returns {Promise<string>} - The full text
+ */
+export async function streamModel({ prompt, model, maxTokens, tool, prefill, signal, onFallback, ...handlers }) {
+  const { response, provider } = await openModelStream({ prompt, model, maxTokens, tool, prefill, signal, onFallback });
+  const state = { jsonMode: !!tool };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  const streamHandlers = {
+    ...handlers,
+    onText: (delta) => {
+      text += delta;
+      handlers.onText?.(delta);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Process complete SSE lines from the buffer
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // Keep incomplete last line in buffer
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      handleData(line.slice(6).trim(), provider, state, streamHandlers);
+    }
+  }
+
+  // Process any remaining buffer content
+  if (buffer.trim().startsWith('data: ')) {
+    handleData(buffer.trim().slice(6).trim(), provider, state, streamHandlers);
+  }
+  if (provider.finish) dispatch(provider.finish(state), streamHandlers);
+
+  console.log(`[${provider.name}] Stream complete`);
+  return text;
+}
+
+// ============================================================================
+// CONTINUATION
+// ============================================================================
+
+/**
+ * Stream a text answer, continuing it when it stops at max_tokens
+ *
+ * Each continuation resends the prompt with everything written so far as the
+ * start of the assistant's turn, so the parts join into one answer. Also
+ * carries on a tool answer's partial JSON when given as `prefill`.
+ *
+ * @param {Object} params
+ * @param {string} params.prompt
+ * @param {string} [params.prefill] - Answer so far, to continue from the start
+ * @param {string} [params.model]
+ * @param {number} [params.maxTokens] - Per request
+ * @param {number} [params.maxContinuations=3]
+ * @param {AbortSignal} [params.signal]
+ * @param {(text: string) => void} [params.onText] - Each text delta, across all requests
+ * @param {(usage: Object) => void} [params.onUsage] - As for streamModel(), per request
+ * @param {(round: number) => void} [params.onContinuation] - Before each follow-up request
+ * @param {(fallback: Object) => void} [params.onFallback] - As for streamModel()
+ * @returns {Promise<{text: string, stopReason: string|null, continuations: number}>} - text: excludes `prefill`; stopReason: of the last request
+ */
+export async function streamModelText({
+  prompt, prefill = '', model, maxTokens, maxContinuations = MAX_CONTINUATIONS, signal, onText, onUsage, onContinuation, onFallback
+}) {
+  let text = '';
+  let continuations = 0;
+
+  while (true) {
+    // Anthropic rejects an assistant turn that ends in whitespace
+    const partial = (prefill + text).trimEnd();
+    let stopReason = null;
+    await streamModel({
+      prompt,
+      model,
+      maxTokens,
+      prefill: partial || undefined,
+      signal,
+      onFallback,
+      onText: (delta) => {
+        text += delta;
+        onText?.(delta);
+      },
+      onUsage: (usage) => {
+        if (usage.stop_reason) stopReason = usage.stop_reason;
+        onUsage?.(usage);
+      }
+    });
+
+    if (stopReason !== 'max_tokens' || continuations >= maxContinuations) {
+      return { text, stopReason, continuations };
+    }
+    continuations++;
+    console.log(`[LLM] Answer cut off at max_tokens, continuing (round ${continuations}/${maxContinuations})`);
+    onContinuation?.(continuations);
+  }
+}
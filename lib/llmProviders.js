@@ -0,0 +1,328 @@
+/**
+ * LLM Providers
+ *
+ * Every model backend is an adapter with the same shape:
+ *
+ *   {
+ *     id: 'anthropic',
+ *     name: 'Claude',                 // Tag used in log lines
+ *     label: 'Anthropic',
+ *     apiKeyEnv: 'ANTHROPIC_API_KEY',
+ *     usesApiKey(baseUrl) → boolean   // Optional; false: requests to that server go out without the key, and need none
+ *     request({ apiModel, baseUrl, prompt, prefill, maxTokens, tool, apiKey, signal }) → Promise<Response>
+ *     isOverloaded(status, message) → boolean
+ *     parseEvent(data, state) → Array<StreamEvent>   // One SSE `data:` payload
+ *     finish(state) → Array<StreamEvent>             // Optional, at the end of the stream
+ *   }
+ *
+ * Adapters only talk to their API and translate its stream into the events
+ * lib/llm.js passes on, which are what /api/generate streams to clients:
+ *
+ *   { type: 'text', text }
+ *   { type: 'json', json }                            // Partial JSON of a forced tool answer
+ *   { type: 'usage', input_tokens, output_tokens, stop_reason }   // Any subset
+ *   { type: 'stop' }
+ *
+ * Stop reasons use Anthropic's names ('end_turn', 'max_tokens', 'tool_use'),
+ * so continuation and batch splitting work the same on every backend. Which
+ * backend serves a model is the `provider` of its registry entry (see
+ * lib/models.js).
+ */
+
+// ============================================================================
+// SHARED
+// ============================================================================
+
+// Backends without assistant prefill get the answer so far as a finished turn, then this
+const CONTINUE_INSTRUCTION = 'Your answer above was cut off. Continue it from exactly where it stops: no repetition, no preamble, no code fences.';
+
+// A server that is down (e.g. a local one that isn't running) fails in fetch() itself
+async function post(url, { label, headers, body, signal }) {
+  try {
+    return await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error(`Could not reach ${label} at ${new URL(url).origin}: ${error.cause?.message || error.message}`);
+  }
+}
+
+const trimBase = (url) => url.replace(/\/+$/, '');
+
+/**
+ * The API root a provider's key belongs to: its own, or the one its
+ * *_BASE_URL variable names (plus `path`, for variables that name only the
+ * host). A model whose baseUrl points anywhere else (a proxy, a local server)
+ * never gets the key.
+ */
+function keyedApiRoot(defaultBase, baseUrlEnv, path = '') {
+  const root = () => (process.env[baseUrlEnv] ? trimBase(process.env[baseUrlEnv]) + path : defaultBase);
+  return {
+    root,
+    usesApiKey: (baseUrl) => !baseUrl || trimBase(baseUrl) === root()
+  };
+}
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+// ANTHROPIC_BASE_URL names the host, as in Anthropic's SDKs
+const anthropicApi = keyedApiRoot('https://api.anthropic.com/v1', 'ANTHROPIC_BASE_URL', '/v1');
+
+const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Claude',
+  label: 'Anthropic',
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  usesApiKey: anthropicApi.usesApiKey,
+
+  request({ apiModel, baseUrl, prompt, prefill, maxTokens, tool, apiKey, signal }) {
+    return post(`${trimBase(baseUrl || anthropicApi.root())}/messages`, {
+      label: this.label,
+      headers: { ...(apiKey && { 'x-api-key': apiKey }), 'anthropic-version': '2023-06-01' },
+      body: {
+        model: apiModel,
+        max_tokens: maxTokens,
+        stream: true,
+        messages: [
+          { role: 'user', content: prompt },
+          ...(prefill ? [{ role: 'assistant', content: prefill }] : [])
+        ],
+        ...(tool && { tools: [tool], tool_choice: { type: 'tool', name: tool.name } })
+      },
+      signal
+    });
+  },
+
+  isOverloaded(status, message) {
+    return status === 529 || message.toLowerCase().includes('overloaded');
+  },
+
+  parseEvent(data) {
+    const event = JSON.parse(data);
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      return [{ type: 'text', text: event.delta.text }];
+    }
+    if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+      return [{ type: 'json', json: event.delta.partial_json }];
+    }
+    if (event.type === 'message_start' && event.message) {
+      console.log('[Claude] Stream message_start:', {
+        id: event.message.id,
+        model: event.message.model
+      });
+      return event.message.usage ? [{ type: 'usage', ...event.message.usage }] : [];
+    }
+    // Final output token count and why the model stopped
+    if (event.type === 'message_delta' && event.usage) {
+      return [{ type: 'usage', ...event.usage, stop_reason: event.delta?.stop_reason || null }];
+    }
+    if (event.type === 'message_stop') return [{ type: 'stop' }];
+    if (event.type === 'error') throw new Error(event.error?.message || 'Claude streaming error');
+    return [];
+  },
+};
+
+// Gemini reports usage on every chunk and the finish reason on the last; both go out once, at the end
+const GEMINI_STOP_REASONS = { STOP: 'end_turn', MAX_TOKENS: 'max_tokens' };
+
+const geminiApi = keyedApiRoot('https://generativelanguage.googleapis.com/v1beta', 'GEMINI_BASE_URL');
+
+const geminiProvider = {
+  id: 'gemini',
+  name: 'Gemini',
+  label: 'Google Gemini',
+  apiKeyEnv: 'GEMINI_API_KEY',
+  usesApiKey: geminiApi.usesApiKey,
+
+  request({ apiModel, baseUrl, prompt, prefill, maxTokens, tool, apiKey, signal }) {
+    const base = trimBase(baseUrl || geminiApi.root());
+    return post(`${base}/models/${apiModel}:streamGenerateContent?alt=sse`, {
+      label: this.label,
+      headers: apiKey ? { 'x-goog-api-key': apiKey } : {},
+      body: {
+        contents: [
+          { role: 'user', parts: [{ text: prompt }] },
+          ...(prefill ? [
+            { role: 'model', parts: [{ text: prefill }] },
+            { role: 'user', parts: [{ text: CONTINUE_INSTRUCTION }] }
+          ] : [])
+        ],
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          // Structured output instead of function calling, which Gemini doesn't stream in parts
+          ...(tool && { responseMimeType: 'application/json', responseJsonSchema: tool.input_schema })
+        }
+      },
+      signal
+    });
+  },
+
+  isOverloaded(status, message) {
+    return status === 503 || status === 429 || message.toLowerCase().includes('overloaded');
+  },
+
+  parseEvent(data, state) {
+    const chunk = JSON.parse(data);
+    if (chunk.error) throw new Error(chunk.error.message || 'Gemini streaming error');
+
+    const candidate = chunk.candidates?.[0];
+    if (chunk.usageMetadata) state.usage = chunk.usageMetadata;
+    if (candidate?.finishReason) state.finishReason = candidate.finishReason;
+
+    const text = (candidate?.content?.parts || [])
+      .filter(part => !part.thought)
+      .map(part => part.text || '')
+      .join('');
+    if (!text) return [];
+    return [state.jsonMode ? { type: 'json', json: text } : { type: 'text', text }];
+  },
+
+  finish(state) {
+    return [
+      {
+        type: 'usage',
+        input_tokens: state.usage?.promptTokenCount ?? null,
+        // Thinking counts against maxOutputTokens and is billed as output
+        output_tokens: state.usage ? (state.usage.candidatesTokenCount || 0) + (state.usage.thoughtsTokenCount || 0) : null,
+        stop_reason: state.finishReason ? (GEMINI_STOP_REASONS[state.finishReason] || state.finishReason.toLowerCase()) : null
+      },
+      { type: 'stop' }
+    ];
+  },
+};
+
+// OpenAI's Chat Completions API, which local model servers (Ollama, llama.cpp,
+// vLLM, LM Studio) also speak, so a report can be generated offline
+const OPENAI_STOP_REASONS = { stop: 'end_turn', length: 'max_tokens', tool_calls: 'tool_use' };
+const openaiApi = keyedApiRoot('https://api.openai.com/v1', 'OPENAI_BASE_URL');
+
+const openaiProvider = {
+  id: 'openai',
+  name: 'OpenAI',
+  label: 'OpenAI-compatible',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  usesApiKey: openaiApi.usesApiKey,  // Local servers get no key and need none
+
+  request({ apiModel, baseUrl, prompt, prefill, maxTokens, tool, apiKey, signal }) {
+    const base = trimBase(baseUrl || openaiApi.root());
+    return post(`${base}/chat/completions`, {
+      label: base.includes('api.openai.com') ? 'OpenAI' : 'the model server',
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: {
+        model: apiModel,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        messages: [
+          { role: 'user', content: prompt },
+          ...(prefill ? [
+            { role: 'assistant', content: prefill },
+            { role: 'user', content: CONTINUE_INSTRUCTION }
+          ] : [])
+        ],
+        ...(tool && {
+          tools: [{ type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.input_schema } }],
+          tool_choice: { type: 'function', function: { name: tool.name } }
+        })
+      },
+      signal
+    });
+  },
+
+  isOverloaded(status, message) {
+    return status === 503 || status === 529 || message.toLowerCase().includes('overloaded');
+  },
+
+  parseEvent(data, state) {
+    const chunk = JSON.parse(data);
+    if (chunk.error) throw new Error(chunk.error.message || 'OpenAI streaming error');
+
+    // The usage chunk comes last, after the one with finish_reason
+    if (chunk.usage) state.usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (choice?.finish_reason) state.finishReason = choice.finish_reason;
+
+    const events = [];
+    if (choice?.delta?.content) events.push({ type: 'text', text: choice.delta.content });
+    for (const call of choice?.delta?.tool_calls || []) {
+      if (call.function?.arguments) events.push({ type: 'json', json: call.function.arguments });
+    }
+    return events;
+  },
+
+  // Servers that ignore stream_options send no usage; the caller estimates output tokens then
+  finish(state) {
+    return [
+      {
+        type: 'usage',
+        input_tokens: state.usage?.prompt_tokens ?? null,
+        output_tokens: state.usage?.completion_tokens ?? null,
+        stop_reason: state.finishReason ? (OPENAI_STOP_REASONS[state.finishReason] || state.finishReason) : null
+      },
+      { type: 'stop' }
+    ];
+  },
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+export const DEFAULT_LLM_PROVIDER = 'anthropic';
+
+const providers = new Map([
+  [anthropicProvider.id, anthropicProvider],
+  [geminiProvider.id, geminiProvider],
+  [openaiProvider.id, openaiProvider],
+]);
+
+/**
+ * Add or replace an LLM provider adapter
+ *
+ * @param {{id: string, name: string, label: string, apiKeyEnv?: string, usesApiKey?: Function, request: Function, isOverloaded: Function, parseEvent: Function, finish?: Function}} provider
+ */
+export function registerLlmProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getLlmProvider(id) {
+  return providers.get(id) || null;
+}
+
+const usesApiKey = (provider, baseUrl) => !!provider.apiKeyEnv && provider.usesApiKey?.(baseUrl) !== false;
+
+/**
+ * Whether a provider can be called at a model's server: its API key is set,
+ * or that server doesn't get one
+ *
+ * @param {string} id
+ * @param {string} [baseUrl] - The model's baseUrl (see lib/models.js)
+ * @returns {boolean}
+ */
+export function isLlmProviderConfigured(id, baseUrl) {
+  const provider = getLlmProvider(id);
+  if (!provider) return false;
+  return !usesApiKey(provider, baseUrl) || !!process.env[provider.apiKeyEnv];
+}
+
+/**
+ * The API key to send to a model's server, if that server gets one
+ *
+ * @param {string} id
+ * @param {string} [baseUrl] - The model's baseUrl (see lib/models.js)
+ * @returns {string|undefined}
+ */
+export function llmApiKey(id, baseUrl) {
+  const provider = getLlmProvider(id);
+  return provider && usesApiKey(provider, baseUrl) ? process.env[provider.apiKeyEnv] : undefined;
+}
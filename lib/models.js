@@ -0,0 +1,213 @@
+/**
+ * Model Registry
+ *
+ * The models a report can be generated with, on any backend in
+ * lib/llmProviders.js. Clients pick one by registry id (the report request's
+ * `modelProvider`), the list they offer comes from GET /api/models, and when
+ * a model stays overloaded after retries lib/llm.js moves down its fallback
+ * list.
+ *
+ * Entries can be added or replaced without code changes through the
+ * MODEL_REGISTRY environment variable (a JSON array of entries), and
+ * MODEL_NAME picks the default (a registry id or a provider's model id).
+ */
+
+import { getLlmProvider, isLlmProviderConfigured, DEFAULT_LLM_PROVIDER } from './llmProviders.js';
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * @typedef {Object} ModelEntry
+ * @property {string} id - Registry id sent by clients, e.g. 'sonnet'
+ * @property {string} label - Shown in the model selector and the Word export
+ * @property {string} provider - Adapter id in lib/llmProviders.js: 'anthropic', 'gemini' or 'openai'
+ * @property {string} apiModel - The provider's model id
+ * @property {string} [baseUrl] - API root, for a self-hosted or OpenAI-compatible server
+ * @property {string} [description] - One line under the selector
+ * @property {number} maxOutputTokens - max_tokens per request
+ * @property {{input: number, output: number}} costPerMillionTokens - USD
+ * @property {string[]} fallbacks - Registry ids to try, in order, when this one stays overloaded
+ */
+
+/** @type {ModelEntry[]} */
+const BUILT_IN_MODELS = [
+  {
+    id: 'sonnet',
+    label: 'Claude Sonnet 4',
+    provider: 'anthropic',
+    apiModel: 'claude-sonnet-4-20250514',
+    description: 'Fast & cost-effective analysis',
+    maxOutputTokens: 16000,
+    costPerMillionTokens: { input: 3, output: 15 },
+    fallbacks: ['sonnet-4-5', 'haiku']
+  },
+  {
+    id: 'sonnet-4-5',
+    label: 'Claude Sonnet 4.5',
+    provider: 'anthropic',
+    apiModel: 'claude-sonnet-4-5-20250929',
+    description: 'Newer Sonnet, same price',
+    maxOutputTokens: 16000,
+    costPerMillionTokens: { input: 3, output: 15 },
+    fallbacks: ['sonnet', 'haiku']
+  },
+  {
+    id: 'opus',
+    label: 'Claude Opus 4.5',
+    provider: 'anthropic',
+    apiModel: 'claude-opus-4-5-20251101',
+    description: 'Deeper analysis, slower response',
+    maxOutputTokens: 16000,
+    costPerMillionTokens: { input: 5, output: 25 },
+    fallbacks: ['sonnet-4-5', 'sonnet']
+  },
+  {
+    id: 'haiku',
+    label: 'Claude Haiku 4.5',
+    provider: 'anthropic',
+    apiModel: 'claude-haiku-4-5-20251001',
+    description: 'Quickest and cheapest, for large selections',
+    maxOutputTokens: 16000,
+    costPerMillionTokens: { input: 1, output: 5 },
+    fallbacks: ['sonnet']
+  },
+  {
+    id: 'gemini-flash',
+    label: 'Gemini 2.5 Flash',
+    provider: 'gemini',
+    apiModel: 'gemini-2.5-flash',
+    description: 'Google model, low cost with a large output limit',
+    maxOutputTokens: 32768,
+    costPerMillionTokens: { input: 0.3, output: 2.5 },
+    fallbacks: ['gemini-pro']
+  },
+  {
+    id: 'gemini-pro',
+    label: 'Gemini 2.5 Pro',
+    provider: 'gemini',
+    apiModel: 'gemini-2.5-pro',
+    description: 'Google model, deeper analysis',
+    maxOutputTokens: 32768,
+    costPerMillionTokens: { input: 1.25, output: 10 },
+    fallbacks: ['gemini-flash']
+  },
+  {
+    // Ollama's default address; point MODEL_REGISTRY at another server or model as needed.
+    // No fallbacks, so an offline run never reaches a cloud API
+    id: 'local',
+    label: 'Local model',
+    provider: 'openai',
+    apiModel: 'llama3.1',
+    baseUrl: 'http://localhost:11434/v1',
+    description: 'Offline, through an OpenAI-compatible server on this machine',
+    maxOutputTokens: 8192,
+    costPerMillionTokens: { input: 0, output: 0 },
+    fallbacks: []
+  },
+];
+
+const BUILT_IN_DEFAULT = 'sonnet';
+
+const models = new Map(BUILT_IN_MODELS.map(m => [m.id, m]));
+
+// MODEL_REGISTRY is read on first use, after server.js has loaded .env
+let configuredLoaded = false;
+
+function registry() {
+  if (configuredLoaded) return models;
+  configuredLoaded = true;
+  const configured = process.env.MODEL_REGISTRY;
+  if (!configured) return models;
+  try {
+    const entries = JSON.parse(configured);
+    for (const entry of Array.isArray(entries) ? entries : [entries]) {
+      registerModel({ ...models.get(entry.id), ...entry });
+    }
+  } catch (error) {
+    console.error('[Models] Ignoring MODEL_REGISTRY:', error.message);
+  }
+  return models;
+}
+
+/**
+ * Add or replace a model
+ *
+ * @param {ModelEntry} entry - Missing fields get safe defaults; id, label and apiModel are required
+ */
+export function registerModel(entry) {
+  if (!entry?.id || !entry.label || !entry.apiModel) {
+    throw new Error('A model needs an id, label and apiModel');
+  }
+  if (entry.provider && !getLlmProvider(entry.provider)) {
+    throw new Error(`Unknown LLM provider "${entry.provider}" for model ${entry.id}`);
+  }
+  models.set(entry.id, {
+    provider: DEFAULT_LLM_PROVIDER,
+    maxOutputTokens: 16000,
+    costPerMillionTokens: { input: 0, output: 0 },
+    fallbacks: [],
+    ...entry
+  });
+}
+
+/**
+ * @param {string} id - Registry id
+ * @returns {ModelEntry|null}
+ */
+export function getModel(id) {
+  return registry().get(id) || null;
+}
+
+/**
+ * Registry id of the default model: MODEL_NAME when it names a registered
+ * model (by registry or provider model id), otherwise Sonnet 4
+ *
+ * @returns {string}
+ */
+export function defaultModelId() {
+  const configured = process.env.MODEL_NAME?.trim();
+  if (configured) {
+    const match = getModel(configured) || [...registry().values()].find(m => m.apiModel === configured || m.apiModel.startsWith(`${configured}-`));
+    if (match) return match.id;
+  }
+  return registry().has(BUILT_IN_DEFAULT) ? BUILT_IN_DEFAULT : registry().keys().next().value;
+}
+
+/**
+ * The model for a request, or the default when none or an unknown one is given
+ *
+ * @param {string} [id]
+ * @returns {ModelEntry}
+ */
+export function resolveModel(id) {
+  return getModel(id) || getModel(defaultModelId());
+}
+
+/**
+ * A model followed by its fallbacks, each once, skipping unknown ids
+ *
+ * @param {string} [id]
+ * @returns {ModelEntry[]}
+ */
+export function modelChain(id) {
+  const first = resolveModel(id);
+  const chain = [first];
+  for (const fallbackId of first.fallbacks) {
+    const fallback = getModel(fallbackId);
+    if (fallback && !chain.includes(fallback)) chain.push(fallback);
+  }
+  return chain;
+}
+
+/**
+ * Registered models as offered to clients, with whether their provider's API
+ * key is set
+ *
+ * @returns {{models: Array<ModelEntry & {configured: boolean}>, defaultModel: string}}
+ */
+export function listModels() {
+  const models = [...registry().values()].map(m => ({ ...m, configured: isLlmProviderConfigured(m.provider, m.baseUrl) }));
+  return { models, defaultModel: defaultModelId() };
+}
@@ -0,0 +1,541 @@
+/**
+ * Monitoring Profiles
+ *
+ * A saved report that runs itself: which firms and topics, a rolling date
+ * window, the search provider and model, a cron schedule and where to send
+ * the digest.
+ *
+ *   {
+ *     id, name,
+ *     request,                 // Report request without dates (see lib/reportPipeline.js)
+ *     windowDays,              // Each run covers the last N days up to the run date
+ *     schedule,                // Cron expression in server time, see lib/cron.js
+ *     notify: [{ notifier: 'smtp', to: [...] } | { notifier: 'webhook', url }],  // See lib/notifiers.js
+ *     onlyNew,                 // Leave out sources the profile's earlier reports already cite
+ *     previouslyReportedAppendix,  // With onlyNew, list those found again at the end of the report
+ *     enabled,
+ *     nextRunAt,               // ISO timestamp, null while disabled
+ *     lastRun: { trigger, startedAt, finishedAt, jobId, status, reportId, developments, error, deliveries } | null,
+ *     createdAt, updatedAt
+ *   }
+ *
+ * A run is an ordinary report job (lib/reportJobs.js); the finished report is
+ * saved through lib/reportStore.js and its digest delivered to every target.
+ * With onlyNew the run's request carries the sources of the profile's last
+ * saved reports as `previouslyReported`, which the search step drops (see
+ * lib/reportPipeline.js), so overlapping windows and fuzzy article dates don't
+ * bring back last week's commentary.
+ * The scheduler lives in server.js's process: a profile whose nextRunAt has
+ * passed (including while the server was down) runs once on the next tick,
+ * one run at a time.
+ *
+ * Profiles are stored like report jobs: one JSON file each under
+ * data/monitoring/ by default, or MONITORING_STORE=supabase for the
+ * monitoring_profiles table. On Vercel the file store only has the
+ * instance's /tmp, so profiles only last with Supabase.
+ */
+
+import { readFile, writeFile, readdir, mkdir, rename, unlink } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { nextCronTime, CronError } from './cron.js';
+import { validateReportRequest } from './reportPipeline.js';
+import { createReportJob, waitForReportJob, getReportJob, JOB_STATUS } from './reportJobs.js';
+import { getReportStore, reportRecord } from './reportStore.js';
+import { normalizeSourceUrl } from './grounding.js';
+import { renderDigest } from './digest.js';
+import { deliverDigest, validateNotifyTargets } from './notifiers.js';
+import { isRecordId, recordPath } from './recordIds.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_PROFILE_DIR = process.env.VERCEL
+  ? '/tmp/monitoring'                   // Only writable path on Vercel
+  : join(__dirname, '..', 'data', 'monitoring');
+const SUPABASE_TABLE = 'monitoring_profiles';
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 366;
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Earlier reports whose sources an onlyNew run leaves out; a year of weekly runs
+const MAX_PREVIOUS_REPORTS = 52;
+
+// Fields a client may set; the rest is kept by the server
+const EDITABLE_FIELDS = ['name', 'request', 'windowDays', 'schedule', 'notify', 'onlyNew', 'previouslyReportedAppendix', 'enabled'];
+
+export class MonitoringError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'MonitoringError';
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * JSON file store — one file per profile
+ *
+ * @param {string} dir
+ */
+export function createFileProfileStore(dir) {
+  const pathFor = (id) => recordPath(dir, id);
+
+  const read = async (path) => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.log(`[Monitoring] Could not read ${path}: ${error.message}`);
+      return null;
+    }
+  };
+
+  return {
+    async get(id) {
+      // Ids come from URLs; anything else names no record (see lib/recordIds.js)
+      if (!isRecordId(id)) return null;
+      return read(pathFor(id));
+    },
+    async list() {
+      let files;
+      try {
+        files = (await readdir(dir)).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      return (await Promise.all(files.map(file => read(join(dir, file))))).filter(Boolean);
+    },
+    async save(profile) {
+      await mkdir(dir, { recursive: true });
+      const tmpPath = `${pathFor(profile.id)}.${process.pid}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(profile, null, 2));
+      await rename(tmpPath, pathFor(profile.id));
+    },
+    async delete(id) {
+      await unlink(pathFor(id)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+  };
+}
+
+/**
+ * Supabase store — one row per profile, kept as JSON
+ *
+ * Expects a table like:
+ *   create table monitoring_profiles (id text primary key, profile jsonb not null, updated_at timestamptz default now());
+ *
+ * @param {Object} client - A @supabase/supabase-js client
+ * @param {string} [table='monitoring_profiles']
+ */
+export function createSupabaseProfileStore(client, table = SUPABASE_TABLE) {
+  return {
+    async get(id) {
+      const { data, error } = await client.from(table).select('profile').eq('id', id).maybeSingle();
+      if (error) {
+        console.log(`[Monitoring] Supabase read failed for ${id}: ${error.message}`);
+        return null;
+      }
+      return data?.profile || null;
+    },
+    async list() {
+      const { data, error } = await client.from(table).select('profile');
+      if (error) throw new Error(`Supabase read failed: ${error.message}`);
+      return (data || []).map(row => row.profile);
+    },
+    async save(profile) {
+      const { error } = await client
+        .from(table)
+        .upsert({ id: profile.id, profile, updated_at: profile.updatedAt });
+      if (error) throw new Error(`Supabase write failed: ${error.message}`);
+    },
+    async delete(id) {
+      const { error } = await client.from(table).delete().eq('id', id);
+      if (error) throw new Error(`Supabase delete failed: ${error.message}`);
+    },
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Replace the profile backend
+ *
+ * @param {{get: Function, list: Function, save: Function, delete: Function}|null} store - null to fall back to the configured default
+ */
+export function setProfileStore(store) {
+  activeStore = store ? Promise.resolve(store) : null;
+}
+
+async function createConfiguredStore() {
+  const kind = (process.env.MONITORING_STORE || 'file').toLowerCase();
+
+  if (kind === 'supabase') {
+    const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+    if (url && key) {
+      const { createClient } = await import('@supabase/supabase-js');
+      console.log(`[Monitoring] Using Supabase table ${SUPABASE_TABLE}`);
+      return createSupabaseProfileStore(createClient(url, key));
+    }
+    console.log('[Monitoring] MONITORING_STORE=supabase but Supabase credentials are missing, using file store');
+  }
+
+  const dir = process.env.MONITORING_DIR || DEFAULT_PROFILE_DIR;
+  console.log(`[Monitoring] Using directory ${dir}`);
+  if (process.env.VERCEL) {
+    console.log('[Monitoring] Profiles saved on Vercel without MONITORING_STORE=supabase are lost with the instance');
+  }
+  return createFileProfileStore(dir);
+}
+
+/**
+ * The profile store in use, created from the environment on first call
+ *
+ * @returns {Promise<{get: Function, list: Function, save: Function, delete: Function}>}
+ */
+export function getProfileStore() {
+  if (!activeStore) {
+    activeStore = createConfiguredStore();
+  }
+  return activeStore;
+}
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+const isoDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * The report request for a run at `now`: the last `windowDays` days up to today
+ *
+ * @param {Object} profile
+ * @param {Date} [now=new Date()]
+ * @returns {Object}
+ */
+export function profileRequest(profile, now = new Date()) {
+  const start = new Date(now.getTime());
+  start.setDate(start.getDate() - (profile.windowDays || DEFAULT_WINDOW_DAYS));
+  return { ...profile.request, startDate: isoDate(start), endDate: isoDate(now) };
+}
+
+/**
+ * What is wrong with a profile, or null
+ *
+ * @param {Object} profile
+ * @returns {string|null}
+ */
+export function validateProfile(profile) {
+  if (!profile?.name?.trim()) return 'A monitoring profile needs a name';
+  if (!Number.isInteger(profile.windowDays) || profile.windowDays < 1 || profile.windowDays > MAX_WINDOW_DAYS) {
+    return `windowDays must be a whole number from 1 to ${MAX_WINDOW_DAYS}`;
+  }
+  try {
+    nextCronTime(profile.schedule);
+  } catch (error) {
+    if (error instanceof CronError) return `Invalid schedule: ${error.message}`;
+    throw error;
+  }
+  return validateReportRequest(profileRequest(profile)) || validateNotifyTargets(profile.notify);
+}
+
+const nextRunAt = (profile, after = new Date()) =>
+  profile.enabled ? nextCronTime(profile.schedule, after).toISOString() : null;
+
+// Profiles running in this process
+const runningProfiles = new Set();
+
+const profileView = (profile) => profile && { ...profile, running: runningProfiles.has(profile.id) };
+
+/**
+ * @returns {Promise<Object[]>} - By name
+ */
+export async function listMonitoringProfiles() {
+  const profiles = await (await getProfileStore()).list();
+  return profiles.sort((a, b) => a.name.localeCompare(b.name)).map(profileView);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getMonitoringProfile(id) {
+  return profileView(await (await getProfileStore()).get(id));
+}
+
+function pickEditable(input) {
+  const fields = Object.fromEntries(EDITABLE_FIELDS.filter(key => input?.[key] !== undefined).map(key => [key, input[key]]));
+  if (fields.request) {
+    // Dates come from the window at run time
+    const { startDate, endDate, ...request } = fields.request;
+    fields.request = request;
+  }
+  return fields;
+}
+
+/**
+ * @param {Object} input - name, request, schedule; windowDays (7), notify ([]), onlyNew (false),
+ *   previouslyReportedAppendix (false) and enabled (true) optional
+ * @returns {Promise<Object>}
+ * @throws {MonitoringError} 400 when the profile is invalid
+ */
+export async function createMonitoringProfile(input) {
+  const now = new Date().toISOString();
+  const profile = {
+    id: randomUUID(),
+    windowDays: DEFAULT_WINDOW_DAYS,
+    notify: [],
+    onlyNew: false,
+    previouslyReportedAppendix: false,
+    enabled: true,
+    ...pickEditable(input),
+    lastRun: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  const problem = validateProfile(profile);
+  if (problem) throw new MonitoringError(problem, 400);
+
+  profile.name = profile.name.trim();
+  profile.nextRunAt = nextRunAt(profile);
+  await (await getProfileStore()).save(profile);
+  return profileView(profile);
+}
+
+/**
+ * @param {string} id
+ * @param {Object} changes - Any of the fields createMonitoringProfile() takes
+ * @returns {Promise<Object|null>} - null if the profile doesn't exist
+ * @throws {MonitoringError} 400 when the result is invalid
+ */
+export async function updateMonitoringProfile(id, changes) {
+  const store = await getProfileStore();
+  const current = await store.get(id);
+  if (!current) return null;
+
+  const profile = { ...current, ...pickEditable(changes), updatedAt: new Date().toISOString() };
+  const problem = validateProfile(profile);
+  if (problem) throw new MonitoringError(problem, 400);
+
+  profile.name = profile.name.trim();
+  profile.nextRunAt = nextRunAt(profile);
+  await store.save(profile);
+  return profileView(profile);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} - false if it didn't exist
+ */
+export async function deleteMonitoringProfile(id) {
+  const store = await getProfileStore();
+  if (!(await store.get(id))) return false;
+  await store.delete(id);
+  return true;
+}
+
+// ============================================================================
+// RUNS
+// ============================================================================
+
+/**
+ * Every source the profile's saved reports cite, each with the report that
+ * first cited it
+ *
+ * Sources an earlier report only listed as previously reported keep the
+ * report they came from, so they stay out even once it is past the limit.
+ *
+ * @param {string} profileId
+ * @returns {Promise<Array<{firm: string, url: string, name: string, sourceTitle: string, reportName: string, reportedOn: string}>>}
+ */
+async function previouslyReported(profileId) {
+  const reports = await (await getReportStore()).list({ profileId, limit: MAX_PREVIOUS_REPORTS });
+  const sources = new Map();
+  const add = (entry) => {
+    const key = `${entry.firm}\n${normalizeSourceUrl(entry.url)}`;
+    if (!sources.has(key)) sources.set(key, entry);
+  };
+
+  // Oldest first, so each source keeps the report that first cited it
+  for (const report of [...reports].reverse()) {
+    const structured = report.structured_content;
+    if (!structured) continue;
+    for (const entry of structured.previouslyReported || []) add(entry);
+    for (const d of structured.developments) {
+      add({ firm: d.firm, url: d.sourceUrl, name: d.name, sourceTitle: d.sourceTitle, reportName: report.name, reportedOn: report.end_date });
+    }
+  }
+  return [...sources.values()];
+}
+
+async function runReport(request) {
+  const job = await createReportJob(request);
+  console.log(`[Monitoring] Started job ${job.id}`);
+  await waitForReportJob(job.id);
+  const finished = await getReportJob(job.id);
+  if (finished?.status === JOB_STATUS.COMPLETED) return { jobId: job.id, result: finished.result };
+  return { jobId: job.id, error: finished?.error || `Report job ${finished?.status || 'disappeared'}` };
+}
+
+/**
+ * Run a profile now: generate the report, save it and deliver the digest
+ *
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {'schedule'|'manual'} [options.trigger='manual']
+ * @returns {Promise<Object>} - The run, as stored in the profile's lastRun
+ * @throws {MonitoringError} 404 for an unknown profile, 409 while it is already running
+ */
+export async function runMonitoringProfile(id, { trigger = 'manual' } = {}) {
+  const store = await getProfileStore();
+  const profile = await store.get(id);
+  if (!profile) throw new MonitoringError('Monitoring profile not found', 404);
+  if (runningProfiles.has(id)) throw new MonitoringError(`${profile.name} is already running`, 409);
+
+  runningProfiles.add(id);
+  try {
+    const startedAt = new Date();
+    const request = profileRequest(profile, startedAt);
+    console.log(`[Monitoring] Running ${profile.name} (${trigger}): ${request.startDate} to ${request.endDate}`);
+
+    let jobId = null, result = null, error = null;
+    try {
+      if (profile.onlyNew) {
+        request.previouslyReported = await previouslyReported(id);
+        request.previouslyReportedAppendix = !!profile.previouslyReportedAppendix;
+        console.log(`[Monitoring] ${profile.name}: leaving out ${request.previouslyReported.length} previously reported sources`);
+      }
+      ({ jobId, result = null, error = null } = await runReport(request));
+    } catch (runError) {
+      error = runError.message;
+    }
+    const digest = renderDigest({ profile, request, result, error });
+
+    let reportId = null;
+    if (result) {
+      try {
+        const name = `${profile.name} - ${request.startDate} to ${request.endDate}`;
+        const record = await (await getReportStore()).save(reportRecord({ name, request, result, html: digest.html, profileId: id }));
+        reportId = record.id;
+      } catch (saveError) {
+        console.error(`[Monitoring] Could not save the report for ${profile.name}:`, saveError.message);
+        error = `Report generated but not saved: ${saveError.message}`;
+      }
+    }
+
+    const deliveries = await deliverDigest(profile.notify || [], {
+      ...digest,
+      profile: { id, name: profile.name },
+      reportId
+    });
+
+    const lastRun = {
+      trigger,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      jobId,
+      status: result ? 'completed' : 'failed',
+      reportId,
+      developments: digest.summary.developments,
+      error,
+      deliveries
+    };
+    console.log(`[Monitoring] ${profile.name} ${lastRun.status}${error ? `: ${error}` : ''}`);
+
+    // The profile may have been edited (or deleted) while the report ran
+    const latest = await store.get(id);
+    if (latest) await store.save({ ...latest, lastRun });
+    return lastRun;
+  } finally {
+    runningProfiles.delete(id);
+  }
+}
+
+/**
+ * Deliver a digest without running a report, to check the notify targets
+ * (e.g. against a local mail sink): the profile's latest saved report, or an
+ * empty one
+ *
+ * @param {string} id
+ * @returns {Promise<Array<{notifier: string, ok: boolean, error: string|null}>>}
+ * @throws {MonitoringError} 404 for an unknown profile
+ */
+export async function sendTestDigest(id) {
+  const profile = await (await getProfileStore()).get(id);
+  if (!profile) throw new MonitoringError('Monitoring profile not found', 404);
+
+  const [latest] = await (await getReportStore()).list({ profileId: id, limit: 1 });
+  const request = latest
+    ? { ...profileRequest(profile), startDate: latest.start_date, endDate: latest.end_date }
+    : profileRequest(profile);
+  const result = latest
+    ? { markdownContent: latest.markdown_content, structured: latest.structured_content, usage: latest.usage }
+    : { markdownContent: '', structured: { executiveSummary: 'Test digest: no report has been generated for this profile yet.', firmCommentary: [], developments: [], laws: [] } };
+
+  const digest = renderDigest({ profile, request, result });
+  return deliverDigest(profile.notify || [], {
+    ...digest,
+    subject: `[Test] ${digest.subject}`,
+    profile: { id, name: profile.name },
+    reportId: latest?.id || null
+  });
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Run due profiles every minute, one at a time
+ *
+ * Each due profile gets its next run time recorded before it starts, so a
+ * long run is never picked up twice.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000]
+ * @returns {() => void} - Stops the scheduler
+ */
+export function startMonitoringScheduler({ intervalMs = SCHEDULER_INTERVAL_MS } = {}) {
+  let ticking = false;
+
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const store = await getProfileStore();
+      const now = new Date();
+      const due = (await store.list())
+        .filter(p => p.enabled && p.nextRunAt && new Date(p.nextRunAt) <= now && !runningProfiles.has(p.id))
+        .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+
+      for (const { id } of due) {
+        // Earlier runs in this tick take minutes: the profile may have been edited, disabled or deleted since the list
+        const profile = await store.get(id);
+        if (!profile?.enabled || !profile.nextRunAt || new Date(profile.nextRunAt) > new Date() || runningProfiles.has(id)) continue;
+        await store.save({ ...profile, nextRunAt: nextRunAt(profile, new Date()) });
+        await runMonitoringProfile(id, { trigger: 'schedule' }).catch((error) => {
+          console.error(`[Monitoring] ${profile.name} could not run:`, error.message);
+        });
+      }
+    } catch (error) {
+      console.error('[Monitoring] Scheduler tick failed:', error.message);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  console.log(`[Monitoring] Scheduler checking every ${Math.round(intervalMs / 1000)}s`);
+  const timer = setInterval(tick, intervalMs);
+  tick();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,227 @@
+/**
+ * Digest Notifiers
+ *
+ * Every delivery channel for monitoring digests is an adapter with the same
+ * shape:
+ *
+ *   {
+ *     id: 'smtp',
+ *     label: 'Email (SMTP)',
+ *     configured() → boolean,               // Server-side settings present
+ *     validate(target) → string | null,     // What is wrong with a profile's target
+ *     send(target, digest) → Promise<void>  // digest: from lib/digest.js, plus reportId
+ *   }
+ *
+ * A monitoring profile lists its targets as `notify: [{ notifier: 'smtp', to: [...] },
+ * { notifier: 'webhook', url }]`. New channels (Teams, Slack apps...) are a
+ * new adapter plus registerNotifier().
+ *
+ * SMTP goes through nodemailer, so it works against a real relay (STARTTLS
+ * when offered, SMTP_SECURE=true for port 465) as well as a local mail sink
+ * such as Mailpit or MailHog (SMTP_HOST=localhost, SMTP_PORT=1025). With
+ * SMTP_USER set, a server that offers no TLS is refused rather than sent the
+ * password in the clear; SMTP_ALLOW_INSECURE_AUTH=true allows it, for sinks
+ * that ask for credentials without supporting TLS.
+ */
+
+import nodemailer from 'nodemailer';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SMTP_TIMEOUT_MS = 30000;
+const WEBHOOK_TIMEOUT_MS = 15000;
+const DEFAULT_FROM = 'regulatory-monitor@localhost';
+
+const EMAIL_ADDRESS = /^[^\s@<>]+@[^\s@<>]+$/;
+
+export class NotifierError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotifierError';
+  }
+}
+
+// ============================================================================
+// SMTP
+// ============================================================================
+
+function smtpSettings() {
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+    from: process.env.DIGEST_FROM || DEFAULT_FROM
+  };
+}
+
+/**
+ * Send one message over SMTP
+ *
+ * @param {Object} settings - From smtpSettings()
+ * @param {{to: string[], subject: string, text: string, html: string}} message
+ */
+export async function sendSmtpMail(settings, message) {
+  const transport = nodemailer.createTransport({
+    host: settings.host,
+    port: settings.port,
+    secure: settings.secure,
+    // Credentials only travel over TLS, unless SMTP_ALLOW_INSECURE_AUTH is set (see top of file)
+    requireTLS: !!settings.user && !settings.allowInsecureAuth,
+    auth: settings.user ? { user: settings.user, pass: settings.pass || '' } : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS
+  });
+
+  try {
+    await transport.sendMail({ from: settings.from, ...message });
+  } catch (error) {
+    throw new NotifierError(`SMTP delivery failed: ${error.message}`);
+  } finally {
+    transport.close();
+  }
+}
+
+const smtpNotifier = {
+  id: 'smtp',
+  label: 'Email (SMTP)',
+
+  configured() {
+    return !!process.env.SMTP_HOST;
+  },
+
+  validate(target) {
+    const to = target.to;
+    if (!Array.isArray(to) || to.length === 0) return 'An email digest needs at least one address in "to"';
+    const invalid = to.find(address => typeof address !== 'string' || !EMAIL_ADDRESS.test(address));
+    return invalid !== undefined ? `Invalid email address: ${invalid}` : null;
+  },
+
+  async send(target, digest) {
+    if (!this.configured()) throw new NotifierError('SMTP_HOST not configured');
+    await sendSmtpMail(smtpSettings(), { to: target.to, subject: digest.subject, text: digest.text, html: digest.html });
+  },
+};
+
+// ============================================================================
+// WEBHOOK
+// ============================================================================
+
+// JSON POST with a `text` field, so Slack and Teams incoming webhooks show it as is
+const webhookNotifier = {
+  id: 'webhook',
+  label: 'Webhook',
+
+  configured() {
+    return true;
+  },
+
+  validate(target) {
+    try {
+      const url = new URL(target.url);
+      return ['http:', 'https:'].includes(url.protocol) ? null : 'A webhook url must be http(s)';
+    } catch {
+      return 'A webhook digest needs a valid "url"';
+    }
+  },
+
+  async send(target, digest) {
+    const response = await fetch(target.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: `*${digest.subject}*\n\n${digest.text}`,
+        subject: digest.subject,
+        profile: digest.profile,
+        reportId: digest.reportId,
+        ...digest.summary
+      }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new NotifierError(`Webhook answered ${response.status}${errorText ? ` - ${errorText.substring(0, 200)}` : ''}`);
+    }
+  },
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const notifiers = new Map([
+  [smtpNotifier.id, smtpNotifier],
+  [webhookNotifier.id, webhookNotifier],
+]);
+
+/**
+ * Add or replace a notifier adapter
+ *
+ * @param {{id: string, label: string, configured: Function, validate: Function, send: Function}} notifier
+ */
+export function registerNotifier(notifier) {
+  notifiers.set(notifier.id, notifier);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getNotifier(id) {
+  return notifiers.get(id) || null;
+}
+
+/**
+ * Registered notifiers and whether the server is set up for them
+ *
+ * @returns {Array<{id: string, label: string, configured: boolean}>}
+ */
+export function listNotifiers() {
+  return [...notifiers.values()].map(n => ({ id: n.id, label: n.label, configured: n.configured() }));
+}
+
+/**
+ * What is wrong with a profile's notify list, or null
+ *
+ * @param {Array} targets
+ * @returns {string|null}
+ */
+export function validateNotifyTargets(targets) {
+  if (targets === undefined) return null;
+  if (!Array.isArray(targets)) return 'notify must be a list of delivery targets';
+  for (const target of targets) {
+    const notifier = getNotifier(target?.notifier);
+    if (!notifier) return `Unknown notifier: ${target?.notifier}`;
+    const problem = notifier.validate(target);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Send a digest to every target; one failing target doesn't stop the others
+ *
+ * @param {Array<{notifier: string}>} targets
+ * @param {Object} digest - From renderDigest(), plus profile and reportId
+ * @returns {Promise<Array<{notifier: string, ok: boolean, error: string|null}>>}
+ */
+export async function deliverDigest(targets, digest) {
+  const deliveries = [];
+  for (const target of targets) {
+    try {
+      await getNotifier(target.notifier).send(target, digest);
+      console.log(`[Notify] ${target.notifier}: sent "${digest.subject}"`);
+      deliveries.push({ notifier: target.notifier, ok: true, error: null });
+    } catch (error) {
+      console.error(`[Notify] ${target.notifier} failed:`, error.message);
+      deliveries.push({ notifier: target.notifier, ok: false, error: error.message });
+    }
+  }
+  return deliveries;
+}
@@ -0,0 +1,74 @@
+/**
+ * Article Passages
+ *
+ * Picks the parts of an extracted article worth quoting in the generation
+ * prompt, so many articles fit in one token budget.
+ */
+
+// Rough token estimate for English prose (~4 characters per token)
+const CHARS_PER_TOKEN = 4;
+
+// Words every legal article contains
+const STOPWORDS = new Set(['and', 'or', 'the', 'for', 'law', 'laws', 'regulation', 'regulations', 'compliance']);
+
+/**
+ * @param {string} text
+ * @returns {number} - Approximate token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Words worth matching from a topic query: drops OR/AND, years and stopwords
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function queryTerms(query) {
+  return [...new Set(
+    (query || '')
+      .toLowerCase()
+      .split(/[^a-z0-9-]+/)
+      .filter(word => word.length >= 3 && !STOPWORDS.has(word) && !/^(?:19|20)\d{2}$/.test(word))
+  )];
+}
+
+/**
+ * Pick the passages of an article most relevant to the topic, within a token budget
+ *
+ * The opening paragraph is always kept (it usually states what changed), then the
+ * paragraphs mentioning the most topic terms. Passages stay in document order.
+ *
+ * @param {string} articleText - Paragraphs separated by blank lines
+ * @param {string[]} terms - From queryTerms()
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function selectPassages(articleText, terms, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (articleText.length <= maxChars) return articleText;
+
+  const paragraphs = articleText.split(/\n{2,}/).map(p => p.trim()).filter(Boolean);
+  const scored = paragraphs.map((text, index) => {
+    const lower = text.toLowerCase();
+    const hits = terms.reduce((sum, term) => sum + (lower.split(term).length - 1), 0);
+    // The lede always wins; otherwise term hits, earlier paragraphs breaking ties
+    return { text, index, score: index === 0 ? Infinity : hits - index / 1000 };
+  });
+
+  const chosen = [];
+  let used = 0;
+  for (const paragraph of [...scored].sort((a, b) => b.score - a.score)) {
+    if (used >= maxChars) break;
+    const remaining = maxChars - used;
+    const text = paragraph.text.length > remaining
+      ? paragraph.text.substring(0, remaining).replace(/\s+\S*$/, '') + '...'
+      : paragraph.text;
+    if (text.length < 40) continue;
+    chosen.push({ ...paragraph, text });
+    used += text.length;
+  }
+
+  return chosen.sort((a, b) => a.index - b.index).map(p => p.text).join('\n\n');
+}
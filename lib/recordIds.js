@@ -0,0 +1,33 @@
+/**
+ * Record Ids
+ *
+ * Report jobs, monitoring profiles, saved reports and tracked regulations all
+ * get a randomUUID() id, and the file stores name each record's file after
+ * it. Ids arrive from URLs, so the file stores check them here before they
+ * become a path: "../../package" must not name a file outside the store.
+ */
+
+import { join } from 'path';
+
+const RECORD_ID = /^[0-9a-f-]{36}$/i;
+
+/**
+ * @param {any} id
+ * @returns {boolean} - Whether id has the shape of a randomUUID()
+ */
+export function isRecordId(id) {
+  return typeof id === 'string' && RECORD_ID.test(id);
+}
+
+/**
+ * A record's JSON file in a file store's directory
+ *
+ * @param {string} dir
+ * @param {string} id
+ * @returns {string}
+ * @throws {Error} When id isn't a record id
+ */
+export function recordPath(dir, id) {
+  if (!isRecordId(id)) throw new Error(`Invalid record id "${String(id).slice(0, 60)}"`);
+  return join(dir, `${id}.json`);
+}
@@ -0,0 +1,435 @@
+/**
+ * Regulation Tracker
+ *
+ * Every generated report adds what it found to one record per law, so the
+ * team can follow a law across reports instead of opening each one:
+ *
+ *   {
+ *     id, name, jurisdiction,
+ *     keys: string[],                  // lawKey() of every name it was reported under, see lib/lawClusters.js
+ *     names: string[],                 // Those names, as the firms wrote them
+ *     status, effectiveDate,           // As of the latest report period that mentions it
+ *     firstSeen, lastSeen,             // YYYY-MM-DD: end of the earliest and latest such report periods
+ *     firms: string[],                 // Every firm that commented on it
+ *     history: [{ asOf, status, effectiveDate }],  // One entry per change, oldest first
+ *     commentary: [{ firm, url, title, publishedDate, reportedOn, requirements, lifeSciencesImpact,
+ *                    effectiveDate, deadlines }],   // The firm's dates, see lib/deadlines.js
+ *     createdAt, updatedAt
+ *   }
+ *
+ * trackReport() is called by lib/reportJobs.js for every completed job, so
+ * reports from the app and from monitoring runs both count. A report's law
+ * joins an existing record when one of its names has a key the record
+ * already has and its jurisdiction is the record's, which is how "EU AI Act"
+ * and "Regulation (EU) 2024/1689" end up in one record while a state act
+ * that shares a key by mistake gets its own. Reports are dated by their period, not by when they ran,
+ * so re-running an old date range doesn't make an old status current.
+ *
+ * Records are stored like monitoring profiles: one JSON file each under
+ * data/regulations/ by default, or REGULATION_STORE=supabase for the
+ * regulations table. On Vercel the file store only has the instance's /tmp,
+ * which is gone with the instance, so records only last with Supabase.
+ */
+
+import { readFile, writeFile, readdir, mkdir, rename } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { lawKey } from './lawClusters.js';
+import { normalizeSourceUrl } from './grounding.js';
+import { collectDeadlines } from './deadlines.js';
+import { isRecordId, recordPath } from './recordIds.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_REGULATION_DIR = process.env.VERCEL
+  ? '/tmp/regulations'                  // Only writable path on Vercel
+  : join(__dirname, '..', 'data', 'regulations');
+const SUPABASE_TABLE = 'regulations';
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * JSON file store — one file per regulation
+ *
+ * @param {string} dir
+ */
+export function createFileRegulationStore(dir) {
+  const pathFor = (id) => recordPath(dir, id);
+
+  const read = async (path) => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.log(`[Regulations] Could not read ${path}: ${error.message}`);
+      return null;
+    }
+  };
+
+  return {
+    async get(id) {
+      // Ids come from the URL; anything else names no regulation (see lib/recordIds.js)
+      if (!isRecordId(id)) return null;
+      return read(pathFor(id));
+    },
+    async list() {
+      let files;
+      try {
+        files = (await readdir(dir)).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      return (await Promise.all(files.map(file => read(join(dir, file))))).filter(Boolean);
+    },
+    async save(regulation) {
+      await mkdir(dir, { recursive: true });
+      const tmpPath = `${pathFor(regulation.id)}.${process.pid}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(regulation, null, 2));
+      await rename(tmpPath, pathFor(regulation.id));
+    },
+  };
+}
+
+/**
+ * Supabase store — one row per regulation, kept as JSON
+ *
+ * Expects a table like:
+ *   create table regulations (id text primary key, regulation jsonb not null, updated_at timestamptz default now());
+ *
+ * @param {Object} client - A @supabase/supabase-js client
+ * @param {string} [table='regulations']
+ */
+export function createSupabaseRegulationStore(client, table = SUPABASE_TABLE) {
+  return {
+    async get(id) {
+      const { data, error } = await client.from(table).select('regulation').eq('id', id).maybeSingle();
+      if (error) {
+        console.log(`[Regulations] Supabase read failed for ${id}: ${error.message}`);
+        return null;
+      }
+      return data?.regulation || null;
+    },
+    async list() {
+      const { data, error } = await client.from(table).select('regulation');
+      if (error) throw new Error(`Supabase read failed: ${error.message}`);
+      return (data || []).map(row => row.regulation);
+    },
+    async save(regulation) {
+      const { error } = await client
+        .from(table)
+        .upsert({ id: regulation.id, regulation, updated_at: regulation.updatedAt });
+      if (error) throw new Error(`Supabase write failed: ${error.message}`);
+    },
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Replace the regulation backend
+ *
+ * @param {{get: Function, list: Function, save: Function}|null} store - null to fall back to the configured default
+ */
+export function setRegulationStore(store) {
+  activeStore = store ? Promise.resolve(store) : null;
+}
+
+async function createConfiguredStore() {
+  const kind = (process.env.REGULATION_STORE || 'file').toLowerCase();
+
+  if (kind === 'supabase') {
+    const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+    if (url && key) {
+      const { createClient } = await import('@supabase/supabase-js');
+      console.log(`[Regulations] Using Supabase table ${SUPABASE_TABLE}`);
+      return createSupabaseRegulationStore(createClient(url, key));
+    }
+    console.log('[Regulations] REGULATION_STORE=supabase but Supabase credentials are missing, using file store');
+  }
+
+  const dir = process.env.REGULATION_DIR || DEFAULT_REGULATION_DIR;
+  console.log(`[Regulations] Using directory ${dir}`);
+  if (process.env.VERCEL) {
+    console.log('[Regulations] Records written on Vercel without REGULATION_STORE=supabase are lost with the instance');
+  }
+  return createFileRegulationStore(dir);
+}
+
+/**
+ * The regulation store in use, created from the environment on first call
+ *
+ * @returns {Promise<{get: Function, list: Function, save: Function}>}
+ */
+export function getRegulationStore() {
+  if (!activeStore) {
+    activeStore = createConfiguredStore();
+  }
+  return activeStore;
+}
+
+// ============================================================================
+// TRACKING
+// ============================================================================
+
+const sortedUnique = (values) => [...new Set(values)].sort((a, b) => a.localeCompare(b));
+
+// "EU", "European Union" and "eu" are one jurisdiction; "US - Texas" and "US-Texas" another
+const jurisdictionKey = (jurisdiction) => (jurisdiction || '')
+  .toLowerCase()
+  .replace(/\beuropean union\b/g, 'eu')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// The report's developments grouped by law: its `laws` when it has them
+function lawGroups(structured) {
+  const byLaw = new Map();
+  for (const d of structured.developments) {
+    const id = d.lawId || lawKey(d.name);
+    if (!byLaw.has(id)) byLaw.set(id, []);
+    byLaw.get(id).push(d);
+  }
+  const laws = new Map((structured.laws || []).map(law => [law.id, law]));
+  return [...byLaw.entries()].map(([id, developments]) => {
+    const effectiveDates = developments.map(d => d.effectiveDate).filter(Boolean).sort();
+    return {
+      name: laws.get(id)?.name || developments[0].name,
+      jurisdiction: laws.get(id)?.jurisdiction || developments[0].jurisdiction,
+      status: developments.some(d => d.status === 'Enacted') ? 'Enacted' : 'Proposed',
+      effectiveDate: effectiveDates[0] || null,
+      developments
+    };
+  });
+}
+
+// Add one report period's observation, keeping only the entries where something changed
+function addObservation(history, observation) {
+  const observations = [...history.filter(h => h.asOf !== observation.asOf), observation]
+    .sort((a, b) => a.asOf.localeCompare(b.asOf));
+  return observations.filter((h, i) =>
+    i === 0 || h.status !== observations[i - 1].status || h.effectiveDate !== observations[i - 1].effectiveDate
+  );
+}
+
+function mergeCommentary(commentary, developments, reportedOn) {
+  const merged = new Map(commentary.map(c => [`${c.firm}\n${normalizeSourceUrl(c.url)}`, c]));
+  for (const d of developments) {
+    const key = `${d.firm}\n${normalizeSourceUrl(d.sourceUrl)}`;
+    const existing = merged.get(key);
+    if (existing) {
+      merged.set(key, {
+        ...existing,
+        publishedDate: existing.publishedDate || d.publishedDate || null,
+        reportedOn: existing.reportedOn < reportedOn ? existing.reportedOn : reportedOn,
+        // Entries from before deadlines were recorded get them from the next report that cites the article
+        effectiveDate: existing.effectiveDate !== undefined ? existing.effectiveDate : d.effectiveDate || null,
+        deadlines: existing.deadlines || d.deadlines || []
+      });
+      continue;
+    }
+    merged.set(key, {
+      firm: d.firm,
+      url: d.sourceUrl,
+      title: d.sourceTitle,
+      publishedDate: d.publishedDate || null,
+      reportedOn,
+      requirements: d.requirements,
+      lifeSciencesImpact: d.lifeSciencesImpact,
+      effectiveDate: d.effectiveDate || null,
+      deadlines: d.deadlines || []
+    });
+  }
+  return [...merged.values()];
+}
+
+function upsertLaw(regulation, law, asOf, now) {
+  const keys = law.developments.map(d => lawKey(d.name));
+  const current = regulation || {
+    id: randomUUID(),
+    keys: [],
+    names: [],
+    firms: [],
+    history: [],
+    commentary: [],
+    firstSeen: asOf,
+    lastSeen: asOf,
+    createdAt: now
+  };
+  const history = addObservation(current.history, { asOf, status: law.status, effectiveDate: law.effectiveDate });
+  const latest = asOf >= current.lastSeen;
+
+  return {
+    ...current,
+    // Name and jurisdiction follow the latest report, like status
+    name: latest || !current.name ? law.name : current.name,
+    jurisdiction: latest || !current.jurisdiction ? law.jurisdiction : current.jurisdiction,
+    keys: sortedUnique([...current.keys, ...keys]),
+    names: sortedUnique([...current.names, ...law.developments.map(d => d.name)]),
+    status: history[history.length - 1].status,
+    effectiveDate: history[history.length - 1].effectiveDate,
+    firstSeen: asOf < current.firstSeen ? asOf : current.firstSeen,
+    lastSeen: latest ? asOf : current.lastSeen,
+    firms: sortedUnique([...current.firms, ...law.developments.map(d => d.firm)]),
+    history,
+    commentary: mergeCommentary(current.commentary, law.developments, asOf),
+    updatedAt: now
+  };
+}
+
+async function upsertFromReport({ request, result }) {
+  const structured = result?.structured;
+  if (!structured?.developments?.length) return { created: 0, updated: 0 };
+
+  const store = await getRegulationStore();
+  const regulations = await store.list();
+  const asOf = request.endDate;
+  const now = new Date().toISOString();
+  let created = 0;
+  let updated = 0;
+
+  for (const law of lawGroups(structured)) {
+    const keys = new Set(law.developments.map(d => lawKey(d.name)));
+    const existing = regulations.find(r =>
+      jurisdictionKey(r.jurisdiction) === jurisdictionKey(law.jurisdiction) && r.keys.some(key => keys.has(key)));
+    const regulation = upsertLaw(existing, law, asOf, now);
+    await store.save(regulation);
+    if (existing) {
+      regulations[regulations.indexOf(existing)] = regulation;
+      updated++;
+    } else {
+      regulations.push(regulation);
+      created++;
+    }
+  }
+  return { created, updated };
+}
+
+// One report at a time, so two jobs finishing together don't overwrite each other's updates
+let trackingQueue = Promise.resolve();
+
+/**
+ * Add a finished report's laws to the tracker
+ *
+ * @param {{request: Object, result: Object}} report - A completed job's request and result (see lib/reportJobs.js)
+ * @returns {Promise<{created: number, updated: number}>}
+ */
+export function trackReport(report) {
+  const run = trackingQueue.then(() => upsertFromReport(report));
+  trackingQueue = run.catch(() => {});
+  return run;
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+function matching({ q, jurisdiction }) {
+  const text = q?.trim().toLowerCase();
+  return (r) => (!jurisdiction || r.jurisdiction === jurisdiction) &&
+    (!text || [r.name, ...r.names].some(name => name.toLowerCase().includes(text)));
+}
+
+const regulationSummary = ({ history, commentary, ...regulation }) => ({
+  ...regulation,
+  commentaryCount: commentary.length,
+  statusChanges: history.length - 1
+});
+
+/**
+ * Tracked regulations, most recently reported first
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.q] - Matched against every name the law was reported under
+ * @param {string} [filter.jurisdiction]
+ * @returns {Promise<Object[]>} - Without history and commentary, with their counts
+ */
+export async function listRegulations({ q, jurisdiction } = {}) {
+  const regulations = await (await getRegulationStore()).list();
+  return regulations
+    .filter(matching({ q, jurisdiction }))
+    .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen) || a.name.localeCompare(b.name))
+    .map(regulationSummary);
+}
+
+/**
+ * What happened to a regulation, oldest first: first reported, status and
+ * effective date changes, and each firm's commentary
+ *
+ * Commentary is dated by its article when known, otherwise by the end of the
+ * report period it was found in (`dateKnown: false`).
+ *
+ * @param {Object} regulation
+ * @param {Object} [options]
+ * @param {string} [options.since] - YYYY-MM-DD; leave out anything earlier
+ * @returns {Array<Object>}
+ */
+export function regulationTimeline(regulation, { since } = {}) {
+  const events = regulation.history.map((entry, i) => {
+    if (i === 0) return { date: entry.asOf, type: 'first_reported', status: entry.status, effectiveDate: entry.effectiveDate };
+    const previous = regulation.history[i - 1];
+    return {
+      date: entry.asOf,
+      type: 'changed',
+      ...(entry.status !== previous.status && { status: { from: previous.status, to: entry.status } }),
+      ...(entry.effectiveDate !== previous.effectiveDate && { effectiveDate: { from: previous.effectiveDate, to: entry.effectiveDate } })
+    };
+  });
+  for (const c of regulation.commentary) {
+    events.push({ date: c.publishedDate || c.reportedOn, dateKnown: !!c.publishedDate, type: 'commentary', ...c });
+  }
+  return events
+    .filter(e => !since || e.date >= since)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {string} [options.since] - YYYY-MM-DD, for the timeline
+ * @returns {Promise<{regulation: Object, timeline: Array<Object>}|null>}
+ */
+export async function getRegulation(id, { since } = {}) {
+  const regulation = await (await getRegulationStore()).get(id);
+  if (!regulation) return null;
+  return { regulation, timeline: regulationTimeline(regulation, { since }) };
+}
+
+/**
+ * Compliance deadlines of every tracked regulation, soonest first, for the
+ * deadline calendar and its .ics feed (see lib/deadlines.js)
+ *
+ * A regulation's effective date is its latest one; each firm's deadlines are
+ * kept as its commentary gave them.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.q] - As for listRegulations()
+ * @param {string} [filter.jurisdiction]
+ * @param {string} [filter.from] - YYYY-MM-DD; leave out deadlines before it
+ * @returns {Promise<Array<Object>>}
+ */
+export async function trackedDeadlines({ q, jurisdiction, from } = {}) {
+  const regulations = (await (await getRegulationStore()).list()).filter(matching({ q, jurisdiction }));
+  const deadlines = collectDeadlines(regulations.map(r => ({
+    id: r.id,
+    name: r.name,
+    jurisdiction: r.jurisdiction,
+    status: r.status,
+    effectiveDate: r.effectiveDate,
+    developments: r.commentary.map(c => ({
+      firm: c.firm,
+      sourceTitle: c.title,
+      sourceUrl: c.url,
+      effectiveDate: c.effectiveDate,
+      deadlines: c.deadlines
+    }))
+  })));
+  // A month or year still counts when `from` falls inside it
+  return from ? deadlines.filter(d => d.date >= from.slice(0, d.date.length)) : deadlines;
+}
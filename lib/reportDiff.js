@@ -0,0 +1,177 @@
+/**
+ * Report Diff
+ *
+ * What changed between two saved reports, from their structured developments
+ * (see lib/developments.js) rather than their text:
+ *
+ *   {
+ *     before: { startDate, endDate, laws, firms }, after: { ... },   // Counts
+ *     newLaws:      [{ id, name, status, effectiveDate, jurisdiction, firms }],
+ *     droppedLaws:  [{ ... }],                                      // Only in the earlier report
+ *     statusChanges:        [{ id, name, jurisdiction, from, to }], // e.g. Proposed → Enacted
+ *     effectiveDateChanges: [{ id, name, jurisdiction, from, to }], // null: not known (TBD)
+ *     commentaryChanges:    [{ id, name, started: string[], stopped: string[] }],  // Laws in both
+ *     firmsStarted: [{ firm, laws: string[], monitored }],          // Commenting now, not before
+ *     firmsStopped: [{ firm, laws: string[], monitored }],
+ *     unchangedLaws: number
+ *   }
+ *
+ * Laws are matched the way a single report groups them (clusterDevelopments
+ * in lib/lawClusters.js), so "EU AI Act" in one report and "Regulation (EU)
+ * 2024/1689" in the other are the same law. `monitored` is false for a firm
+ * the other report didn't cover at all, whose silence there means nothing.
+ */
+
+import { clusterDevelopments } from './lawClusters.js';
+import { DEVELOPMENT_STATUSES } from './developments.js';
+
+export class ReportDiffError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReportDiffError';
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// How one report describes a law: same rules as the report's own `laws`
+function lawSide(developments) {
+  if (developments.length === 0) return null;
+  const effectiveDates = developments.map(d => d.effectiveDate).filter(Boolean).sort();
+  return {
+    status: developments.some(d => d.status === 'Enacted') ? 'Enacted' : 'Proposed',
+    effectiveDate: effectiveDates[0] || null,
+    firms: [...new Set(developments.map(d => d.firm))].sort((a, b) => a.localeCompare(b))
+  };
+}
+
+function firmChanges(firms, otherFirms, lawsOfFirm, otherMonitored) {
+  return [...firms]
+    .filter(firm => !otherFirms.has(firm))
+    .sort((a, b) => a.localeCompare(b))
+    .map(firm => ({ firm, laws: lawsOfFirm(firm), monitored: !otherMonitored || otherMonitored.has(firm) }));
+}
+
+// What the comparison reads from each development; validateStructuredReport() in lib/developments.js guarantees them
+const REQUIRED_FIELDS = ['name', 'jurisdiction', 'firm'];
+
+function checkReport(report, label) {
+  if (!report || typeof report !== 'object') throw new ReportDiffError(`The ${label} report is missing`);
+  if (!Array.isArray(report.structured?.developments)) {
+    throw new ReportDiffError(`The ${label} report has no structured developments to compare (it was saved before reports had them)`);
+  }
+  report.structured.developments.forEach((d, i) => {
+    if (!d || typeof d !== 'object') throw new ReportDiffError(`The ${label} report's development ${i + 1} is not an object`);
+    const missing = REQUIRED_FIELDS.find(field => typeof d[field] !== 'string' || !d[field].trim());
+    if (missing) throw new ReportDiffError(`The ${label} report's development ${i + 1} has no ${missing}`);
+    if (!DEVELOPMENT_STATUSES.includes(d.status)) {
+      throw new ReportDiffError(`The ${label} report's development ${i + 1} has status "${d.status}", not ${DEVELOPMENT_STATUSES.join(' or ')}`);
+    }
+  });
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Compare an earlier report with a later one
+ *
+ * @param {{structured: Object, firms?: string[], startDate?: string, endDate?: string}} before - firms: every firm the report covered
+ * @param {{structured: Object, firms?: string[], startDate?: string, endDate?: string}} after
+ * @returns {Object} - See top of file
+ * @throws {ReportDiffError} When either report has no structured developments, or a malformed one
+ */
+export function diffReports(before, after) {
+  checkReport(before, 'earlier');
+  checkReport(after, 'later');
+
+  const tagged = [
+    ...before.structured.developments.map(d => ({ ...d, side: 'before' })),
+    ...after.structured.developments.map(d => ({ ...d, side: 'after' }))
+  ];
+  const { laws, lawIds } = clusterDevelopments(tagged);
+
+  const membersByLaw = new Map(laws.map(law => [law.id, []]));
+  tagged.forEach((d, i) => membersByLaw.get(lawIds[i]).push(d));
+
+  const diff = {
+    newLaws: [],
+    droppedLaws: [],
+    statusChanges: [],
+    effectiveDateChanges: [],
+    commentaryChanges: [],
+    unchangedLaws: 0
+  };
+  const lawsByFirm = { before: new Map(), after: new Map() };
+
+  for (const law of laws) {
+    const members = membersByLaw.get(law.id);
+    const was = lawSide(members.filter(d => d.side === 'before'));
+    const now = lawSide(members.filter(d => d.side === 'after'));
+    const { id, name, jurisdiction } = law;
+
+    for (const [side, value] of [['before', was], ['after', now]]) {
+      for (const firm of value?.firms || []) {
+        if (!lawsByFirm[side].has(firm)) lawsByFirm[side].set(firm, []);
+        lawsByFirm[side].get(firm).push(name);
+      }
+    }
+
+    if (!was) {
+      diff.newLaws.push({ id, name, jurisdiction, ...now });
+      continue;
+    }
+    if (!now) {
+      diff.droppedLaws.push({ id, name, jurisdiction, ...was });
+      continue;
+    }
+
+    let changed = false;
+    if (was.status !== now.status) {
+      diff.statusChanges.push({ id, name, jurisdiction, from: was.status, to: now.status });
+      changed = true;
+    }
+    if (was.effectiveDate !== now.effectiveDate) {
+      diff.effectiveDateChanges.push({ id, name, jurisdiction, from: was.effectiveDate, to: now.effectiveDate });
+      changed = true;
+    }
+    const started = now.firms.filter(f => !was.firms.includes(f));
+    const stopped = was.firms.filter(f => !now.firms.includes(f));
+    if (started.length > 0 || stopped.length > 0) {
+      diff.commentaryChanges.push({ id, name, started, stopped });
+      changed = true;
+    }
+    if (!changed) diff.unchangedLaws++;
+  }
+
+  const firmsBefore = new Set(lawsByFirm.before.keys());
+  const firmsAfter = new Set(lawsByFirm.after.keys());
+  const monitoredBefore = before.firms ? new Set(before.firms) : null;
+  const monitoredAfter = after.firms ? new Set(after.firms) : null;
+
+  const summary = (report, side) => ({
+    startDate: report.startDate || null,
+    endDate: report.endDate || null,
+    laws: laws.filter(law => membersByLaw.get(law.id).some(d => d.side === side)).length,
+    firms: lawsByFirm[side].size
+  });
+
+  return {
+    before: summary(before, 'before'),
+    after: summary(after, 'after'),
+    newLaws: diff.newLaws.sort(byName),
+    droppedLaws: diff.droppedLaws.sort(byName),
+    statusChanges: diff.statusChanges.sort(byName),
+    effectiveDateChanges: diff.effectiveDateChanges.sort(byName),
+    commentaryChanges: diff.commentaryChanges.sort(byName),
+    firmsStarted: firmChanges(firmsAfter, firmsBefore, firm => lawsByFirm.after.get(firm), monitoredBefore),
+    firmsStopped: firmChanges(firmsBefore, firmsAfter, firm => lawsByFirm.before.get(firm), monitoredAfter),
+    unchangedLaws: diff.unchangedLaws
+  };
+}
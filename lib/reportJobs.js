@@ -0,0 +1,600 @@
+/**
+ * Report Jobs
+ *
+ * Runs the report pipeline in the background so a report survives the browser
+ * tab that started it. A job is created from a report request, runs in the
+ * server process, and writes its progress to a store; any client can look it
+ * up by id and keep watching.
+ *
+ *   {
+ *     id, status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled',
+ *     request,                         // Report request (see lib/reportPipeline.js)
+ *     progress: { phase, searches, ... },  // Summary of every event so far, incl. the firm × topic matrix
+ *     events: [{ seq, at, type, ... }],    // Pipeline events in order, oldest dropped past MAX_JOB_EVENTS
+ *     lastEventSeq,
+ *     result: { markdownContent, structured, validationErrors, usage } | null,  // See runReportPipeline()
+ *     error: string | null,
+ *     createdAt, updatedAt, completedAt,  // ISO timestamps
+ *     checkpoint: Object | null,           // Chunked jobs: pipeline state between chunks
+ *     lease: { owner, until, paused } | null,  // Chunked jobs: who runs the current chunk, until when
+ *     interruptions                        // Chunked jobs: chunks stopped before a checkpoint, in a row
+ *   }
+ *
+ * Clients poll with the last `seq` they have seen and only get newer events;
+ * the progress summary alone is enough to redraw after a reconnect.
+ *
+ * Every completed report also updates the regulation tracker
+ * (lib/regulations.js).
+ *
+ * On hosts that stop a function after a few minutes (Vercel), a job runs in
+ * chunks instead of in one go: createReportJob() and continueReportJob() take
+ * `chunkMs`, the pipeline stops at its next checkpoint once that time is up
+ * (see lib/reportPipeline.js), and the job is saved with the checkpoint and
+ * an expired `lease`. The next poll for the job runs the next chunk. A lease
+ * that expires while its chunk is still marked as running means the function
+ * was stopped mid-chunk; the job goes on from its last saved checkpoint, and
+ * fails after MAX_CHUNK_INTERRUPTIONS of those in a row.
+ *
+ * A store is any object with async `get(id)` and `save(job)`, and optionally
+ * `saveUnlessCancelled(job)`, a conditional write that resolves false when the
+ * stored job is cancelled; progress saves use it so a cancellation made on
+ * another instance is never overwritten. Jobs go to
+ * .cache/report-jobs/ by default; on Vercel REPORT_JOB_STORE=supabase is
+ * required, since every chunk and poll may land on a different instance.
+ */
+
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runReportPipeline, validateReportRequest, ReportCancelledError, ReportPausedError } from './reportPipeline.js';
+import { trackReport } from './regulations.js';
+import { isRecordId, recordPath } from './recordIds.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINISHED_STATUSES = new Set([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+const MAX_JOB_EVENTS = 2000;
+// A job nobody has updated for this long lost its server (restart, crash, timeout)
+const STALE_JOB_MS = 15 * 60 * 1000;
+// Chunked jobs: chunks in a row whose function was stopped before reaching a checkpoint
+const MAX_CHUNK_INTERRUPTIONS = 2;
+// Chunked jobs: how long a claim waits before checking that no other poll claimed the job too
+const LEASE_SETTLE_MS = 500;
+
+const DEFAULT_JOB_DIR = process.env.VERCEL
+  ? '/tmp/report-jobs'                  // Only writable path on Vercel
+  : join(__dirname, '..', '.cache', 'report-jobs');
+const SUPABASE_TABLE = 'report_jobs';
+
+export class ReportJobError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ReportJobError';
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * JSON file store — one file per job
+ *
+ * @param {string} dir - Directory for job files
+ */
+export function createFileJobStore(dir) {
+  const pathFor = (id) => recordPath(dir, id);
+  // Chain writes per job so a slow progress write never lands after the final one
+  const writing = new Map();
+
+  const read = async (id) => {
+    // Ids come from the URL; anything but a job id is no job (see lib/recordIds.js)
+    if (!isRecordId(id)) return null;
+    try {
+      return JSON.parse(await readFile(pathFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`[Jobs] Could not read job ${id}: ${error.message}`);
+      }
+      return null;
+    }
+  };
+
+  const write = async (job, { unlessCancelled = false } = {}) => {
+    const snapshot = JSON.stringify(job);
+    let written = true;
+    const pending = (writing.get(job.id) || Promise.resolve()).then(async () => {
+      // Checked inside the chain, so none of this process's writes lands between the check and the rename
+      if (unlessCancelled && (await read(job.id))?.status === JOB_STATUS.CANCELLED) {
+        written = false;
+        return;
+      }
+      try {
+        await mkdir(dir, { recursive: true });
+        const tmpPath = `${pathFor(job.id)}.${process.pid}.tmp`;
+        await writeFile(tmpPath, snapshot);
+        await rename(tmpPath, pathFor(job.id));
+      } catch (error) {
+        console.log(`[Jobs] Could not write job ${job.id}: ${error.message}`);
+      }
+    });
+    writing.set(job.id, pending);
+    await pending;
+    if (writing.get(job.id) === pending) writing.delete(job.id);
+    return written;
+  };
+
+  return {
+    get: read,
+    async save(job) {
+      await write(job);
+    },
+    saveUnlessCancelled(job) {
+      return write(job, { unlessCancelled: true });
+    },
+  };
+}
+
+/**
+ * Supabase store — one row per job, kept as JSON
+ *
+ * Expects a table like:
+ *   create table report_jobs (id text primary key, job jsonb not null, updated_at timestamptz default now());
+ *
+ * @param {Object} client - A @supabase/supabase-js client
+ * @param {string} [table='report_jobs']
+ */
+export function createSupabaseJobStore(client, table = SUPABASE_TABLE) {
+  return {
+    async get(id) {
+      const { data, error } = await client.from(table).select('job').eq('id', id).maybeSingle();
+      if (error) {
+        console.log(`[Jobs] Supabase read failed for ${id}: ${error.message}`);
+        return null;
+      }
+      return data?.job || null;
+    },
+    async save(job) {
+      const { error } = await client
+        .from(table)
+        .upsert({ id: job.id, job, updated_at: job.updatedAt });
+      if (error) {
+        console.log(`[Jobs] Supabase write failed for ${job.id}: ${error.message}`);
+      }
+    },
+    async saveUnlessCancelled(job) {
+      // A single conditional update: a cancellation written by another instance is never overwritten
+      const { data, error } = await client
+        .from(table)
+        .update({ job, updated_at: job.updatedAt })
+        .eq('id', job.id)
+        .neq('job->>status', JOB_STATUS.CANCELLED)
+        .select('id');
+      if (error) {
+        console.log(`[Jobs] Supabase write failed for ${job.id}: ${error.message}`);
+        return true;
+      }
+      return data.length > 0;
+    },
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Replace the job backend
+ *
+ * @param {{get: Function, save: Function}|null} store - null to fall back to the configured default
+ */
+export function setJobStore(store) {
+  activeStore = store ? Promise.resolve(store) : null;
+}
+
+async function createConfiguredStore() {
+  const kind = (process.env.REPORT_JOB_STORE || 'file').toLowerCase();
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+
+  if (kind === 'supabase' && url && key) {
+    const { createClient } = await import('@supabase/supabase-js');
+    console.log(`[Jobs] Using Supabase table ${SUPABASE_TABLE}`);
+    return createSupabaseJobStore(createClient(url, key));
+  }
+  // Each Vercel instance has its own /tmp, so polls and later chunks wouldn't find the job
+  if (process.env.VERCEL) {
+    throw new ReportJobError('Report jobs on Vercel need REPORT_JOB_STORE=supabase and Supabase credentials');
+  }
+  if (kind === 'supabase') {
+    console.log('[Jobs] REPORT_JOB_STORE=supabase but Supabase credentials are missing, using file store');
+  }
+
+  const dir = process.env.REPORT_JOB_DIR || DEFAULT_JOB_DIR;
+  console.log(`[Jobs] Using directory ${dir}`);
+  return createFileJobStore(dir);
+}
+
+/**
+ * The job store in use, created from the environment on first call
+ *
+ * @returns {Promise<{get: Function, save: Function}>}
+ */
+export function getJobStore() {
+  if (!activeStore) {
+    activeStore = createConfiguredStore();
+  }
+  return activeStore;
+}
+
+// ============================================================================
+// PROGRESS
+// ============================================================================
+
+/**
+ * Fold one pipeline event into the job's progress summary
+ *
+ * @param {Object} progress - Current summary (not modified)
+ * @param {Object} event - Pipeline event (see lib/reportPipeline.js)
+ * @returns {Object} - New summary
+ */
+export function applyProgressEvent(progress, event) {
+  const { type, seq, at, ...data } = event;
+
+  switch (type) {
+    case 'run_started':
+      return {
+        ...progress,
+        phase: 'searching',
+        totalSearches: data.totalSearches,
+        completedSearches: 0,
+        resultsFound: 0,
+        filteredByDate: 0,
+        scrapeTimeouts: 0,
+        searches: Object.fromEntries(data.firms.map(firm => [firm, {}]))
+      };
+    case 'topic_started':
+      return { ...progress, currentTopic: data.topic, topicIndex: data.topicIndex, totalTopics: data.totalTopics };
+    case 'search_started':
+    case 'search_finished': {
+      const cell = type === 'search_started'
+        ? { status: 'running' }
+        : {
+            status: data.error ? 'failed' : 'done',
+            results: data.results,
+            filteredByDate: data.filteredByDate,
+            duplicates: data.duplicates,
+            previouslyReported: data.previouslyReported,
+            scrapeTimeouts: data.scrapeTimeouts,
+            error: data.error
+          };
+      const searches = {
+        ...progress.searches,
+        [data.firm]: { ...progress.searches?.[data.firm], [data.topic]: cell }
+      };
+      if (type === 'search_started') return { ...progress, searches };
+      return {
+        ...progress,
+        searches,
+        completedSearches: (progress.completedSearches || 0) + 1,
+        resultsFound: (progress.resultsFound || 0) + data.results,
+        filteredByDate: (progress.filteredByDate || 0) + data.filteredByDate,
+        scrapeTimeouts: (progress.scrapeTimeouts || 0) + data.scrapeTimeouts,
+        searchApiCalls: (progress.searchApiCalls || 0) + data.apiCalls
+      };
+    }
+    case 'clustering_finished':
+      return { ...progress, sharedLaws: data.sharedLaws };
+    case 'generation_started':
+      return { ...progress, phase: 'generating', generatedChars: 0, promptTokens: data.promptTokens, model: data.model, generationBatches: data.batches, finishedBatches: 0 };
+    case 'generation_batch_finished':
+      // The executive summary (no firms) isn't one of the batches; a split batch adds its two halves
+      if (data.firms.length === 0) return progress;
+      return {
+        ...progress,
+        finishedBatches: (progress.finishedBatches || 0) + 1,
+        generationBatches: (progress.generationBatches || 1) + (data.split ? 2 : 0)
+      };
+    case 'generation_progress':
+      return { ...progress, generatedChars: data.generatedChars, outputTokens: data.outputTokens };
+    case 'model_fallback':
+      return { ...progress, model: data.to };
+    case 'generation_continued':
+      return { ...progress, continuations: (progress.continuations || 0) + 1 };
+    case 'generation_finished':
+      return { ...progress, inputTokens: data.inputTokens, outputTokens: data.outputTokens, stopReason: data.stopReason, truncatedFirms: data.truncatedFirms };
+    case 'verification_finished':
+      return { ...progress, unverifiedLinks: data.unverifiedLinks, unverifiedDevelopments: data.unverifiedDevelopments };
+    default:
+      // Scrape timeouts are counted from search_finished; the event itself is for the log
+      return progress;
+  }
+}
+
+function recordEvent(job, event) {
+  const entry = { seq: job.lastEventSeq + 1, at: new Date().toISOString(), ...event };
+  // Generation emits an event per text delta; keep only the latest in the log
+  const last = job.events[job.events.length - 1];
+  if (event.type === 'generation_progress' && last?.type === 'generation_progress') {
+    job.events[job.events.length - 1] = entry;
+  } else {
+    job.events.push(entry);
+    if (job.events.length > MAX_JOB_EVENTS) job.events.splice(0, job.events.length - MAX_JOB_EVENTS);
+  }
+  touch(job, { lastEventSeq: entry.seq, progress: applyProgressEvent(job.progress, entry) });
+}
+
+/**
+ * A job as returned to clients: only the events after `since`, and without
+ * the chunk checkpoint (it holds every search result)
+ */
+function jobView(job, since) {
+  if (!job) return job;
+  const { checkpoint, ...view } = job;
+  return since ? { ...view, events: (job.events || []).filter(e => e.seq > since) } : view;
+}
+
+// ============================================================================
+// RUNNING JOBS
+// ============================================================================
+
+// Jobs running in this process: id → { job, controller, done }
+const runningJobs = new Map();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function touch(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  return job;
+}
+
+/**
+ * Save a job unless its stored copy was cancelled meanwhile
+ *
+ * @returns {Promise<boolean>} false when the stored job is cancelled and nothing was written
+ */
+async function saveUnlessCancelled(store, job) {
+  if (store.saveUnlessCancelled) return store.saveUnlessCancelled(job);
+  // Stores without a conditional write leave a small window between the read and the save
+  if ((await store.get(job.id))?.status === JOB_STATUS.CANCELLED) return false;
+  await store.save(job);
+  return true;
+}
+
+/**
+ * Run a job's pipeline in this process: to the end, or with chunkMs until its
+ * first checkpoint after that long
+ */
+async function runJob(job, controller, { chunkMs } = {}) {
+  const store = await getJobStore();
+  const chunkEnd = chunkMs ? Date.now() + chunkMs : null;
+  let lastSave = 0;
+
+  const onEvent = (event) => {
+    recordEvent(job, event);
+    const now = Date.now();
+    if (now - lastSave < PROGRESS_SAVE_INTERVAL_MS) return;
+    lastSave = now;
+    if (controller.signal.aborted) return;
+    // Cancellation may have been recorded by another instance sharing the store
+    saveUnlessCancelled(store, job)
+      .then((saved) => {
+        if (!saved) controller.abort();
+      })
+      .catch((error) => console.log(`[Jobs] Progress save failed for ${job.id}: ${error.message}`));
+  };
+
+  // A job cancelled before it got going keeps that status; the pipeline stops at its first check
+  if (job.status === JOB_STATUS.QUEUED) touch(job, { status: JOB_STATUS.RUNNING });
+  await store.save(job);
+  console.log(`[Jobs] ${job.id} ${job.checkpoint?.search ? 'resumed' : 'started'}: ${job.request.firms.length} firms × ${job.request.topics.length} topics`);
+
+  try {
+    const result = await runReportPipeline(job.request, {
+      onEvent,
+      signal: controller.signal,
+      checkpoint: job.checkpoint || {},
+      shouldPause: chunkEnd ? () => Date.now() > chunkEnd : undefined
+    });
+    // Cancelled after the pipeline's last check, here or on another instance: the cancellation stands
+    if (controller.signal.aborted || (await store.get(job.id))?.status === JOB_STATUS.CANCELLED) {
+      throw new ReportCancelledError();
+    }
+    touch(job, { status: JOB_STATUS.COMPLETED, result, progress: { ...job.progress, phase: 'done' }, checkpoint: null, lease: null });
+    console.log(`[Jobs] ${job.id} completed: ${result.markdownContent.length} chars`);
+  } catch (error) {
+    if (error instanceof ReportPausedError) {
+      // Released right away, so the next poll picks the job up
+      touch(job, { lease: { owner: null, until: new Date().toISOString(), paused: true }, interruptions: 0 });
+      // A cancellation recorded elsewhere since the last progress save wins over the pause
+      if (await saveUnlessCancelled(store, job)) {
+        console.log(`[Jobs] ${job.id} paused at a checkpoint`);
+        runningJobs.delete(job.id);
+        return job;
+      }
+    }
+    if (error instanceof ReportCancelledError || error instanceof ReportPausedError || controller.signal.aborted) {
+      touch(job, { status: JOB_STATUS.CANCELLED, error: 'Report cancelled' });
+      console.log(`[Jobs] ${job.id} cancelled`);
+    } else {
+      touch(job, { status: JOB_STATUS.FAILED, error: error.message });
+      console.error(`[Jobs] ${job.id} failed:`, error.message);
+    }
+  }
+
+  touch(job, { completedAt: job.updatedAt, checkpoint: null, lease: null });
+  if (job.status === JOB_STATUS.COMPLETED && !(await saveUnlessCancelled(store, job))) {
+    touch(job, { status: JOB_STATUS.CANCELLED, result: null, error: 'Report cancelled' });
+    console.log(`[Jobs] ${job.id} cancelled`);
+  }
+  await store.save(job);
+
+  // The regulation tracker (lib/regulations.js) is best effort; the report stands either way
+  if (job.status === JOB_STATUS.COMPLETED) {
+    await trackReport(job)
+      .then(({ created, updated }) => console.log(`[Jobs] ${job.id} tracked: ${created} new and ${updated} updated regulations`))
+      .catch((error) => console.error(`[Jobs] ${job.id} could not update the regulation tracker:`, error.message));
+  }
+
+  runningJobs.delete(job.id);
+  return job;
+}
+
+/**
+ * Queue a report and start it in the background
+ *
+ * @param {Object} request - Report request (see lib/reportPipeline.js)
+ * @param {Object} [options]
+ * @param {number} [options.chunkMs] - Run in chunks of about this long (see top of file)
+ * @param {number} [options.leaseMs] - With chunkMs: how long a chunk may run before the job counts as stopped mid-chunk
+ * @returns {Promise<Object>} - The new job
+ */
+export async function createReportJob(request, { chunkMs, leaseMs } = {}) {
+  const problem = validateReportRequest(request);
+  if (problem) throw new ReportJobError(problem, 400);
+
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: JOB_STATUS.QUEUED,
+    request,
+    progress: { phase: 'queued' },
+    events: [],
+    lastEventSeq: 0,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    checkpoint: chunkMs ? {} : null,
+    lease: chunkMs ? { owner: randomUUID(), until: new Date(Date.now() + leaseMs).toISOString(), paused: false } : null
+  };
+
+  const store = await getJobStore();
+  await store.save(job);
+  startJob(job, { chunkMs });
+  return job;
+}
+
+function startJob(job, options) {
+  const controller = new AbortController();
+  const done = runJob(job, controller, options).catch((error) => {
+    console.error(`[Jobs] ${job.id} could not be recorded:`, error.message);
+    runningJobs.delete(job.id);
+  });
+  runningJobs.set(job.id, { job, controller, done });
+}
+
+/**
+ * Run the next chunk of a chunked job, unless it is finished or another
+ * chunk holds its lease
+ *
+ * @param {string} id
+ * @param {Object} options
+ * @param {number} options.chunkMs
+ * @param {number} options.leaseMs
+ * @returns {Promise<boolean>} - Whether a chunk ran here; resolves once it has ended
+ */
+export async function continueReportJob(id, { chunkMs, leaseMs }) {
+  if (runningJobs.has(id)) return false;
+  const store = await getJobStore();
+  const job = await store.get(id);
+  if (!job?.lease || job.status !== JOB_STATUS.RUNNING) return false;
+  if (new Date(job.lease.until).getTime() > Date.now()) return false;
+
+  if (!job.lease.paused) {
+    job.interruptions = (job.interruptions || 0) + 1;
+    if (job.interruptions > MAX_CHUNK_INTERRUPTIONS) {
+      touch(job, { status: JOB_STATUS.FAILED, error: 'Report job was interrupted repeatedly (a step ran past the function time limit)', checkpoint: null, lease: null });
+      touch(job, { completedAt: job.updatedAt });
+      await store.save(job);
+      return false;
+    }
+    console.log(`[Jobs] ${id} was stopped mid-chunk, going on from its last checkpoint`);
+  }
+
+  // Two polls can claim the job at once; the store keeps one claim, and only its owner runs
+  const owner = randomUUID();
+  touch(job, { lease: { owner, until: new Date(Date.now() + leaseMs).toISOString(), paused: false } });
+  await store.save(job);
+  await delay(LEASE_SETTLE_MS);
+  if ((await store.get(id))?.lease?.owner !== owner) return false;
+
+  startJob(job, { chunkMs });
+  await waitForReportJob(id);
+  return true;
+}
+
+/**
+ * Resolves when a job running in this process has finished (immediately otherwise)
+ *
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function waitForReportJob(id) {
+  await runningJobs.get(id)?.done;
+}
+
+/**
+ * Latest state of a job
+ *
+ * Jobs still marked running that nobody has updated for STALE_JOB_MS lost
+ * their server and are reported as failed.
+ *
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {number} [options.since] - Only include events with a higher seq
+ * @returns {Promise<Object|null>}
+ */
+export async function getReportJob(id, { since } = {}) {
+  const running = runningJobs.get(id);
+  if (running) return jobView(running.job, since);
+
+  const store = await getJobStore();
+  const job = await store.get(id);
+  // Chunked jobs are never stale: continueReportJob() picks them up again
+  if (!job || FINISHED_STATUSES.has(job.status) || job.lease) return jobView(job, since);
+
+  if (Date.now() - new Date(job.updatedAt).getTime() > STALE_JOB_MS) {
+    touch(job, { status: JOB_STATUS.FAILED, error: 'Report job was interrupted (server restarted or timed out)' });
+    touch(job, { completedAt: job.updatedAt });
+    await store.save(job);
+  }
+  return jobView(job, since);
+}
+
+/**
+ * Stop a queued or running job
+ *
+ * @param {string} id
+ * @returns {Promise<Object|null>} - The job, or null if it doesn't exist
+ */
+export async function cancelReportJob(id) {
+  const running = runningJobs.get(id);
+  if (running) {
+    // The pipeline stops at its next batch boundary; report the cancellation right away
+    running.controller.abort();
+    return touch(running.job, { status: JOB_STATUS.CANCELLED, error: 'Report cancelled' });
+  }
+
+  // Running elsewhere: record the cancellation, its runner picks it up on the next progress save
+  const job = await getReportJob(id);
+  if (!job || FINISHED_STATUSES.has(job.status)) return job;
+  touch(job, { status: JOB_STATUS.CANCELLED, error: 'Report cancelled', checkpoint: null, lease: null });
+  await (await getJobStore()).save(job);
+  return job;
+}
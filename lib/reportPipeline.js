@@ -0,0 +1,927 @@
+/**
+ * Report Pipeline
+ *
+ * Everything behind one report, run on the server: a search per firm × topic
+ * (date filtering and article extraction happen inside runSearch), the
+ * generation prompt built from those results, and the streamed model answer.
+ *
+ * A report request is plain JSON so it can be queued, stored and re-run:
+ *
+ *   {
+ *     firms: [{ name, url, domains: string[], siteUrls: string[] }],
+ *     topics: [{ id, label }],
+ *     startDate, endDate,                 // YYYY-MM-DD
+ *     searchProvider, modelProvider,      // modelProvider: registry id, see lib/models.js
+ *     strictDateFilter, minDateConfidence, dateFilterBasis, useFeeds, extractArticles,
+ *     reportLayout,                       // 'by_firm' (default) | 'by_law'
+ *     citationPolicy,                     // 'annotate' (default) | 'strip', see lib/grounding.js
+ *     countries: string[], pharmaAreas: string[],
+ *     previouslyReported,                 // Optional: [{ firm, url, name, reportName, reportedOn }] cited in earlier reports
+ *     previouslyReportedAppendix          // List those found again at the end of the report
+ *   }
+ *
+ * Search results whose URL a firm's entry in `previouslyReported` already
+ * cites are left out, so a monitoring profile's weekly run (lib/monitoring.js)
+ * only reports what is new since its earlier reports.
+ *
+ * Progress is one ordered stream of events passed to `onEvent`, every one a
+ * plain object with a `type`:
+ *
+ *   run_started          { firms, topics, totalSearches }
+ *   topic_started        { topic, topicIndex, totalTopics }
+ *   search_started       { firm, topic }
+ *   scrape_timeout       { firm, topic, url }
+ *   scrape_budget_exhausted { firm, topic, skipped, included }
+ *   search_finished      { firm, topic, results, filteredByDate, duplicates, previouslyReported, scrapeTimeouts, apiCalls, error }
+ *   previously_reported  { firm, topic, urls }                 // Results left out: cited in an earlier report
+ *   clustering_finished  { clusters, sharedLaws }               // sharedLaws: discussed by 2+ firms
+ *   generation_started   { model, promptTokens, batches }
+ *   model_fallback       { from, to }                          // The model stayed overloaded; registry ids
+ *   generation_batch_started  { firms, promptTokens }          // firms: [] for the executive summary
+ *   generation_progress  { generatedChars, outputTokens }      // Across all batches; outputTokens estimated
+ *   generation_batch_finished { firms, model, inputTokens, outputTokens, stopReason, split }  // split: cut off, retried as two halves
+ *   generation_continued { firms, round }                      // A single firm's cut-off answer being continued
+ *   generation_finished  { inputTokens, outputTokens, stopReason, batches, continuations, truncatedFirms, developments, invalidDevelopments }
+ *   verification_finished { policy, checkedLinks, unverifiedLinks, unverifiedDevelopments }
+ *
+ * A run can also go in chunks, for hosts that stop a function after a few
+ * minutes (see lib/reportJobs.js): it keeps what it has done in a plain JSON
+ * `checkpoint`, stops with ReportPausedError between search batches or
+ * generation batches once `shouldPause()` says so, and a later call with the
+ * same checkpoint carries on from there.
+ */
+
+import { runSearch, getSearchProvider, DEFAULT_SEARCH_PROVIDER } from './searchProviders.js';
+import { streamModel, streamModelText } from './llm.js';
+import { estimateTokens, queryTerms, selectPassages } from './passages.js';
+import { REPORT_TOOL_NAME, REPORT_LAYOUTS, reportSchema, validateStructuredReport, renderReportMarkdown, attachLaws } from './developments.js';
+import { clusterSearchResults } from './lawClusters.js';
+import { reportDeadlines } from './deadlines.js';
+import { getModel, resolveModel } from './models.js';
+import { getLlmProvider, isLlmProviderConfigured } from './llmProviders.js';
+import { summarizeUsage } from './usage.js';
+import { CITATION_POLICIES, DEFAULT_CITATION_POLICY, buildSourceIndex, normalizeSourceUrl, verifyDevelopments, verifyMarkdownLinks } from './grounding.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SEARCH_BATCH_SIZE = 4;          // Searches in flight at once
+const SEARCH_BATCH_DELAY_MS = 1500;   // Between batches, to stay under Serper's 5 req/sec
+const RESULTS_PER_SEARCH = 10;
+
+// Laws discussed by several firms, listed in the prompt so the model names them consistently
+const MAX_PROMPT_CLUSTERS = 40;
+
+// Up to this size a report is generated in one call; beyond it, in batches of
+// firms run in parallel, so late-alphabet firms aren't lost to the output cap
+const SINGLE_CALL_MAX_FIRMS = 10;
+const SINGLE_CALL_MAX_PROMPT_TOKENS = 60000;
+const FIRMS_PER_BATCH = 6;
+const GENERATION_CONCURRENCY = 3;
+
+// Executive summary across batches
+const SUMMARY_TOOL_NAME = 'record_executive_summary';
+const SUMMARY_MAX_TOKENS = 1024;
+const MAX_SUMMARY_LAWS = 60;
+
+// Article excerpts share one prompt budget, split evenly across results that have body text
+const ARTICLE_TOKEN_BUDGET = 80000;
+const MIN_EXCERPT_TOKENS = 150;
+const MAX_EXCERPT_TOKENS = 1500;
+
+/**
+ * Search query per LEGAL_TOPICS id. Each topic uses a single OR-based query
+ * to cover multiple angles while keeping to one API call per firm.
+ */
+export const TOPIC_QUERIES = {
+  privacy: '(data protection OR privacy) regulation compliance',
+  ai: '(artificial intelligence OR automated decision-making) AI regulation',
+  cybersecurity: '(cybersecurity OR data breach) regulation notification',
+  health_info: 'HIPAA health (data privacy OR information protection)',
+  patient_support: '(patient support program OR copay assistance) pharmaceutical',
+  consent_tracking: '(cookie consent OR online tracking) privacy regulation',
+};
+
+export class ReportCancelledError extends Error {
+  constructor() {
+    super('Report cancelled');
+    this.name = 'ReportCancelledError';
+  }
+}
+
+// A chunked run stopped at its checkpoint; run it again with the same checkpoint to go on
+export class ReportPausedError extends Error {
+  constructor() {
+    super('Report paused at a checkpoint');
+    this.name = 'ReportPausedError';
+  }
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new ReportCancelledError();
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a report request before queueing it
+ *
+ * @param {Object} request
+ * @returns {string|null} - What is wrong with it, or null when usable
+ */
+export function validateReportRequest(request) {
+  if (!request || typeof request !== 'object') return 'Request body must be a report request object';
+  if (!Array.isArray(request.firms) || request.firms.length === 0) return 'At least one firm is required';
+  if (request.firms.some(f => !f?.name || !f?.url)) return 'Every firm needs a name and url';
+  if (!Array.isArray(request.topics) || request.topics.length === 0) return 'At least one topic is required';
+  if (request.topics.some(t => !t?.id || !t?.label)) return 'Every topic needs an id and label';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(request.startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(request.endDate || '')) {
+    return 'startDate and endDate must be YYYY-MM-DD';
+  }
+  if (request.searchProvider && !getSearchProvider(request.searchProvider)) {
+    return `Unknown search provider: ${request.searchProvider}`;
+  }
+  if (request.modelProvider && !getModel(request.modelProvider)) {
+    return `Unknown model: ${request.modelProvider}`;
+  }
+  // Checked before the searches run, not when generation fails after them
+  const model = resolveModel(request.modelProvider);
+  if (!isLlmProviderConfigured(model.provider, model.baseUrl)) {
+    return `${model.label} needs ${getLlmProvider(model.provider)?.apiKeyEnv || 'an API key'}, which is not set on the server`;
+  }
+  if (request.reportLayout && !REPORT_LAYOUTS.includes(request.reportLayout)) {
+    return `reportLayout must be one of ${REPORT_LAYOUTS.join(', ')}`;
+  }
+  if (request.citationPolicy && !CITATION_POLICIES.includes(request.citationPolicy)) {
+    return `citationPolicy must be one of ${CITATION_POLICIES.join(', ')}`;
+  }
+  if (request.previouslyReported !== undefined &&
+      (!Array.isArray(request.previouslyReported) || request.previouslyReported.some(r => !r?.firm || !r?.url))) {
+    return 'previouslyReported must be a list of { firm, url } entries';
+  }
+  return null;
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Run every firm × topic search, one topic at a time
+ *
+ * @param {Object} request - Report request
+ * @param {Object} [options]
+ * @param {(event: Object) => void} [options.onEvent] - Search events (see top of file)
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.checkpoint] - Chunked runs: where the searches got to, updated after every batch
+ * @param {() => boolean} [options.shouldPause] - Checked after every batch; true stops with ReportPausedError
+ * @returns {Promise<Record<string, Array<{topicLabel: string, terms: string[], results: Array}>>>} - By firm name
+ */
+export async function searchAllFirms(request, { onEvent, signal, checkpoint = {}, shouldPause } = {}) {
+  const { firms, topics } = request;
+  const provider = request.searchProvider || DEFAULT_SEARCH_PROVIDER;
+  const totalSearches = firms.length * topics.length;
+  const resumed = checkpoint.search;
+  if (resumed) {
+    console.log(`[Report] Resuming searches at topic ${resumed.topicIndex + 1}, firm ${resumed.firmIndex + 1}`);
+  } else {
+    console.log(`[Report] Total searches: ${totalSearches} (${firms.length} firms × ${topics.length} topics)`);
+    onEvent?.({ type: 'run_started', firms: firms.map(f => f.name), topics: topics.map(t => t.label), totalSearches });
+  }
+
+  // Extract years from date range for query filtering
+  const startYear = request.startDate.split('-')[0];
+  const endYear = request.endDate.split('-')[0];
+  const yearFilter = startYear === endYear ? startYear : `(${startYear} OR ${endYear})`;
+
+  const resultsByFirm = resumed?.resultsByFirm || {};
+  // Track seen URLs per firm to deduplicate across topics
+  const seenUrlsByFirm = Object.fromEntries(Object.entries(resumed?.seenUrlsByFirm || {}).map(([firm, urls]) => [firm, new Set(urls)]));
+  // And the ones earlier reports already cite, normalized (see lib/grounding.js)
+  const reportedUrlsByFirm = {};
+  for (const { firm, url } of request.previouslyReported || []) {
+    (reportedUrlsByFirm[firm] ||= new Set()).add(normalizeSourceUrl(url));
+  }
+
+  for (let topicIdx = resumed?.topicIndex || 0; topicIdx < topics.length; topicIdx++) {
+    const topic = topics[topicIdx];
+    const keywords = TOPIC_QUERIES[topic.id] || topic.label.split('/')[0].trim();
+    const query = `${keywords} law regulation ${yearFilter}`;
+    console.log(`[Report] === Topic ${topicIdx + 1}/${topics.length}: ${topic.label} === Query: "${query}"`);
+    onEvent?.({ type: 'topic_started', topic: topic.label, topicIndex: topicIdx + 1, totalTopics: topics.length });
+
+    let topicResultCount = 0;
+
+    const firstFirm = topicIdx === resumed?.topicIndex ? resumed.firmIndex : 0;
+    for (let i = firstFirm; i < firms.length; i += SEARCH_BATCH_SIZE) {
+      throwIfCancelled(signal);
+      const batch = firms.slice(i, i + SEARCH_BATCH_SIZE);
+
+      const batchResults = await Promise.all(batch.map(async (firm) => {
+        const where = { firm: firm.name, topic: topic.label };
+        const stats = { filteredByDate: 0, duplicates: 0, previouslyReported: 0, scrapeTimeouts: 0, apiCalls: 0 };
+        onEvent?.({ type: 'search_started', ...where });
+
+        // Count what runSearch drops and calls, and forward its timeouts, tagged with firm and topic
+        const onSearchEvent = (event) => {
+          if (event.type === 'date_filtered') {
+            stats.filteredByDate = event.checked - event.kept;
+          } else if (event.type === 'provider_called') {
+            stats.apiCalls++;
+          } else {
+            if (event.type === 'scrape_timeout') stats.scrapeTimeouts++;
+            onEvent?.({ ...event, ...where });
+          }
+        };
+
+        try {
+          const results = await runSearch(provider, {
+            query,
+            domains: firm.domains || [],
+            siteUrls: firm.siteUrls || [firm.url],
+            topicId: topic.id,
+            useFeeds: request.useFeeds !== false,
+            extractArticles: request.extractArticles !== false,
+            startDate: request.startDate,
+            endDate: request.endDate,
+            strictMode: request.strictDateFilter || false,
+            minConfidence: request.minDateConfidence || 0,
+            dateBasis: request.dateFilterBasis,
+            onEvent: onSearchEvent
+          });
+
+          const seen = seenUrlsByFirm[firm.name] || (seenUrlsByFirm[firm.name] = new Set());
+          const unseen = results.filter(r => !seen.has(r.url));
+          for (const r of results) seen.add(r.url);
+
+          const reported = reportedUrlsByFirm[firm.name];
+          const resurfaced = reported ? unseen.filter(r => reported.has(normalizeSourceUrl(r.url))) : [];
+          const newResults = unseen.filter(r => !resurfaced.includes(r));
+          if (resurfaced.length > 0) {
+            onEvent?.({ type: 'previously_reported', ...where, urls: resurfaced.map(r => r.url) });
+          }
+
+          console.log(`[Report] ${firm.name} / ${topic.label}: ${newResults.length} new results (${results.length - unseen.length} dupes, ${resurfaced.length} previously reported skipped)`);
+          const kept = newResults.slice(0, RESULTS_PER_SEARCH);
+          stats.duplicates = results.length - unseen.length;
+          stats.previouslyReported = resurfaced.length;
+          onEvent?.({ type: 'search_finished', ...where, results: kept.length, ...stats, error: null });
+          return { firm, results: kept };
+        } catch (error) {
+          console.error(`[Report] ${firm.name} / ${topic.label}: Error - ${error.message}`);
+          onEvent?.({ type: 'search_finished', ...where, results: 0, ...stats, error: error.message });
+          return { firm, results: [] };
+        }
+      }));
+
+      for (const { firm, results } of batchResults) {
+        if (results.length === 0) continue;
+        (resultsByFirm[firm.name] ||= []).push({ topicLabel: topic.label, terms: queryTerms(keywords), results });
+        topicResultCount += results.length;
+      }
+
+      const lastInTopic = i + SEARCH_BATCH_SIZE >= firms.length;
+      checkpoint.search = {
+        topicIndex: lastInTopic ? topicIdx + 1 : topicIdx,
+        firmIndex: lastInTopic ? 0 : i + SEARCH_BATCH_SIZE,
+        resultsByFirm,
+        seenUrlsByFirm: Object.fromEntries(Object.entries(seenUrlsByFirm).map(([firm, urls]) => [firm, [...urls]]))
+      };
+      const finished = lastInTopic && topicIdx === topics.length - 1;
+      if (!finished && shouldPause?.()) throw new ReportPausedError();
+
+      // Respect the search API rate limit between batches
+      if (!lastInTopic) {
+        await delay(SEARCH_BATCH_DELAY_MS);
+      }
+    }
+
+    console.log(`[Report] === Topic "${topic.label}" complete: ${topicResultCount} results ===`);
+  }
+
+  return resultsByFirm;
+}
+
+// ============================================================================
+// PROMPT
+// ============================================================================
+
+function formatResult(r, topicLabel, terms, excerptTokens) {
+  const title = r.title.length > 200 ? r.title.substring(0, 200) + '...' : r.title;
+  const content = r.content.length > 300 ? r.content.substring(0, 300) + '...' : r.content;
+  const dates = [
+    r.published_date ? `Published: ${r.published_date}` : '',
+    r.modified_date && r.modified_date !== r.published_date ? `Updated: ${r.modified_date}` : ''
+  ].filter(Boolean).join(' | ');
+  const excerpt = r.article_text ? selectPassages(r.article_text, terms, excerptTokens) : '';
+  const excerptBlock = excerpt
+    ? `\n  Article excerpt:\n${excerpt.split('\n\n').map(p => `  > ${p}`).join('\n  >\n')}`
+    : '';
+  return `- [${topicLabel}] **${title}**\n  ${r.url}${dates ? `\n  ${dates}` : ''}\n  ${content}${excerptBlock}`;
+}
+
+/**
+ * Search results as prompt text, grouped by firm
+ *
+ * @param {Record<string, Array>} resultsByFirm - From searchAllFirms()
+ * @returns {string}
+ */
+export function formatSearchResults(resultsByFirm) {
+  // Split the article budget across every result that came back with body text
+  const articleCount = Object.values(resultsByFirm)
+    .flat()
+    .reduce((sum, t) => sum + t.results.filter(r => r.article_text).length, 0);
+  const excerptTokens = Math.max(MIN_EXCERPT_TOKENS, Math.min(MAX_EXCERPT_TOKENS, Math.floor(ARTICLE_TOKEN_BUDGET / Math.max(1, articleCount))));
+  console.log(`[Report] ${articleCount} results with article text, up to ${excerptTokens} tokens of excerpt each`);
+
+  let searchResults = '';
+  for (const [firmName, topicResults] of Object.entries(resultsByFirm)) {
+    const lines = topicResults.flatMap(t => t.results.map(r => formatResult(r, t.topicLabel, t.terms, excerptTokens)));
+    searchResults += `\n### ${firmName}\n${lines.join('\n')}\n`;
+  }
+
+  console.log(`[Report] Firms with results: ${Object.keys(resultsByFirm).join(', ') || 'NONE'}`);
+  console.log(`[Report] Search results text: ${searchResults.length} chars (~${estimateTokens(searchResults)} tokens)`);
+  return searchResults ? "\n## Search Results by Firm\n" + searchResults : '';
+}
+
+/**
+ * Laws several firms discuss, as prompt text
+ *
+ * @param {Array} clusters - From clusterSearchResults()
+ * @returns {string}
+ */
+export function formatSharedLaws(clusters) {
+  const shared = clusters.filter(c => c.instrumentKey && c.firms.length > 1).slice(0, MAX_PROMPT_CLUSTERS);
+  if (shared.length === 0) return '';
+  return shared
+    .map(c => `- ${c.label}: ${c.firms.join(', ')}\n${c.results.map(r => `  ${r.url}`).join('\n')}`)
+    .join('\n');
+}
+
+/**
+ * The generation prompt for a report request
+ *
+ * @param {Object} request - Report request
+ * @param {string} searchResults - From formatSearchResults()
+ * @param {string} [sharedLaws] - From formatSharedLaws()
+ * @returns {string}
+ */
+export function buildReportPrompt(request, searchResults, sharedLaws = '') {
+  const firmList = request.firms.map(f => `${f.name} (${f.url})`).join(", ");
+  const topicList = request.topics.map(t => t.label).join(", ");
+  const countryList = (request.countries || []).join(", ");
+  const areaList = (request.pharmaAreas || []).join(", ");
+  const searchProviderLabel = getSearchProvider(request.searchProvider || DEFAULT_SEARCH_PROVIDER)?.label || request.searchProvider;
+
+  return `
+You are a legal research assistant for attorneys in pharmaceutical regulatory compliance.
+
+**SEARCH RESULTS:**
+Lines quoted under "Article excerpt:" are the firm's own text from the linked page; prefer them over the short snippet when describing a law.
+${searchResults || "No search results available."}
+${sharedLaws ? `
+**SAME LAW, SEVERAL FIRMS:**
+These commentaries appear to discuss the same instrument. Where they do, give its development entries the same name, status and jurisdiction for every firm.
+${sharedLaws}
+` : ''}
+**TASK:**
+Analyze the search results and identify, for each law firm, the new laws, regulations, and proposed legislation it comments on.
+
+Law Firms: ${firmList}
+Legal Topics: ${topicList}
+Countries: ${countryList}
+Date Range of Interest: ${request.startDate} to ${request.endDate}
+Search Provider Used: ${searchProviderLabel}
+
+**OUTPUT:**
+Record your findings with the ${REPORT_TOOL_NAME} tool:
+- executiveSummary: brief 2-3 sentence overview of key new/proposed laws identified across all firms
+- firmCommentary: for each firm with relevant commentary, a summary of its analysis and key insights
+- developments: one entry per law/regulation per commenting firm, with
+  - status "Enacted" or "Proposed", effectiveDate as YYYY-MM-DD (or YYYY-MM / YYYY) or null if not stated, jurisdiction
+  - requirements: what the law requires, compliance deadlines and key obligations for pharmaceutical companies
+  - deadlines: every compliance deadline the commentary gives a date for, as date (YYYY-MM-DD, or YYYY-MM / YYYY) and what is due by then; [] if none
+  - impactedAreas: which of these areas it affects: ${areaList}
+  - lifeSciencesImpact: 2-3 sentences on how it affects life sciences companies (clinical trials and patient data, drug development and regulatory submissions, HCP/patient communications, real-world evidence and pharmacovigilance, digital health and connected devices)
+  - sourceTitle and sourceUrl of the firm's commentary
+
+**IMPORTANT:**
+- ONLY include laws explicitly mentioned in the search results
+- Use the EXACT source URLs from the search results
+- Use firm names exactly as listed above
+- If a firm has no relevant commentaries in the search results, leave it out of firmCommentary and developments entirely
+`;
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+// The answer reached max_tokens; `partial` is the JSON written so far, `usage` what the call cost
+class OutputLimitError extends Error {
+  constructor(partial, usage) {
+    super('The report was cut off at the model output limit');
+    this.name = 'OutputLimitError';
+    this.partial = partial;
+    this.usage = usage;
+  }
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Token totals over every call; the stop reason only says max_tokens if something was lost to it
+function sumUsage(usages, truncated) {
+  const known = usages.filter(u => u.inputTokens != null);
+  return {
+    inputTokens: known.length > 0 ? known.reduce((sum, u) => sum + u.inputTokens, 0) : null,
+    outputTokens: usages.reduce((sum, u) => sum + (u.outputTokens || 0), 0),
+    stopReason: truncated ? 'max_tokens' : (usages[usages.length - 1]?.stopReason ?? null)
+  };
+}
+
+/**
+ * One streamed, tool-forced model call, parsed
+ *
+ * @param {Object} params
+ * @param {string} params.prompt
+ * @param {Object} params.tool - Tool the answer must go through
+ * @param {string} [params.model]
+ * @param {number} [params.maxTokens]
+ * @param {(delta: string) => void} [params.onDelta] - Each piece of JSON received
+ * @param {(fallback: Object) => void} [params.onFallback] - See streamModel()
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{answer: Object, usage: {model: string, inputTokens: number|null, outputTokens: number, stopReason: string|null}}>} - usage.model: registry id that answered
+ * @throws {OutputLimitError} When the answer was cut off
+ */
+async function generateToolAnswer({ prompt, tool, model, maxTokens, onDelta, onFallback, signal }) {
+  let generated = '';
+  const usage = { model: resolveModel(model).id, inputTokens: null, outputTokens: null, stopReason: null };
+  try {
+    await streamModel({
+      prompt,
+      model,
+      maxTokens,
+      tool,
+      signal,
+      onFallback: (fallback) => {
+        usage.model = fallback.to;
+        onFallback?.(fallback);
+      },
+      onJson: (delta) => {
+        generated += delta;
+        onDelta?.(delta);
+      },
+      onUsage: ({ input_tokens, output_tokens, stop_reason }) => {
+        if (input_tokens != null) usage.inputTokens = input_tokens;
+        if (output_tokens != null) usage.outputTokens = output_tokens;
+        if (stop_reason) usage.stopReason = stop_reason;
+      }
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw new ReportCancelledError();
+    throw error;
+  }
+  usage.outputTokens ??= estimateTokens(generated);
+
+  if (usage.stopReason === 'max_tokens') throw new OutputLimitError(generated, usage);
+  try {
+    return { answer: JSON.parse(generated), usage };
+  } catch {
+    throw new Error('The model did not return a readable report. Please try again.');
+  }
+}
+
+/**
+ * Carry on a tool answer cut off at max_tokens: the partial JSON is sent back
+ * as the start of the model's turn and continued as plain text
+ *
+ * @returns {Promise<{answer: Object|null, usages: Object[], rounds: number}>} - answer: null if still cut off or unreadable
+ */
+async function continueToolAnswer(prompt, partial, { request, firmNames, onDelta, onFallback, onEvent, signal }) {
+  const usages = [];
+  let model = resolveModel(request.modelProvider).id;
+  const onUsage = ({ input_tokens, output_tokens, stop_reason }) => {
+    if (input_tokens != null) usages.push({ model, inputTokens: input_tokens, outputTokens: null, stopReason: null });
+    const current = usages[usages.length - 1];
+    if (!current) return;
+    if (output_tokens != null) current.outputTokens = output_tokens;
+    if (stop_reason) current.stopReason = stop_reason;
+  };
+
+  onEvent?.({ type: 'generation_continued', firms: firmNames, round: 1 });
+  let result;
+  try {
+    result = await streamModelText({
+      prompt,
+      prefill: partial,
+      model: request.modelProvider,
+      signal,
+      onText: onDelta,
+      onUsage,
+      onFallback: (fallback) => {
+        model = fallback.to;
+        onFallback?.(fallback);
+      },
+      onContinuation: (round) => onEvent?.({ type: 'generation_continued', firms: firmNames, round: round + 1 })
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw new ReportCancelledError();
+    throw error;
+  }
+
+  const rounds = result.continuations + 1;
+  if (result.stopReason === 'max_tokens') return { answer: null, usages, rounds };
+  // The request's prefill had trailing whitespace removed; the model carried on from there
+  const json = partial.trimEnd() + result.text;
+  try {
+    return { answer: JSON.parse(json.slice(0, json.lastIndexOf('}') + 1)), usages, rounds };
+  } catch {
+    console.error(`[Report] ${firmNames.join(', ')}: continued answer is not valid JSON`);
+    return { answer: null, usages, rounds };
+  }
+}
+
+/**
+ * Firms to generate together. Small reports are one call; larger ones are
+ * split into alphabetical batches so no firm is lost to the output cap.
+ *
+ * @param {Record<string, Array>} resultsByFirm - From searchAllFirms()
+ * @param {number} promptTokens - Estimated size of the single-call prompt
+ * @returns {string[][]}
+ */
+export function generationBatches(resultsByFirm, promptTokens) {
+  const firms = Object.keys(resultsByFirm).sort((a, b) => a.localeCompare(b));
+  if (firms.length <= SINGLE_CALL_MAX_FIRMS && promptTokens <= SINGLE_CALL_MAX_PROMPT_TOKENS) return [firms];
+  const batches = [];
+  for (let i = 0; i < firms.length; i += FIRMS_PER_BATCH) {
+    batches.push(firms.slice(i, i + FIRMS_PER_BATCH));
+  }
+  return batches;
+}
+
+function batchPrompt(firmNames, { request, resultsByFirm, clusters }) {
+  const batchRequest = { ...request, firms: request.firms.filter(f => firmNames.includes(f.name)) };
+  const batchResults = Object.fromEntries(firmNames.map(name => [name, resultsByFirm[name]]));
+  const batchClusters = clusters.filter(c => c.firms.some(firm => firmNames.includes(firm)));
+  return buildReportPrompt(batchRequest, formatSearchResults(batchResults), formatSharedLaws(batchClusters));
+}
+
+/**
+ * Generate the answer for one batch of firms, halving the batch when the
+ * answer is cut off. A single firm's answer is continued instead, and left
+ * out if it still doesn't fit.
+ */
+async function generateBatch(firmNames, context, prompt = batchPrompt(firmNames, context)) {
+  const { request, tool, onDelta, onFallback, onEvent, signal } = context;
+  throwIfCancelled(signal);
+
+  onEvent?.({ type: 'generation_batch_started', firms: firmNames, promptTokens: estimateTokens(prompt) });
+
+  try {
+    const { answer, usage } = await generateToolAnswer({ prompt, tool, model: request.modelProvider, onDelta, onFallback, signal });
+    onEvent?.({ type: 'generation_batch_finished', firms: firmNames, ...usage, split: false });
+    return { answers: [answer], usages: [usage], truncatedFirms: [], continuations: 0 };
+  } catch (error) {
+    if (!(error instanceof OutputLimitError)) throw error;
+    const split = firmNames.length > 1;
+    onEvent?.({ type: 'generation_batch_finished', firms: firmNames, ...error.usage, split });
+    if (!split) {
+      console.log(`[Report] Answer for ${firmNames.join(', ') || 'the report'} cut off at the output limit, continuing it`);
+      const continued = await continueToolAnswer(prompt, error.partial, { ...context, firmNames });
+      const usages = [error.usage, ...continued.usages];
+      if (continued.answer) {
+        return { answers: [continued.answer], usages, truncatedFirms: [], continuations: continued.rounds };
+      }
+      console.error(`[Report] ${firmNames.join(', ') || 'Report'}: answer still cut off after ${continued.rounds} continuations, left out`);
+      return { answers: [], usages, truncatedFirms: firmNames, continuations: continued.rounds };
+    }
+
+    console.log(`[Report] Answer for ${firmNames.join(', ')} cut off at the output limit, splitting the batch`);
+    const half = Math.ceil(firmNames.length / 2);
+    const parts = [];
+    for (const part of [firmNames.slice(0, half), firmNames.slice(half)]) {
+      parts.push(await generateBatch(part, context));
+    }
+    return {
+      answers: parts.flatMap(p => p.answers),
+      usages: [error.usage, ...parts.flatMap(p => p.usages)],
+      truncatedFirms: parts.flatMap(p => p.truncatedFirms),
+      continuations: parts.reduce((sum, p) => sum + p.continuations, 0)
+    };
+  }
+}
+
+/**
+ * Generate the raw report answer: one call, or one per batch of firms run in
+ * parallel and merged (map-reduce; the executive summary is the reduce step,
+ * see summarizeReport())
+ *
+ * Chunked runs keep each finished batch in `checkpoint.generation` and
+ * start no new batch once `shouldPause()` is true; the batches already
+ * running finish first.
+ *
+ * @returns {Promise<{answer: Object, batches: number, usages: Object[], truncatedFirms: string[], continuations: number}>} - answer: merged tool input, plus each part's executiveSummaries
+ * @throws {ReportPausedError} When batches were left for the next chunk
+ */
+async function generateReport(request, resultsByFirm, clusters, { onEvent, signal, checkpoint, shouldPause }) {
+  const fullPrompt = buildReportPrompt(request, formatSearchResults(resultsByFirm), formatSharedLaws(clusters));
+  const promptTokens = estimateTokens(fullPrompt);
+  const batches = generationBatches(resultsByFirm, promptTokens);
+  // Batch index → its result; the batches only depend on the search results, so they match across chunks
+  if (!checkpoint.generation) {
+    checkpoint.generation = {};
+    onEvent?.({ type: 'generation_started', model: resolveModel(request.modelProvider).id, promptTokens, batches: batches.length });
+  }
+  const finished = checkpoint.generation;
+
+  const tool = {
+    name: REPORT_TOOL_NAME,
+    description: 'Record the legal developments found in the law firm commentaries',
+    input_schema: reportSchema(request.pharmaAreas || [])
+  };
+
+  // Parallel batches share one running total
+  let written = '';
+  const onDelta = (delta) => {
+    written += delta;
+    onEvent?.({ type: 'generation_progress', generatedChars: written.length, outputTokens: estimateTokens(written) });
+  };
+
+  const onFallback = ({ from, to }) => onEvent?.({ type: 'model_fallback', from, to });
+  const context = { request, resultsByFirm, clusters, tool, onDelta, onFallback, onEvent, signal };
+  // Every chunk runs at least one batch, however late it starts
+  let started = 0;
+  const runBatch = async (firmNames, index) => {
+    if (finished[index]) return finished[index];
+    if (started > 0 && shouldPause?.()) return null;
+    started += 1;
+    // One batch reuses the full prompt, which also covers a report with no results at all
+    finished[index] = await generateBatch(firmNames, context, batches.length === 1 ? fullPrompt : undefined);
+    return finished[index];
+  };
+  const results = await mapWithConcurrency(batches, GENERATION_CONCURRENCY, runBatch);
+  if (results.includes(null)) throw new ReportPausedError();
+
+  const answers = results.flatMap(r => r.answers);
+  const truncatedFirms = results.flatMap(r => r.truncatedFirms);
+  if (answers.length === 0) {
+    throw new Error('The report was cut off at the model output limit. Try fewer firms or topics.');
+  }
+
+  return {
+    answer: {
+      executiveSummary: answers.map(a => a.executiveSummary).filter(Boolean).join(' '),
+      executiveSummaries: answers.map(a => a.executiveSummary).filter(Boolean),
+      firmCommentary: answers.flatMap(a => a.firmCommentary || []),
+      developments: answers.flatMap(a => a.developments || [])
+    },
+    batches: batches.length,
+    usages: results.flatMap(r => r.usages),
+    truncatedFirms,
+    continuations: results.reduce((sum, r) => sum + r.continuations, 0)
+  };
+}
+
+/**
+ * Executive summary across every batch: the batches each summarised only
+ * their own firms
+ *
+ * Falls back to the batch summaries joined together if the call fails.
+ *
+ * @returns {Promise<{executiveSummary: string, usage: Object|null}>}
+ */
+async function summarizeReport(request, report, batchSummaries, { onEvent, signal }) {
+  const laws = (report.laws || []).slice(0, MAX_SUMMARY_LAWS)
+    .map(law => `- ${law.name} (${law.status}, ${law.jurisdiction}): ${law.firms.join(', ')}`)
+    .join('\n');
+  const prompt = `
+You are a legal research assistant for attorneys in pharmaceutical regulatory compliance.
+
+A report on law firm commentary about ${request.topics.map(t => t.label).join(', ')} from ${request.startDate} to ${request.endDate} was written in parts, each covering a few firms.
+
+**SUMMARIES OF EACH PART:**
+${batchSummaries.map(summary => `- ${summary}`).join('\n') || 'None.'}
+
+**LAWS AND REGULATIONS IN THE REPORT, WITH THE FIRMS COMMENTING:**
+${laws || 'None.'}
+
+**TASK:**
+Write the report's executive summary with the ${SUMMARY_TOOL_NAME} tool: 2-3 sentences on the key new and proposed laws across all firms, leading with those most firms discuss. Mention only laws listed above.
+`;
+  const tool = {
+    name: SUMMARY_TOOL_NAME,
+    description: 'Record the executive summary of the report',
+    input_schema: {
+      type: 'object',
+      properties: { executiveSummary: { type: 'string' } },
+      required: ['executiveSummary']
+    }
+  };
+
+  onEvent?.({ type: 'generation_batch_started', firms: [], promptTokens: estimateTokens(prompt) });
+  try {
+    const { answer, usage } = await generateToolAnswer({
+      prompt,
+      tool,
+      model: request.modelProvider,
+      maxTokens: SUMMARY_MAX_TOKENS,
+      onFallback: ({ from, to }) => onEvent?.({ type: 'model_fallback', from, to }),
+      signal
+    });
+    onEvent?.({ type: 'generation_batch_finished', firms: [], ...usage, split: false });
+    const executiveSummary = typeof answer.executiveSummary === 'string' ? answer.executiveSummary.trim() : '';
+    return { executiveSummary: executiveSummary || batchSummaries.join(' '), usage };
+  } catch (error) {
+    if (error instanceof ReportCancelledError) throw error;
+    console.error('[Report] Executive summary failed, using the batch summaries:', error.message);
+    return { executiveSummary: batchSummaries.join(' '), usage: error.usage || null };
+  }
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Search, filter and generate one report
+ *
+ * @param {Object} request - Report request (see top of file)
+ * @param {Object} [options]
+ * @param {(event: Object) => void} [options.onEvent] - Every search and generation event (see top of file)
+ * @param {AbortSignal} [options.signal] - Cancels between search batches and during generation
+ * @param {Object} [options.checkpoint] - Chunked runs: plain JSON state, empty for a new run and passed back unchanged to go on
+ * @param {() => boolean} [options.shouldPause] - Chunked runs: true once this chunk should stop at the next checkpoint
+ * @returns {Promise<{markdownContent: string, structured: Object, validationErrors: string[], usage: Object}>} - structured: see lib/developments.js, plus `verification`; usage: see lib/usage.js
+ * @throws {ReportPausedError} When shouldPause() stopped the run before the end
+ */
+export async function runReportPipeline(request, { onEvent, signal, checkpoint = {}, shouldPause } = {}) {
+  const provider = request.searchProvider || DEFAULT_SEARCH_PROVIDER;
+  const tally = checkpoint.tally ||= { searchApiCalls: 0, resurfacedByFirm: {} };
+  const { resurfacedByFirm } = tally;
+  const resultsByFirm = await searchAllFirms(request, {
+    onEvent: (event) => {
+      if (event.type === 'search_finished') tally.searchApiCalls += event.apiCalls;
+      if (event.type === 'previously_reported') (resurfacedByFirm[event.firm] ||= []).push(...event.urls);
+      onEvent?.(event);
+    },
+    signal,
+    checkpoint,
+    shouldPause
+  });
+  throwIfCancelled(signal);
+
+  const clusters = clusterSearchResults(resultsByFirm);
+  const sharedLaws = clusters.filter(c => c.instrumentKey && c.firms.length > 1);
+  console.log(`[Report] ${clusters.length} law clusters, ${sharedLaws.length} discussed by several firms:`,
+    sharedLaws.map(c => `${c.label} (${c.firms.length})`).join(', ') || 'none');
+  if (!checkpoint.generation) onEvent?.({ type: 'clustering_finished', clusters: clusters.length, sharedLaws: sharedLaws.length });
+
+  const generation = await generateReport(request, resultsByFirm, clusters, { onEvent, signal, checkpoint, shouldPause });
+  const { report: merged, errors } = validateStructuredReport(generation.answer, {
+    pharmaAreas: request.pharmaAreas || [],
+    firmNames: request.firms.map(f => f.name)
+  });
+  if (!merged) throw new Error(`The model returned an invalid report: ${errors.join('; ')}`);
+  if (errors.length > 0) console.log(`[Report] Dropped ${errors.length} invalid developments:`, errors);
+
+  // Answers written in parts each summarised only their own firms
+  let validated = merged;
+  const { executiveSummaries } = generation.answer;
+  if (executiveSummaries.length > 1) {
+    const summary = await summarizeReport(request, merged, executiveSummaries, { onEvent, signal });
+    validated = { ...merged, executiveSummary: summary.executiveSummary };
+    if (summary.usage) generation.usages.push(summary.usage);
+  }
+  if (generation.truncatedFirms.length > 0) validated = { ...validated, truncatedFirms: generation.truncatedFirms };
+  if (request.previouslyReportedAppendix) {
+    validated = { ...validated, previouslyReported: previouslyReportedItems(request.previouslyReported, resurfacedByFirm) };
+  }
+  console.log(`[Report] ${validated.developments.length} developments from ${validated.firmCommentary.length} firms, ${validated.laws.length} distinct laws`);
+
+  onEvent?.({
+    type: 'generation_finished',
+    ...sumUsage(generation.usages, generation.truncatedFirms.length > 0),
+    batches: generation.batches,
+    continuations: generation.continuations,
+    truncatedFirms: generation.truncatedFirms,
+    developments: validated.developments.length,
+    invalidDevelopments: errors.length
+  });
+
+  const { report, markdownContent } = groundReport(validated, resultsByFirm, resurfacedByFirm, request, onEvent);
+  const usage = summarizeUsage({
+    model: request.modelProvider,
+    modelCalls: generation.usages,
+    searchCalls: { [provider]: tally.searchApiCalls }
+  });
+  console.log(`[Report] Usage: ${usage.inputTokens} input / ${usage.outputTokens} output tokens, ${tally.searchApiCalls} ${provider} calls, ~$${usage.estimatedCost}`);
+  return { markdownContent, structured: report, validationErrors: errors, usage };
+}
+
+/**
+ * The earlier reports' entries for the results found again in this run, one
+ * per firm and page, for the report's appendix
+ *
+ * @param {Array<{firm: string, url: string}>} previouslyReported - From the request
+ * @param {Record<string, string[]>} resurfacedByFirm - URLs left out by searchAllFirms()
+ * @returns {Array<Object>} - By firm, then name
+ */
+function previouslyReportedItems(previouslyReported = [], resurfacedByFirm) {
+  const items = new Map();
+  for (const entry of previouslyReported) {
+    const key = `${entry.firm}\n${normalizeSourceUrl(entry.url)}`;
+    if (items.has(key)) continue;
+    const found = (resurfacedByFirm[entry.firm] || []).some(url => normalizeSourceUrl(url) === normalizeSourceUrl(entry.url));
+    if (found) items.set(key, entry);
+  }
+  return [...items.values()].sort((a, b) => a.firm.localeCompare(b.firm) || (a.name || '').localeCompare(b.name || ''));
+}
+
+// Serper sometimes gives dates like "Mar 5, 2024"; everything else is already YYYY-MM-DD
+function isoDateOf(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+}
+
+/**
+ * Tag each development with its cited article's publication date, when the
+ * search results have one (used by the regulation tracker's timeline)
+ */
+function attachPublishedDates(report, resultsByFirm) {
+  const dates = new Map();
+  for (const topicResults of Object.values(resultsByFirm)) {
+    for (const { results } of topicResults) {
+      for (const r of results) {
+        const date = isoDateOf(r.published_date);
+        if (date) dates.set(normalizeSourceUrl(r.url), date);
+      }
+    }
+  }
+  return {
+    ...report,
+    developments: report.developments.map(d => ({ ...d, publishedDate: dates.get(normalizeSourceUrl(d.sourceUrl)) || null }))
+  };
+}
+
+/**
+ * Check every citation against the search results and annotate or strip the
+ * ones that aren't there (see lib/grounding.js) before the report is rendered
+ *
+ * Results left out as previously reported were still found by this run, so
+ * the appendix's links to them count as grounded.
+ */
+function groundReport(validated, resultsByFirm, resurfacedByFirm, request, onEvent) {
+  const policy = request.citationPolicy || DEFAULT_CITATION_POLICY;
+  const index = buildSourceIndex({
+    ...resultsByFirm,
+    ...Object.fromEntries(Object.entries(resurfacedByFirm).map(([firm, urls]) => [
+      firm,
+      [...(resultsByFirm[firm] || []), { results: urls.map(url => ({ url })) }]
+    ]))
+  });
+
+  const checked = verifyDevelopments(validated, index, policy);
+  // Stripping can empty a law group, so rebuild them from what is left
+  const report = attachPublishedDates(policy === 'strip' ? attachLaws(checked.report) : checked.report, resultsByFirm);
+  const links = verifyMarkdownLinks(renderReportMarkdown(report, { layout: request.reportLayout }), index, policy);
+
+  if (checked.issues.length > 0 || links.flagged.length > 0) {
+    console.log(`[Report] ${policy === 'strip' ? 'Stripped' : 'Flagged'} ${checked.issues.length} developments and ${links.flagged.length} links not found in the search results:`,
+      checked.issues.map(i => `${i.firm}: ${i.url} (${i.type})`));
+  }
+  onEvent?.({
+    type: 'verification_finished',
+    policy,
+    checkedLinks: links.checked,
+    unverifiedLinks: links.flagged.length,
+    unverifiedDevelopments: checked.issues.length
+  });
+
+  return {
+    report: {
+      ...report,
+      deadlines: reportDeadlines(report),
+      verification: { policy, checkedLinks: links.checked, unverifiedLinks: links.flagged, issues: checked.issues }
+    },
+    markdownContent: links.markdown
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Saved Reports (server side)
+ *
+ * Reports the server saves itself, e.g. scheduled monitoring runs (see
+ * lib/monitoring.js). Records have the columns of the `reports` table the app
+ * saves to from the browser (services/supabaseService.ts), so with
+ * REPORT_STORE=supabase they show up in the app's Saved Reports list:
+ *
+ *   {
+ *     id, name, markdown_content, html_content,
+ *     structured_content, usage,           // See lib/developments.js, lib/usage.js
+ *     start_date, end_date,                // YYYY-MM-DD
+ *     selected_firms: string[],            // Firm names
+ *     selected_topics: string[],           // Topic ids
+ *     profile_id,                          // Monitoring profile that produced it, or null
+ *     created_at, updated_at
+ *   }
+ *
+ * A store is any object with async `save(record)`, `get(id)` and
+ * `list({ profileId, limit })` (newest first). Reports go to data/reports/
+ * by default; on Vercel that is the instance's /tmp, so they only last with
+ * REPORT_STORE=supabase.
+ */
+
+import { readFile, writeFile, readdir, mkdir, rename } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { isRecordId, recordPath } from './recordIds.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_REPORT_DIR = process.env.VERCEL
+  ? '/tmp/reports'                      // Only writable path on Vercel
+  : join(__dirname, '..', 'data', 'reports');
+const SUPABASE_TABLE = 'reports';
+
+// Added after the reports table was first created; older tables may not have them
+const OPTIONAL_COLUMNS = ['structured_content', 'usage', 'profile_id'];
+
+const DEFAULT_LIST_LIMIT = 50;
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * JSON file store — one file per report
+ *
+ * @param {string} dir
+ */
+export function createFileReportStore(dir) {
+  const pathFor = (id) => recordPath(dir, id);
+
+  const read = async (path) => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.log(`[Reports] Could not read ${path}: ${error.message}`);
+      return null;
+    }
+  };
+
+  return {
+    async save(record) {
+      await mkdir(dir, { recursive: true });
+      const tmpPath = `${pathFor(record.id)}.${process.pid}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(record));
+      await rename(tmpPath, pathFor(record.id));
+      return record;
+    },
+    async get(id) {
+      // Ids come from URLs; anything else names no record (see lib/recordIds.js)
+      if (!isRecordId(id)) return null;
+      return read(pathFor(id));
+    },
+    async list({ profileId, limit = DEFAULT_LIST_LIMIT } = {}) {
+      let files;
+      try {
+        files = (await readdir(dir)).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const records = (await Promise.all(files.map(file => read(join(dir, file))))).filter(Boolean);
+      return records
+        .filter(r => !profileId || r.profile_id === profileId)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+    },
+  };
+}
+
+/**
+ * Supabase store — the app's `reports` table
+ *
+ * Columns the table doesn't have yet (see OPTIONAL_COLUMNS) are left out of
+ * the insert; add `profile_id text` to list reports per monitoring profile.
+ *
+ * @param {Object} client - A @supabase/supabase-js client
+ * @param {string} [table='reports']
+ */
+export function createSupabaseReportStore(client, table = SUPABASE_TABLE) {
+  return {
+    async save(record) {
+      let row = record;
+      let { data, error } = await client.from(table).insert(row).select().single();
+      const missingColumn = () => error?.code === 'PGRST204'
+        ? OPTIONAL_COLUMNS.find(column => column in row && error.message?.includes(column))
+        : undefined;
+      for (let column = missingColumn(); column; column = missingColumn()) {
+        console.log(`[Reports] ${table}.${column} column missing; saving without it`);
+        const { [column]: _omitted, ...rest } = row;
+        row = rest;
+        ({ data, error } = await client.from(table).insert(row).select().single());
+      }
+      if (error) throw new Error(`Supabase insert failed: ${error.message}`);
+      return data;
+    },
+    async get(id) {
+      const { data, error } = await client.from(table).select('*').eq('id', id).maybeSingle();
+      if (error) {
+        console.log(`[Reports] Supabase read failed for ${id}: ${error.message}`);
+        return null;
+      }
+      return data;
+    },
+    async list({ profileId, limit = DEFAULT_LIST_LIMIT } = {}) {
+      let query = client.from(table).select('*').order('created_at', { ascending: false }).limit(limit);
+      if (profileId) query = query.eq('profile_id', profileId);
+      const { data, error } = await query;
+      if (error) throw new Error(`Supabase read failed: ${error.message}`);
+      return data || [];
+    },
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Replace the report backend
+ *
+ * @param {{save: Function, get: Function, list: Function}|null} store - null to fall back to the configured default
+ */
+export function setReportStore(store) {
+  activeStore = store ? Promise.resolve(store) : null;
+}
+
+async function createConfiguredStore() {
+  const kind = (process.env.REPORT_STORE || 'file').toLowerCase();
+
+  if (kind === 'supabase') {
+    const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+    if (url && key) {
+      const { createClient } = await import('@supabase/supabase-js');
+      console.log(`[Reports] Using Supabase table ${SUPABASE_TABLE}`);
+      return createSupabaseReportStore(createClient(url, key));
+    }
+    console.log('[Reports] REPORT_STORE=supabase but Supabase credentials are missing, using file store');
+  }
+
+  const dir = process.env.REPORT_DIR || DEFAULT_REPORT_DIR;
+  console.log(`[Reports] Using directory ${dir}`);
+  if (process.env.VERCEL) {
+    console.log('[Reports] Reports saved on Vercel without REPORT_STORE=supabase are lost with the instance');
+  }
+  return createFileReportStore(dir);
+}
+
+/**
+ * The report store in use, created from the environment on first call
+ *
+ * @returns {Promise<{save: Function, get: Function, list: Function}>}
+ */
+export function getReportStore() {
+  if (!activeStore) {
+    activeStore = createConfiguredStore();
+  }
+  return activeStore;
+}
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * A saved-report record for a finished report job
+ *
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {Object} params.request - Report request (see lib/reportPipeline.js)
+ * @param {Object} params.result - The job's result (see runReportPipeline())
+ * @param {string} params.html - Shown and exported by the app as the report's Word document
+ * @param {string} [params.profileId]
+ * @returns {Object}
+ */
+export function reportRecord({ name, request, result, html, profileId = null }) {
+  const now = new Date().toISOString();
+  return {
+    id: randomUUID(),
+    name,
+    markdown_content: result.markdownContent,
+    html_content: html,
+    structured_content: result.structured || null,
+    usage: result.usage || null,
+    start_date: request.startDate,
+    end_date: request.endDate,
+    selected_firms: request.firms.map(f => f.name),
+    selected_topics: request.topics.map(t => t.id),
+    profile_id: profileId,
+    created_at: now,
+    updated_at: now
+  };
+}
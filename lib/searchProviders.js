@@ -0,0 +1,394 @@
+/**
+ * Search Providers
+ *
+ * Every web-search backend is an adapter with the same shape:
+ *
+ *   {
+ *     id: 'serper',
+ *     name: 'Serper',               // Tag used in log lines
+ *     label: 'Serper (Google Search)',
+ *     apiKeyEnv: 'SERPER_API_KEY',
+ *     search({ query, domains, siteUrls, topicId, startDate, endDate, apiKey }) → Promise<Array<{title, url, content, published_date}>>
+ *   }
+ *
+ * Adapters only talk to their API and normalize its results. Everything
+ * after that — reading firm feeds, dropping non-article pages, dating results
+ * from snippets and scraping the rest — happens once in runSearch(), so a new
+ * provider (Bing, Brave, Exa...) is a new adapter plus registerSearchProvider().
+ */
+
+import { filterByScrapedDate, extractDateFromSnippet } from '../date-filter-module.js';
+import { searchFeeds } from './feeds.js';
+import { searchSitemaps } from './sitemaps.js';
+import { attachArticleText } from './articleExtractor.js';
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export class SearchProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=500] - HTTP status the route should answer with
+   */
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'SearchProviderError';
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+const serperProvider = {
+  id: 'serper',
+  name: 'Serper',
+  label: 'Serper (Google Search)',
+  apiKeyEnv: 'SERPER_API_KEY',
+  costPerCall: 0.001,  // USD, pay-as-you-go rate
+
+  async search({ query, domains, apiKey }) {
+    // One site: clause per domain / path prefix, OR'd so every firm site is covered
+    const siteClauses = domains.map(domain => `site:${domain}`);
+    const siteFilter = siteClauses.length > 1 ? `(${siteClauses.join(' OR ')})` : siteClauses[0];
+    const searchQuery = siteFilter ? `${siteFilter} ${query}` : query;
+
+    // 20 results for better coverage
+    // NOTE: No tbs date filter - Google's date indexing is often inaccurate,
+    // results are dated by post-processing instead (filterByScrapedDate)
+    console.log('[Serper] Query:', searchQuery);
+
+    const response = await fetch('https://google.serper.dev/search', {
+      method: 'POST',
+      headers: {
+        'X-API-KEY': apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ q: searchQuery, num: 20 })
+    });
+
+    if (!response.ok) throw new Error(`Serper API error: ${response.status}`);
+
+    const data = await response.json();
+    return (data.organic || []).map(item => ({
+      title: item.title,
+      url: item.link,
+      content: item.snippet || '',
+      published_date: item.date || null
+    }));
+  },
+};
+
+const tavilyProvider = {
+  id: 'tavily',
+  name: 'Tavily',
+  label: 'Tavily (AI Research)',
+  apiKeyEnv: 'TAVILY_API_KEY',
+  costPerCall: 0.016,  // USD: an advanced search is 2 credits
+
+  async search({ query, domains, startDate, endDate, apiKey }) {
+    const tavilyRequest = {
+      api_key: apiKey,
+      query: query,
+      search_depth: 'advanced',
+      include_answer: false,
+      include_raw_content: false,
+      max_results: 20
+    };
+
+    // Use start_date/end_date params (newer Tavily API) for precise date filtering
+    if (startDate && endDate) {
+      tavilyRequest.start_date = startDate;
+      tavilyRequest.end_date = endDate;
+    }
+
+    // Tavily filters by hostname only; path prefixes are enforced in runSearch()
+    if (domains.length > 0) {
+      tavilyRequest.include_domains = [...new Set(domains.map(domain => domain.split('/')[0]))];
+    }
+
+    const response = await fetch('https://api.tavily.com/search', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(tavilyRequest)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`Tavily API error: ${response.status}${errorText ? ` - ${errorText.substring(0, 200)}` : ''}`);
+    }
+
+    const data = await response.json();
+    return (data.results || []).map(item => ({
+      title: item.title,
+      url: item.url,
+      content: item.content || '',
+      published_date: item.published_date || null
+    }));
+  },
+};
+
+// Firm blog feeds only — free, exactly dated, but limited to sites that publish a feed
+const rssProvider = {
+  id: 'rss',
+  name: 'Feeds',
+  label: 'Firm Feeds (RSS/Atom)',
+
+  async search({ query, domains, siteUrls }) {
+    const sites = siteUrls.length > 0 ? siteUrls : domains.map(domain => `https://${domain}`);
+    const { results } = await searchFeeds({ query, siteUrls: sites });
+    return results;
+  },
+};
+
+// Every topic page a firm's sitemap lists — no result cap, but one page fetch per match
+const sitemapProvider = {
+  id: 'sitemap',
+  name: 'Sitemaps',
+  label: 'Firm Sitemaps',
+
+  async search({ query, domains, siteUrls, topicId, startDate }) {
+    const sites = siteUrls.length > 0 ? siteUrls : domains.map(domain => `https://${domain}`);
+    return searchSitemaps({ query, siteUrls: sites, topicId, startDate });
+  },
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+export const DEFAULT_SEARCH_PROVIDER = 'serper';
+
+const providers = new Map([
+  [serperProvider.id, serperProvider],
+  [tavilyProvider.id, tavilyProvider],
+  [rssProvider.id, rssProvider],
+  [sitemapProvider.id, sitemapProvider],
+]);
+
+/**
+ * Add or replace a search provider adapter
+ *
+ * @param {{id: string, name: string, label: string, apiKeyEnv?: string, costPerCall?: number, search: Function}} provider - costPerCall: USD per search() call, for lib/usage.js
+ */
+export function registerSearchProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getSearchProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Registered providers, whether their API key is set and what a call costs
+ *
+ * @returns {Array<{id: string, label: string, configured: boolean, costPerCall: number}>}
+ */
+export function listSearchProviders() {
+  return [...providers.values()].map(p => ({
+    id: p.id,
+    label: p.label,
+    configured: !p.apiKeyEnv || !!process.env[p.apiKeyEnv],
+    costPerCall: p.costPerCall || 0
+  }));
+}
+
+// ============================================================================
+// SHARED POST-PROCESSING
+// ============================================================================
+
+/**
+ * Whether a URL is on one of the requested sites: same host or a subdomain of it,
+ * and under the path prefix when one is given ("example.com/insights")
+ */
+function isOnTargetSite(url, domains) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase();
+  const path = parsed.pathname.toLowerCase();
+  return domains.some(target => {
+    const [domain, ...pathParts] = target.toLowerCase().split('/');
+    const prefix = pathParts.length > 0 ? `/${pathParts.join('/')}` : '';
+    const hostMatches = host === domain || host.endsWith(`.${domain}`);
+    return hostMatches && (!prefix || path === prefix || path.startsWith(`${prefix}/`));
+  });
+}
+
+/**
+ * Drop standalone cookie/privacy policy and profile pages — not articles that
+ * merely mention privacy or cookies in their URL
+ */
+function isContentPage(result, logPrefix) {
+  const title = (result.title || '').toLowerCase();
+  let path;
+  try {
+    path = new URL(result.url).pathname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  // Exclude standalone cookie/privacy policy pages (path ends with these)
+  if (path.endsWith('/cookie-policy') || path.endsWith('/cookie-notice') ||
+      path.endsWith('/privacy-policy') || path.endsWith('/privacy-notice') ||
+      path.endsWith('/cookies')) {
+    console.log(`[${logPrefix}] Filtered (policy page): ${result.url}`);
+    return false;
+  }
+  // Exclude generic non-content pages
+  if (path.endsWith('/about-us') || path.endsWith('/contact') || path.endsWith('/careers')) {
+    console.log(`[${logPrefix}] Filtered (generic page): ${result.url}`);
+    return false;
+  }
+  // Exclude if title is clearly just a cookie/privacy notice (not an article about it)
+  if (title === 'cookie notice' || title === 'cookie policy' || title === 'privacy policy') {
+    console.log(`[${logPrefix}] Filtered (policy title): ${result.url}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Date results the provider left undated from their URL path and snippet text
+ */
+function dateFromSnippets(results, logPrefix) {
+  for (const result of results) {
+    if (result.published_date) continue;
+    const extracted = extractDateFromSnippet(result.url, result.content);
+    if (extracted) {
+      result.published_date = extracted.date.toISOString().split('T')[0];
+      result.date_source = extracted.source;
+      result.date_confidence = extracted.confidence;
+      console.log(`[${logPrefix}] Extracted date from ${extracted.source}: ${result.published_date} (confidence ${extracted.confidence}) for ${result.url}`);
+    }
+  }
+  return results;
+}
+
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`.toLowerCase();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Feed items first (they carry exact dates), then provider results for URLs not already seen
+ */
+function mergeResults(feedResults, providerResults) {
+  const seen = new Set(feedResults.map(r => normalizeUrl(r.url)));
+  return [...feedResults, ...providerResults.filter(r => !seen.has(normalizeUrl(r.url)))];
+}
+
+/**
+ * Search the site feeds first; only call the provider when the feeds can't cover the range
+ */
+async function searchWithFeeds(provider, search, params, logPrefix) {
+  const feed = await searchFeeds({ query: params.query, siteUrls: params.siteUrls });
+  if (feed.feedsFound === 0) {
+    return search(params);
+  }
+  if (feed.coversFrom && params.startDate && feed.coversFrom <= params.startDate) {
+    console.log(`[${logPrefix}] Feeds cover ${feed.coversFrom} onwards, skipping ${provider.name} search (${feed.results.length} feed items)`);
+    return feed.results;
+  }
+  console.log(`[${logPrefix}] Feeds only reach back to ${feed.coversFrom || 'part of the sites'}, adding ${provider.name} results`);
+  return mergeResults(feed.results, await search(params));
+}
+
+/**
+ * Search with one provider and return date-filtered, normalized results
+ *
+ * @param {string} providerId - e.g. 'serper' or 'tavily'
+ * @param {Object} params
+ * @param {string} params.query
+ * @param {string[]} [params.domains] - Restrict results to these sites; entries may carry a path prefix
+ * @param {string[]} [params.siteUrls] - Firm/blog URLs, used to discover RSS/Atom feeds
+ * @param {string} [params.topicId] - LEGAL_TOPICS id, lets site-crawling providers match URL paths
+ * @param {boolean} [params.useFeeds=false] - Read the sites' feeds before calling the provider
+ * @param {boolean} [params.extractArticles=false] - Fetch kept results and attach their body text as `article_text`
+ * @param {string} [params.startDate] - YYYY-MM-DD; with endDate, enables date filtering
+ * @param {string} [params.endDate] - YYYY-MM-DD
+ * @param {boolean} [params.strictMode=false] - Exclude results whose date cannot be determined
+ * @param {number} [params.minConfidence=0] - In strict mode, minimum date confidence
+ * @param {string} [params.dateBasis] - See DATE_BASIS in date-filter-module.js
+ * @param {(event: Object) => void} [params.onEvent] - `provider_called` per adapter call (for cost), `date_filtered` counts, plus scrape timeouts from filterByScrapedDate
+ * @returns {Promise<Array<{title, url, content, published_date, modified_date?, date_source?, date_confidence?, article_text?}>>}
+ * @throws {SearchProviderError} Unknown provider (400) or missing API key (500)
+ */
+export async function runSearch(providerId, {
+  query,
+  domains = [],
+  siteUrls = [],
+  topicId,
+  useFeeds = false,
+  extractArticles = false,
+  startDate,
+  endDate,
+  strictMode = false,
+  minConfidence = 0,
+  dateBasis,
+  onEvent
+}) {
+  const provider = getSearchProvider(providerId);
+  if (!provider) {
+    throw new SearchProviderError(`Unknown search provider: ${providerId}`, 400);
+  }
+  const apiKey = provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : undefined;
+  if (provider.apiKeyEnv && !apiKey) {
+    throw new SearchProviderError(`${provider.apiKeyEnv} not configured`);
+  }
+
+  const logPrefix = provider.name || provider.id;
+  console.log(`[${logPrefix}] Request:`, { query, domains, startDate, endDate, strictMode });
+
+  const searchParams = { query, domains, siteUrls, topicId, startDate, endDate, apiKey };
+  const search = (params) => {
+    onEvent?.({ type: 'provider_called', provider: provider.id });
+    return provider.search(params);
+  };
+  const raw = useFeeds && siteUrls.length > 0 && provider.id !== rssProvider.id
+    ? await searchWithFeeds(provider, search, searchParams, logPrefix)
+    : await search(searchParams);
+  console.log(`[${logPrefix}] Raw results:`, raw.length);
+
+  const onSite = domains.length > 0 ? raw.filter(r => isOnTargetSite(r.url, domains)) : raw;
+  if (onSite.length < raw.length) {
+    console.log(`[${logPrefix}] Dropped ${raw.length - onSite.length} results outside ${domains.join(', ')}`);
+  }
+
+  let results = dateFromSnippets(onSite.filter(r => isContentPage(r, logPrefix)), logPrefix);
+  console.log(`[${logPrefix}] After content filter: ${results.length}, ${results.filter(r => r.published_date).length} dated before scraping`);
+
+  // Final date filtering by scraping actual pages
+  if (startDate && endDate) {
+    const beforeScrape = results.length;
+    results = await filterByScrapedDate(results, startDate, endDate, {
+      strictMode,
+      minConfidence,
+      dateBasis,
+      logPrefix,
+      onEvent
+    });
+    console.log(`[${logPrefix}] Scrape filtering: ${beforeScrape} -> ${results.length} results`);
+    onEvent?.({ type: 'date_filtered', raw: raw.length, checked: beforeScrape, kept: results.length });
+  }
+
+  if (extractArticles && results.length > 0) {
+    await attachArticleText(results, { logPrefix });
+  }
+
+  console.log(`[${logPrefix}] Final results:`, results.length, strictMode ? '(strict mode)' : '');
+  return results;
+}
@@ -0,0 +1,285 @@
+/**
+ * Sitemaps
+ *
+ * For firms without a feed, sitemap.xml usually lists every insight page with
+ * its <lastmod>. This module finds a site's sitemaps through robots.txt, keeps
+ * URLs modified since the start of the range whose path mentions the topic,
+ * and fetches those pages for title, summary and dates — complete coverage
+ * instead of a search API's top-N results.
+ */
+
+import { gunzipSync } from 'zlib';
+import { collectHtmlDateCandidates, resolvePageDates } from '../date-filter-module.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; LegalResearchBot/1.0)';
+const FETCH_TIMEOUT_MS = 8000;
+const DISCOVERY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_SITEMAP_FILES = 25;       // Per site, including nested index files
+const MAX_PAGES_TO_FETCH = 40;      // Per search, newest lastmod first
+const PAGE_CONCURRENCY = 5;
+const MAX_CONTENT_CHARS = 500;
+
+const DEFAULT_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+
+/**
+ * URL path keywords per LEGAL_TOPICS id. Single words must be a whole word of
+ * the path ("ai" in /insights/ai-act-update); hyphenated ones match anywhere.
+ */
+export const TOPIC_PATH_KEYWORDS = {
+  privacy: ['privacy', 'data-protection', 'gdpr', 'ccpa', 'cpra', 'lgpd', 'pipl', 'pdpa', 'personal-data', 'personal-information'],
+  ai: ['ai', 'artificial-intelligence', 'machine-learning', 'automated-decision', 'algorithm', 'algorithmic'],
+  cybersecurity: ['cybersecurity', 'cyber', 'data-breach', 'breach', 'incident', 'ransomware', 'nis2', 'dora'],
+  health_info: ['hipaa', 'health-data', 'health-information', 'health-privacy', 'phi', 'ehds', 'medical-data'],
+  patient_support: ['patient-support', 'copay', 'patient-assistance', 'hub-services', 'anti-kickback', 'pharma', 'pharmaceutical'],
+  consent_tracking: ['cookie', 'cookies', 'consent', 'tracking', 'pixel', 'adtech', 'eprivacy', 'privacy-notice'],
+};
+
+// Words in the client's topic queries that would match nearly every path
+const QUERY_STOPWORDS = new Set([
+  'and', 'or', 'the', 'for', 'law', 'laws', 'regulation', 'regulations', 'regulatory',
+  'compliance', 'data', 'information'
+]);
+
+// siteUrl → { sitemapUrls: string[], checkedAt: number }
+const discoveredSitemaps = new Map();
+
+// ============================================================================
+// FETCHING
+// ============================================================================
+
+async function fetchWithTimeout(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT },
+      signal: controller.signal
+    });
+    if (!response.ok) return null;
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return { buffer, contentType: response.headers.get('content-type') || '' };
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function fetchText(url) {
+  const response = await fetchWithTimeout(url);
+  if (!response) return null;
+  const gzipped = response.buffer[0] === 0x1f && response.buffer[1] === 0x8b;
+  try {
+    return gzipped ? gunzipSync(response.buffer).toString('utf8') : response.buffer.toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// DISCOVERY & PARSING
+// ============================================================================
+
+/**
+ * Sitemap URLs for a site: `Sitemap:` lines in robots.txt, else the conventional paths
+ *
+ * @param {string} siteUrl - Firm URL, e.g. https://www.example-firm.com
+ * @returns {Promise<string[]>}
+ */
+export async function discoverSitemaps(siteUrl) {
+  const cached = discoveredSitemaps.get(siteUrl);
+  if (cached && Date.now() - cached.checkedAt < DISCOVERY_TTL_MS) return cached.sitemapUrls;
+
+  const origin = new URL(siteUrl).origin;
+  const robots = await fetchText(`${origin}/robots.txt`);
+  let sitemapUrls = robots
+    ? [...robots.matchAll(/^\s*sitemap:\s*(\S+)/gim)].map(m => m[1])
+    : [];
+  if (sitemapUrls.length === 0) {
+    sitemapUrls = DEFAULT_SITEMAP_PATHS.map(path => `${origin}${path}`);
+  }
+
+  console.log(`[Sitemaps] ${siteUrl}: ${sitemapUrls.length} sitemap(s) ${robots ? 'from robots.txt' : 'by convention'}`);
+  discoveredSitemaps.set(siteUrl, { sitemapUrls, checkedAt: Date.now() });
+  return sitemapUrls;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .trim();
+}
+
+function lastmodDay(block) {
+  const value = block.match(/<lastmod>([^<]+)<\/lastmod>/i)?.[1];
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ *
+ * @param {string} xml
+ * @returns {{sitemaps: Array<{loc: string, lastmod: string|null}>, urls: Array<{loc: string, lastmod: string|null}>}}
+ */
+export function parseSitemap(xml) {
+  const entries = (tag) => (xml.match(new RegExp(`<${tag}[\\s>][\\s\\S]*?</${tag}>`, 'gi')) || [])
+    .map(block => ({ loc: decodeXml(block.match(/<loc>([\s\S]*?)<\/loc>/i)?.[1] || ''), lastmod: lastmodDay(block) }))
+    .filter(entry => entry.loc);
+  return { sitemaps: entries('sitemap'), urls: entries('url') };
+}
+
+/**
+ * Every page URL listed in a site's sitemaps, skipping index branches last modified before `since`
+ *
+ * @param {string} siteUrl
+ * @param {string|null} since - YYYY-MM-DD
+ * @returns {Promise<Array<{loc: string, lastmod: string|null}>>}
+ */
+async function collectSitemapUrls(siteUrl, since) {
+  const queue = [...await discoverSitemaps(siteUrl)];
+  const visited = new Set();
+  const urls = [];
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    const xml = await fetchText(sitemapUrl);
+    if (!xml) continue;
+    const { sitemaps, urls: pages } = parseSitemap(xml);
+
+    // A child sitemap untouched since before the range can't list pages in it
+    for (const child of sitemaps) {
+      if (!since || !child.lastmod || child.lastmod >= since) queue.push(child.loc);
+    }
+    urls.push(...pages);
+  }
+
+  return urls;
+}
+
+// ============================================================================
+// TOPIC MATCHING
+// ============================================================================
+
+function keywordsFor(topicId, query) {
+  if (topicId && TOPIC_PATH_KEYWORDS[topicId]) return TOPIC_PATH_KEYWORDS[topicId];
+  // Unknown topic: fall back to the words of the query
+  return [...new Set(
+    (query || '')
+      .toLowerCase()
+      .split(/[^a-z0-9-]+/)
+      .filter(word => word.length >= 3 && !QUERY_STOPWORDS.has(word) && !/^(?:19|20)\d{2}$/.test(word))
+  )];
+}
+
+function pathMatches(url, keywords) {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(url).pathname).toLowerCase();
+  } catch {
+    return false;
+  }
+  const words = new Set(path.split(/[^a-z0-9]+/));
+  return keywords.some(keyword => (keyword.includes('-') ? path.includes(keyword) : words.has(keyword)));
+}
+
+// ============================================================================
+// PAGE SUMMARIES
+// ============================================================================
+
+function metaContent(html, name) {
+  const patterns = [
+    new RegExp(`<meta[^>]*(?:name|property)=["']${name}["'][^>]*content=["']([^"']*)["']`, 'i'),
+    new RegExp(`<meta[^>]*content=["']([^"']*)["'][^>]*(?:name|property)=["']${name}["']`, 'i'),
+  ];
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match) return decodeXml(match[1]);
+  }
+  return '';
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fetch a page and shape it like a search result, dated from the same HTML
+ */
+async function summarizePage(url) {
+  const response = await fetchWithTimeout(url);
+  if (!response || !/html/i.test(response.contentType)) return null;
+  const html = response.buffer.toString('utf8');
+
+  const title = metaContent(html, 'og:title') || stripTags(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+  const description = metaContent(html, 'og:description') || metaContent(html, 'description')
+    || stripTags(html.match(/<p[^>]*>([\s\S]*?)<\/p>/i)?.[1] || '');
+
+  const result = { title: decodeXml(title), url, content: description.substring(0, MAX_CONTENT_CHARS), published_date: null };
+  const { published, modified } = resolvePageDates(collectHtmlDateCandidates(html, url));
+  if (published) {
+    result.published_date = published.date.toISOString().split('T')[0];
+    result.date_source = published.source;
+    result.date_confidence = published.confidence;
+  }
+  if (modified) {
+    result.modified_date = modified.date.toISOString().split('T')[0];
+  }
+  return result;
+}
+
+// ============================================================================
+// SEARCH OVER SITEMAPS
+// ============================================================================
+
+/**
+ * Find topic pages on the given sites via their sitemaps
+ *
+ * @param {Object} params
+ * @param {string} params.query - Used for path keywords when topicId is unknown
+ * @param {string[]} params.siteUrls - Firm URLs
+ * @param {string} [params.topicId] - LEGAL_TOPICS id selecting TOPIC_PATH_KEYWORDS
+ * @param {string} [params.startDate] - YYYY-MM-DD; URLs with an older lastmod are skipped
+ * @returns {Promise<Array<{title, url, content, published_date, modified_date?, date_source?, date_confidence?}>>}
+ */
+export async function searchSitemaps({ query, siteUrls, topicId, startDate }) {
+  const keywords = keywordsFor(topicId, query);
+  const candidates = [];
+
+  for (const siteUrl of siteUrls) {
+    const urls = await collectSitemapUrls(siteUrl, startDate);
+    const matching = urls.filter(entry =>
+      (!startDate || !entry.lastmod || entry.lastmod >= startDate) && pathMatches(entry.loc, keywords)
+    );
+    console.log(`[Sitemaps] ${siteUrl}: ${urls.length} URLs listed, ${matching.length} match topic and lastmod`);
+    candidates.push(...matching);
+  }
+
+  // Newest first; pages without lastmod go last
+  candidates.sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || ''));
+  const toFetch = [...new Map(candidates.map(c => [c.loc, c])).values()].slice(0, MAX_PAGES_TO_FETCH);
+  if (candidates.length > toFetch.length) {
+    console.log(`[Sitemaps] Fetching newest ${toFetch.length} of ${candidates.length} matching pages`);
+  }
+
+  const results = [];
+  for (let i = 0; i < toFetch.length; i += PAGE_CONCURRENCY) {
+    const batch = toFetch.slice(i, i + PAGE_CONCURRENCY);
+    const pages = await Promise.all(batch.map(entry => summarizePage(entry.loc).catch(() => null)));
+    results.push(...pages.filter(Boolean));
+  }
+  return results;
+}
@@ -0,0 +1,68 @@
+/**
+ * Usage & Cost
+ *
+ * What one report run consumed: tokens per model (a fallback can put several
+ * models in one run) and calls per search provider, priced with the rates in
+ * lib/models.js and the search adapters' costPerCall. Estimates, for
+ * budgeting; the providers' invoices are the source of truth.
+ *
+ *   {
+ *     model,                                // Registry id the run asked for
+ *     inputTokens, outputTokens,            // All model calls together
+ *     models: [{ id, label, calls, inputTokens, outputTokens, cost }],
+ *     searches: [{ provider, label, calls, cost }],
+ *     modelCost, searchCost, estimatedCost  // USD
+ *   }
+ */
+
+import { getModel, resolveModel } from './models.js';
+import { getSearchProvider } from './searchProviders.js';
+
+const roundCost = (usd) => Math.round(usd * 10000) / 10000;
+
+/**
+ * Price a run's model and search calls
+ *
+ * @param {Object} params
+ * @param {string} [params.model] - Registry id the run asked for
+ * @param {Array<{model: string, inputTokens: number|null, outputTokens: number|null}>} params.modelCalls - One per request; model is the registry id that served it
+ * @param {Record<string, number>} params.searchCalls - Provider id → API calls
+ * @returns {Object} - See top of file
+ */
+export function summarizeUsage({ model, modelCalls, searchCalls }) {
+  const byModel = new Map();
+  for (const call of modelCalls) {
+    const id = call.model || resolveModel(model).id;
+    const entry = byModel.get(id) || { id, label: getModel(id)?.label || id, calls: 0, inputTokens: 0, outputTokens: 0 };
+    entry.calls++;
+    entry.inputTokens += call.inputTokens || 0;
+    entry.outputTokens += call.outputTokens || 0;
+    byModel.set(id, entry);
+  }
+
+  const models = [...byModel.values()].map(entry => {
+    const rates = getModel(entry.id)?.costPerMillionTokens || { input: 0, output: 0 };
+    const cost = (entry.inputTokens * rates.input + entry.outputTokens * rates.output) / 1e6;
+    return { ...entry, cost: roundCost(cost) };
+  });
+
+  const searches = Object.entries(searchCalls)
+    .filter(([, calls]) => calls > 0)
+    .map(([provider, calls]) => {
+      const adapter = getSearchProvider(provider);
+      return { provider, label: adapter?.label || provider, calls, cost: roundCost(calls * (adapter?.costPerCall || 0)) };
+    });
+
+  const modelCost = roundCost(models.reduce((sum, m) => sum + m.cost, 0));
+  const searchCost = roundCost(searches.reduce((sum, s) => sum + s.cost, 0));
+  return {
+    model: resolveModel(model).id,
+    inputTokens: models.reduce((sum, m) => sum + m.inputTokens, 0),
+    outputTokens: models.reduce((sum, m) => sum + m.outputTokens, 0),
+    models,
+    searches,
+    modelCost,
+    searchCost,
+    estimatedCost: roundCost(modelCost + searchCost)
+  };
+}
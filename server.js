@@ -3,7 +3,19 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { extractDateFromUrl } from './date-filter-module.js';
+import { runSearch, DEFAULT_SEARCH_PROVIDER } from './lib/searchProviders.js';
+import { streamModelText } from './lib/llm.js';
+import { listModels } from './lib/models.js';
+import { createReportJob, getReportJob, cancelReportJob } from './lib/reportJobs.js';
+import { getReportStore } from './lib/reportStore.js';
+import { diffReports } from './lib/reportDiff.js';
+import { listRegulations, getRegulation, trackedDeadlines } from './lib/regulations.js';
+import { reportDeadlines, renderDeadlinesIcs } from './lib/deadlines.js';
+import { listNotifiers } from './lib/notifiers.js';
+import {
+  listMonitoringProfiles, getMonitoringProfile, createMonitoringProfile, updateMonitoringProfile,
+  deleteMonitoringProfile, runMonitoringProfile, sendTestDigest, startMonitoringScheduler
+} from './lib/monitoring.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,464 +44,288 @@ app.use((req, res, next) => {
 });
 
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const SERPER_API_KEY = process.env.SERPER_API_KEY;
 const TAVILY_API_KEY = process.env.TAVILY_API_KEY;
 
 console.log('API Keys loaded:', {
   anthropic: ANTHROPIC_API_KEY ? 'Yes' : 'NO',
+  gemini: GEMINI_API_KEY ? 'Yes' : 'NO (optional)',
+  openai: OPENAI_API_KEY ? 'Yes' : 'NO (optional, not needed for local models)',
   serper: SERPER_API_KEY ? 'Yes' : 'NO',
   tavily: TAVILY_API_KEY ? 'Yes' : 'NO (optional)'
 });
 
-// Wrapper for filterByScrapedDate that adds strictMode support
-// Uses the comprehensive date extraction from date-filter-module.js
-// FIXED: Parallel scraping with overall timeout to prevent hanging requests
-async function filterByScrapedDate(results, startDate, endDate, strictMode = false) {
-  const startMs = new Date(startDate).getTime();
-  const endMs = new Date(endDate).getTime();
-  const filteredResults = [];
-  const needsScraping = [];
-
-  // Phase 1: Quickly process items that already have dates (no network calls)
-  for (const item of results) {
-    if (item.published_date) {
-      const pubMs = new Date(item.published_date).getTime();
-      if (!isNaN(pubMs)) {
-        if (pubMs >= startMs && pubMs <= endMs) {
-          filteredResults.push(item);
-        } else {
-          console.log(`[Scraper] Filtered by API date: ${item.url} (${item.published_date} outside range)`);
-        }
-        continue;
-      }
-    }
-    // No valid date — needs scraping
-    needsScraping.push(item);
-  }
+// Unified search endpoint: POST /api/search?provider=serper|tavily|rss|sitemap
+// Provider adapters live in lib/searchProviders.js; all share the same date filtering
+app.post('/api/search', async (req, res) => {
+  const provider = req.query.provider || DEFAULT_SEARCH_PROVIDER;
 
-  console.log(`[Scraper] ${filteredResults.length} items with API dates, ${needsScraping.length} need scraping`);
-
-  // Phase 2: Scrape URLs in parallel (max 5 concurrent) with overall 15s timeout
-  if (needsScraping.length > 0) {
-    const SCRAPE_CONCURRENCY = 5;
-    const OVERALL_TIMEOUT_MS = 25000; // 25 seconds max for all scraping
-    const scrapeStartTime = Date.now();
-
-    for (let i = 0; i < needsScraping.length; i += SCRAPE_CONCURRENCY) {
-      // Check overall timeout
-      if (Date.now() - scrapeStartTime > OVERALL_TIMEOUT_MS) {
-        console.log(`[Scraper] Overall timeout reached after ${i} URLs. Including remaining ${needsScraping.length - i} items without date check.`);
-        // Include remaining items (benefit of the doubt)
-        for (let j = i; j < needsScraping.length; j++) {
-          if (!strictMode) {
-            filteredResults.push(needsScraping[j]);
-          }
-        }
-        break;
-      }
+  try {
+    const { query, include_domains, site_urls, topic_id, use_feeds, extract_articles, start_date, end_date, strict_date_filter, min_date_confidence, date_basis } = req.body;
+
+    const results = await runSearch(provider, {
+      query,
+      domains: include_domains || [],
+      siteUrls: site_urls || [],
+      topicId: topic_id,
+      useFeeds: !!use_feeds,
+      extractArticles: !!extract_articles,
+      startDate: start_date,
+      endDate: end_date,
+      strictMode: strict_date_filter,
+      minConfidence: min_date_confidence || 0,
+      dateBasis: date_basis
+    });
 
-      const batch = needsScraping.slice(i, i + SCRAPE_CONCURRENCY);
-      const remainingTime = OVERALL_TIMEOUT_MS - (Date.now() - scrapeStartTime);
-
-      const batchPromises = batch.map(async (item) => {
-        try {
-          const scrapedDate = await Promise.race([
-            extractDateFromUrl(item.url),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('scrape timeout')), Math.min(8000, remainingTime)))
-          ]);
-          return { item, scrapedDate };
-        } catch {
-          return { item, scrapedDate: null };
-        }
-      });
-
-      const batchResults = await Promise.all(batchPromises);
-
-      for (const { item, scrapedDate } of batchResults) {
-        if (scrapedDate) {
-          const pubMs = scrapedDate.getTime();
-          item.published_date = scrapedDate.toISOString().split('T')[0];
-          item.date_source = 'scraped';
-          if (pubMs >= startMs && pubMs <= endMs) {
-            filteredResults.push(item);
-          } else {
-            console.log(`[Scraper] Filtered: ${item.url} (date: ${item.published_date} outside range)`);
-          }
-        } else {
-          // No date found - include unless strict mode
-          if (!strictMode) {
-            filteredResults.push(item);
-          } else {
-            console.log(`[Scraper] Excluded (strict mode): ${item.url} (no date found)`);
-          }
-        }
-      }
-    }
+    res.json({ results });
+  } catch (error) {
+    console.error(`[Search] ${provider} error:`, error.message);
+    res.status(error.status || 500).json({ error: error.message, results: [] });
   }
+});
 
-  console.log(`[Scraper] Final: ${filteredResults.length} results after date filtering (strict: ${strictMode})`);
-  return filteredResults;
-}
-
-// Serper search endpoint - IMPROVED v2
-// Changes: 1) Increased results to 20, 2) Filter out non-content pages, 3) Removed tbs date filter (rely on post-processing)
-app.post('/api/search', async (req, res) => {
+// Report jobs: search, date filtering and generation run here in the background,
+// so the browser only starts a job and polls its events (and can reconnect after a reload)
+app.post('/api/reports/jobs', async (req, res) => {
   try {
-    const { query, include_domains, start_date, end_date, strict_date_filter } = req.body;
-
-    // Log received date parameters for debugging
-    console.log('[Serper] Date range:', start_date, 'to', end_date, 'strict:', strict_date_filter);
-
-    // Build query with site: operator
-    let searchQuery = query;
-    if (include_domains && include_domains.length > 0) {
-      searchQuery = `site:${include_domains[0]} ${query}`;
-    }
-
-    // Increase results from 10 to 20 for better coverage
-    // NOTE: Removed tbs date filter - Google's date indexing is often inaccurate
-    // We rely on post-processing date filtering instead (filterByScrapedDate)
-    const serperRequest = { q: searchQuery, num: 20 };
-
-    console.log('[Serper] Query:', searchQuery);
-
-    const response = await fetch('https://google.serper.dev/search', {
-      method: 'POST',
-      headers: {
-        'X-API-KEY': SERPER_API_KEY,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(serperRequest)
-    });
+    const job = await createReportJob(req.body);
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('[Jobs] Create error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    if (!response.ok) throw new Error(`Serper API error: ${response.status}`);
+app.get('/api/reports/jobs/:id', async (req, res) => {
+  try {
+    // ?since=<seq> returns only the events the client hasn't seen yet
+    const job = await getReportJob(req.params.id, { since: Number(req.query.since) || 0 });
+    if (!job) return res.status(404).json({ error: 'Report job not found' });
+    res.json(job);
+  } catch (error) {
+    console.error('[Jobs] Read error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const data = await response.json();
-    let filteredResults = data.organic || [];
+app.delete('/api/reports/jobs/:id', async (req, res) => {
+  try {
+    const job = await cancelReportJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Report job not found' });
+    res.json(job);
+  } catch (error) {
+    console.error('[Jobs] Cancel error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log('[Serper] Raw results:', filteredResults.length);
+// What changed between two saved reports (lib/reportDiff.js). The browser sends both,
+// since the reports it lists live in its own Supabase project
+app.post('/api/reports/diff', (req, res) => {
+  try {
+    res.json(diffReports(req.body?.before, req.body?.after));
+  } catch (error) {
+    console.error('[Diff] Error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // Filter out non-content pages — only exclude standalone policy/profile pages,
-    // not articles that happen to mention privacy/cookies in their URL
-    filteredResults = filteredResults.filter(item => {
-      const title = (item.title || '').toLowerCase();
-      const path = new URL(item.link).pathname.toLowerCase();
+// Regulation tracker: every law the completed reports found, across reports (lib/regulations.js)
+app.get('/api/regulations', async (req, res) => {
+  try {
+    const { q, jurisdiction } = req.query;
+    res.json({ regulations: await listRegulations({ q, jurisdiction }) });
+  } catch (error) {
+    console.error('[Regulations] List error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Exclude standalone cookie/privacy policy pages (path ends with these)
-      if (path.endsWith('/cookie-policy') || path.endsWith('/cookie-notice') ||
-          path.endsWith('/privacy-policy') || path.endsWith('/privacy-notice') ||
-          path.endsWith('/cookies')) {
-        console.log(`[Serper] Filtered (policy page): ${item.link}`);
-        return false;
-      }
-      // Exclude generic non-content pages
-      if (path.endsWith('/about-us') || path.endsWith('/contact') || path.endsWith('/careers')) {
-        console.log(`[Serper] Filtered (generic page): ${item.link}`);
-        return false;
-      }
-      // Exclude if title is clearly just a cookie/privacy notice (not an article about it)
-      if (title === 'cookie notice' || title === 'cookie policy' || title === 'privacy policy') {
-        console.log(`[Serper] Filtered (policy title): ${item.link}`);
-        return false;
-      }
-      return true;
-    });
+app.get('/api/regulations/:id', async (req, res) => {
+  try {
+    // ?since=YYYY-MM-DD leaves older events out of the timeline
+    const found = await getRegulation(req.params.id, { since: req.query.since });
+    if (!found) return res.status(404).json({ error: 'Regulation not found' });
+    res.json(found);
+  } catch (error) {
+    console.error('[Regulations] Read error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log('[Serper] After content filter:', filteredResults.length);
-
-    // Apply date filtering from API response dates
-    if (start_date && end_date) {
-      const startMs = new Date(start_date).getTime();
-      const endMs = new Date(end_date).getTime();
-      filteredResults = filteredResults.filter(item => {
-        if (!item.date) return true; // Keep items without dates for scraping later
-        const pubDate = new Date(item.date);
-        if (isNaN(pubDate.getTime())) return true;
-        return pubDate.getTime() >= startMs && pubDate.getTime() <= endMs;
-      });
-    }
+// Compliance deadlines of every tracked regulation (lib/deadlines.js), as JSON or
+// as a calendar feed to subscribe to; ?q=, ?jurisdiction= and ?from=YYYY-MM-DD narrow both
+app.get('/api/deadlines', async (req, res) => {
+  try {
+    const { q, jurisdiction, from } = req.query;
+    res.json({ deadlines: await trackedDeadlines({ q, jurisdiction, from }) });
+  } catch (error) {
+    console.error('[Deadlines] List error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    let results = filteredResults.map(item => ({
-      title: item.title,
-      url: item.link,
-      content: item.snippet || '',
-      published_date: item.date || null
+app.get('/api/deadlines/calendar.ics', async (req, res) => {
+  try {
+    const { q, jurisdiction, from } = req.query;
+    const deadlines = await trackedDeadlines({ q, jurisdiction, from });
+    res.type('text/calendar; charset=utf-8').send(renderDeadlinesIcs(deadlines, {
+      name: jurisdiction ? `Compliance Deadlines (${jurisdiction})` : 'Compliance Deadlines'
     }));
-
-    // Final date filtering by scraping actual pages
-    if (start_date && end_date) {
-      const beforeScrape = results.length;
-      results = await filterByScrapedDate(results, start_date, end_date, strict_date_filter);
-      console.log(`[Serper] Scrape filtering: ${beforeScrape} -> ${results.length} results`);
-    }
-
-    console.log('[Serper] Final results:', results.length, strict_date_filter ? '(strict mode)' : '');
-
-    res.json({ results });
   } catch (error) {
-    console.error('[Serper] Error:', error.message);
-    res.status(500).json({ error: error.message, results: [] });
+    console.error('[Deadlines] Feed error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Tavily search endpoint
-app.post('/api/search-tavily', async (req, res) => {
-  if (!TAVILY_API_KEY) {
-    return res.status(500).json({ error: 'Tavily API key not configured', results: [] });
+// One report's deadlines as an .ics download, from the structured report the browser sends
+app.post('/api/deadlines/ics', (req, res) => {
+  const { structured, name } = req.body || {};
+  if (!Array.isArray(structured?.developments)) {
+    return res.status(400).json({ error: 'The report has no structured developments' });
   }
 
   try {
-    const { query, include_domains, start_date, end_date, strict_date_filter } = req.body;
-
-    console.log('[Tavily] Request:', { query, start_date, end_date, strict_date_filter });
-
-    const tavilyRequest = {
-      api_key: TAVILY_API_KEY,
-      query: query,
-      search_depth: 'advanced',
-      include_answer: false,
-      include_raw_content: false,
-      max_results: 20
-    };
-
-    // Use start_date/end_date params (newer Tavily API) for precise date filtering
-    if (start_date && end_date) {
-      tavilyRequest.start_date = start_date;
-      tavilyRequest.end_date = end_date;
-      console.log('[Tavily] Using start_date/end_date:', start_date, 'to', end_date);
-    }
+    res.type('text/calendar; charset=utf-8').send(renderDeadlinesIcs(reportDeadlines(structured), { name }));
+  } catch (error) {
+    console.error('[Deadlines] Export error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (include_domains && include_domains.length > 0) {
-      tavilyRequest.include_domains = include_domains;
-    }
+// Monitoring profiles: reports that run on a cron schedule and send a digest (lib/monitoring.js).
+// The scheduler runs in this process, so these routes have no Vercel twins in api/
+app.get('/api/monitoring/profiles', async (req, res) => {
+  try {
+    res.json({ profiles: await listMonitoringProfiles(), notifiers: listNotifiers() });
+  } catch (error) {
+    console.error('[Monitoring] List error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const response = await fetch('https://api.tavily.com/search', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(tavilyRequest)
-    });
+app.post('/api/monitoring/profiles', async (req, res) => {
+  try {
+    res.status(201).json(await createMonitoringProfile(req.body));
+  } catch (error) {
+    console.error('[Monitoring] Create error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    if (!response.ok) throw new Error(`Tavily API error: ${response.status}`);
+app.get('/api/monitoring/profiles/:id', async (req, res) => {
+  try {
+    const profile = await getMonitoringProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Monitoring profile not found' });
+    res.json(profile);
+  } catch (error) {
+    console.error('[Monitoring] Read error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const data = await response.json();
-    let filteredResults = data.results || [];
+app.patch('/api/monitoring/profiles/:id', async (req, res) => {
+  try {
+    const profile = await updateMonitoringProfile(req.params.id, req.body);
+    if (!profile) return res.status(404).json({ error: 'Monitoring profile not found' });
+    res.json(profile);
+  } catch (error) {
+    console.error('[Monitoring] Update error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    if (start_date && end_date) {
-      const startMs = new Date(start_date).getTime();
-      const endMs = new Date(end_date).getTime();
-      filteredResults = filteredResults.filter(item => {
-        if (!item.published_date) return true;
-        const pubMs = new Date(item.published_date).getTime();
-        return pubMs >= startMs && pubMs <= endMs;
-      });
+app.delete('/api/monitoring/profiles/:id', async (req, res) => {
+  try {
+    if (!(await deleteMonitoringProfile(req.params.id))) {
+      return res.status(404).json({ error: 'Monitoring profile not found' });
     }
+    res.status(204).end();
+  } catch (error) {
+    console.error('[Monitoring] Delete error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Try to extract dates from content text and URL when Tavily doesn't provide published_date
-    let results = filteredResults.map(item => {
-      let pubDate = item.published_date || null;
-
-      if (!pubDate) {
-        // Try extracting date from URL path (e.g., /2025/11/article-name)
-        const urlDateMatch = item.url.match(/\/(\d{4})\/(\d{2})(?:\/(\d{2}))?\/[a-zA-Z]/);
-        if (urlDateMatch) {
-          const year = urlDateMatch[1];
-          const month = urlDateMatch[2];
-          const day = urlDateMatch[3] || '15';
-          const d = new Date(`${year}-${month}-${day}`);
-          if (!isNaN(d.getTime())) {
-            pubDate = d.toISOString().split('T')[0];
-            console.log(`[Tavily] Extracted date from URL: ${pubDate} for ${item.url}`);
-          }
-        }
-      }
-
-      if (!pubDate && item.content) {
-        // Try extracting date from content snippet
-        const months = 'January|February|March|April|May|June|July|August|September|October|November|December';
-        const monthsAbbrev = 'Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec';
-        const contentPatterns = [
-          new RegExp(`(${months})\\s+(\\d{1,2}),?\\s+(20[0-3]\\d)`, 'i'),
-          new RegExp(`(\\d{1,2})\\s+(${months})\\s+(20[0-3]\\d)`, 'i'),
-          new RegExp(`(${monthsAbbrev})\\s+(\\d{1,2}),?\\s+(20[0-3]\\d)`, 'i'),
-          /\b(20[0-3]\d)[-\/](0[1-9]|1[0-2])[-\/](0[1-9]|[12]\d|3[01])\b/,
-        ];
-        for (const pattern of contentPatterns) {
-          const match = item.content.match(pattern);
-          if (match) {
-            const d = new Date(match[0]);
-            if (!isNaN(d.getTime())) {
-              pubDate = d.toISOString().split('T')[0];
-              console.log(`[Tavily] Extracted date from content: ${pubDate} for ${item.url}`);
-              break;
-            }
-          }
-        }
-      }
-
-      return {
-        title: item.title,
-        url: item.url,
-        content: item.content || '',
-        published_date: pubDate
-      };
+// Run now, outside the schedule; answers once the run has started
+app.post('/api/monitoring/profiles/:id/run', async (req, res) => {
+  try {
+    const profile = await getMonitoringProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Monitoring profile not found' });
+    if (profile.running) return res.status(409).json({ error: `${profile.name} is already running` });
+    runMonitoringProfile(profile.id).catch((error) => {
+      console.error(`[Monitoring] ${profile.name} run failed:`, error.message);
     });
+    res.status(202).json({ ...profile, running: true });
+  } catch (error) {
+    console.error('[Monitoring] Run error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    console.log(`[Tavily] After content/URL date extraction: ${results.filter(r => r.published_date).length}/${results.length} have dates`);
-
-    if (start_date && end_date) {
-      const beforeScrape = results.length;
-      results = await filterByScrapedDate(results, start_date, end_date, strict_date_filter);
-      console.log(`[Tavily] Scrape filtering: ${beforeScrape} -> ${results.length} results`);
-    }
-
-    console.log('[Tavily] Final results:', results.length, strict_date_filter ? '(strict mode)' : '');
+// Send the latest digest again without running a report, to check delivery
+app.post('/api/monitoring/profiles/:id/test', async (req, res) => {
+  try {
+    res.json({ deliveries: await sendTestDigest(req.params.id) });
+  } catch (error) {
+    console.error('[Monitoring] Test digest error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    res.json({ results });
+// Reports a profile's runs have saved (lib/reportStore.js), newest first
+app.get('/api/monitoring/profiles/:id/reports', async (req, res) => {
+  try {
+    const store = await getReportStore();
+    res.json({ reports: await store.list({ profileId: req.params.id, limit: Number(req.query.limit) || undefined }) });
   } catch (error) {
-    console.error('[Tavily] Error:', error.message);
-    res.status(500).json({ error: error.message, results: [] });
+    console.error('[Monitoring] Reports error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Claude API endpoint with SSE streaming and automatic retry for overloaded errors
+// Models the client can choose from, with their cost and fallbacks (lib/models.js)
+app.get('/api/models', (req, res) => {
+  res.json(listModels());
+});
+
+// Model endpoint with SSE streaming and automatic retry for overloaded errors;
+// `model` is a registry id on any backend (lib/models.js, lib/llmProviders.js)
 app.post('/api/generate', async (req, res) => {
   try {
     const { prompt, model } = req.body;
 
-    // Select model based on user choice
-    const selectedModel = model === 'opus'
-      ? 'claude-opus-4-5-20251101'
-      : 'claude-sonnet-4-20250514';
-
-    console.log('[Claude] Using model:', selectedModel);
-
-    // Retry logic for overloaded errors — retries happen BEFORE streaming starts
-    const maxRetries = 3;
-    let lastError = null;
-    let streamResponse = null;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: selectedModel,
-          max_tokens: 16000,
-          stream: true,
-          messages: [{ role: 'user', content: prompt }]
-        })
-      });
-
-      if (response.ok) {
-        console.log('[Claude] Streaming started on attempt', attempt);
-        streamResponse = response;
-        break;
-      }
-
-      // Handle error responses (non-streaming errors like 529 overloaded)
-      const errorText = await response.text();
-      let errorMessage = `API error: ${response.status}`;
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.error?.message || errorMessage;
-      } catch {
-        errorMessage = errorText.substring(0, 200) || errorMessage;
+    // SSE headers go out with the first event, so errors before streaming
+    // starts (after the overloaded retries) still get a plain 500
+    const send = (event) => {
+      if (!res.headersSent) {
+        // Keep the connection alive
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+        });
       }
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
 
-      const isOverloaded = response.status === 529 || errorMessage.toLowerCase().includes('overloaded');
-      console.error(`[Claude] Attempt ${attempt}/${maxRetries} failed:`, errorMessage);
-
-      if (isOverloaded && attempt < maxRetries) {
-        const waitSeconds = attempt * 5; // 5s, 10s
-        console.log(`[Claude] API overloaded. Retrying in ${waitSeconds}s...`);
-        await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
-        lastError = errorMessage;
-        continue;
-      }
-
-      lastError = errorMessage;
-      break;
-    }
-
-    if (!streamResponse) {
-      throw new Error(lastError || 'Unknown error');
-    }
-
-    // Set SSE headers to keep the connection alive
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
+    // Forward text deltas and token counts as they arrive; an answer cut off
+    // at max_tokens is continued and streamed on as one text
+    const { stopReason, continuations } = await streamModelText({
+      prompt,
+      model,
+      onText: (text) => send({ type: 'text_delta', text }),
+      onUsage: (usage) => send({ type: 'usage', ...usage }),
+      onContinuation: (round) => send({ type: 'continuation', round }),
+      onFallback: ({ from, to }) => send({ type: 'model_fallback', from, to })
     });
-
-    // Read the Claude SSE stream and forward text deltas to the client
-    const reader = streamResponse.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process complete SSE lines from the buffer
-      const lines = buffer.split('\n');
-      buffer = lines.pop(); // Keep incomplete last line in buffer
-
-      for (const line of lines) {
-        if (!line.startsWith('data: ')) continue;
-        const data = line.slice(6).trim();
-
-        if (data === '[DONE]') continue;
-
-        try {
-          const event = JSON.parse(data);
-
-          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
-            // Forward text chunk to client
-            res.write(`data: ${JSON.stringify({ type: 'text_delta', text: event.delta.text })}\n\n`);
-          } else if (event.type === 'message_stop') {
-            // Stream complete
-            res.write(`data: ${JSON.stringify({ type: 'done', stop_reason: 'end_turn' })}\n\n`);
-          } else if (event.type === 'message_start' && event.message) {
-            console.log('[Claude] Stream message_start:', {
-              id: event.message.id,
-              model: event.message.model
-            });
-          }
-        } catch {
-          // Skip unparseable lines
-        }
-      }
-    }
-
-    // Process any remaining buffer content
-    if (buffer.trim().startsWith('data: ')) {
-      const data = buffer.trim().slice(6).trim();
-      if (data !== '[DONE]') {
-        try {
-          const event = JSON.parse(data);
-          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
-            res.write(`data: ${JSON.stringify({ type: 'text_delta', text: event.delta.text })}\n\n`);
-          } else if (event.type === 'message_stop') {
-            res.write(`data: ${JSON.stringify({ type: 'done', stop_reason: 'end_turn' })}\n\n`);
-          }
-        } catch {
-          // Skip
-        }
-      }
-    }
-
-    console.log('[Claude] Stream complete');
+    send({ type: 'done', stop_reason: stopReason, continuations });
     res.end();
 
   } catch (error) {
-    console.error('[Claude] Error:', error.message);
+    console.error('[Generate] Error:', error.message);
     // If headers already sent (streaming started), send error as SSE event
     if (res.headersSent) {
       res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
@@ -503,4 +339,5 @@ app.post('/api/generate', async (req, res) => {
 const PORT = 3001;
 app.listen(PORT, () => {
   console.log(`Backend server running on http://localhost:${PORT}`);
+  if (process.env.MONITORING_SCHEDULER !== 'off') startMonitoringScheduler();
 });
@@ -1,454 +1,246 @@
-import { ReportConfig, GeneratedReport } from "../types";
-import { COUNTRIES, PHARMA_AREAS } from "../constants";
+import { ReportConfig, GeneratedReport, ReportRequest, ReportJob, ReportJobProgress, ReportEvent, SearchProvider, StructuredReport, ReportLayout, LegalDevelopment, ModelInfo, ReportUsage, PreviouslyReported } from "../types";
+import { COUNTRIES, PHARMA_AREAS, SEARCH_PROVIDER_LABELS } from "../constants";
+import { firmSearchTargets, firmSiteUrls } from "./firmDomains";
 
 const API_BASE = '';
 
-interface TavilyResult {
-  title: string;
-  url: string;
-  content: string;
-}
-
-interface TavilyResponse {
-  results: TavilyResult[];
-}
+const JOB_POLL_INTERVAL_MS = 2000;
+const MAX_POLL_FAILURES = 5;  // Consecutive failed polls (e.g. server restarting) before giving up
 
+// Filled by fetchModels(); labels for the Word export
+let knownModels: ModelInfo[] = [];
+let defaultModel = 'sonnet';
 
-export const generateLegalReport = async (config: ReportConfig): Promise<GeneratedReport> => {
-  const firmList = config.selectedFirms.map(f => `${f.name} (${f.url})`).join(", ");
-  const topicList = config.selectedTopics.map(t => t.label).join(", ");
-  const countryList = COUNTRIES.join(", ");
-  const areaList = PHARMA_AREAS.join(", ");
-
-  // Search each topic separately for each firm
-  // Total searches = topics × firms (e.g., 5 topics × 20 firms = 100 searches)
-  // Serper API limit: 5 requests per second
-  let searchResults = "";
-  const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
 
-  // Determine search endpoint based on provider
-  const searchProvider = config.searchProvider || 'serper';
-  const searchEndpoint = searchProvider === 'tavily' ? '/api/search-tavily' : '/api/search';
-  const searchProviderLabel = searchProvider === 'tavily' ? 'Tavily (AI Research)' : 'Serper (Google Search)';
+const abortError = () => new DOMException('Report cancelled', 'AbortError');
 
-  // Get abort signal if provided
-  const abortSignal = config.abortSignal;
-
-  // Log full search configuration for debugging erratic results
-  console.log('[Search] Config:', {
-    dateRange: `${config.startDate} to ${config.endDate}`,
-    strictDateFilter: config.strictDateFilter,
-    searchProvider: searchProvider,
-    firmsCount: config.selectedFirms.length,
-    topicsCount: config.selectedTopics.length,
-    modelProvider: config.modelProvider || 'sonnet'
-  });
-
-  console.log(`[Search] Using provider: ${searchProviderLabel}`);
-
-  // Extract years from date range for query filtering
-  const startYear = config.startDate.split('-')[0];
-  const endYear = config.endDate.split('-')[0];
-  const yearFilter = startYear === endYear ? startYear : `(${startYear} OR ${endYear})`;
-
-  // Topic keywords mapping - keys must match LEGAL_TOPICS labels exactly
-  // Each topic uses a single OR-based query to cover multiple angles while reducing API calls
-  const topicKeywords: Record<string, string> = {
-    'Privacy / Data Protection': '(data protection OR privacy) regulation compliance',
-    'AI / Automated Decision-Making': '(artificial intelligence OR automated decision-making) AI regulation',
-    'Cybersecurity / Incident Reporting': '(cybersecurity OR data breach) regulation notification',
-    'Health Information / HIPAA-type': 'HIPAA health (data privacy OR information protection)',
-    'Patient Support Programs': '(patient support program OR copay assistance) pharmaceutical',
-    'Consent, Digital Tracking & Privacy Notices': '(cookie consent OR online tracking) privacy regulation'
-  };
+export const networkError = (error: any) =>
+  error.name === 'TypeError' && error.message === 'Failed to fetch'
+    ? new Error('Network error: Could not reach the backend server. Make sure the backend is running on port 3001.')
+    : error;
 
+export const errorFromResponse = async (response: Response): Promise<Error> => {
+  let errorMessage = `API error: ${response.status}`;
   try {
-    const firms = config.selectedFirms;
-    const topics = config.selectedTopics;
-
-    // Calculate total searches: firms × topics (1 query per topic now with OR operators)
-    const totalSearches = firms.length * topics.length;
-    console.log(`[Search] Total searches: ${totalSearches} (${firms.length} firms × ${topics.length} topics)`);
-
-    const batchSize = 4; // Process 4 searches at a time to stay under 5/sec limit
-    const resultsByFirm: Record<string, string[]> = {};
-    // Track seen URLs per firm to deduplicate across keyword variants
-    const seenUrlsByFirm: Record<string, Set<string>> = {};
-
-    // Search one topic at a time across all firms
-    for (let topicIdx = 0; topicIdx < topics.length; topicIdx++) {
-      const topic = topics[topicIdx];
-      const keywords = topicKeywords[topic.label] || topic.label.split('/')[0].trim();
-      console.log(`[Search] === Topic ${topicIdx + 1}/${topics.length}: ${topic.label} ===`);
-      console.log(`[Search]   Query: "${keywords}"`);
-
-      let topicResultCount = 0;
-
-      const firmTasks = firms.map(firm => ({ firm, topic, keywords }));
-
-      for (let i = 0; i < firmTasks.length; i += batchSize) {
-        const batch = firmTasks.slice(i, i + batchSize);
-
-        const searchPromises = batch.map(async ({ firm, topic, keywords }) => {
-          try {
-            // Extract root domain (drop subdomains like www, resourcehub, etc.)
-            // e.g. "resourcehub.bakermckenzie.com" → "bakermckenzie.com"
-            const hostname = new URL(firm.url).hostname;
-            const parts = hostname.split('.');
-            const domain = parts.length > 2 ? parts.slice(-2).join('.') : hostname;
-            const query = `${keywords} law regulation ${yearFilter}`;
-
-            console.log(`[Search] Fetching: ${firm.name} / ${topic.label} (domain: ${domain})`);
-
-            const response = await fetch(`${API_BASE}${searchEndpoint}`, {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                query: query,
-                include_domains: [domain],
-                start_date: config.startDate,
-                end_date: config.endDate,
-                strict_date_filter: config.strictDateFilter || false
-              }),
-              signal: abortSignal
-            });
-
-            if (response.ok) {
-              const data: TavilyResponse = await response.json();
-              if (data.results && data.results.length > 0) {
-                // Deduplicate: filter out URLs already seen for this firm
-                if (!seenUrlsByFirm[firm.name]) {
-                  seenUrlsByFirm[firm.name] = new Set();
-                }
-                const newResults = data.results.filter(r => !seenUrlsByFirm[firm.name].has(r.url));
-                // Mark these URLs as seen
-                for (const r of data.results) {
-                  seenUrlsByFirm[firm.name].add(r.url);
-                }
-
-                if (newResults.length > 0) {
-                  console.log(`[Search] ${firm.name} / ${topic.label}: ${newResults.length} new results (${data.results.length - newResults.length} dupes skipped)`);
-                  // Take top 10 new results for better coverage
-                  const topResults = newResults.slice(0, 10);
-                  const formattedResults = topResults.map(r => {
-                    const title = r.title.length > 80 ? r.title.substring(0, 80) + '...' : r.title;
-                    const content = r.content.length > 150 ? r.content.substring(0, 150) + '...' : r.content;
-                    return `- [${topic.label}] **${title}**\n  ${r.url}\n  ${content}`;
-                  });
-                  return {
-                    firmName: firm.name,
-                    topicLabel: topic.label,
-                    result: formattedResults.join('\n'),
-                    count: topResults.length
-                  };
-                } else {
-                  console.log(`[Search] ${firm.name} / ${topic.label}: ${data.results.length} results (all duplicates)`);
-                }
-              } else {
-                console.log(`[Search] ${firm.name} / ${topic.label}: 0 results`);
-              }
-            } else {
-              const errorText = await response.text().catch(() => 'unknown');
-              console.error(`[Search] ${firm.name} / ${topic.label}: HTTP ${response.status} - ${errorText.substring(0, 200)}`);
-            }
-            return null;
-          } catch (err: any) {
-            if (err.name === 'AbortError') throw err; // Re-throw abort so it propagates
-            console.error(`[Search] ${firm.name} / ${topic.label}: Error - ${err.message}`);
-            return null;
-          }
-        });
-
-        const batchResults = await Promise.all(searchPromises);
-
-        // Group results by firm
-        for (const result of batchResults) {
-          if (result) {
-            if (!resultsByFirm[result.firmName]) {
-              resultsByFirm[result.firmName] = [];
-            }
-            resultsByFirm[result.firmName].push(result.result);
-            topicResultCount += result.count;
-          }
-        }
-
-        // Wait 1.5 seconds between batches to respect rate limit (5 req/sec)
-        if (i + batchSize < firmTasks.length) {
-          await delay(1500);
-        }
-      }
-
-      console.log(`[Search] === Topic "${topic.label}" complete: ${topicResultCount} results ===`);
-
-      // Report progress
-      config.onProgress?.({
-        currentTopic: topic.label,
-        topicIndex: topicIdx + 1,
-        totalTopics: topics.length,
-        resultsFound: topicResultCount
-      });
-    }
-
-    // Format results grouped by firm
-    const firmsWithResults: string[] = [];
-    for (const [firmName, results] of Object.entries(resultsByFirm)) {
-      if (results.length > 0) {
-        searchResults += `\n### ${firmName}\n${results.join('\n')}\n`;
-        firmsWithResults.push(firmName);
-      }
-    }
-
-    if (searchResults) {
-      searchResults = "\n## Search Results by Firm\n" + searchResults;
-    }
-
-    // Summary log for debugging
-    console.log(`[Search] COMPLETE: ${firmsWithResults.length} firms with results out of ${firms.length} total firms`);
-    console.log(`[Search] Firms with results: ${firmsWithResults.join(', ') || 'NONE'}`);
-    console.log(`[Search] Total search results text length: ${searchResults.length} chars`);
-  } catch (error: any) {
-    if (error.name === 'AbortError') throw error; // Re-throw abort
-    console.error("Search error:", error);
-    searchResults = "";
+    const errorData = await response.json();
+    errorMessage = errorData.error || errorMessage;
+  } catch {
+    // response wasn't JSON
   }
+  return new Error(errorMessage);
+};
 
-  const prompt = `
-You are a legal research assistant for attorneys in pharmaceutical regulatory compliance.
-
-**SEARCH RESULTS:**
-${searchResults || "No search results available."}
-
-**TASK:**
-Analyze the search results and organize findings BY LAW FIRM IN ALPHABETICAL ORDER, highlighting new laws, regulations, and proposed legislation.
-
-Law Firms: ${firmList}
-Legal Topics: ${topicList}
-Countries: ${countryList}
-Date Range of Interest: ${config.startDate} to ${config.endDate}
-Search Provider Used: ${searchProviderLabel}
-
-**OUTPUT FORMAT:**
-
-## Executive Summary
-Brief 2-3 sentence overview of key new/proposed laws identified across all firms.
-
----
-
-## [Law Firm Name]
-
-### Laws & Regulations Covered:
-- **[Law/Regulation Name 1]** (Status: Enacted/Proposed | Effective: [Date] | Jurisdiction: [Country/State])
-- **[Law/Regulation Name 2]** (Status: Enacted/Proposed | Effective: [Date] | Jurisdiction: [Country/State])
-
-### Commentary Summary:
-[Summarize the firm's analysis and key insights about the above laws/regulations. Include:
-- What the law requires
-- Compliance deadlines
-- Key obligations for pharmaceutical companies
-- Impact on: ${areaList}]
-
-### Life Sciences Impact:
-[For EACH law/regulation cited above, provide a brief 2-3 sentence description of how it specifically impacts life sciences companies, including:
-- Clinical trials and patient data handling
-- Drug development and regulatory submissions
-- Healthcare provider/patient communications
-- Real-world evidence and pharmacovigilance data
-- Digital health applications and connected devices]
-
-**Source:** [Title of Commentary](URL)
-
----
-
-(Repeat for each law firm)
-
----
-
-## Summary Table
+/**
+ * Everything the server needs to run the report without the browser
+ */
+export const buildReportRequest = (config: ReportConfig): ReportRequest => ({
+  // Root domain of the firm URL plus any extra firm domains / path prefixes
+  // e.g. "resourcehub.bakermckenzie.com" → "bakermckenzie.com"
+  firms: config.selectedFirms.map(firm => ({
+    name: firm.name,
+    url: firm.url,
+    domains: firmSearchTargets(firm),
+    siteUrls: firmSiteUrls(firm)
+  })),
+  topics: config.selectedTopics.map(t => ({ id: t.id, label: t.label })),
+  startDate: config.startDate,
+  endDate: config.endDate,
+  searchProvider: config.searchProvider || 'serper',
+  modelProvider: config.modelProvider || defaultModel,
+  strictDateFilter: config.strictDateFilter || false,
+  minDateConfidence: config.minDateConfidence || 0,
+  dateFilterBasis: config.dateFilterBasis || 'published',
+  useFeeds: config.useFeeds !== false,
+  extractArticles: config.extractArticles !== false,
+  reportLayout: config.reportLayout || 'by_firm',
+  citationPolicy: config.citationPolicy || 'annotate',
+  countries: COUNTRIES,
+  pharmaAreas: PHARMA_AREAS
+});
+
+/**
+ * The models the server offers, and which is its default
+ */
+export const fetchModels = async (): Promise<{ models: ModelInfo[]; defaultModel: string }> => {
+  const response = await fetch(`${API_BASE}/api/models`);
+  if (!response.ok) throw await errorFromResponse(response);
+  const result = await response.json();
+  knownModels = result.models;
+  defaultModel = result.defaultModel;
+  return result;
+};
 
-| Law/Regulation | Status | Effective Date | Jurisdiction | Commenting Firm | Source Link |
-|----------------|--------|----------------|--------------|-----------------|-------------|
-[List all identified laws with clickable source links]
+export const modelLabel = (id: string): string =>
+  knownModels.find(m => m.id === id)?.label || id;
 
-**IMPORTANT:**
-- Present law firms in ALPHABETICAL ORDER (A-Z)
-- Start each firm section with the SPECIFIC LAWS/REGULATIONS they discuss
-- Put the source link at the END of each firm's commentary section
-- ONLY include laws explicitly mentioned in the search results
-- Use the EXACT source URLs from the search results
-- If a firm has no relevant commentaries in the search results, SKIP that firm entirely - do not include any section for them
-- Only include firms that have actual commentary content to report
-`;
+/**
+ * One line for report headers: tokens, search calls and estimated cost
+ */
+export const formatUsage = (usage: ReportUsage): string => {
+  const models = usage.models.map(m => `${m.label}: ${m.inputTokens.toLocaleString()} in / ${m.outputTokens.toLocaleString()} out tokens`);
+  const searches = usage.searches.map(s => `${s.calls.toLocaleString()} ${s.label} call${s.calls === 1 ? '' : 's'}`);
+  return [...models, ...searches, `est. $${usage.estimatedCost.toFixed(2)}`].join(' · ');
+};
 
-  try {
-    // Combined abort controller that handles both user abort and timeout
-    const combinedController = new AbortController();
-    const timeoutId = setTimeout(() => combinedController.abort(), 300000); // 5 min timeout
-
-    // If user provided an abort signal, forward it to the combined controller
-    if (abortSignal) {
-      if (abortSignal.aborted) {
-        combinedController.abort();
-      } else {
-        abortSignal.addEventListener('abort', () => combinedController.abort());
-      }
-    }
+export const startReportJob = async (request: ReportRequest): Promise<ReportJob> => {
+  const response = await fetch(`${API_BASE}/api/reports/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request)
+  });
+  if (!response.ok) throw await errorFromResponse(response);
+  return response.json();
+};
 
-    const modelToUse = config.modelProvider || 'sonnet';
-    console.log('[Claude] Sending request with model:', modelToUse);
+/**
+ * Current state of a report job, or null if the server doesn't know it
+ *
+ * With `since`, only events after that seq are included.
+ */
+export const getReportJob = async (jobId: string, since = 0): Promise<ReportJob | null> => {
+  const query = since > 0 ? `?since=${since}` : '';
+  const response = await fetch(`${API_BASE}/api/reports/jobs/${encodeURIComponent(jobId)}${query}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw await errorFromResponse(response);
+  return response.json();
+};
 
-    const response = await fetch(`${API_BASE}/api/generate`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ prompt, model: modelToUse }),
-      signal: combinedController.signal
-    });
+export const cancelReportJob = async (jobId: string): Promise<void> => {
+  await fetch(`${API_BASE}/api/reports/jobs/${encodeURIComponent(jobId)}`, { method: "DELETE" });
+};
 
-    console.log('[Claude] Response status:', response.status);
+interface WatchOptions {
+  abortSignal?: AbortSignal;
+  onProgress?: (progress: ReportJobProgress) => void;
+  onEvent?: (event: ReportEvent) => void;
+}
 
-    if (!response.ok) {
-      clearTimeout(timeoutId);
-      let errorMessage = `API error: ${response.status}`;
-      try {
-        const errorData = await response.json();
-        errorMessage = errorData.error || errorMessage;
-      } catch {
-        // response wasn't JSON
-      }
-      throw new Error(errorMessage);
+/**
+ * Poll a job until it finishes, reporting progress along the way
+ *
+ * Each poll asks only for events not seen yet, so onEvent gets every event
+ * once and in order. Aborting the signal cancels the job on the server.
+ */
+export const watchReportJob = async (jobId: string, options: WatchOptions = {}): Promise<ReportJob> => {
+  const { abortSignal, onProgress, onEvent } = options;
+  let failures = 0;
+  let lastSeq = 0;
+
+  while (true) {
+    if (abortSignal?.aborted) {
+      await cancelReportJob(jobId).catch(() => {});
+      throw abortError();
     }
 
-    // Read the SSE stream and accumulate text
-    const reader = response.body!.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let accumulatedText = '';
-
-    console.log('[Claude] Reading SSE stream...');
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process complete SSE lines from the buffer
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || ''; // Keep incomplete last line in buffer
-
-      for (const line of lines) {
-        if (!line.startsWith('data: ')) continue;
-        const data = line.slice(6).trim();
-        if (!data) continue;
-
-        try {
-          const event = JSON.parse(data);
-
-          if (event.type === 'text_delta' && event.text) {
-            accumulatedText += event.text;
-          } else if (event.type === 'done') {
-            console.log('[Claude] Stream done, stop_reason:', event.stop_reason);
-          } else if (event.type === 'error') {
-            throw new Error(event.message || 'Claude streaming error');
-          }
-        } catch (parseError: any) {
-          // Re-throw if it's our own error (not a JSON parse error)
-          if (parseError.message && parseError.message !== 'Claude streaming error' &&
-              !parseError.message.includes('JSON')) {
-            // It's a thrown error from the event.type === 'error' case
-            if (parseError.message.includes('streaming error') || parseError.message.includes('API')) {
-              throw parseError;
-            }
-          }
-          // Skip unparseable SSE lines
-        }
-      }
+    let job: ReportJob | null;
+    try {
+      job = await getReportJob(jobId, lastSeq);
+      failures = 0;
+    } catch (error: any) {
+      if (++failures >= MAX_POLL_FAILURES) throw networkError(error);
+      console.warn(`[Report] Poll failed (${failures}/${MAX_POLL_FAILURES}):`, error.message);
+      await delay(JOB_POLL_INTERVAL_MS);
+      continue;
     }
 
-    // Process any remaining buffer content
-    if (buffer.trim().startsWith('data: ')) {
-      const data = buffer.trim().slice(6).trim();
-      if (data) {
-        try {
-          const event = JSON.parse(data);
-          if (event.type === 'text_delta' && event.text) {
-            accumulatedText += event.text;
-          } else if (event.type === 'error') {
-            throw new Error(event.message || 'Claude streaming error');
-          }
-        } catch {
-          // Skip
-        }
-      }
+    if (!job) throw new Error('Report job not found on the server. It may have expired.');
+    for (const event of job.events || []) {
+      if (event.seq > lastSeq) onEvent?.(event);
     }
+    lastSeq = Math.max(lastSeq, job.lastEventSeq || 0);
+    onProgress?.(job.progress);
 
-    clearTimeout(timeoutId);
+    if (job.status === 'completed') return job;
+    if (job.status === 'cancelled') throw abortError();
+    if (job.status === 'failed') throw new Error(job.error || 'Report generation failed');
 
-    const markdownText = accumulatedText || "No report generated.";
-    console.log('[Claude] Stream complete. Markdown text length:', markdownText.length);
+    await delay(JOB_POLL_INTERVAL_MS);
+  }
+};
 
+const reportFromJob = (job: ReportJob): GeneratedReport => {
+  const markdownText = job.result?.markdownContent || "No report generated.";
+  const structured = job.result?.structured || null;
+  console.log('[Report] Job complete. Markdown text length:', markdownText.length, 'developments:', structured?.developments.length ?? 'n/a');
+  if (job.result?.validationErrors?.length) {
+    console.warn('[Report] Developments dropped by validation:', job.result.validationErrors);
+  }
+  const usage = job.result?.usage || null;
+  return {
+    markdownContent: markdownText,
+    structured,
+    usage,
     // Better HTML conversion for Word export
-    const htmlContent = generateWordHtml(markdownText, config);
+    htmlContent: generateWordHtml(markdownText, job.request, structured, usage)
+  };
+};
 
-    return {
-      markdownContent: markdownText,
-      htmlContent: htmlContent
-    };
+/**
+ * Run a report on the server and wait for it
+ *
+ * The job keeps running if the page goes away; pass onJobCreated to remember
+ * its id and pick it up again with resumeLegalReport().
+ */
+export const generateLegalReport = async (config: ReportConfig): Promise<GeneratedReport> => {
+  const request = buildReportRequest(config);
+
+  // Log full search configuration for debugging erratic results
+  console.log('[Report] Config:', {
+    dateRange: `${request.startDate} to ${request.endDate}`,
+    strictDateFilter: request.strictDateFilter,
+    minDateConfidence: request.minDateConfidence,
+    dateFilterBasis: request.dateFilterBasis,
+    searchProvider: request.searchProvider,
+    firmsCount: request.firms.length,
+    topicsCount: request.topics.length,
+    modelProvider: request.modelProvider
+  });
 
+  try {
+    const job = await startReportJob(request);
+    console.log('[Report] Started job', job.id);
+    config.onJobCreated?.(job.id);
+    return reportFromJob(await watchReportJob(job.id, config));
   } catch (error: any) {
     console.error("Error generating report:", error);
-    // Re-throw with clear message for proxy/network failures
-    if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
-      throw new Error('Network error: Could not reach the backend server. Make sure the backend is running on port 3001.');
-    }
-    throw error;
+    throw networkError(error);
+  }
+};
+
+/**
+ * Keep watching a report job started earlier (e.g. before a page reload)
+ */
+export const resumeLegalReport = async (jobId: string, options: WatchOptions = {}): Promise<GeneratedReport> => {
+  console.log('[Report] Resuming job', jobId);
+  try {
+    return reportFromJob(await watchReportJob(jobId, options));
+  } catch (error: any) {
+    console.error("Error resuming report:", error);
+    throw networkError(error);
   }
 };
 
-function generateWordHtml(markdown: string, config: ReportConfig): string {
+function generateWordHtml(markdown: string, request: ReportRequest, structured: StructuredReport | null, usage: ReportUsage | null): string {
   // Debug: log the received searchProvider value
-  console.log('[Word Export] config.searchProvider:', config.searchProvider, 'type:', typeof config.searchProvider);
+  console.log('[Word Export] request.searchProvider:', request.searchProvider, 'type:', typeof request.searchProvider);
 
   // Normalize search provider value
-  const searchProvider = (config.searchProvider || 'serper').toLowerCase().trim();
-  const searchProviderLabel = searchProvider === 'tavily' ? 'Tavily (AI Research)' : 'Serper (Google Search)';
+  const searchProvider = (request.searchProvider || 'serper').toLowerCase().trim() as SearchProvider;
+  const searchProviderLabel = SEARCH_PROVIDER_LABELS[searchProvider] || SEARCH_PROVIDER_LABELS.serper;
 
   // Get AI model label
-  const modelProvider = (config.modelProvider || 'sonnet').toLowerCase().trim();
-  const modelProviderLabel = modelProvider === 'opus' ? 'Claude Opus 4.5' : 'Claude Sonnet 4';
+  const modelProviderLabel = modelLabel(request.modelProvider || defaultModel);
 
   // Get selected legal areas
-  const selectedTopicsLabel = config.selectedTopics.map(t => t.label).join(', ') || 'None selected';
+  const selectedTopicsLabel = request.topics.map(t => t.label).join(', ') || 'None selected';
 
   console.log('[Word Export] Normalized provider:', searchProvider, '=> Label:', searchProviderLabel);
 
-  // Convert markdown to proper HTML for Word
-  let html = markdown;
-
-  // Convert tables first (before other conversions mess with the structure)
-  html = convertMarkdownTables(html);
-
-  // Convert headers
-  html = html.replace(/^### (.*$)/gm, '<h3 style="color: #6d28d9; font-size: 14pt; margin-top: 16px;">$1</h3>');
-  html = html.replace(/^## (.*$)/gm, '<h2 style="color: #4c1d95; font-size: 16pt; margin-top: 20px; border-bottom: 1px solid #ddd; padding-bottom: 4px;">$1</h2>');
-  html = html.replace(/^# (.*$)/gm, '<h1 style="color: #2e1065; font-size: 18pt;">$1</h1>');
-
-  // Convert bold and italic
-  html = html.replace(/\*\*\*(.*?)\*\*\*/g, '<strong><em>$1</em></strong>');
-  html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-
-  // Convert links - make them clickable in Word
-  html = html.replace(/\[(.*?)\]\((https?:\/\/[^\)]+)\)/g, '<a href="$2" style="color: #2563eb;">$1</a>');
-
-  // Convert bullet points
-  html = html.replace(/^- (.*$)/gm, '<li style="margin-left: 20px;">$1</li>');
-  html = html.replace(/(<li.*<\/li>\n?)+/g, '<ul style="margin: 10px 0;">$&</ul>');
-
-  // Convert line breaks
-  html = html.replace(/\n\n/g, '</p><p style="margin: 10px 0;">');
-  html = html.replace(/\n/g, '<br/>');
+  // Build from the developments when we have them; older reports only have markdown
+  const html = structured
+    ? structuredReportHtml(structured, request.reportLayout)
+    : `<p style="margin: 10px 0;">${markdownToWordHtml(markdown)}</p>`;
 
   return `
 <!DOCTYPE html>
@@ -502,18 +294,152 @@ function generateWordHtml(markdown: string, config: ReportConfig): string {
 <body>
   <div class="header-info">
     <h1>Regulatory Intelligence Report</h1>
-    <p><strong>Date Range:</strong> ${config.startDate} to ${config.endDate}</p>
+    <p><strong>Date Range:</strong> ${request.startDate} to ${request.endDate}</p>
     <p><strong>Legal Areas:</strong> ${selectedTopicsLabel}</p>
     <p><strong>AI Model:</strong> ${modelProviderLabel}</p>
     <p><strong>Search Provider:</strong> ${searchProviderLabel}</p>
     <p><strong>Generated:</strong> ${new Date().toLocaleDateString()}</p>
+    ${usage ? `<p><strong>Usage:</strong> ${escapeHtml(formatUsage(usage))}</p>` : ''}
   </div>
-  <p style="margin: 10px 0;">${html}</p>
+  ${html}
 </body>
 </html>
   `;
 }
 
+function markdownToWordHtml(markdown: string): string {
+  let html = markdown;
+
+  // Convert tables first (before other conversions mess with the structure)
+  html = convertMarkdownTables(html);
+
+  // Convert headers
+  html = html.replace(/^### (.*$)/gm, '<h3 style="color: #6d28d9; font-size: 14pt; margin-top: 16px;">$1</h3>');
+  html = html.replace(/^## (.*$)/gm, '<h2 style="color: #4c1d95; font-size: 16pt; margin-top: 20px; border-bottom: 1px solid #ddd; padding-bottom: 4px;">$1</h2>');
+  html = html.replace(/^# (.*$)/gm, '<h1 style="color: #2e1065; font-size: 18pt;">$1</h1>');
+
+  // Convert bold and italic
+  html = html.replace(/\*\*\*(.*?)\*\*\*/g, '<strong><em>$1</em></strong>');
+  html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+  html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
+
+  // Convert links - make them clickable in Word
+  html = html.replace(/\[(.*?)\]\((https?:\/\/[^\)]+)\)/g, '<a href="$2" style="color: #2563eb;">$1</a>');
+
+  // Convert bullet points
+  html = html.replace(/^- (.*$)/gm, '<li style="margin-left: 20px;">$1</li>');
+  html = html.replace(/(<li.*<\/li>\n?)+/g, '<ul style="margin: 10px 0;">$&</ul>');
+
+  // Convert line breaks
+  html = html.replace(/\n\n/g, '</p><p style="margin: 10px 0;">');
+  html = html.replace(/\n/g, '<br/>');
+
+  return html;
+}
+
+const escapeHtml = (value: string): string =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const H2_STYLE = 'color: #4c1d95; font-size: 16pt; margin-top: 20px; border-bottom: 1px solid #ddd; padding-bottom: 4px;';
+const H3_STYLE = 'color: #6d28d9; font-size: 14pt; margin-top: 16px;';
+
+const link = (url: string, title: string) => `<a href="${escapeHtml(url)}" style="color: #2563eb;">${escapeHtml(title)}</a>`;
+
+// Sources the server couldn't match to the search results (see lib/grounding.js)
+const sourceLink = (d: LegalDevelopment) =>
+  link(d.sourceUrl, d.sourceTitle) + (d.unverified ? ' <em style="color: #b45309;">&#9888; unverified source</em>' : '');
+
+const sourceLinks = (items: LegalDevelopment[]) =>
+  [...new Map(items.map(d => [d.sourceUrl, d])).values()].map(sourceLink).join(' &middot; ');
+
+const lawLine = (d: { status: string; effectiveDate: string | null; jurisdiction: string }) =>
+  `(Status: ${d.status} | Effective: ${escapeHtml(d.effectiveDate || 'TBD')} | Jurisdiction: ${escapeHtml(d.jurisdiction)})`;
+
+const htmlList = (items: string[]) =>
+  `<ul style="margin: 10px 0;">${items.map(item => `<li style="margin-left: 20px;">${item}</li>`).join('')}</ul>`;
+
+const impactsNote = (d: LegalDevelopment) =>
+  d.impactedAreas.length ? ` <em>(Impacts: ${escapeHtml(d.impactedAreas.join(', '))})</em>` : '';
+
+function firmSectionsHtml(report: StructuredReport): string[] {
+  const firms = [...new Set(report.developments.map(d => d.firm))].sort((a, b) => a.localeCompare(b));
+  return firms.map(firm => {
+    const items = report.developments.filter(d => d.firm === firm);
+    const commentary = report.firmCommentary.find(c => c.firm === firm)?.summary;
+    return `
+<h2 style="${H2_STYLE}">${escapeHtml(firm)}</h2>
+<h3 style="${H3_STYLE}">Laws &amp; Regulations Covered:</h3>
+${htmlList(items.map(d => `<strong>${escapeHtml(d.name)}</strong> ${lawLine(d)}`))}
+<h3 style="${H3_STYLE}">Commentary Summary:</h3>
+${commentary ? `<p style="margin: 10px 0;">${escapeHtml(commentary)}</p>` : ''}
+${htmlList(items.filter(d => d.requirements).map(d => `<strong>${escapeHtml(d.name)}:</strong> ${escapeHtml(d.requirements)}${impactsNote(d)}`))}
+<h3 style="${H3_STYLE}">Life Sciences Impact:</h3>
+${htmlList(items.filter(d => d.lifeSciencesImpact).map(d => `<strong>${escapeHtml(d.name)}:</strong> ${escapeHtml(d.lifeSciencesImpact)}`))}
+<p style="margin: 10px 0;"><strong>Source:</strong> ${sourceLinks(items)}</p>`;
+  });
+}
+
+function lawSectionsHtml(report: StructuredReport): string[] {
+  const sections = (report.laws || []).map(law => {
+    const items = report.developments.filter(d => d.lawId === law.id);
+    const firms = law.firms.map(firm => `<strong>${escapeHtml(firm)}</strong> &mdash; ${sourceLinks(items.filter(d => d.firm === firm))}`);
+    return `
+<h2 style="${H2_STYLE}">${escapeHtml(law.name)}</h2>
+<p style="margin: 10px 0;">${lawLine(law)}</p>
+<h3 style="${H3_STYLE}">Commenting Firms (${law.firms.length}):</h3>
+${htmlList(firms)}
+<h3 style="${H3_STYLE}">What It Requires:</h3>
+${htmlList(items.filter(d => d.requirements).map(d => `<strong>${escapeHtml(d.firm)}:</strong> ${escapeHtml(d.requirements)}${impactsNote(d)}`))}
+<h3 style="${H3_STYLE}">Life Sciences Impact:</h3>
+${htmlList(items.filter(d => d.lifeSciencesImpact).map(d => `<strong>${escapeHtml(d.firm)}:</strong> ${escapeHtml(d.lifeSciencesImpact)}`))}`;
+  });
+  if (report.firmCommentary.length > 0) {
+    const commentary = [...report.firmCommentary].sort((a, b) => a.firm.localeCompare(b.firm));
+    sections.push(`
+<h2 style="${H2_STYLE}">Firm Commentary</h2>
+${htmlList(commentary.map(c => `<strong>${escapeHtml(c.firm)}:</strong> ${escapeHtml(c.summary)}`))}`);
+  }
+  return sections;
+}
+
+// Same appendix as the markdown report (see lib/developments.js)
+function previouslyReportedHtml(items: PreviouslyReported[]): string {
+  if (items.length === 0) return '<p style="margin: 10px 0;"><em>Nothing from earlier reports came up again.</em></p>';
+  const rows = items.map(r =>
+    `<tr><td>${escapeHtml(r.name || '—')}</td><td>${escapeHtml(r.firm)}</td><td>${link(r.url, r.sourceTitle || r.url)}</td><td>${escapeHtml(`${r.reportName || 'Earlier report'}${r.reportedOn ? ` (${r.reportedOn})` : ''}`)}</td></tr>`
+  ).join('');
+  return `
+<p style="margin: 10px 0;">Found again by this run but already covered in an earlier report, so not repeated above.</p>
+<table><tr><th>Law/Regulation</th><th>Commenting Firm</th><th>Source Link</th><th>Reported In</th></tr>${rows}</table>`;
+}
+
+/**
+ * Word HTML straight from the developments: same sections as the markdown
+ * report, without regex conversion
+ */
+function structuredReportHtml(report: StructuredReport, layout: ReportLayout = 'by_firm'): string {
+  // Reports from before clustering have no laws; they can only be shown by firm
+  const byLaw = layout === 'by_law' && !!report.laws;
+  const sections = byLaw ? lawSectionsHtml(report) : firmSectionsHtml(report);
+
+  const rows = byLaw
+    ? (report.laws || []).map(law =>
+        `<tr><td>${escapeHtml(law.name)}</td><td>${law.status}</td><td>${escapeHtml(law.effectiveDate || 'TBD')}</td><td>${escapeHtml(law.jurisdiction)}</td><td>${escapeHtml(law.firms.join(', '))}</td><td>${sourceLinks(report.developments.filter(d => d.lawId === law.id))}</td></tr>`
+      ).join('')
+    : report.developments.map(d =>
+        `<tr><td>${escapeHtml(d.name)}</td><td>${d.status}</td><td>${escapeHtml(d.effectiveDate || 'TBD')}</td><td>${escapeHtml(d.jurisdiction)}</td><td>${escapeHtml(d.firm)}</td><td>${sourceLink(d)}</td></tr>`
+      ).join('');
+
+  return `
+<h2 style="${H2_STYLE}">Executive Summary</h2>
+<p style="margin: 10px 0;">${escapeHtml(report.executiveSummary || 'No new or proposed laws were identified in the search results.')}</p>
+${report.truncatedFirms?.length ? `<p style="margin: 10px 0; color: #b45309;"><em>Not included: the commentary from ${escapeHtml(report.truncatedFirms.join(', '))} was too long for the model to write up in one answer.</em></p>` : ''}
+${sections.join('\n<hr/>')}
+<h2 style="${H2_STYLE}">Summary Table</h2>
+<table><tr><th>Law/Regulation</th><th>Status</th><th>Effective Date</th><th>Jurisdiction</th><th>${byLaw ? 'Commenting Firms' : 'Commenting Firm'}</th><th>${byLaw ? 'Sources' : 'Source Link'}</th></tr>${rows}</table>
+${report.previouslyReported ? `<h2 style="${H2_STYLE}">Appendix: Previously Reported</h2>${previouslyReportedHtml(report.previouslyReported)}` : ''}`;
+}
+
 function convertMarkdownTables(markdown: string): string {
   const lines = markdown.split('\n');
   let result: string[] = [];
@@ -0,0 +1,63 @@
+import { ComplianceDeadline, StructuredReport } from "../types";
+import { errorFromResponse, networkError } from "./claudeService";
+
+const API_BASE = '';
+
+export interface DeadlineFilter {
+  q?: string;
+  jurisdiction?: string;
+  from?: string;  // YYYY-MM-DD
+}
+
+const queryOf = (filter: DeadlineFilter): string => {
+  const params = new URLSearchParams(Object.entries(filter).filter(([, value]) => value) as [string, string][]);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Deadlines of every tracked regulation, soonest first (see lib/deadlines.js)
+ */
+export const listTrackedDeadlines = async (filter: DeadlineFilter = {}): Promise<ComplianceDeadline[]> => {
+  let response: Response;
+  try {
+    response = await fetch(`${API_BASE}/api/deadlines${queryOf(filter)}`);
+  } catch (error: any) {
+    throw networkError(error);
+  }
+  if (!response.ok) throw await errorFromResponse(response);
+  return (await response.json()).deadlines;
+};
+
+/**
+ * The .ics feed of the tracked deadlines, as a full URL calendar apps can subscribe to
+ */
+export const deadlineFeedUrl = (filter: DeadlineFilter = {}): string =>
+  new URL(`${API_BASE}/api/deadlines/calendar.ics${queryOf(filter)}`, window.location.href).toString();
+
+/**
+ * Save one report's deadlines as an .ics file in the browser; the server
+ * renders it so the download matches the feed
+ */
+export const downloadReportCalendar = async (structured: StructuredReport, name: string, filename: string): Promise<void> => {
+  let response: Response;
+  try {
+    response = await fetch(`${API_BASE}/api/deadlines/ics`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ structured, name })
+    });
+  } catch (error: any) {
+    throw networkError(error);
+  }
+  if (!response.ok) throw await errorFromResponse(response);
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
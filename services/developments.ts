@@ -0,0 +1,69 @@
+import { LegalDevelopment, DevelopmentStatus } from "../types";
+
+export type DevelopmentSortKey = 'name' | 'status' | 'effectiveDate' | 'jurisdiction' | 'firm';
+
+export interface DevelopmentFilter {
+  status?: DevelopmentStatus | '';
+  jurisdiction?: string;
+  area?: string;     // One of PHARMA_AREAS
+  firm?: string;
+  text?: string;     // Matched against name, requirements and impact
+}
+
+export const filterDevelopments = (developments: LegalDevelopment[], filter: DevelopmentFilter): LegalDevelopment[] => {
+  const text = filter.text?.trim().toLowerCase();
+  return developments.filter(d =>
+    (!filter.status || d.status === filter.status) &&
+    (!filter.jurisdiction || d.jurisdiction === filter.jurisdiction) &&
+    (!filter.area || d.impactedAreas.includes(filter.area)) &&
+    (!filter.firm || d.firm === filter.firm) &&
+    (!text || [d.name, d.requirements, d.lifeSciencesImpact].some(v => v.toLowerCase().includes(text)))
+  );
+};
+
+/**
+ * Sort by one column; unknown effective dates always go last
+ */
+export const sortDevelopments = (
+  developments: LegalDevelopment[],
+  key: DevelopmentSortKey,
+  direction: 'asc' | 'desc' = 'asc'
+): LegalDevelopment[] => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...developments].sort((a, b) => {
+    if (key === 'effectiveDate' && !a.effectiveDate !== !b.effectiveDate) {
+      return a.effectiveDate ? -1 : 1;
+    }
+    return sign * String(a[key] || '').localeCompare(String(b[key] || '')) || a.name.localeCompare(b.name);
+  });
+};
+
+const csvField = (value: string): string =>
+  /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Developments as CSV (opens in Excel); the BOM keeps accented names intact
+ */
+export const developmentsToCsv = (developments: LegalDevelopment[]): string => {
+  const header = ['Law/Regulation', 'Status', 'Effective Date', 'Jurisdiction', 'Commenting Firm', 'Impacted Areas', 'Requirements', 'Life Sciences Impact', 'Source Title', 'Source URL', 'Source Check'];
+  const rows = developments.map(d => [
+    d.name, d.status, d.effectiveDate || '', d.jurisdiction, d.firm, d.impactedAreas.join('; '),
+    d.requirements, d.lifeSciencesImpact, d.sourceTitle, d.sourceUrl, d.unverified ? 'Unverified' : ''
+  ]);
+  return '\ufeff' + [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+};
+
+/**
+ * Save developments as a .csv file in the browser
+ */
+export const downloadDevelopmentsCsv = (developments: LegalDevelopment[], filename: string): void => {
+  const blob = new Blob([developmentsToCsv(developments)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,59 @@
+import { LawFirm } from "../types";
+
+// Public suffixes with more than one label, for the countries our firms publish from.
+// Under these, the registrable domain is three labels (e.g. "example.co.uk", not "co.uk").
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk',
+  'com.au', 'net.au', 'org.au', 'gov.au',
+  'co.nz', 'org.nz', 'govt.nz',
+  'co.jp', 'or.jp', 'ne.jp', 'go.jp',
+  'co.kr', 'or.kr', 'go.kr',
+  'com.cn', 'gov.cn', 'com.hk', 'com.tw', 'com.sg', 'gov.sg', 'com.my', 'co.th', 'go.th',
+  'co.in', 'gov.in', 'co.id', 'com.ph', 'com.vn',
+  'com.br', 'gov.br', 'com.mx', 'gob.mx', 'com.ar', 'gob.ar', 'com.co', 'gov.co', 'com.pe', 'gob.pe',
+  'co.za', 'co.il', 'com.tr', 'com.sa', 'co.ke', 'com.ng',
+]);
+
+/**
+ * Registrable domain of a hostname: drops subdomains like www or resourcehub,
+ * but keeps all labels a public suffix needs ("www.example.co.uk" → "example.co.uk").
+ */
+export const registrableDomain = (hostname: string): string => {
+  const parts = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  if (parts.length <= 2) return parts.join('.');
+  const lastTwo = parts.slice(-2).join('.');
+  const labels = MULTI_LABEL_SUFFIXES.has(lastTwo) ? 3 : 2;
+  return parts.slice(-labels).join('.');
+};
+
+/**
+ * Normalize a LawFirm.domains entry: no scheme, no www, no trailing slash.
+ * Path prefixes are kept ("example.com/insights").
+ */
+const normalizeDomainEntry = (entry: string): string =>
+  entry.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+
+/**
+ * Every site a firm should be searched on: the registrable domain of its URL,
+ * plus its extra domains / path prefixes, deduplicated.
+ */
+export const firmSearchTargets = (firm: LawFirm): string[] => {
+  const targets = [registrableDomain(new URL(firm.url).hostname)];
+  for (const entry of firm.domains || []) {
+    const normalized = normalizeDomainEntry(entry);
+    if (normalized) targets.push(normalized);
+  }
+  return [...new Set(targets)];
+};
+
+/**
+ * Site URLs to read feeds and sitemaps from: the firm URL and each extra domain
+ */
+export const firmSiteUrls = (firm: LawFirm): string[] => {
+  const urls = [firm.url];
+  for (const entry of firm.domains || []) {
+    const normalized = normalizeDomainEntry(entry);
+    if (normalized) urls.push(`https://${normalized}`);
+  }
+  return [...new Set(urls)];
+};
@@ -0,0 +1,53 @@
+import { MonitoringProfile, MonitoringProfileInput, MonitoringDelivery, NotifierInfo, SavedReport } from "../types";
+import { errorFromResponse, networkError } from "./claudeService";
+
+const API_BASE = '';
+
+const profileUrl = (id: string) => `${API_BASE}/api/monitoring/profiles/${encodeURIComponent(id)}`;
+
+const request = async <T>(url: string, init?: RequestInit): Promise<T> => {
+  let response: Response;
+  try {
+    response = await fetch(url, init && {
+      ...init,
+      headers: { "Content-Type": "application/json" }
+    });
+  } catch (error: any) {
+    throw networkError(error);
+  }
+  if (!response.ok) throw await errorFromResponse(response);
+  return response.status === 204 ? (undefined as T) : response.json();
+};
+
+/**
+ * Every monitoring profile, and the delivery channels the server offers
+ */
+export const listMonitoringProfiles = (): Promise<{ profiles: MonitoringProfile[]; notifiers: NotifierInfo[] }> =>
+  request(`${API_BASE}/api/monitoring/profiles`);
+
+export const createMonitoringProfile = (input: MonitoringProfileInput): Promise<MonitoringProfile> =>
+  request(`${API_BASE}/api/monitoring/profiles`, { method: "POST", body: JSON.stringify(input) });
+
+export const updateMonitoringProfile = (id: string, changes: Partial<MonitoringProfileInput>): Promise<MonitoringProfile> =>
+  request(profileUrl(id), { method: "PATCH", body: JSON.stringify(changes) });
+
+export const deleteMonitoringProfile = (id: string): Promise<void> =>
+  request(profileUrl(id), { method: "DELETE" });
+
+/**
+ * Start a run now; it finishes in the background and shows up as the profile's lastRun
+ */
+export const runMonitoringProfile = (id: string): Promise<MonitoringProfile> =>
+  request(`${profileUrl(id)}/run`, { method: "POST" });
+
+/**
+ * Send the latest digest to the profile's targets without running a report
+ */
+export const sendTestDigest = async (id: string): Promise<MonitoringDelivery[]> =>
+  (await request<{ deliveries: MonitoringDelivery[] }>(`${profileUrl(id)}/test`, { method: "POST" })).deliveries;
+
+/**
+ * Reports the profile's runs saved on the server, newest first
+ */
+export const getMonitoringReports = async (id: string, limit?: number): Promise<SavedReport[]> =>
+  (await request<{ reports: SavedReport[] }>(`${profileUrl(id)}/reports${limit ? `?limit=${limit}` : ''}`)).reports;
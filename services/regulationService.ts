@@ -0,0 +1,30 @@
+import { RegulationSummary, RegulationDetail, RegulationTimelineEvent } from "../types";
+import { errorFromResponse, networkError } from "./claudeService";
+
+const API_BASE = '';
+
+const getJson = async <T>(url: string): Promise<T> => {
+  let response: Response;
+  try {
+    response = await fetch(url);
+  } catch (error: any) {
+    throw networkError(error);
+  }
+  if (!response.ok) throw await errorFromResponse(response);
+  return response.json();
+};
+
+/**
+ * Tracked regulations, most recently reported first
+ */
+export const listRegulations = async (filter: { q?: string; jurisdiction?: string } = {}): Promise<RegulationSummary[]> => {
+  const params = new URLSearchParams(Object.entries(filter).filter(([, value]) => value) as [string, string][]);
+  const query = params.toString();
+  return (await getJson<{ regulations: RegulationSummary[] }>(`${API_BASE}/api/regulations${query ? `?${query}` : ''}`)).regulations;
+};
+
+/**
+ * One regulation and its timeline, optionally only from `since` (YYYY-MM-DD)
+ */
+export const getRegulation = (id: string, since?: string): Promise<{ regulation: RegulationDetail; timeline: RegulationTimelineEvent[] }> =>
+  getJson(`${API_BASE}/api/regulations/${encodeURIComponent(id)}${since ? `?since=${since}` : ''}`);
@@ -0,0 +1,32 @@
+import { ReportDiff, SavedReport } from "../types";
+import { errorFromResponse, networkError } from "./claudeService";
+
+const API_BASE = '';
+
+// Saved reports from before structured output can't be compared
+export const canCompare = (report: SavedReport): boolean => !!report.structured_content?.developments;
+
+/**
+ * What changed from one saved report to a later one, law by law (see lib/reportDiff.js)
+ */
+export const compareReports = async (before: SavedReport, after: SavedReport): Promise<ReportDiff> => {
+  const side = (report: SavedReport) => ({
+    structured: report.structured_content,
+    firms: report.selected_firms,
+    startDate: report.start_date,
+    endDate: report.end_date
+  });
+
+  let response: Response;
+  try {
+    response = await fetch(`${API_BASE}/api/reports/diff`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ before: side(before), after: side(after) })
+    });
+  } catch (error: any) {
+    throw networkError(error);
+  }
+  if (!response.ok) throw await errorFromResponse(response);
+  return response.json();
+};
@@ -14,6 +14,9 @@ export const supabase = supabaseUrl && supabaseAnonKey
 
 export const isSupabaseConfigured = () => !!supabase;
 
+// Added after the reports table was first created; older tables may not have them
+const OPTIONAL_REPORT_COLUMNS = ['structured_content', 'usage'];
+
 export const saveReport = async (
   report: GeneratedReport,
   name: string,
@@ -27,19 +30,31 @@ export const saveReport = async (
     return null;
   }
 
-  const { data, error } = await supabase
-    .from('reports')
-    .insert({
-      name,
-      markdown_content: report.markdownContent,
-      html_content: report.htmlContent,
-      start_date: startDate,
-      end_date: endDate,
-      selected_firms: selectedFirms,
-      selected_topics: selectedTopics
-    })
-    .select()
-    .single();
+  const row = {
+    name,
+    markdown_content: report.markdownContent,
+    html_content: report.htmlContent,
+    structured_content: report.structured || null,
+    usage: report.usage || null,
+    start_date: startDate,
+    end_date: endDate,
+    selected_firms: selectedFirms,
+    selected_topics: selectedTopics
+  };
+
+  let { data, error } = await supabase.from('reports').insert(row).select().single();
+
+  // Tables created before structured reports or usage tracking lack these jsonb columns
+  let insertRow: Record<string, unknown> = row;
+  const missingColumn = () => error?.code === 'PGRST204'
+    ? OPTIONAL_REPORT_COLUMNS.find(column => column in insertRow && error?.message?.includes(column))
+    : undefined;
+  for (let column = missingColumn(); column; column = missingColumn()) {
+    console.warn(`reports.${column} column missing; saving without it`);
+    const { [column]: _omitted, ...rest } = insertRow;
+    insertRow = rest;
+    ({ data, error } = await supabase.from('reports').insert(insertRow).select().single());
+  }
 
   if (error) {
     console.error('Error saving report:', error);
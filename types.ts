@@ -1,6 +1,7 @@
 export interface LawFirm {
   name: string;
   url: string;
+  domains?: string[]; // Other sites/path prefixes the firm publishes on (e.g. "cov.com", "example.com/insights")
   region?: string;
   category?: string; // For grouping (e.g., "Large Firms", "Mid-Tier", "Boutique")
   specialty?: string[]; // Areas of specialty (e.g., ["patient_support", "privacy"])
@@ -12,8 +13,11 @@ export interface Topic {
   icon: string; // Name of the Lucide icon
 }
 
-export type SearchProvider = 'serper' | 'tavily';
-export type ModelProvider = 'sonnet' | 'opus';
+export type SearchProvider = 'serper' | 'tavily' | 'rss' | 'sitemap';
+export type ModelProvider = string;  // Registry id from GET /api/models (see lib/models.js)
+export type DateFilterBasis = 'published' | 'published_or_updated';
+export type ReportLayout = 'by_firm' | 'by_law';
+export type CitationPolicy = 'annotate' | 'strip';
 
 export interface ReportConfig {
   startDate: string;
@@ -21,15 +25,225 @@ export interface ReportConfig {
   selectedFirms: LawFirm[];
   selectedTopics: Topic[];
   searchProvider: SearchProvider;
-  modelProvider?: ModelProvider;  // 'sonnet' (default) or 'opus' for higher quality
+  modelProvider?: ModelProvider;  // The server's default model when omitted
   strictDateFilter?: boolean;  // When true, exclude articles with no detectable publication date
+  minDateConfidence?: number;  // With strictDateFilter, also exclude articles dated with less confidence (0-1)
+  extractArticles?: boolean;  // Fetch result pages and quote relevant passages in the prompt (default true)
+  useFeeds?: boolean;  // Read firm blog RSS/Atom feeds first; the search provider only fills gaps (default true)
+  dateFilterBasis?: DateFilterBasis;  // 'published' (default) or also keep older articles substantively updated in range
+  reportLayout?: ReportLayout;  // Sections per firm (default) or per law with its commenting firms
+  citationPolicy?: CitationPolicy;  // Mark (default) or remove citations not found in the search results
   abortSignal?: AbortSignal;   // For cancelling the search
-  onProgress?: (progress: { currentTopic: string; topicIndex: number; totalTopics: number; resultsFound: number }) => void;
+  onProgress?: (progress: ReportJobProgress) => void;
+  onEvent?: (event: ReportEvent) => void;  // Every pipeline event, in order (see lib/reportPipeline.js)
+  onJobCreated?: (jobId: string) => void;  // Server job id, to reconnect after a reload
+}
+
+// What the server needs to run a report on its own (see lib/reportPipeline.js)
+export interface ReportRequest {
+  firms: { name: string; url: string; domains: string[]; siteUrls: string[] }[];
+  topics: { id: string; label: string }[];
+  startDate: string;
+  endDate: string;
+  searchProvider: SearchProvider;
+  modelProvider: ModelProvider;
+  strictDateFilter: boolean;
+  minDateConfidence: number;
+  dateFilterBasis: DateFilterBasis;
+  useFeeds: boolean;
+  extractArticles: boolean;
+  reportLayout: ReportLayout;
+  citationPolicy: CitationPolicy;
+  countries: string[];
+  pharmaAreas: string[];
+  previouslyReported?: PreviouslyReported[];  // Set by monitoring runs with onlyNew: sources to leave out
+  previouslyReportedAppendix?: boolean;
+}
+
+// A source an earlier report cited, found again by a later run (see lib/monitoring.js)
+export interface PreviouslyReported {
+  firm: string;
+  url: string;
+  name?: string;
+  sourceTitle?: string;
+  reportName?: string;
+  reportedOn?: string;  // End date of that report
+}
+
+// One entry of the server's model registry (lib/models.js)
+export interface ModelInfo {
+  id: ModelProvider;
+  label: string;
+  provider: string;     // Backend adapter: 'anthropic' | 'gemini' | 'openai' (see lib/llmProviders.js)
+  apiModel: string;
+  baseUrl?: string;
+  description?: string;
+  maxOutputTokens: number;
+  costPerMillionTokens: { input: number; output: number };  // USD
+  fallbacks: ModelProvider[];
+  configured: boolean;  // The provider's API key is set on the server
+}
+
+// What one report run consumed, with estimated USD cost (see lib/usage.js)
+export interface ReportUsage {
+  model: ModelProvider;
+  inputTokens: number;
+  outputTokens: number;
+  models: { id: ModelProvider; label: string; calls: number; inputTokens: number; outputTokens: number; cost: number }[];
+  searches: { provider: SearchProvider; label: string; calls: number; cost: number }[];
+  modelCost: number;
+  searchCost: number;
+  estimatedCost: number;
+}
+
+export type ReportJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+// One firm × topic search as shown in the progress matrix
+export interface SearchProgress {
+  status: 'running' | 'done' | 'failed';
+  results?: number;         // Kept after date filtering and de-duplication
+  filteredByDate?: number;
+  duplicates?: number;
+  previouslyReported?: number;  // Left out: cited in one of the monitoring profile's earlier reports
+  scrapeTimeouts?: number;
+  error?: string | null;
+}
+
+export interface ReportJobProgress {
+  phase: 'queued' | 'searching' | 'generating' | 'done';
+  currentTopic?: string;
+  topicIndex?: number;
+  totalTopics?: number;
+  completedSearches?: number;
+  totalSearches?: number;
+  resultsFound?: number;
+  filteredByDate?: number;
+  scrapeTimeouts?: number;
+  searches?: Record<string, Record<string, SearchProgress>>;  // Firm name → topic label → search
+  generatedChars?: number;
+  promptTokens?: number;    // Estimated
+  inputTokens?: number | null;
+  outputTokens?: number | null;  // Estimated while generating, exact once finished
+  stopReason?: string | null;
+  sharedLaws?: number;      // Laws found in more than one firm's results
+  generationBatches?: number;  // Calls the answer is generated in, one per batch of firms
+  finishedBatches?: number;
+  truncatedFirms?: string[];   // Left out: their answer didn't fit in the output limit
+  continuations?: number;      // Follow-up calls made for answers cut off at the output limit
+  model?: ModelProvider;       // Generating with; differs from the request's after a fallback
+  searchApiCalls?: number;
+  unverifiedLinks?: number;
+  unverifiedDevelopments?: number;
+}
+
+interface ReportEventBase {
+  seq: number;
+  at: string;
+}
+
+export type ReportEvent = ReportEventBase & (
+  | { type: 'run_started'; firms: string[]; topics: string[]; totalSearches: number }
+  | { type: 'topic_started'; topic: string; topicIndex: number; totalTopics: number }
+  | { type: 'search_started'; firm: string; topic: string }
+  | { type: 'scrape_timeout'; firm: string; topic: string; url: string }
+  | { type: 'scrape_budget_exhausted'; firm: string; topic: string; skipped: number; included: boolean }
+  | { type: 'search_finished'; firm: string; topic: string; results: number; filteredByDate: number; duplicates: number; previouslyReported: number; scrapeTimeouts: number; apiCalls: number; error: string | null }
+  | { type: 'previously_reported'; firm: string; topic: string; urls: string[] }
+  | { type: 'clustering_finished'; clusters: number; sharedLaws: number }
+  | { type: 'generation_started'; model: ModelProvider; promptTokens: number; batches: number }
+  | { type: 'model_fallback'; from: ModelProvider; to: ModelProvider }
+  | { type: 'generation_batch_started'; firms: string[]; promptTokens: number }
+  | { type: 'generation_progress'; generatedChars: number; outputTokens: number }
+  | { type: 'generation_batch_finished'; firms: string[]; model: ModelProvider; inputTokens: number | null; outputTokens: number; stopReason: string | null; split: boolean }
+  | { type: 'generation_continued'; firms: string[]; round: number }
+  | { type: 'generation_finished'; inputTokens: number | null; outputTokens: number; stopReason: string | null; batches: number; continuations: number; truncatedFirms: string[]; developments: number; invalidDevelopments: number }
+  | { type: 'verification_finished'; policy: CitationPolicy; checkedLinks: number; unverifiedLinks: number; unverifiedDevelopments: number }
+);
+
+export interface ReportJob {
+  id: string;
+  status: ReportJobStatus;
+  request: ReportRequest;
+  progress: ReportJobProgress;
+  events: ReportEvent[];  // Only those after the `since` the job was fetched with
+  lastEventSeq: number;
+  result: { markdownContent: string; structured?: StructuredReport; validationErrors?: string[]; usage?: ReportUsage } | null;
+  error: string | null;
+  createdAt: string;
+  updatedAt: string;
+  completedAt: string | null;
+}
+
+export type DevelopmentStatus = 'Enacted' | 'Proposed';
+
+// One law or regulation as discussed by one firm (see lib/developments.js)
+export interface LegalDevelopment {
+  name: string;
+  status: DevelopmentStatus;
+  effectiveDate: string | null;  // YYYY-MM-DD, YYYY-MM or YYYY
+  jurisdiction: string;
+  firm: string;
+  sourceTitle: string;
+  sourceUrl: string;
+  impactedAreas: string[];  // PHARMA_AREAS entries
+  requirements: string;
+  deadlines?: { date: string; description: string }[];  // Missing on reports from before deadline extraction
+  lifeSciencesImpact: string;
+  lawId?: string;  // The entry in StructuredReport.laws; missing on reports from before clustering
+  unverified?: CitationIssue;  // Set when the source couldn't be matched to the search results
+  publishedDate?: string | null;  // Of the cited article; missing on reports from before the regulation tracker
+}
+
+// Why a citation couldn't be matched to the search results (see lib/grounding.js)
+export type CitationIssue = 'unknown_url' | 'firm_without_results' | 'other_firms_url';
+
+export interface ReportVerification {
+  policy: CitationPolicy;
+  checkedLinks: number;
+  unverifiedLinks: string[];
+  issues: { type: CitationIssue; firm: string; name: string; url: string }[];
+}
+
+// The same law as discussed by every firm (see lib/lawClusters.js)
+export interface LawSummary {
+  id: string;
+  name: string;
+  status: DevelopmentStatus;
+  effectiveDate: string | null;
+  jurisdiction: string;
+  firms: string[];
+}
+
+// One law's effective date or compliance deadline(s) on one date (see lib/deadlines.js)
+export interface ComplianceDeadline {
+  id: string;
+  date: string;  // YYYY-MM-DD, YYYY-MM or YYYY
+  precision: 'day' | 'month' | 'year';
+  lawId: string;
+  law: string;
+  jurisdiction: string;
+  status: DevelopmentStatus;
+  effective: boolean;       // The law takes effect on this date
+  descriptions: string[];   // What is due, one per distinct wording
+  sources: { firm: string; title: string; url: string }[];
+}
+
+export interface StructuredReport {
+  executiveSummary: string;
+  firmCommentary: { firm: string; summary: string }[];
+  developments: LegalDevelopment[];
+  laws?: LawSummary[];
+  deadlines?: ComplianceDeadline[];  // Missing on reports from before deadline extraction
+  verification?: ReportVerification;  // Missing on reports from before source checks
+  truncatedFirms?: string[];  // Firms left out because their answer didn't fit in the output limit
+  previouslyReported?: PreviouslyReported[];  // Appendix: found again, already in an earlier report
 }
 
 export interface GeneratedReport {
   htmlContent: string;
   markdownContent: string;
+  structured?: StructuredReport | null;  // Missing on reports generated before structured output
+  usage?: ReportUsage | null;            // Missing on reports generated before usage tracking
 }
 
 export enum LegalAreaId {
@@ -46,10 +260,143 @@ export interface SavedReport {
   name: string;
   markdown_content: string;
   html_content: string;
+  structured_content?: StructuredReport | null;
+  usage?: ReportUsage | null;
   start_date: string;
   end_date: string;
   selected_firms: string[];
   selected_topics: string[];
+  profile_id?: string | null;  // Monitoring profile whose scheduled run saved it
   created_at: string;
   updated_at: string;
-}
\ No newline at end of file
+}
+
+// Where a monitoring digest goes (see lib/notifiers.js)
+export type NotifyTarget =
+  | { notifier: 'smtp'; to: string[] }
+  | { notifier: 'webhook'; url: string };
+
+export interface NotifierInfo {
+  id: NotifyTarget['notifier'];
+  label: string;
+  configured: boolean;  // e.g. SMTP_HOST is set on the server
+}
+
+export interface MonitoringDelivery {
+  notifier: string;
+  ok: boolean;
+  error: string | null;
+}
+
+export interface MonitoringRun {
+  trigger: 'schedule' | 'manual';
+  startedAt: string;
+  finishedAt: string;
+  jobId: string | null;
+  status: 'completed' | 'failed';
+  reportId: string | null;
+  developments: number;
+  error: string | null;
+  deliveries: MonitoringDelivery[];
+}
+
+// A report the server runs on a schedule (see lib/monitoring.js)
+export interface MonitoringProfile {
+  id: string;
+  name: string;
+  request: Omit<ReportRequest, 'startDate' | 'endDate'>;
+  windowDays: number;   // Each run covers the last N days
+  schedule: string;     // Cron expression in server time
+  notify: NotifyTarget[];
+  onlyNew: boolean;     // Leave out sources the profile's earlier reports already cite
+  previouslyReportedAppendix: boolean;
+  enabled: boolean;
+  nextRunAt: string | null;
+  lastRun: MonitoringRun | null;
+  running: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type MonitoringProfileInput = Pick<MonitoringProfile, 'name' | 'schedule'> &
+  Partial<Pick<MonitoringProfile, 'windowDays' | 'notify' | 'onlyNew' | 'previouslyReportedAppendix' | 'enabled'>> & { request?: ReportRequest | MonitoringProfile['request'] };
+// What changed between two saved reports (see lib/reportDiff.js)
+export interface LawDiffEntry {
+  id: string;
+  name: string;
+  jurisdiction: string;
+  status: DevelopmentStatus;
+  effectiveDate: string | null;
+  firms: string[];
+}
+
+export interface LawChange<T> {
+  id: string;
+  name: string;
+  jurisdiction: string;
+  from: T;
+  to: T;
+}
+
+export interface FirmCommentaryChange {
+  firm: string;
+  laws: string[];
+  monitored: boolean;   // False when the other report didn't cover this firm at all
+}
+
+export interface ReportDiff {
+  before: { startDate: string | null; endDate: string | null; laws: number; firms: number };
+  after: { startDate: string | null; endDate: string | null; laws: number; firms: number };
+  newLaws: LawDiffEntry[];
+  droppedLaws: LawDiffEntry[];
+  statusChanges: LawChange<DevelopmentStatus>[];
+  effectiveDateChanges: LawChange<string | null>[];
+  commentaryChanges: { id: string; name: string; started: string[]; stopped: string[] }[];
+  firmsStarted: FirmCommentaryChange[];
+  firmsStopped: FirmCommentaryChange[];
+  unchangedLaws: number;
+}
+
+// One law followed across reports (see lib/regulations.js)
+export interface TrackedRegulation {
+  id: string;
+  name: string;
+  jurisdiction: string;
+  keys: string[];
+  names: string[];        // Every name firms reported it under
+  status: DevelopmentStatus;
+  effectiveDate: string | null;
+  firstSeen: string;      // End of the earliest report period that mentions it
+  lastSeen: string;
+  firms: string[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+// As listed: counts instead of history and commentary
+export interface RegulationSummary extends TrackedRegulation {
+  commentaryCount: number;
+  statusChanges: number;
+}
+
+export interface RegulationCommentary {
+  firm: string;
+  url: string;
+  title: string;
+  publishedDate: string | null;
+  reportedOn: string;     // End of the report period it was first found in
+  requirements: string;
+  lifeSciencesImpact: string;
+  effectiveDate?: string | null;  // As this article gave it; missing on entries from before deadline extraction
+  deadlines?: { date: string; description: string }[];
+}
+
+export interface RegulationDetail extends TrackedRegulation {
+  history: { asOf: string; status: DevelopmentStatus; effectiveDate: string | null }[];
+  commentary: RegulationCommentary[];
+}
+
+export type RegulationTimelineEvent =
+  | { date: string; type: 'first_reported'; status: DevelopmentStatus; effectiveDate: string | null }
+  | { date: string; type: 'changed'; status?: { from: DevelopmentStatus; to: DevelopmentStatus }; effectiveDate?: { from: string | null; to: string | null } }
+  | ({ date: string; type: 'commentary'; dateKnown: boolean } & RegulationCommentary);
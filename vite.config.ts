@@ -18,8 +18,6 @@ export default defineConfig(({ mode }) => {
       },
       plugins: [react()],
       define: {
-        'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
-        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY),
         'process.env.ANTHROPIC_API_KEY': JSON.stringify(env.ANTHROPIC_API_KEY),
         'process.env.TAVILY_API_KEY': JSON.stringify(env.TAVILY_API_KEY),
         'process.env.MODEL_NAME': JSON.stringify(env.MODEL_NAME)